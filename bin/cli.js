@@ -5,34 +5,155 @@ const clear = require('clear');
 const chalk = require('chalk');
 const figlet = require('figlet');
 const setupProcess = require('../src/index');
+const { buildJsonReport, logProgress } = require('../src/report');
 const pkg = require('../package.json');
 
-// Clear the console
-clear();
+/**
+ * Clear the console and show the welcome banner, unless the command prints
+ * JSON. With --json, stdout only carries the report and progress goes to
+ * stderr without colours (see `logProgress`).
+ * @param {Object} options Parsed options of the command being run
+ */
+function printBanner(options) {
+  if (options.json) {
+    chalk.level = 0;
+    return;
+  }
+  
+  // Clear the console
+  clear();
+  
+  // Display welcome banner
+  console.log(
+    chalk.yellow(
+      figlet.textSync('Places API Setup', { horizontalLayout: 'full' })
+    )
+  );
+  console.log(chalk.yellow(`v${pkg.version}\n`));
+}
 
-// Display welcome banner
-console.log(
-  chalk.yellow(
-    figlet.textSync('Places API Setup', { horizontalLayout: 'full' })
-  )
-);
-console.log(chalk.yellow(`v${pkg.version}\n`));
+/**
+ * Print the JSON report for a setup result on stdout
+ * @param {Object} result Result of `run()`, or of `runEnvironments()` with one report per environment
+ */
+function printJsonReport(result) {
+  const report = result.environments
+    ? {
+      success: result.success,
+      environments: result.environments.map(env => ({ environment: env.environment, ...buildJsonReport(env) })),
+      error: result.success ? null : { code: 'ENVIRONMENTS_FAILED', message: result.error, step: null }
+    }
+    : buildJsonReport(result);
+  process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+}
+
+/**
+ * Collect repeated --id-var key=value options into an object
+ * @param {string} value Option value
+ * @param {Object} previous Values collected so far
+ * @returns {Object} Collected values
+ */
+function collectIdVar(value, previous = {}) {
+  const separator = value.indexOf('=');
+  if (separator < 1) {
+    throw new Error(`--id-var expects key=value, got "${value}"`);
+  }
+  return { ...previous, [value.slice(0, separator)]: value.slice(separator + 1) };
+}
+
+/**
+ * Add the options that choose where progress is kept and how Google Cloud is reached
+ * @param {Command} command Commander command
+ * @returns {Command} The same command
+ */
+function addBackendOptions(command) {
+  return command
+    .option('--state-dir <dir>', 'Directory for setup progress files')
+    .option('--dry-run', 'Print the commands and URLs the setup would use without executing them')
+    .option('--backend <type>', 'How to talk to Google Cloud: "gcloud" (the SDK) or "rest" (HTTP APIs)', 'gcloud')
+    .option('--access-token <token>', 'OAuth access token for the REST backend')
+    .option('--service-account-key <file>', 'Service account JSON key for the REST backend')
+    .option('--rest-base-url <url>', 'Send all REST backend requests to this base URL (e.g. a local stub)');
+}
+
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value Option value
+ * @param {string[]} previous Values collected so far
+ * @returns {string[]} Collected values
+ */
+function collectList(value, previous = []) {
+  return previous.concat(value);
+}
+
+/**
+ * Add the options that write the API key to a file
+ * @param {Command} command Commander command
+ * @returns {Command} The same command
+ */
+function addOutputOptions(command) {
+  return command
+    .option('-o, --output <file>', 'Write the API key to this file, merging into it if it exists')
+    .option('--format <format>', 'Format of the --output file: dotenv, json, yaml or shell (default: from the file name)')
+    .option('--var-name <name>', 'Variable name for the API key in the --output file (default: GOOGLE_PLACES_API_KEY)');
+}
+
+/**
+ * Add the options that store the API key in Secret Manager
+ * @param {Command} command Commander command
+ * @returns {Command} The same command
+ */
+function addSecretOptions(command) {
+  return command
+    .option('--store-secret <name>', 'Store the API key in this Secret Manager secret instead of printing it')
+    .option('--secret-accessor <email>', 'Service account allowed to read the secret (repeatable)', collectList);
+}
 
 // Setup CLI commands
 program
   .version(pkg.version)
   .description('Google Places API setup and registration tool')
+  .enablePositionalOptions()
   .option('-s, --skip-auth', 'Skip authentication (use existing gcloud auth)')
   .option('-p, --project-id <id>', 'Specify project ID')
   .option('-n, --project-name <n>', 'Specify project name')
   .option('-y, --yes', 'Auto-confirm all prompts (non-interactive mode)')
+  .option('--billing-account <id>', 'Link the project to this billing account (e.g. 012345-6789AB-CDEF01) instead of picking one')
+  .option('--billing-timeout <seconds>', 'How long to wait for billing to show as enabled before failing', '120')
+  .option('--daily-quota <n>', 'Cap each enabled Maps service at this many requests per day ("unlimited" to lift the cap)')
+  .option('--per-minute-quota <n>', 'Cap each enabled Maps service at this many requests per minute ("unlimited" to lift the cap)')
+  .option('--budget <amount>', 'Create a budget for the project, e.g. 25 or 25USD, with alerts at --alert-thresholds')
+  .option('--alert-thresholds <percents>', 'Budget alert thresholds in percent, comma-separated (default: 50,90,100)')
+  .option('--budget-email <address>', 'Also send budget alerts to this email address (repeatable)', collectList)
+  .option('--no-verify', 'Do not send a test request with the new key')
+  .option('--verify-timeout <seconds>', 'How long to retry the test request while the new key propagates', '60')
+  .option('--places-base-url <url>', 'Send the test request to this base URL instead of Google (e.g. a local stub)')
   .option('--no-billing', 'Skip billing setup (limited functionality)')
   .option('--mock-billing', 'Use mock billing mode for development only')
+  .option('--seed <value>', 'Derive mock project IDs and keys from this value, so they are the same on every run')
   .option('--debug', 'Enable debug mode with additional information')
+  .option('--json', 'Print a single JSON report on stdout instead of progress output')
+  .option('--resume [projectId]', 'Resume an interrupted setup (defaults to the most recent one)')
+  .option('--rollback-on-failure', 'Undo the completed steps, including the created project, if a later step fails')
+  .option('--apis [list]', 'Maps Platform APIs to enable, e.g. "places,geocoding,maps-js" (without a list, choose from a checklist)')
+  .option('--allowed-referrers <patterns>', 'Only accept the key from these HTTP referrers, comma-separated (repeatable)', collectList)
+  .option('--allowed-ips <addresses>', 'Only accept the key from these IP addresses or CIDR ranges, comma-separated (repeatable)', collectList)
+  .option('--allowed-android-app <package:sha1>', 'Only accept the key from this Android app (repeatable)', collectList)
+  .option('--allowed-ios-bundle-id <id>', 'Only accept the key from this iOS app (repeatable)', collectList)
+  .option('--environments <list>', 'Run the setup once per environment, e.g. "dev,staging,prod"')
+  .option('--config <file>', 'Config file with per-environment settings (default: places-setup.json, .yaml or .yml)')
+  .option('--use-existing', 'Set up Places in the existing project given by --project-id instead of creating one')
+  .option('--id-template <template>', 'Template for generated project IDs (e.g. "{team}-places-{env}-{rand4}")')
+  .option('--team <name>', 'Value for {team} in the project ID template')
+  .option('--env <name>', 'Value for {env} in the project ID template')
+  .option('--id-var <key=value>', 'Value for a custom {key} in the project ID template (repeatable)', collectIdVar)
+  .option('--id-retries <n>', 'How many new IDs to try when a generated project ID is taken', '5');
+
+addSecretOptions(addOutputOptions(addBackendOptions(program)))
   .action(async (options) => {
     try {
       if (options.debug) {
-        console.log(chalk.blue('Running in debug mode'));
+        logProgress(options, chalk.blue('Running in debug mode'));
       }
       
       // Set the default --yes flag to true if not explicitly set
@@ -40,7 +161,17 @@ program
         options.yes = true;
       }
       
-      const result = await setupProcess.run(options);
+      const result = options.environments
+        ? await setupProcess.runEnvironments(options)
+        : await setupProcess.run(options);
+      
+      if (options.json) {
+        printJsonReport(result);
+        if (!result.success) {
+          process.exit(1);
+        }
+        return;
+      }
       
       if (!result.success) {
         if (result.error === 'Please restart terminal to use Google Cloud SDK.') {
@@ -49,12 +180,24 @@ program
           console.log(chalk.green('The installation is partially complete.'));
         } else {
           console.error(chalk.red('Error during setup:'), result.error);
+          
+          if (result.environments) {
+            console.log(chalk.yellow('\nEach failed environment can be continued with: places-setup --resume <project ID>'));
+          } else if (result.rolledBack) {
+            console.log(chalk.yellow('\nThe completed steps were rolled back.'));
+          } else if (result.rollbackErrors) {
+            console.log(chalk.yellow(`\nRollback was incomplete. Finish it with: places-setup destroy ${result.projectId} --delete-project`));
+          } else if (result.projectId) {
+            console.log(chalk.yellow(`\nProgress was saved. Continue with: places-setup --resume ${result.projectId}`));
+          }
         }
         process.exit(1);
       }
       
       // Successful completion
-      if (result.apiKey) {
+      if (result.secret) {
+        console.log(chalk.green('\nAPI Key is stored in:'), chalk.yellow(result.secret));
+      } else if (result.apiKey) {
         console.log(chalk.green('\nAPI Key is ready for use:'), chalk.yellow(result.apiKey));
         console.log(chalk.yellow('\nRemember to restrict your API key as needed for production use.'));
         
@@ -66,9 +209,207 @@ program
       }
       
     } catch (error) {
-      console.error(chalk.red('Error during setup:'), error.message);
+      if (options.json) {
+        printJsonReport({ success: false, error: error.message, code: 'UNEXPECTED_ERROR' });
+      } else {
+        console.error(chalk.red('Error during setup:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+addBackendOptions(
+  program
+    .command('apply')
+    .description('Create or update projects, services and API keys to match places-setup.json or .yaml')
+    .option('-c, --config <file>', 'Config file (default: places-setup.json, .yaml or .yml in the current directory)')
+    .option('-y, --yes', 'Apply the changes without asking for confirmation')
+    .option('-s, --skip-auth', 'Skip authentication (use existing gcloud auth)')
+)
+  .action(async (options) => {
+    try {
+      const result = await setupProcess.apply(options);
+      
+      if (!result.success) {
+        console.error(chalk.red('Error during apply:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error during apply:'), error.message);
+      process.exit(1);
+    }
+  });
+
+addBackendOptions(
+  program
+    .command('destroy <projectId>')
+    .description('Delete the API key, Places services and (optionally) project this tool created')
+    .option('-y, --yes', 'Do not ask for confirmation')
+    .option('--delete-project', 'Also delete the project if this tool created it')
+)
+  .action(async (projectId, options) => {
+    try {
+      const result = await setupProcess.destroy({ ...options, projectId });
+      
+      if (!result.success) {
+        console.error(chalk.red('Error during destroy:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error during destroy:'), error.message);
+      process.exit(1);
+    }
+  });
+
+addSecretOptions(addOutputOptions(addBackendOptions(
+  program
+    .command('rotate')
+    .description('Replace the project\'s API key with a new one that has the same restrictions')
+    .requiredOption('-p, --project-id <id>', 'Project whose API key to rotate')
+    .option('--grace-days <n>', 'Days the old key keeps working before it is deleted', '7')
+    .option('--finalize', 'Delete the keys replaced by earlier rotations now, without rotating again')
+)))
+  .action(async (options) => {
+    try {
+      const result = await setupProcess.rotate(options);
+      
+      if (!result.success) {
+        console.error(chalk.red('Error during rotation:'), result.error);
+        process.exit(1);
+      }
+      
+      if (result.secret) {
+        console.log(chalk.green('\nNew API key is stored in:'), chalk.yellow(result.secretVersion));
+      } else if (result.apiKey) {
+        console.log(chalk.green('\nNew API key:'), chalk.yellow(result.apiKey));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error during rotation:'), error.message);
       process.exit(1);
     }
   });
 
+addBackendOptions(
+  program
+    .command('quota <projectId>')
+    .description('Show or change the request quota caps of the project\'s Maps services')
+    .option('--daily-quota <n>', 'Requests per day for each service ("unlimited" to lift the cap)')
+    .option('--per-minute-quota <n>', 'Requests per minute for each service ("unlimited" to lift the cap)')
+    .option('--apis <list>', 'Only change these Maps Platform APIs, e.g. "places,geocoding" (default: every enabled one)')
+)
+  .action(async (projectId, options) => {
+    try {
+      const result = await setupProcess.quota({ ...options, projectId });
+      
+      if (!result.success) {
+        console.error(chalk.red('Error during quota update:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error during quota update:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('verify')
+  .description('Send a small Places request to check that an API key works')
+  .option('-k, --key <key>', 'API key to check (default: the GOOGLE_PLACES_API_KEY environment variable)')
+  .option('--api <api>', 'Places API to call: "new" (Places API (New)) or "legacy"', 'new')
+  .option('--verify-timeout <seconds>', 'How long to retry while a new key propagates', '60')
+  .option('--places-base-url <url>', 'Send the request to this base URL instead of Google (e.g. a local stub)')
+  .action(async (options) => {
+    try {
+      const result = await setupProcess.verify(options);
+      
+      if (!result.success) {
+        console.error(chalk.red('Error during verification:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error during verification:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('doctor')
+  .description('Check gcloud, the signed-in account and billing without changing anything')
+  .option('-p, --project-id <id>', 'Also check that this existing project is accessible and has billing enabled')
+  .option('--json', 'Print the checks as JSON')
+  .action(async (options) => {
+    try {
+      const result = await setupProcess.doctor(options);
+
+      if (!result.success) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error during diagnosis:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('mock-server')
+  .description('Run a local copy of the Places API that accepts the keys created in mock mode')
+  .option('--port <port>', 'Port to listen on', '8080')
+  .option('--host <host>', 'Address to listen on', '127.0.0.1')
+  .option('--fixtures <file>', 'JSON file with the places to serve, in the Places API (New) format')
+  .option('--state-dir <dir>', 'Directory of the setup progress files holding the mock keys')
+  .action(async (options) => {
+    try {
+      const result = await setupProcess.mockServer(options);
+      
+      if (!result.success) {
+        console.error(chalk.red('Error starting the mock server:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error starting the mock server:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const mock = program
+  .command('mock')
+  .description('Inspect and revoke the mock projects and keys created in mock mode');
+
+/**
+ * Run a mock registry command and exit with an error if it fails
+ * @param {Function} command Command from src/index.js
+ * @param {...*} args Command arguments
+ */
+function runMockCommand(command, ...args) {
+  try {
+    const result = command(...args);
+    
+    if (!result.success) {
+      console.error(chalk.red('Error:'), result.error);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+mock
+  .command('list')
+  .description('List the mock projects and keys')
+  .option('--json', 'Print the registry as JSON')
+  .action(options => runMockCommand(setupProcess.listMocks, options));
+
+mock
+  .command('show <id>')
+  .description('Show a mock project and its keys, or a mock key (by key ID or key string)')
+  .action((id, options) => runMockCommand(setupProcess.showMock, id, options));
+
+mock
+  .command('revoke <id>')
+  .description('Revoke a mock key, or every key of a mock project, so the mock server rejects it')
+  .action((id, options) => runMockCommand(setupProcess.revokeMock, id, options));
+
+program.hook('preAction', (thisCommand, actionCommand) => printBanner(actionCommand.opts()));
+
 program.parse(process.argv); 
\ No newline at end of file
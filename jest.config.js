@@ -7,6 +7,11 @@ module.exports = {
     '**/tests/**/*.test.js'
   ],
   
+  // Modules that run before each test file, once the test framework is installed
+  setupFilesAfterEnv: [
+    '<rootDir>/tests/setup.js'
+  ],
+  
   // Indicates whether each individual test should be reported during the run
   verbose: true,
   
@@ -0,0 +1,137 @@
+/**
+ * Alert thresholds, in percent of the budget, used when none are given
+ */
+const DEFAULT_ALERT_THRESHOLDS = [50, 90, 100];
+
+/**
+ * Parse a budget amount such as `25`, `25.50` or `25USD`
+ * @param {string|number} value Budget amount, optionally followed by a currency code
+ * @returns {{units?: string, nanos?: number, currencyCode?: string, error?: string}} Amount in the form of the Budget API's `Money`, or the reason it is invalid
+ */
+function parseBudgetAmount(value) {
+  const match = String(value).trim().match(/^(\d+)(?:\.(\d{1,2}))?\s*([A-Za-z]{3})?$/);
+  const nanos = match && match[2] ? Number(match[2].padEnd(2, '0')) * 10000000 : 0;
+
+  if (!match || (Number(match[1]) === 0 && nanos === 0)) {
+    return { error: `Budget amount "${value}" must be a positive number, optionally followed by a currency code (e.g. 25 or 25USD)` };
+  }
+
+  return {
+    units: String(Number(match[1])),
+    nanos,
+    ...(match[3] ? { currencyCode: match[3].toUpperCase() } : {})
+  };
+}
+
+/**
+ * Parse alert thresholds such as `50,90,100`
+ * @param {string|string[]} value Percentages, comma-separated or as an array
+ * @returns {{thresholds?: number[], error?: string}} Sorted percentages without duplicates or the reason they are invalid
+ */
+function parseAlertThresholds(value) {
+  const items = [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().replace(/%$/, ''))
+    .filter(Boolean);
+
+  if (items.length === 0) {
+    return { error: 'List at least one alert threshold' };
+  }
+
+  const invalid = items.filter(item => !/^\d+(\.\d+)?$/.test(item) || Number(item) <= 0 || Number(item) > 1000);
+  if (invalid.length > 0) {
+    return { error: `Alert threshold "${invalid.join('", "')}" must be a percentage between 0 and 1000` };
+  }
+
+  return { thresholds: [...new Set(items.map(Number))].sort((a, b) => a - b) };
+}
+
+/**
+ * Check --budget, --alert-thresholds and --budget-email before anything is created
+ * @param {Object} options Command line options
+ * @returns {string|null} Validation error, or null if the options are valid
+ */
+function validateBudgetOptions(options = {}) {
+  const emails = [].concat(options.budgetEmail || []);
+
+  if (!options.budget) {
+    if (options.alertThresholds || emails.length > 0) {
+      return '--alert-thresholds and --budget-email need a --budget';
+    }
+    return null;
+  }
+
+  const amount = parseBudgetAmount(options.budget);
+  if (amount.error) {
+    return amount.error;
+  }
+
+  if (options.alertThresholds) {
+    const { error } = parseAlertThresholds(options.alertThresholds);
+    if (error) {
+      return error;
+    }
+  }
+
+  const invalid = emails.find(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+  return invalid ? `"${invalid}" is not a valid email address` : null;
+}
+
+/**
+ * Find the Cloud Billing catalog services for a set of display names
+ * @param {Array<{name: string, displayName: string}>} catalog Services from the Cloud Billing catalog
+ * @param {string[]} displayNames Display names to look for
+ * @returns {{services: string[], missing: string[]}} Service resource names (`services/XXXX-XXXX-XXXX`) and the names that were not found
+ */
+function matchBillingServices(catalog, displayNames) {
+  const services = [];
+  const missing = [];
+
+  displayNames.forEach(displayName => {
+    const entry = catalog.find(candidate => candidate.displayName === displayName);
+    if (entry) {
+      services.push(entry.name);
+    } else {
+      missing.push(displayName);
+    }
+  });
+
+  return { services: [...new Set(services)], missing };
+}
+
+/**
+ * Build the arguments of `gcloud billing budgets create`
+ * @param {Object} budget Budget details
+ * @param {string} budget.billingAccount Billing account ID
+ * @param {string} budget.projectId Project the budget is scoped to
+ * @param {string} budget.amount Budget amount as given with --budget
+ * @param {number[]} budget.thresholds Alert thresholds in percent
+ * @param {string[]} [budget.services] Billing catalog services the budget is scoped to
+ * @param {string[]} [budget.channels] Monitoring notification channels to alert
+ * @returns {string[]} Command arguments
+ */
+function buildBudgetArgs({ billingAccount, projectId, amount, thresholds, services = [], channels = [] }) {
+  const { units, nanos, currencyCode } = parseBudgetAmount(amount);
+  const value = nanos ? `${units}.${String(nanos / 10000000).padStart(2, '0')}` : units;
+
+  return [
+    'billing', 'budgets', 'create',
+    `--billing-account=${billingAccount}`,
+    `--display-name=Places API budget (${projectId})`,
+    `--budget-amount=${value}${currencyCode || ''}`,
+    `--filter-projects=projects/${projectId}`,
+    ...(services.length > 0 ? [`--filter-services=${services.join(',')}`] : []),
+    ...thresholds.map(percent => `--threshold-rule=percent=${percent / 100}`),
+    ...(channels.length > 0 ? [`--notifications-rule-monitoring-notification-channels=${channels.join(',')}`] : []),
+    '--format=json'
+  ];
+}
+
+module.exports = {
+  DEFAULT_ALERT_THRESHOLDS,
+  parseBudgetAmount,
+  parseAlertThresholds,
+  validateBudgetOptions,
+  matchBillingServices,
+  buildBudgetArgs
+};
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateProjectId, validateProjectName, validateBillingAccountId } = require('./validation');
+const { resolveServices } = require('./services');
+const { buildApplicationRestrictions, diffRestrictions } = require('./keyRestrictions');
+
+/**
+ * File names `apply` looks for in the working directory
+ */
+const CONFIG_FILE_NAMES = ['places-setup.json', 'places-setup.yaml', 'places-setup.yml'];
+
+/**
+ * Options an environment in the `environments` section may set. They use the
+ * names the command line options have in `run()`.
+ */
+const ENVIRONMENT_SETTINGS = [
+  'projectId',
+  'projectName',
+  'useExisting',
+  'apis',
+  'allowedReferrers',
+  'allowedIps',
+  'allowedAndroidApp',
+  'allowedIosBundleId',
+  'idTemplate',
+  'team',
+  'idVars',
+  'billingAccount',
+  'budget',
+  'alertThresholds',
+  'budgetEmail',
+  'dailyQuota',
+  'perMinuteQuota',
+  'mockBilling',
+  'noBilling',
+  'storeSecret',
+  'secretAccessor',
+  'output',
+  'format',
+  'varName'
+];
+
+/**
+ * Find the config file in a directory
+ * @param {string} dir Directory to look in
+ * @returns {string|null} Path of the first config file found, or null
+ */
+function findConfigFile(dir = process.cwd()) {
+  return CONFIG_FILE_NAMES
+    .map(name => path.join(dir, name))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Check and normalize one key entry of a project
+ * @param {Object} key Key entry from the config file
+ * @param {string[]} projectServices Services of the project, used when the key lists none
+ * @param {string} where Location of the entry for error messages
+ * @returns {{key?: {name: string, restrictions: Object}, error?: string}} Normalized key or the first error
+ */
+function normalizeKey(key, projectServices, where) {
+  if (!key || typeof key !== 'object' || !key.name) {
+    return { error: `${where}: every key needs a name` };
+  }
+
+  const targets = key.services ? resolveServices(key.services) : { services: projectServices };
+  if (targets.error) {
+    return { error: `${where}: ${targets.error}` };
+  }
+
+  const application = buildApplicationRestrictions(key);
+  if (application.error) {
+    return { error: `${where}: ${application.error}` };
+  }
+
+  return {
+    key: {
+      name: String(key.name),
+      restrictions: {
+        apiTargets: targets.services.map(service => ({ service })),
+        ...application.restrictions
+      }
+    }
+  };
+}
+
+/**
+ * Check and normalize one project entry
+ * @param {Object} project Project entry from the config file
+ * @param {string} where Location of the entry for error messages
+ * @returns {{project?: Object, error?: string}} Normalized project or the first error
+ */
+function normalizeProject(project, where) {
+  if (!project || typeof project !== 'object') {
+    return { error: `${where} must be an object` };
+  }
+
+  const name = project.name || project.projectId;
+  const billingAccount = project.billingAccount
+    ? String(project.billingAccount).replace(/^billingAccounts\//, '')
+    : null;
+  const validationError = validateProjectId(project.projectId) ||
+    validateProjectName(name) ||
+    (billingAccount && validateBillingAccountId(billingAccount));
+  if (validationError) {
+    return { error: `${where}: ${validationError}` };
+  }
+
+  if (project.organization && !/^\d+$/.test(String(project.organization))) {
+    return { error: `${where}: organization must be a numeric organization ID` };
+  }
+
+  const resolved = resolveServices(project.services || 'places');
+  if (resolved.error) {
+    return { error: `${where}: ${resolved.error}` };
+  }
+
+  const keys = [];
+  for (const [index, entry] of (project.keys || []).entries()) {
+    const { key, error } = normalizeKey(entry, resolved.services, `${where}.keys[${index}]`);
+    if (error) {
+      return { error };
+    }
+    if (keys.some(existing => existing.name === key.name)) {
+      return { error: `${where}.keys[${index}]: key "${key.name}" is listed twice` };
+    }
+    keys.push(key);
+  }
+
+  return {
+    project: {
+      projectId: project.projectId,
+      name,
+      organization: project.organization ? String(project.organization) : null,
+      billingAccount,
+      services: resolved.services,
+      keys
+    }
+  };
+}
+
+/**
+ * Check and normalize a parsed config
+ * @param {Object} config Parsed config file
+ * @returns {{projects?: Object[], error?: string}} Normalized projects or the first error
+ */
+function normalizeConfig(config) {
+  if (!config || !Array.isArray(config.projects) || config.projects.length === 0) {
+    return { error: 'The config file needs a non-empty "projects" list' };
+  }
+
+  const projects = [];
+  for (const [index, entry] of config.projects.entries()) {
+    const { project, error } = normalizeProject(entry, `projects[${index}]`);
+    if (error) {
+      return { error };
+    }
+    if (projects.some(existing => existing.projectId === project.projectId)) {
+      return { error: `projects[${index}]: project ${project.projectId} is listed twice` };
+    }
+    projects.push(project);
+  }
+
+  return { projects };
+}
+
+/**
+ * Read and parse a JSON or YAML config file
+ * @param {string} file Config file path
+ * @returns {{config?: Object, error?: string}} Parsed file or the reason it cannot be read
+ */
+function readConfigFile(file) {
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    return { config: /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content) };
+  } catch (error) {
+    return { error: `Could not read ${file}: ${error.message}` };
+  }
+}
+
+/**
+ * Read, parse and normalize a JSON or YAML config file
+ * @param {string} file Config file path
+ * @returns {{projects?: Object[], error?: string}} Normalized projects or the reason the file cannot be used
+ */
+function loadConfig(file) {
+  const { config, error } = readConfigFile(file);
+  return error ? { error } : normalizeConfig(config);
+}
+
+/**
+ * Read the per-environment settings of a config file, e.g.
+ * `environments: { dev: { allowedReferrers: ['http://localhost:3000/*'] } }`
+ * @param {string} file Config file path
+ * @returns {{environments?: Object<string, Object>, error?: string}} Settings by environment name or the first error
+ */
+function loadEnvironmentSettings(file) {
+  const { config, error } = readConfigFile(file);
+  if (error) {
+    return { error };
+  }
+
+  const environments = (config && config.environments) || {};
+  for (const [name, settings] of Object.entries(environments)) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { error: `environments.${name} must be an object` };
+    }
+
+    const unknown = Object.keys(settings).filter(setting => !ENVIRONMENT_SETTINGS.includes(setting));
+    if (unknown.length > 0) {
+      return { error: `environments.${name}: unknown setting "${unknown.join('", "')}"; use ${ENVIRONMENT_SETTINGS.join(', ')}` };
+    }
+  }
+
+  return { environments };
+}
+
+/**
+ * Work out the changes that make a project match its config entry. Only
+ * missing resources are added: services and keys that are not in the config
+ * are left alone.
+ * @param {Object} desired Normalized project from the config
+ * @param {{exists: boolean, billingAccount: string|null, services: string[], keys: Array<{keyId: string, name: string, restrictions: Object}>}} current What the project has now
+ * @returns {Array<{type: string, sign: string, projectId: string, summary: string, details: string[]}>} Changes in the order they must be applied
+ */
+function diffProject(desired, current) {
+  const { projectId } = desired;
+  const changes = [];
+  const change = (type, sign, summary, extra = {}) => {
+    changes.push({ type, sign, projectId, summary, details: [], ...extra });
+  };
+
+  if (!current.exists) {
+    const parent = desired.organization ? ` in organization ${desired.organization}` : '';
+    change('createProject', '+', `create project ${projectId} ("${desired.name}")${parent}`, {
+      name: desired.name,
+      organization: desired.organization
+    });
+  }
+
+  if (desired.billingAccount && desired.billingAccount !== current.billingAccount) {
+    change('linkBilling', current.billingAccount ? '~' : '+',
+      `link ${projectId} to billing account ${desired.billingAccount}`, {
+        billingAccount: desired.billingAccount,
+        details: current.billingAccount ? [`- ${current.billingAccount}`, `+ ${desired.billingAccount}`] : []
+      });
+  }
+
+  const missing = desired.services.filter(service => !current.services.includes(service));
+  if (missing.length > 0) {
+    change('enableServices', '+', `enable ${missing.join(', ')} on ${projectId}`, { services: missing });
+  }
+
+  desired.keys.forEach(key => {
+    const existing = current.keys.find(candidate => candidate.name === key.name);
+
+    if (!existing) {
+      change('createKey', '+', `create API key ${key.name} in ${projectId}`, { key });
+      return;
+    }
+
+    const { removed, added } = diffRestrictions(existing.restrictions, key.restrictions);
+    if (removed.length > 0 || added.length > 0) {
+      change('updateKey', '~', `update the restrictions of API key ${key.name} in ${projectId}`, {
+        key,
+        keyId: existing.keyId,
+        details: removed.map(value => `- ${value}`).concat(added.map(value => `+ ${value}`))
+      });
+    }
+  });
+
+  return changes;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  ENVIRONMENT_SETTINGS,
+  findConfigFile,
+  normalizeConfig,
+  loadConfig,
+  loadEnvironmentSettings,
+  diffProject
+};
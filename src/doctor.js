@@ -0,0 +1,222 @@
+const { GA_API_KEYS_VERSION, parseGcloudVersion, compareVersions } = require('./gcloudVersion');
+
+/**
+ * Oldest Google Cloud SDK release the setup is tested with
+ */
+const MIN_GCLOUD_VERSION = '400.0.0';
+
+/**
+ * Number of projects at which the project quota of many accounts is reached
+ */
+const PROJECT_QUOTA_WARNING = 10;
+
+/**
+ * Number of projects a new billing account can be linked to
+ */
+const BILLING_PROJECT_QUOTA = 5;
+
+/**
+ * Build a check result
+ * @param {string} id Check ID
+ * @param {string} title What was checked
+ * @param {string} status `pass`, `warn`, `fail` or `skip`
+ * @param {string} detail What was found
+ * @param {string} [fix] How to fix a warning or failure
+ * @returns {{id: string, title: string, status: string, detail: string, fix?: string}} Check result
+ */
+function check(id, title, status, detail, fix) {
+  return { id, title, status, detail, ...(fix ? { fix } : {}) };
+}
+
+/**
+ * Check that gcloud is installed and recent enough
+ * @param {{success: boolean, output: string}} result Result of `gcloud version`
+ * @returns {Object[]} Check results for the SDK and its alpha and beta components
+ */
+function checkGcloud(result) {
+  if (!result.success) {
+    return [
+      check('gcloud', 'Google Cloud SDK', 'fail', 'gcloud was not found or did not run',
+        'Install it from https://cloud.google.com/sdk/docs/install, or run the setup with --backend rest'),
+      check('alpha', 'gcloud alpha component', 'skip', 'Needs the Google Cloud SDK')
+    ];
+  }
+
+  const { sdk, components } = parseGcloudVersion(result.output);
+  const checks = [];
+
+  if (!sdk) {
+    checks.push(check('gcloud', 'Google Cloud SDK', 'warn', 'The version could not be read', 'gcloud components update'));
+  } else if (compareVersions(sdk, MIN_GCLOUD_VERSION) < 0) {
+    checks.push(check('gcloud', 'Google Cloud SDK', 'warn', `Version ${sdk} is older than ${MIN_GCLOUD_VERSION}`, 'gcloud components update'));
+  } else {
+    checks.push(check('gcloud', 'Google Cloud SDK', 'pass', `Version ${sdk}`));
+  }
+
+  if (components.alpha) {
+    checks.push(check('alpha', 'gcloud alpha component', 'pass', `Version ${components.alpha}`));
+  } else if (sdk && compareVersions(sdk, GA_API_KEYS_VERSION) < 0) {
+    checks.push(check('alpha', 'gcloud alpha component', 'fail', `Not installed; SDKs older than ${GA_API_KEYS_VERSION} manage API keys with gcloud alpha commands`,
+      'gcloud components install alpha, or gcloud components update'));
+  } else {
+    checks.push(check('alpha', 'gcloud alpha component', 'warn', 'Not installed; --daily-quota and --per-minute-quota need gcloud alpha commands',
+      'gcloud components install alpha'));
+  }
+
+  if (!components.beta) {
+    checks.push(check('beta', 'gcloud beta component', 'warn', 'Not installed; --budget-email needs gcloud beta commands',
+      'gcloud components install beta'));
+  }
+
+  return checks;
+}
+
+/**
+ * Check that gcloud has an active account with working credentials
+ * @param {{success: boolean, output: string}} accountsResult Result of `gcloud auth list --format=json`
+ * @param {{success: boolean, output: string}} [tokenResult] Result of `gcloud auth print-access-token`
+ * @returns {Object} Check result
+ */
+function checkAccount(accountsResult, tokenResult) {
+  let accounts = [];
+  try {
+    accounts = accountsResult.success ? JSON.parse(accountsResult.output || '[]') : [];
+  } catch (error) {
+    accounts = [];
+  }
+
+  const active = accounts.find(entry => entry.status === 'ACTIVE');
+  if (!active) {
+    return check('account', 'Active account', 'fail', 'No account is signed in to gcloud', 'gcloud auth login');
+  }
+
+  if (tokenResult && !tokenResult.success) {
+    return check('account', 'Active account', 'fail', `The credentials of ${active.account} have expired or were revoked`,
+      `gcloud auth login ${active.account}`);
+  }
+
+  return check('account', 'Active account', 'pass', active.account);
+}
+
+/**
+ * Check for Terms of Service errors, which block creating projects
+ * @param {{success: boolean, output: string}} result Result of `gcloud projects list`
+ * @returns {Object} Check result
+ */
+function checkTermsOfService(result) {
+  if (/Terms of Service/i.test(result.output || '')) {
+    return check('tos', 'Terms of Service', 'fail', 'The Google Cloud Terms of Service have not been accepted',
+      'Accept them at https://console.cloud.google.com/terms');
+  }
+
+  if (!result.success) {
+    return check('tos', 'Terms of Service', 'warn', `Projects could not be listed: ${result.output.split('\n')[0]}`);
+  }
+
+  return check('tos', 'Terms of Service', 'pass', 'Projects can be listed without Terms of Service errors');
+}
+
+/**
+ * Check how close the account is to its project quota. Projects pending
+ * deletion count toward the quota for 30 days.
+ * @param {Array<{projectId: string, lifecycleState: string}>} projects Projects from `gcloud projects list`
+ * @returns {Object} Check result
+ */
+function checkProjectQuota(projects) {
+  const pending = projects.filter(project => project.lifecycleState === 'DELETE_REQUESTED').length;
+  const total = projects.filter(project => ['ACTIVE', 'DELETE_REQUESTED'].includes(project.lifecycleState)).length;
+  const detail = `${total} project${total === 1 ? '' : 's'} count toward the project quota` +
+    (pending > 0 ? ` (${pending} pending deletion)` : '');
+
+  if (total >= PROJECT_QUOTA_WARNING) {
+    return check('projectQuota', 'Project quota', 'warn', `${detail}; many accounts cannot create more than ${PROJECT_QUOTA_WARNING}`,
+      'Use an existing project with --use-existing, delete unused projects, or ask for more at https://support.google.com/code/contact/project_quota_increase');
+  }
+
+  return check('projectQuota', 'Project quota', 'pass', detail);
+}
+
+/**
+ * Check that a billing account can be linked to a new project
+ * @param {Array<{id: string, displayName: string, open: boolean}>|null} accounts Billing accounts, or null if they could not be listed
+ * @param {Object<string, number>} linkedProjects Number of projects linked to each open account
+ * @returns {Object} Check result
+ */
+function checkBillingAccounts(accounts, linkedProjects = {}) {
+  if (!accounts) {
+    return check('billingAccount', 'Billing account', 'warn', 'Billing accounts could not be listed',
+      'Ask a billing administrator for the Billing Account User role, or link billing in the browser during setup');
+  }
+
+  const open = accounts.filter(account => account.open);
+  if (open.length === 0) {
+    return check('billingAccount', 'Billing account', 'fail', 'No open billing account is available',
+      'Create one at https://console.cloud.google.com/billing/create, or use --mock-billing for development');
+  }
+
+  const available = open.filter(account => (linkedProjects[account.id] || 0) < BILLING_PROJECT_QUOTA);
+  const describe = account => `${account.id} (${linkedProjects[account.id] || 0} linked projects)`;
+  if (available.length === 0) {
+    return check('billingAccount', 'Billing account', 'warn',
+      `${open.map(describe).join(', ')}; new billing accounts can only be linked to ${BILLING_PROJECT_QUOTA} projects`,
+      'Unlink unused projects, or ask for more at https://support.google.com/code/contact/billing_quota_increase');
+  }
+
+  return check('billingAccount', 'Billing account', 'pass', open.map(describe).join(', '));
+}
+
+/**
+ * Check that a project exists and has billing enabled
+ * @param {string} projectId Project ID
+ * @param {Object|null} project Result of `describeProject`
+ * @param {{billingAccount: string|null, billingEnabled: boolean}|null} billingInfo Result of `getBillingInfo`
+ * @returns {Object[]} Check results
+ */
+function checkProject(projectId, project, billingInfo) {
+  if (!project) {
+    return [
+      check('project', `Project ${projectId}`, 'fail', 'The project does not exist or the account cannot access it',
+        'Check the project ID, or leave out --project-id to create a new project'),
+      check('projectBilling', `Billing of ${projectId}`, 'skip', 'Needs the project')
+    ];
+  }
+
+  const checks = [check('project', `Project ${projectId}`, 'pass', project.lifecycleState || 'ACTIVE')];
+  const linkFix = `gcloud billing projects link ${projectId} --billing-account=ACCOUNT_ID, or run the setup again with --billing-account`;
+
+  if (!billingInfo) {
+    checks.push(check('projectBilling', `Billing of ${projectId}`, 'warn', 'The billing information could not be read'));
+  } else if (billingInfo.billingEnabled) {
+    checks.push(check('projectBilling', `Billing of ${projectId}`, 'pass', `Linked to ${billingInfo.billingAccount}`));
+  } else if (billingInfo.billingAccount) {
+    checks.push(check('projectBilling', `Billing of ${projectId}`, 'fail',
+      `Linked to ${billingInfo.billingAccount}, but billing is not enabled (the account may be closed)`, linkFix));
+  } else {
+    checks.push(check('projectBilling', `Billing of ${projectId}`, 'fail', 'No billing account is linked', linkFix));
+  }
+
+  return checks;
+}
+
+/**
+ * Count the check results by status
+ * @param {Object[]} checks Check results
+ * @returns {{pass: number, warn: number, fail: number, skip: number}} Counts
+ */
+function summarizeChecks(checks) {
+  return checks.reduce((counts, result) => ({ ...counts, [result.status]: counts[result.status] + 1 }),
+    { pass: 0, warn: 0, fail: 0, skip: 0 });
+}
+
+module.exports = {
+  MIN_GCLOUD_VERSION,
+  PROJECT_QUOTA_WARNING,
+  BILLING_PROJECT_QUOTA,
+  checkGcloud,
+  checkAccount,
+  checkTermsOfService,
+  checkProjectQuota,
+  checkBillingAccounts,
+  checkProject,
+  summarizeChecks
+};
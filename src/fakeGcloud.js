@@ -0,0 +1,698 @@
+const { formatCommand, parseGcloudCommand, flag } = require('./runner');
+const { flagsToRestrictions } = require('./keyRestrictions');
+const { GA_API_KEYS_VERSION, compareVersions } = require('./gcloudVersion');
+
+/**
+ * Create an in-memory stand-in for the gcloud CLI. It implements the runner
+ * interface (see `createShellRunner`) and keeps track of projects, enabled
+ * services and API keys so that complete setup flows can run offline.
+ *
+ * @param {Object} config Fake configuration
+ * @param {string} [config.account] Account reported by `gcloud auth login`
+ * @param {boolean} [config.billingEnabled=true] Whether new projects have billing enabled
+ * @param {Array<{id: string, displayName: string, open: boolean}>} [config.billingAccounts] Billing accounts the account can use
+ * @param {boolean} [config.canCreateBudgets=true] Whether the account may create budgets on its billing accounts
+ * @param {boolean} [config.tosAccepted=true] Whether the Terms of Service have been accepted
+ * @param {boolean} [config.loggedIn=true] Whether an account is signed in before `gcloud auth login`
+ * @param {string} [config.sdkVersion='999.0.0'] Version reported by `gcloud version`
+ * @param {string[]} [config.components=['alpha', 'beta']] Installed gcloud components; alpha and beta commands fail without them
+ * @returns {Object} Fake gcloud runner
+ */
+function createFakeGcloud(config = {}) {
+  const account = config.account || 'developer@example.com';
+  const projects = new Map();
+  const budgets = new Map();
+  const calls = [];
+  const openedUrls = [];
+  const billingAccounts = config.billingAccounts || [
+    { id: '012345-6789AB-CDEF01', displayName: 'My Billing Account', open: true }
+  ];
+  const sdkVersion = config.sdkVersion || '999.0.0';
+  const components = (config.components || ['alpha', 'beta']).slice();
+  let loggedIn = config.loggedIn !== false;
+  let currentProject = null;
+  let counter = 0;
+
+  const nextId = () => {
+    counter += 1;
+    return counter;
+  };
+
+  const ok = (output = '') => ({ success: true, output });
+  const fail = (command, message) => ({ success: false, output: `ERROR: (gcloud.${command}) ${message}` });
+  const toJson = value => JSON.stringify(value, null, 2);
+
+  /**
+   * Add a project to the fake, as if it had been created earlier
+   * @param {string} projectId Project ID
+   * @param {Object} details Project details
+   * @returns {Object} Project record
+   */
+  function addProject(projectId, details = {}) {
+    const billingEnabled = details.billingEnabled !== undefined
+      ? details.billingEnabled
+      : config.billingEnabled !== false;
+    const project = {
+      projectId,
+      name: details.name || projectId,
+      projectNumber: String(100000000000 + nextId()),
+      lifecycleState: 'ACTIVE',
+      createTime: new Date().toISOString(),
+      billingEnabled,
+      billingAccount: details.billingAccount || (billingEnabled && billingAccounts[0] ? billingAccounts[0].id : null),
+      parent: details.parent || null,
+      services: new Set(details.services || []),
+      keys: new Map(),
+      secrets: new Map(),
+      channels: new Map(),
+      quotaOverrides: new Map()
+    };
+    projects.set(projectId, project);
+    return project;
+  }
+
+  /**
+   * Resolve the project a command targets
+   * @param {Object<string, string[]>} flags Parsed flags
+   * @returns {Object|undefined} Project record
+   */
+  function targetProject(flags) {
+    return projects.get(flag(flags, 'project') || currentProject);
+  }
+
+  function describeProject(project) {
+    return {
+      createTime: project.createTime,
+      lifecycleState: project.lifecycleState,
+      name: project.name,
+      ...(project.parent ? { parent: project.parent } : {}),
+      projectId: project.projectId,
+      projectNumber: project.projectNumber
+    };
+  }
+
+  function describeSecret(project, secret) {
+    return {
+      createTime: secret.createTime,
+      name: `projects/${project.projectNumber}/secrets/${secret.id}`,
+      replication: { automatic: {} }
+    };
+  }
+
+  /**
+   * Resolve the secret a `gcloud secrets` command targets
+   * @param {Object<string, string[]>} flags Parsed flags
+   * @param {string} secretId Secret ID
+   * @returns {{project?: Object, secret?: Object}} Project and secret records
+   */
+  function targetSecret(flags, secretId) {
+    const project = targetProject(flags);
+    return { project, secret: project && project.secrets.get(secretId) };
+  }
+
+  /**
+   * List the consumer quota metrics of an enabled service. Every service has
+   * one request metric with a per-minute and a per-day limit.
+   * @param {Object} project Project record
+   * @param {string} service Service name
+   * @returns {Array<Object>} Consumer quota metrics
+   */
+  function describeQuotaMetrics(project, service) {
+    const metric = `${service}/requests`;
+    const limit = (unit, defaultLimit) => {
+      const override = project.quotaOverrides.get(`${metric} ${unit}`);
+      return {
+        metric,
+        name: `projects/${project.projectNumber}/services/${service}/consumerQuotaMetrics/${encodeURIComponent(metric)}/limits/${encodeURIComponent(unit)}`,
+        unit,
+        quotaBuckets: [{
+          defaultLimit: String(defaultLimit),
+          effectiveLimit: String(override !== undefined ? override : defaultLimit),
+          ...(override !== undefined ? { consumerOverride: { overrideValue: String(override) } } : {})
+        }]
+      };
+    };
+
+    return [{
+      metric,
+      displayName: 'Requests',
+      consumerQuotaLimits: [limit('1/min/{project}', 6000), limit('1/d/{project}', -1)]
+    }];
+  }
+
+  function describeKey(project, key) {
+    return {
+      createTime: key.createTime,
+      displayName: key.displayName,
+      etag: `W/"${key.uid}"`,
+      name: `projects/${project.projectNumber}/locations/global/keys/${key.uid}`,
+      restrictions: key.restrictions,
+      uid: key.uid,
+      updateTime: key.updateTime
+    };
+  }
+
+  const handlers = {
+    'auth login': () => {
+      loggedIn = true;
+      return ok(`You are now logged in as [${account}].`);
+    },
+
+    'auth list': () => ok(toJson(loggedIn ? [{ account, status: 'ACTIVE' }] : [])),
+
+    'auth print-access-token': () => (loggedIn
+      ? ok('ya29.fake-access-token')
+      : fail('auth.print-access-token', 'You do not currently have an active account selected.')),
+
+    'projects list': () => {
+      if (config.tosAccepted === false) {
+        return fail('projects.list', 'FAILED_PRECONDITION: Callers must accept Terms of Service');
+      }
+
+      return ok(toJson(Array.from(projects.values()).map(describeProject)));
+    },
+
+    'components install': ({ positional }) => {
+      positional.filter(component => !components.includes(component)).forEach(component => components.push(component));
+      return ok('All components are up to date.');
+    },
+
+    'config set': ({ positional }) => {
+      if (positional[0] === 'project') {
+        currentProject = positional[1];
+      }
+      return ok(`Updated property [core/${positional[0]}].`);
+    },
+
+    'projects create': ({ positional, flags }) => {
+      const [projectId] = positional;
+
+      if (config.tosAccepted === false) {
+        return fail('projects.create', 'FAILED_PRECONDITION: Callers must accept Terms of Service');
+      }
+
+      if (projects.has(projectId)) {
+        return fail('projects.create', `Resource in projects [${projectId}] is the subject of a conflict: Requested entity already exists`);
+      }
+
+      const organization = flag(flags, 'organization');
+      addProject(projectId, {
+        name: flag(flags, 'name'),
+        parent: organization ? { type: 'organization', id: organization } : null
+      });
+      return ok();
+    },
+
+    'projects describe': ({ positional }) => {
+      const project = projects.get(positional[0]);
+
+      if (!project) {
+        return fail('projects.describe', `User [${account}] does not have permission to access projects instance [${positional[0]}] (or it may not exist)`);
+      }
+
+      return ok(toJson(describeProject(project)));
+    },
+
+    'billing accounts list': () => ok(toJson(billingAccounts.map(billingAccount => ({
+      displayName: billingAccount.displayName,
+      masterBillingAccount: '',
+      name: `billingAccounts/${billingAccount.id}`,
+      open: billingAccount.open
+    })))),
+
+    'billing projects describe': ({ positional }) => {
+      const project = projects.get(positional[0]);
+
+      if (!project) {
+        return fail('billing.projects.describe', `PERMISSION_DENIED: The caller does not have permission on project [${positional[0]}]`);
+      }
+
+      return ok(toJson({
+        billingAccountName: project.billingAccount ? `billingAccounts/${project.billingAccount}` : '',
+        billingEnabled: project.billingEnabled,
+        name: `projects/${project.projectId}/billingInfo`,
+        projectId: project.projectId
+      }));
+    },
+
+    'billing projects list': ({ flags }) => {
+      const accountId = flag(flags, 'billing-account');
+
+      if (!billingAccounts.some(billingAccount => billingAccount.id === accountId)) {
+        return fail('billing.projects.list', `PERMISSION_DENIED: The caller does not have permission on billing account [${accountId}]`);
+      }
+
+      return ok(toJson(Array.from(projects.values())
+        .filter(project => project.billingAccount === accountId)
+        .map(project => ({
+          billingAccountName: `billingAccounts/${accountId}`,
+          billingEnabled: project.billingEnabled,
+          name: `projects/${project.projectId}/billingInfo`,
+          projectId: project.projectId
+        }))));
+    },
+
+    'billing projects link': ({ positional, flags }) => {
+      const project = projects.get(positional[0]);
+      const accountId = flag(flags, 'billing-account');
+      const billingAccount = billingAccounts.find(candidate => candidate.id === accountId);
+
+      if (!project) {
+        return fail('billing.projects.link', `PERMISSION_DENIED: The caller does not have permission on project [${positional[0]}]`);
+      }
+
+      if (!billingAccount || !billingAccount.open) {
+        return fail('billing.projects.link', `PERMISSION_DENIED: The caller does not have permission on billing account [${accountId}]`);
+      }
+
+      project.billingAccount = billingAccount.id;
+      project.billingEnabled = true;
+      return ok(toJson({
+        billingAccountName: `billingAccounts/${billingAccount.id}`,
+        billingEnabled: true,
+        projectId: project.projectId
+      }));
+    },
+
+    'billing budgets create': ({ flags }) => {
+      const accountId = flag(flags, 'billing-account');
+      const billingAccount = billingAccounts.find(candidate => candidate.id === accountId);
+
+      if (!billingAccount || config.canCreateBudgets === false) {
+        return fail('billing.budgets.create', 'PERMISSION_DENIED: The caller does not have permission');
+      }
+
+      const list = name => (flag(flags, name) || '').split(',').filter(Boolean);
+      const amount = flag(flags, 'budget-amount').match(/^([\d.]+)([A-Z]{3})?$/);
+      const budget = {
+        name: `billingAccounts/${accountId}/budgets/${nextId()}`,
+        displayName: flag(flags, 'display-name'),
+        budgetFilter: {
+          projects: list('filter-projects'),
+          ...(list('filter-services').length > 0 ? { services: list('filter-services') } : {})
+        },
+        amount: { specifiedAmount: { units: amount[1], ...(amount[2] ? { currencyCode: amount[2] } : {}) } },
+        thresholdRules: (flags['threshold-rule'] || []).map(rule => ({ thresholdPercent: Number(rule.replace('percent=', '')) })),
+        notificationsRule: { monitoringNotificationChannels: list('notifications-rule-monitoring-notification-channels') }
+      };
+      budgets.set(budget.name, budget);
+      return ok(toJson(budget));
+    },
+
+    'billing budgets delete': ({ positional, flags }) => {
+      const name = positional[0].includes('/')
+        ? positional[0]
+        : `billingAccounts/${flag(flags, 'billing-account')}/budgets/${positional[0]}`;
+
+      if (!budgets.has(name)) {
+        return fail('billing.budgets.delete', `NOT_FOUND: Budget [${name}] not found.`);
+      }
+
+      budgets.delete(name);
+      return ok();
+    },
+
+    'monitoring channels create': ({ flags }) => {
+      const project = targetProject(flags);
+
+      if (!project) {
+        return fail('monitoring.channels.create', 'PERMISSION_DENIED: Project not found or permission denied');
+      }
+
+      if (!project.services.has('monitoring.googleapis.com')) {
+        return fail('monitoring.channels.create', `PERMISSION_DENIED: Cloud Monitoring API has not been used in project ${project.projectNumber} before or it is disabled.`);
+      }
+
+      const labels = Object.fromEntries((flag(flags, 'channel-labels') || '').split(',').filter(Boolean)
+        .map(label => label.split('=')));
+      const channel = {
+        name: `projects/${project.projectId}/notificationChannels/${nextId()}`,
+        type: flag(flags, 'type'),
+        displayName: flag(flags, 'display-name'),
+        labels
+      };
+      project.channels.set(channel.name, channel);
+      return ok(toJson(channel));
+    },
+
+    'monitoring channels delete': ({ positional }) => {
+      const project = projects.get(positional[0].split('/')[1]);
+
+      if (!project || !project.channels.has(positional[0])) {
+        return fail('monitoring.channels.delete', `NOT_FOUND: Notification channel [${positional[0]}] not found.`);
+      }
+
+      project.channels.delete(positional[0]);
+      return ok();
+    },
+
+    'projects delete': ({ positional }) => {
+      const project = projects.get(positional[0]);
+
+      if (!project) {
+        return fail('projects.delete', `User [${account}] does not have permission to access projects instance [${positional[0]}] (or it may not exist)`);
+      }
+
+      projects.delete(project.projectId);
+      if (currentProject === project.projectId) {
+        currentProject = null;
+      }
+      return ok();
+    },
+
+    'services enable': ({ positional, flags }) => {
+      const project = targetProject(flags);
+
+      if (!project) {
+        return fail('services.enable', 'PERMISSION_DENIED: Project not found or permission denied');
+      }
+
+      if (!project.billingEnabled) {
+        return fail('services.enable', `FAILED_PRECONDITION: Billing must be enabled for activation of service(s) '${positional.join(', ')}' to proceed.`);
+      }
+
+      positional.forEach(service => project.services.add(service));
+      return ok(`Operation "operations/acf.p2-${project.projectNumber}-${nextId()}" finished successfully.`);
+    },
+
+    'services disable': ({ positional, flags }) => {
+      const project = targetProject(flags);
+
+      if (!project) {
+        return fail('services.disable', 'PERMISSION_DENIED: Project not found or permission denied');
+      }
+
+      positional.forEach(service => project.services.delete(service));
+      return ok(`Operation "operations/acf.p2-${project.projectNumber}-${nextId()}" finished successfully.`);
+    },
+
+    'services list': ({ flags }) => {
+      const project = targetProject(flags);
+
+      if (!project) {
+        return fail('services.list', 'PERMISSION_DENIED: Project not found or permission denied');
+      }
+
+      return ok(toJson([...project.services].map(service => ({
+        config: { name: service },
+        name: `projects/${project.projectNumber}/services/${service}`,
+        parent: `projects/${project.projectNumber}`,
+        state: 'ENABLED'
+      }))));
+    },
+
+    'services quota list': ({ flags }) => {
+      const project = projects.get((flag(flags, 'consumer') || '').replace(/^projects\//, ''));
+      const service = flag(flags, 'service');
+
+      if (!project) {
+        return fail('services.quota.list', 'PERMISSION_DENIED: Project not found or permission denied');
+      }
+
+      if (!project.services.has(service)) {
+        return fail('services.quota.list', `PERMISSION_DENIED: Service ${service} is not enabled on project ${project.projectNumber}.`);
+      }
+
+      return ok(toJson(describeQuotaMetrics(project, service)));
+    },
+
+    'services quota update': ({ flags }) => {
+      const project = projects.get((flag(flags, 'consumer') || '').replace(/^projects\//, ''));
+      const service = flag(flags, 'service');
+      const metric = flag(flags, 'metric');
+      const unit = flag(flags, 'unit');
+
+      if (!project || !project.services.has(service)) {
+        return fail('services.quota.update', 'PERMISSION_DENIED: Project not found or service not enabled');
+      }
+
+      const known = describeQuotaMetrics(project, service)
+        .some(candidate => candidate.consumerQuotaLimits.some(limit => limit.metric === metric && limit.unit === unit));
+      if (!known) {
+        return fail('services.quota.update', `NOT_FOUND: Quota limit ${metric} ${unit} not found.`);
+      }
+
+      project.quotaOverrides.set(`${metric} ${unit}`, Number(flag(flags, 'value')));
+      return ok(`Operation "operations/quota-${nextId()}" finished successfully.`);
+    },
+
+    'services api-keys create': ({ flags }) => {
+      const project = targetProject(flags);
+
+      if (!project) {
+        return fail('services.api-keys.create', 'PERMISSION_DENIED: Project not found or permission denied');
+      }
+
+      const id = nextId();
+      const uid = `00000000-0000-4000-8000-${String(id).padStart(12, '0')}`;
+      const now = new Date().toISOString();
+      const key = {
+        uid,
+        displayName: flag(flags, 'display-name') || '',
+        keyString: `AIzaSyFAKE${String(id).padStart(29, '0')}`,
+        createTime: now,
+        updateTime: now,
+        restrictions: flagsToRestrictions(flags)
+      };
+      project.keys.set(uid, key);
+
+      return ok(`Operation [operations/akmf.p7-${project.projectNumber}-${uid}] complete. Result: ${JSON.stringify(describeKey(project, key))}`);
+    },
+
+    'services api-keys list': ({ flags }) => {
+      const project = targetProject(flags);
+
+      if (!project) {
+        return fail('services.api-keys.list', 'PERMISSION_DENIED: Project not found or permission denied');
+      }
+
+      const keys = [...project.keys.values()].map(key => describeKey(project, key));
+      if (flag(flags, 'format') === 'json') {
+        return ok(toJson(keys));
+      }
+
+      return ok(['NAME DISPLAY_NAME'].concat(keys.map(key => `${key.name} ${key.displayName}`)).join('\n'));
+    },
+
+    'secrets describe': ({ positional, flags }) => {
+      const { project, secret } = targetSecret(flags, positional[0]);
+
+      if (!secret) {
+        return fail('secrets.describe', `NOT_FOUND: Secret [${positional[0]}] not found or has no versions.`);
+      }
+
+      return ok(toJson(describeSecret(project, secret)));
+    },
+
+    'secrets create': ({ positional, flags }) => {
+      const { project, secret } = targetSecret(flags, positional[0]);
+
+      if (!project) {
+        return fail('secrets.create', 'PERMISSION_DENIED: Project not found or permission denied');
+      }
+
+      if (!project.services.has('secretmanager.googleapis.com')) {
+        return fail('secrets.create', `PERMISSION_DENIED: Secret Manager API has not been used in project ${project.projectNumber} before or it is disabled.`);
+      }
+
+      if (secret) {
+        return fail('secrets.create', `ALREADY_EXISTS: Secret [${positional[0]}] already exists.`);
+      }
+
+      project.secrets.set(positional[0], {
+        id: positional[0],
+        createTime: new Date().toISOString(),
+        versions: [],
+        bindings: []
+      });
+      return ok();
+    },
+
+    'secrets delete': ({ positional, flags }) => {
+      const { project, secret } = targetSecret(flags, positional[0]);
+
+      if (!secret) {
+        return fail('secrets.delete', `NOT_FOUND: Secret [${positional[0]}] not found.`);
+      }
+
+      project.secrets.delete(secret.id);
+      return ok();
+    },
+
+    'secrets add-iam-policy-binding': ({ positional, flags }) => {
+      const { secret } = targetSecret(flags, positional[0]);
+
+      if (!secret) {
+        return fail('secrets.add-iam-policy-binding', `NOT_FOUND: Secret [${positional[0]}] not found.`);
+      }
+
+      secret.bindings.push({ member: flag(flags, 'member'), role: flag(flags, 'role') });
+      return ok(toJson({ bindings: secret.bindings }));
+    },
+
+    'secrets versions add': ({ positional, flags, input }) => {
+      const { project, secret } = targetSecret(flags, positional[0]);
+
+      if (!secret) {
+        return fail('secrets.versions.add', `NOT_FOUND: Secret [${positional[0]}] not found.`);
+      }
+
+      if (flag(flags, 'data-file') !== '-' || input === undefined) {
+        return fail('secrets.versions.add', 'INVALID_ARGUMENT: The fake only reads secret data from stdin (--data-file=-)');
+      }
+
+      const version = { number: secret.versions.length + 1, data: input, state: 'ENABLED' };
+      secret.versions.push(version);
+      return ok(toJson({
+        name: `${describeSecret(project, secret).name}/versions/${version.number}`,
+        state: version.state
+      }));
+    },
+
+    'secrets versions access': ({ positional, flags }) => {
+      const { secret } = targetSecret(flags, flag(flags, 'secret'));
+      const enabled = secret ? secret.versions.filter(version => version.state === 'ENABLED') : [];
+      const version = positional[0] === 'latest'
+        ? enabled[enabled.length - 1]
+        : enabled.find(candidate => String(candidate.number) === positional[0]);
+
+      if (!version) {
+        return fail('secrets.versions.access', `NOT_FOUND: Secret version [${positional[0]}] not found.`);
+      }
+
+      return ok(version.data);
+    },
+
+    'secrets versions destroy': ({ positional, flags }) => {
+      const { secret } = targetSecret(flags, flag(flags, 'secret'));
+      const version = secret && secret.versions.find(candidate => String(candidate.number) === positional[0]);
+
+      if (!version) {
+        return fail('secrets.versions.destroy', `NOT_FOUND: Secret version [${positional[0]}] not found.`);
+      }
+
+      version.state = 'DESTROYED';
+      version.data = null;
+      return ok();
+    },
+
+    'services api-keys describe': ({ positional, flags }) => {
+      const project = targetProject(flags);
+      const key = project && project.keys.get(positional[0]);
+
+      if (!key) {
+        return fail('services.api-keys.describe', `NOT_FOUND: Key ${positional[0]} not found`);
+      }
+
+      return ok(toJson(describeKey(project, key)));
+    },
+
+    'services api-keys get-key-string': ({ positional, flags }) => {
+      const project = targetProject(flags);
+      const key = project && project.keys.get(positional[0]);
+
+      if (!key) {
+        return fail('services.api-keys.get-key-string', `NOT_FOUND: Key ${positional[0]} not found`);
+      }
+
+      if (flag(flags, 'format') === 'json') {
+        return ok(toJson({ keyString: key.keyString }));
+      }
+
+      return ok(`keyString: ${key.keyString}`);
+    },
+
+    'services api-keys delete': ({ positional, flags }) => {
+      const project = targetProject(flags);
+      const key = project && project.keys.get(positional[0]);
+
+      if (!key) {
+        return fail('services.api-keys.delete', `NOT_FOUND: Key ${positional[0]} not found`);
+      }
+
+      project.keys.delete(key.uid);
+      return ok(`Operation [operations/akmf.p9-${project.projectNumber}-${key.uid}] complete.`);
+    },
+
+    'services api-keys update': ({ positional, flags }) => {
+      const project = targetProject(flags);
+      const key = project && project.keys.get(positional[0]);
+
+      if (!key) {
+        return fail('services.api-keys.update', `NOT_FOUND: Key ${positional[0]} not found`);
+      }
+
+      const given = flagsToRestrictions(flags);
+      if (flags['clear-restrictions']) {
+        if (Object.keys(given).length > 0) {
+          return fail('services.api-keys.update', 'argument --clear-restrictions: At most one of --clear-restrictions | restriction flags may be specified.');
+        }
+        key.restrictions = {};
+      } else {
+        // Like gcloud, only the restrictions given are changed; a new application restriction replaces the old one
+        const { apiTargets } = key.restrictions;
+        const kept = Object.keys(given).some(name => name !== 'apiTargets')
+          ? (apiTargets ? { apiTargets } : {})
+          : key.restrictions;
+        key.restrictions = { ...kept, ...given };
+      }
+
+      key.updateTime = new Date().toISOString();
+      return ok(`Operation [operations/akmf.p8-${project.projectNumber}-${key.uid}] complete.`);
+    }
+  };
+
+  return {
+    projects,
+    budgets,
+    calls,
+    openedUrls,
+    addProject,
+
+    /**
+     * Get the project currently set with `gcloud config set project`
+     * @returns {string|null} Project ID
+     */
+    getCurrentProject() {
+      return currentProject;
+    },
+
+    async exec(file, args = [], { input } = {}) {
+      const command = formatCommand(file, args);
+      calls.push(command);
+
+      const parsed = parseGcloudCommand(file, args, Object.keys(handlers));
+      if (!parsed) {
+        return { success: false, output: `fake gcloud cannot run: ${command}` };
+      }
+
+      if (parsed.positional[0] === '--version' || parsed.positional[0] === 'version') {
+        return ok([`Google Cloud SDK ${sdkVersion}`]
+          .concat(components.concat('core').sort().map(component => `${component} 2099.01.01`))
+          .join('\n'));
+      }
+
+      if (!parsed.group) {
+        return { success: false, output: `ERROR: (gcloud) Invalid choice: '${parsed.positional.join(' ')}'.` };
+      }
+
+      if (['alpha', 'beta'].includes(args[0]) && !components.includes(args[0])) {
+        return { success: false, output: `ERROR: (gcloud) You do not currently have this command group installed.  Using it requires the installation of components: [${args[0]}]` };
+      }
+
+      if (args[0] === 'services' && args[1] === 'api-keys' && compareVersions(sdkVersion, GA_API_KEYS_VERSION) < 0) {
+        return fail('services', 'Invalid choice: \'api-keys\'.');
+      }
+
+      return handlers[parsed.group]({ ...parsed, input });
+    },
+
+    async open(url) {
+      openedUrls.push(url);
+    }
+  };
+}
+
+module.exports = {
+  createFakeGcloud
+};
@@ -0,0 +1,100 @@
+const { getQuotaCaps } = require('./quota');
+
+/**
+ * Oldest Google Cloud SDK release with the GA `gcloud services api-keys`
+ * commands. Older releases only have them under `gcloud alpha`.
+ */
+const GA_API_KEYS_VERSION = '409.0.0';
+
+/**
+ * Parse the output of `gcloud version`
+ * @param {string} output Command output, e.g. `Google Cloud SDK 460.0.0\nalpha 2024.01.12\n...`
+ * @returns {{sdk: string|null, components: Object<string, string>}} SDK version and installed component versions
+ */
+function parseGcloudVersion(output = '') {
+  const components = {};
+  let sdk = null;
+
+  output.split('\n').forEach(line => {
+    const sdkMatch = line.match(/^Google Cloud SDK (\S+)/);
+    const componentMatch = line.match(/^([a-z][a-z0-9-]*) (\S+)$/);
+    if (sdkMatch) {
+      sdk = sdkMatch[1];
+    } else if (componentMatch) {
+      components[componentMatch[1]] = componentMatch[2];
+    }
+  });
+
+  return { sdk, components };
+}
+
+/**
+ * Compare two dotted version numbers
+ * @param {string} a First version
+ * @param {string} b Second version
+ * @returns {number} Negative if a is older, positive if a is newer, 0 if equal
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Pick the command surface for API keys. The GA commands are used unless the
+ * SDK is known to be too old for them.
+ * @param {{sdk: string|null}} versionInfo Parsed `gcloud version`
+ * @returns {string} `ga` or `alpha`
+ */
+function getApiKeysSurface(versionInfo) {
+  return versionInfo.sdk && compareVersions(versionInfo.sdk, GA_API_KEYS_VERSION) < 0 ? 'alpha' : 'ga';
+}
+
+/**
+ * Build the arguments of a `services api-keys` command on a surface
+ * @param {string} surface `ga` or `alpha`
+ * @param {string[]} args Arguments after `services api-keys`, e.g. `['list', '--project=p']`
+ * @returns {string[]} gcloud arguments
+ */
+function apiKeysArgs(surface, args) {
+  return (surface === 'alpha' ? ['alpha'] : []).concat('services', 'api-keys', args);
+}
+
+/**
+ * List the gcloud components a setup needs but the SDK does not have. Nothing
+ * is reported when no SDK version was detected, as with the REST backend.
+ * @param {{sdk: string|null, components: Object<string, string>}} versionInfo Parsed `gcloud version`
+ * @param {Object} options Command line options (`dailyQuota`, `perMinuteQuota`, `budgetEmail`)
+ * @param {Object<string, number>} quotaCaps Quota caps the setup applies, including development defaults (see `getQuotaCaps`)
+ * @returns {string[]} Missing component names
+ */
+function getMissingComponents(versionInfo, options = {}, quotaCaps = getQuotaCaps(options)) {
+  if (!versionInfo.sdk) {
+    return [];
+  }
+
+  const needed = [];
+  if (getApiKeysSurface(versionInfo) === 'alpha' || Object.keys(quotaCaps).length > 0) {
+    needed.push('alpha');
+  }
+  if ([].concat(options.budgetEmail || []).length > 0) {
+    needed.push('beta');
+  }
+  return needed.filter(component => !versionInfo.components[component]);
+}
+
+module.exports = {
+  GA_API_KEYS_VERSION,
+  parseGcloudVersion,
+  compareVersions,
+  getApiKeysSurface,
+  apiKeysArgs,
+  getMissingComponents
+};
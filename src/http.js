@@ -0,0 +1,55 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Send an HTTP request and parse a JSON response
+ * @param {Object} request Request details
+ * @param {string} request.url Request URL
+ * @param {string} [request.method='GET'] HTTP method
+ * @param {Object} [request.headers] Request headers
+ * @param {Object|string} [request.body] JSON body, or a pre-encoded string body
+ * @param {number} [request.timeout=30000] Timeout in milliseconds
+ * @returns {Promise<{status: number, body: Object|null, text: string}>} Response
+ */
+function requestJson({ url, method = 'GET', headers = {}, body, timeout = 30000 }) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  const payload = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+  const requestHeaders = { Accept: 'application/json', ...headers };
+
+  if (payload !== undefined) {
+    requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+    requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, { method, headers: requestHeaders, timeout }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        text += chunk;
+      });
+      res.on('end', () => {
+        let parsed = null;
+        try {
+          parsed = text ? JSON.parse(text) : null;
+        } catch (error) {
+          // Leave non-JSON bodies to the caller as text
+        }
+        resolve({ status: res.statusCode, body: parsed, text });
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.origin} timed out`)));
+    req.on('error', reject);
+
+    if (payload !== undefined) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+module.exports = {
+  requestJson
+};
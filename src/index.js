@@ -1,39 +1,236 @@
-const { spawn, execSync } = require('child_process');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const ora = require('ora');
-const open = require('open');
-const util = require('util');
-const exec = util.promisify(require('child_process').exec);
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const {
+  createState,
+  loadState,
+  saveState,
+  deleteState,
+  isStepComplete,
+  markStepComplete,
+  getNextStep,
+  getStatePath,
+  findLatestIncompleteState
+} = require('./state');
+const { createPlan, printPlan } = require('./plan');
+const { createShellRunner, formatCommand } = require('./runner');
+const {
+  validateProjectId,
+  validateProjectName,
+  validateBillingAccountId,
+  validateSecretName,
+  validateServiceAccountEmail,
+  validateNonNegativeNumber,
+  toPromptValidator
+} = require('./validation');
+const { DEFAULT_ENV_ID_TEMPLATE, generateProjectId, generateValidProjectId } = require('./projectId');
+const {
+  SERVICE_CATALOG,
+  DEFAULT_APIS,
+  parseApiSelection,
+  getServicesForApis,
+  getApiNames,
+  getBillingNames
+} = require('./services');
+const {
+  buildApplicationRestrictions,
+  describeApplicationRestrictions,
+  restrictionsToFlags
+} = require('./keyRestrictions');
+const { DEFAULT_VAR_NAME, validateOutputOptions, writeKeyFile } = require('./output');
+const {
+  DEFAULT_ALERT_THRESHOLDS,
+  parseAlertThresholds,
+  validateBudgetOptions,
+  matchBillingServices,
+  buildBudgetArgs
+} = require('./budget');
+const {
+  QUOTA_UNITS,
+  validateQuotaOptions,
+  getQuotaCaps,
+  selectQuotaLimits,
+  formatQuotaLimits
+} = require('./quota');
+const { requestJson } = require('./http');
+const { INCONCLUSIVE_STATUSES, pickPlacesApi, verifyApiKey } = require('./verify');
+const { loadFixtures, loadMockKeys, startMockServer } = require('./mockServer');
+const {
+  getRegistryPath,
+  loadRegistry,
+  generateMockProjectId,
+  registerMockProject,
+  issueMockKey,
+  findMockResource,
+  revokeMockKeys,
+  isRevokedMockKey,
+  formatMockTable
+} = require('./mockRegistry');
+const {
+  checkGcloud,
+  checkAccount,
+  checkTermsOfService,
+  checkProjectQuota,
+  checkBillingAccounts,
+  checkProject,
+  summarizeChecks
+} = require('./doctor');
+const { parseGcloudVersion, getApiKeysSurface, apiKeysArgs, getMissingComponents } = require('./gcloudVersion');
+const { createFakeGcloud } = require('./fakeGcloud');
+const { createRestRunner, DEFAULT_ENDPOINTS } = require('./restRunner');
+const { logProgress, getStepStatuses, formatEnvironmentSummary } = require('./report');
+const {
+  CONFIG_FILE_NAMES,
+  findConfigFile,
+  loadConfig,
+  loadEnvironmentSettings,
+  diffProject
+} = require('./config');
+
+const shellRunner = createShellRunner();
+
+/**
+ * Service that has to be enabled before secrets can be stored
+ */
+const SECRET_MANAGER_SERVICE = 'secretmanager.googleapis.com';
+
+/**
+ * Services budgets and their email alerts need on the project
+ */
+const BUDGETS_SERVICE = 'billingbudgets.googleapis.com';
+const MONITORING_SERVICE = 'monitoring.googleapis.com';
+
+/**
+ * Get the services selected with `options.apis`, falling back to the Places APIs
+ * @param {Object} options Command line options
+ * @returns {string[]} Service names to enable and restrict the key to
+ */
+function getSelectedServices(options = {}) {
+  const { apis } = options.apis && options.apis !== true ? parseApiSelection(options.apis) : {};
+  return getServicesForApis(apis || DEFAULT_APIS);
+}
+
+/**
+ * Get the runner that executes commands for the given options
+ * @param {Object} options Command line options
+ * @returns {{exec: Function, open: Function}} Runner
+ */
+function getRunner(options = {}) {
+  return options.runner || shellRunner;
+}
+
+/**
+ * Create the runner for the backend selected in the options
+ * @param {Object} options Command line options
+ * @returns {{exec: Function, open: Function}|null} Runner, or null to use the shell runner
+ */
+function createBackendRunner(options = {}) {
+  const backend = options.backend || 'gcloud';
+  
+  if (backend === 'gcloud') {
+    return null;
+  }
+  
+  if (backend !== 'rest') {
+    throw new Error(`Unknown backend: ${backend} (expected "gcloud" or "rest")`);
+  }
+  
+  const endpoints = { ...options.restEndpoints };
+  if (options.restBaseUrl) {
+    const base = options.restBaseUrl.replace(/\/+$/, '');
+    Object.keys(DEFAULT_ENDPOINTS).forEach(name => {
+      endpoints[name] = base;
+    });
+    Object.assign(endpoints, { oauth2: `${base}/token` }, options.restEndpoints);
+  }
+  
+  return createRestRunner({
+    accessToken: options.accessToken || process.env.CLOUDSDK_AUTH_ACCESS_TOKEN,
+    serviceAccountKey: options.serviceAccountKey || process.env.GOOGLE_APPLICATION_CREDENTIALS,
+    endpoints
+  });
+}
+
+/**
+ * Start a progress spinner. Spinners stay silent in --json mode so only the
+ * report reaches the output.
+ * @param {string} text Spinner text
+ * @param {Object} options Command line options
+ * @returns {Object} ora spinner
+ */
+function startSpinner(text, options = {}) {
+  return ora({ text, isSilent: Boolean(options.json) }).start();
+}
+
+/**
+ * Pick the runner for a command: a plan in dry-run mode, otherwise the backend
+ * chosen with --backend unless a runner was passed in
+ * @param {Object} options Command line options (`options.runner` is set)
+ * @returns {string|null} Error message if the backend could not be set up
+ */
+function prepareRunner(options = {}) {
+  if (options.dryRun) {
+    options.runner = createPlan();
+  } else if (!options.runner) {
+    try {
+      options.runner = createBackendRunner(options) || undefined;
+    } catch (error) {
+      return error.message;
+    }
+  }
+  
+  return null;
+}
 
 /**
- * Execute a shell command and return the output
- * @param {string} command Command to execute
- * @param {boolean} silent Whether to show spinner
+ * Run a command through the configured runner and return the output.
+ * Arguments are passed as an array and never interpreted by a shell.
+ * @param {string} file Executable to run
+ * @param {string[]} args Arguments
+ * @param {boolean} silent Whether to hide the spinner
+ * @param {Object} options Command line options (`options.runner` overrides the shell runner)
+ * @param {Object} execOptions Runner options (`input` is written to the command's stdin)
  * @returns {Promise<{success: boolean, output: string}>} Result of command execution
  */
-async function executeCommand(command, silent = false) {
-  const spinner = silent ? null : ora(`Executing: ${command}`).start();
+async function runCommand(file, args = [], silent = false, options = {}, execOptions = {}) {
+  const command = formatCommand(file, args);
   
-  try {
-    const { stdout, stderr } = await exec(command);
-    if (spinner) spinner.succeed(`Command executed successfully`);
-    return { success: true, output: stdout.trim() };
-  } catch (error) {
-    if (spinner) spinner.fail(`Command failed: ${error.message}`);
-    return { success: false, output: error.stderr || error.message };
+  // Nothing runs in dry-run mode, so there is no progress to show
+  const spinner = silent || options.dryRun ? null : startSpinner(`Executing: ${command}`, options);
+  
+  const result = await getRunner(options).exec(file, args, execOptions);
+  
+  if (spinner) {
+    if (result.success) {
+      spinner.succeed(`Command executed successfully`);
+    } else {
+      spinner.fail(`Command failed: ${command}`);
+    }
   }
+  
+  return result;
+}
+
+/**
+ * Open a URL in the browser
+ * @param {string} url URL to open
+ * @param {Object} options Command line options
+ * @returns {Promise<void>}
+ */
+async function openUrl(url, options = {}) {
+  await getRunner(options).open(url);
 }
 
 /**
  * Check if required npm dependencies are installed
+ * @param {Object} options Command line options
  * @returns {Promise<boolean>} Whether all required npm dependencies are installed
  */
-async function checkNpmDependencies() {
-  const requiredDeps = ['chalk', 'inquirer', 'ora', 'open', 'commander', 'figlet', 'clear'];
+async function checkNpmDependencies(options = {}) {
+  const requiredDeps = ['chalk', 'inquirer', 'ora', 'open', 'commander', 'figlet', 'clear', 'js-yaml'];
   const missingDeps = [];
   
   for (const dep of requiredDeps) {
@@ -48,29 +245,28 @@ async function checkNpmDependencies() {
     console.error(chalk.red('Missing npm dependencies:'));
     console.error(chalk.yellow(missingDeps.join(', ')));
     
-    console.log(chalk.blue('Installing missing dependencies...'));
+    logProgress(options, chalk.blue('Installing missing dependencies...'));
     
     try {
-      const installCmd = `npm install ${missingDeps.join(' ')}`;
-      const { success, output } = await executeCommand(installCmd);
+      const { success, output } = await runCommand('npm', ['install', ...missingDeps], false, options);
       
       if (!success) {
         console.error(chalk.red('Failed to install dependencies:'));
         console.error(output);
         
-        console.log(chalk.yellow('Please install manually:'));
-        console.log(chalk.white(`npm install ${missingDeps.join(' ')}`));
+        logProgress(options, chalk.yellow('Please install manually:'));
+        logProgress(options, chalk.white(`npm install ${missingDeps.join(' ')}`));
         return false;
       }
       
-      console.log(chalk.green('Dependencies installed successfully!'));
+      logProgress(options, chalk.green('Dependencies installed successfully!'));
       return true;
     } catch (error) {
       console.error(chalk.red('Error installing dependencies:'));
       console.error(error.message);
       
-      console.log(chalk.yellow('Please install manually:'));
-      console.log(chalk.white(`npm install ${missingDeps.join(' ')}`));
+      logProgress(options, chalk.yellow('Please install manually:'));
+      logProgress(options, chalk.white(`npm install ${missingDeps.join(' ')}`));
       return false;
     }
   }
@@ -80,11 +276,12 @@ async function checkNpmDependencies() {
 
 /**
  * Check if Google Cloud SDK is installed
+ * @param {Object} options Command line options
  * @returns {Promise<{installed: boolean, needsRestart: boolean}>} Status of gcloud installation
  */
-async function checkGcloudInstalled() {
+async function checkGcloudInstalled(options = {}) {
   try {
-    const { success } = await executeCommand('gcloud --version', true);
+    const { success } = await runCommand('gcloud', ['--version'], true, options);
     if (success) {
       return { installed: true, needsRestart: false };
     }
@@ -93,44 +290,44 @@ async function checkGcloudInstalled() {
   }
   
   console.error(chalk.red('Google Cloud SDK (gcloud) is not installed.'));
-  console.log(chalk.yellow('Installation instructions:'));
-  console.log(chalk.white('- Linux/macOS: https://cloud.google.com/sdk/docs/install-sdk'));
-  console.log(chalk.white('- Windows: https://cloud.google.com/sdk/docs/install-sdk#windows'));
+  logProgress(options, chalk.yellow('Installation instructions:'));
+  logProgress(options, chalk.white('- Linux/macOS: https://cloud.google.com/sdk/docs/install-sdk'));
+  logProgress(options, chalk.white('- Windows: https://cloud.google.com/sdk/docs/install-sdk#windows'));
   
   // Auto-accept installation instead of prompting
   const installNow = true;
-  console.log(chalk.blue('Auto-installing Google Cloud SDK...'));
+  logProgress(options, chalk.blue('Auto-installing Google Cloud SDK...'));
   
   if (installNow) {
     let installCommand;
     
     if (process.platform === 'darwin') {
       // macOS
-      installCommand = 'brew install --cask google-cloud-sdk';
+      installCommand = ['brew', ['install', '--cask', 'google-cloud-sdk']];
     } else if (process.platform === 'linux') {
-      // Linux
-      installCommand = `curl https://sdk.cloud.google.com | bash`;
+      // Linux: the installer is piped into bash, so it needs a shell of its own
+      installCommand = ['bash', ['-c', 'curl https://sdk.cloud.google.com | bash']];
     } else if (process.platform === 'win32') {
       // Windows
-      await open('https://dl.google.com/dl/cloudsdk/channels/rapid/GoogleCloudSDKInstaller.exe');
-      console.log(chalk.yellow('Please complete the installation and then restart this tool.'));
+      await openUrl('https://dl.google.com/dl/cloudsdk/channels/rapid/GoogleCloudSDKInstaller.exe', options);
+      logProgress(options, chalk.yellow('Please complete the installation and then restart this tool.'));
       return { installed: false, needsRestart: true };
     } else {
       console.error(chalk.red(`Unsupported platform: ${process.platform}`));
       return { installed: false, needsRestart: false };
     }
     
-    console.log(chalk.blue(`Installing Google Cloud SDK using: ${installCommand}`));
-    const { success, output } = await executeCommand(installCommand);
+    logProgress(options, chalk.blue(`Installing Google Cloud SDK using: ${formatCommand(...installCommand)}`));
+    const { success, output } = await runCommand(...installCommand, false, options);
     
     if (!success) {
       console.error(chalk.red('Failed to install Google Cloud SDK:'));
       console.error(output);
-      console.log(chalk.yellow('Please install manually using the links above.'));
+      logProgress(options, chalk.yellow('Please install manually using the links above.'));
       return { installed: false, needsRestart: false };
     }
     
-    console.log(chalk.green('Google Cloud SDK installed successfully!'));
+    logProgress(options, chalk.green('Google Cloud SDK installed successfully!'));
     
     // Return that installation succeeded but needs PATH update
     return { installed: true, needsRestart: true };
@@ -139,6 +336,104 @@ async function checkGcloudInstalled() {
   return { installed: false, needsRestart: false };
 }
 
+/**
+ * Detect the gcloud version, its components and the command surface to use
+ * for API keys. The result is kept in `options.gcloudSdk` so the version is
+ * read once per run.
+ * @param {Object} options Command line options
+ * @returns {Promise<{sdk: string|null, components: Object<string, string>, apiKeysSurface: string}>} Detected SDK
+ */
+async function detectGcloudSdk(options = {}) {
+  if (options.gcloudSdk) {
+    return options.gcloudSdk;
+  }
+  
+  // A dry run records commands instead of running them, so there is no version to read
+  const { success, output } = options.dryRun
+    ? { success: false, output: '' }
+    : await runCommand('gcloud', ['version'], true, options);
+  const versionInfo = success ? parseGcloudVersion(output) : { sdk: null, components: {} };
+  options.gcloudSdk = { ...versionInfo, apiKeysSurface: getApiKeysSurface(versionInfo) };
+  
+  if (options.debug) {
+    const components = Object.keys(versionInfo.components).join(', ') || 'none';
+    logProgress(options, chalk.gray(`Google Cloud SDK ${versionInfo.sdk || 'version unknown'} (components: ${components})`));
+    logProgress(options, chalk.gray(`API key commands: ${formatCommand('gcloud', apiKeysArgs(options.gcloudSdk.apiKeysSurface, []))}`));
+  }
+  
+  return options.gcloudSdk;
+}
+
+/**
+ * Build the arguments of a `services api-keys` command for the detected SDK:
+ * the GA commands, or the alpha ones on SDKs that predate them
+ * @param {string[]} args Arguments after `services api-keys`
+ * @param {Object} options Command line options
+ * @returns {Promise<string[]>} gcloud arguments
+ */
+async function getApiKeysArgs(args, options = {}) {
+  return apiKeysArgs((await detectGcloudSdk(options)).apiKeysSurface, args);
+}
+
+/**
+ * Check whether a project counts as a development project, which gets the
+ * development quota caps: its ID was generated and it was not made for production
+ * @param {boolean} generatedId Whether the project ID was generated
+ * @param {Object} options Command line options (`env`)
+ * @returns {boolean} Whether the project is a development project
+ */
+function isDevProject(generatedId, options = {}) {
+  return generatedId && !/^prod/i.test(options.env || '');
+}
+
+/**
+ * Install the gcloud components the setup needs, after asking unless --yes
+ * was given. The installation runs with --quiet so gcloud does not prompt.
+ * @param {Object} options Command line options
+ * @param {Object<string, number>} quotaCaps Quota caps the setup applies
+ * @returns {Promise<boolean>} Whether every needed component is installed
+ */
+async function ensureGcloudComponents(options = {}, quotaCaps = {}) {
+  const sdk = await detectGcloudSdk(options);
+  const missing = getMissingComponents(sdk, options, quotaCaps);
+  
+  if (missing.length === 0) {
+    return true;
+  }
+  
+  logProgress(options, chalk.yellow(`This setup needs the gcloud ${missing.join(' and ')} component${missing.length === 1 ? '' : 's'}, which ${missing.length === 1 ? 'is' : 'are'} not installed.`));
+  
+  if (!options.yes) {
+    const { install } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'install',
+        message: `Install ${missing.join(' and ')} now?`,
+        default: true
+      }
+    ]);
+    
+    if (!install) {
+      logProgress(options, chalk.yellow(`Install ${missing.length === 1 ? 'it' : 'them'} with: gcloud components install ${missing.join(' ')}`));
+      return false;
+    }
+  }
+  
+  const { success, output } = await runCommand('gcloud', ['components', 'install', ...missing, '--quiet'], false, options);
+  
+  if (!success) {
+    console.error(chalk.red(`Failed to install the gcloud ${missing.join(' and ')} component${missing.length === 1 ? '' : 's'}:`));
+    console.error(output);
+    logProgress(options, chalk.yellow(`If gcloud was installed with a package manager, install ${missing.map(component => `google-cloud-cli-${component}`).join(' and ')} with it instead.`));
+    return false;
+  }
+  
+  missing.forEach(component => {
+    sdk.components[component] = 'installed';
+  });
+  return true;
+}
+
 /**
  * Authenticate with Google Cloud
  * @param {Object} options Command line options
@@ -146,12 +441,12 @@ async function checkGcloudInstalled() {
  */
 async function authenticateGcloud(options) {
   if (options.skipAuth) {
-    console.log(chalk.blue('Skipping authentication as requested'));
+    logProgress(options, chalk.blue('Skipping authentication as requested'));
     return true;
   }
 
-  console.log(chalk.blue('Authenticating with Google Cloud...'));
-  const { success, output } = await executeCommand('gcloud auth login');
+  logProgress(options, chalk.blue('Authenticating with Google Cloud...'));
+  const { success, output } = await runCommand('gcloud', ['auth', 'login'], false, options);
   
   if (!success) {
     console.error(chalk.red('Failed to authenticate with Google Cloud'));
@@ -159,7 +454,7 @@ async function authenticateGcloud(options) {
     return false;
   }
   
-  console.log(chalk.green('Authentication successful!'));
+  logProgress(options, chalk.green('Authentication successful!'));
   return true;
 }
 
@@ -167,26 +462,44 @@ async function authenticateGcloud(options) {
  * Create a new Google Cloud project
  * @param {string} projectId Project ID
  * @param {string} projectName Project name
- * @param {Object} options Command line options
- * @returns {Promise<boolean>} Whether project creation was successful
+ * @param {Object} options Command line options (`organization` creates the project in that organization)
+ * @returns {Promise<{success: boolean, code?: string}>} Whether the project was created; `code` is `PROJECT_ID_TAKEN` when the ID belongs to another project
  */
 async function createProject(projectId, projectName, options = {}) {
-  console.log(chalk.blue(`Creating project ${projectId}...`));
-  const { success, output } = await executeCommand(
-    `gcloud projects create ${projectId} --name='${projectName}'`
+  const validationError = validateProjectId(projectId) || validateProjectName(projectName);
+  if (validationError) {
+    console.error(chalk.red(validationError));
+    return { success: false };
+  }
+  
+  logProgress(options, chalk.blue(`Creating project ${projectId}...`));
+  const { success, output } = await runCommand(
+    'gcloud',
+    [
+      'projects', 'create', projectId, `--name=${projectName}`,
+      ...(options.organization ? [`--organization=${options.organization}`] : [])
+    ],
+    false,
+    options
   );
   
   if (!success) {
     console.error(chalk.red(`Failed to create project ${projectId}`));
     console.error(output);
     
+    // The ID belongs to another project; let the caller choose a different one
+    if (output.includes('already exists')) {
+      logProgress(options, chalk.yellow(`Project ID ${projectId} is already in use.`));
+      return { success: false, code: 'PROJECT_ID_TAKEN' };
+    }
+    
     // Handle Terms of Service error
     if (output.includes('Terms of Service') || output.includes('ToS')) {
-      console.log(chalk.yellow('\nYou need to accept Google Cloud Terms of Service first.'));
-      console.log(chalk.yellow('Opening browser to Google Cloud Console...'));
+      logProgress(options, chalk.yellow('\nYou need to accept Google Cloud Terms of Service first.'));
+      logProgress(options, chalk.yellow('Opening browser to Google Cloud Console...'));
       
       // Open Google Cloud Console to accept ToS
-      await open('https://console.cloud.google.com/terms');
+      await openUrl('https://console.cloud.google.com/terms', options);
       
       if (!options.yes) {
         const { accepted } = await inquirer.prompt([
@@ -199,13 +512,13 @@ async function createProject(projectId, projectName, options = {}) {
         ]);
         
         if (accepted) {
-          console.log(chalk.blue('Retrying project creation...'));
+          logProgress(options, chalk.blue('Retrying project creation...'));
           // Wait a moment for ToS acceptance to propagate
           await new Promise(resolve => setTimeout(resolve, 3000));
           return createProject(projectId, projectName, options);
         }
       } else {
-        console.log(chalk.yellow('Please accept Terms of Service and try again.'));
+        logProgress(options, chalk.yellow('Please accept Terms of Service and try again.'));
         // Generate fallback recommendations for ToS acceptance failure
         await showFallbackRecommendations(projectId, { ...options, tosIssue: true });
       }
@@ -214,22 +527,89 @@ async function createProject(projectId, projectName, options = {}) {
       await showFallbackRecommendations(projectId, options);
     }
     
-    return false;
+    return { success: false };
   }
   
-  console.log(chalk.green(`Project ${projectId} created successfully!`));
-  return true;
+  logProgress(options, chalk.green(`Project ${projectId} created successfully!`));
+  return { success: true };
+}
+
+/**
+ * Look up an existing project
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Promise<Object|null>} Project details, or null if the project does not exist or is not accessible
+ */
+async function describeProject(projectId, options = {}) {
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['projects', 'describe', projectId, '--format=json'],
+    true,
+    options
+  );
+  
+  if (!success) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(output || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * List the services already enabled on a project
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Promise<string[]|null>} Enabled service names, or null if they could not be listed
+ */
+async function getEnabledServices(projectId, options = {}) {
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['services', 'list', '--enabled', `--project=${projectId}`, '--format=json'],
+    true,
+    options
+  );
+  
+  if (!success) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(output || '[]').map(service => (
+      service.config && service.config.name ? service.config.name : service.name.split('/').pop()
+    ));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a project ID is still free. Projects owned by other accounts
+ * cannot be described either, so those are only caught when creation fails.
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether no visible project uses the ID
+ */
+async function isProjectIdAvailable(projectId, options = {}) {
+  return !await describeProject(projectId, options);
 }
 
 /**
  * Set the current project
  * @param {string} projectId Project ID
+ * @param {Object} options Command line options
  * @returns {Promise<boolean>} Whether project setting was successful
  */
-async function setProject(projectId) {
-  console.log(chalk.blue(`Setting current project to ${projectId}...`));
-  const { success, output } = await executeCommand(
-    `gcloud config set project ${projectId}`
+async function setProject(projectId, options = {}) {
+  logProgress(options, chalk.blue(`Setting current project to ${projectId}...`));
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['config', 'set', 'project', projectId],
+    false,
+    options
   );
   
   if (!success) {
@@ -238,20 +618,10 @@ async function setProject(projectId) {
     return false;
   }
   
-  console.log(chalk.green(`Project set to ${projectId}!`));
+  logProgress(options, chalk.green(`Project set to ${projectId}!`));
   return true;
 }
 
-/**
- * Generate a unique project ID with timestamp
- * @returns {string} Generated project ID
- */
-function generateProjectId() {
-  const timestamp = Date.now().toString().slice(-6);
-  const randomChars = Math.random().toString(36).substring(2, 6);
-  return `places-project-${timestamp}-${randomChars}`;
-}
-
 /**
  * Display fallback recommendations when billing setup fails
  * @param {string} projectId Project ID
@@ -314,12 +684,12 @@ async function showFallbackRecommendations(projectId, options = {}) {
   // Save recommendations to a file silently
   try {
     fs.writeFileSync(recommendationsFile, recommendationsText);
-    console.log(chalk.blue(`\nFallback recommendations saved to: ${recommendationsFile}`));
+    logProgress(options, chalk.blue(`\nFallback recommendations saved to: ${recommendationsFile}`));
     
     // Also display in the console if requested
     if (options.debug) {
-      console.log(chalk.yellow('\n==== FALLBACK RECOMMENDATIONS ===='));
-      console.log(chalk.white(recommendationsText));
+      logProgress(options, chalk.yellow('\n==== FALLBACK RECOMMENDATIONS ===='));
+      logProgress(options, chalk.white(recommendationsText));
     }
   } catch (error) {
     // Silent fail for recommendations
@@ -330,41 +700,134 @@ async function showFallbackRecommendations(projectId, options = {}) {
 }
 
 /**
- * Enable billing for the project
+ * List the billing accounts the signed-in account can use
+ * @param {Object} options Command line options
+ * @returns {Promise<Array<{id: string, displayName: string, open: boolean}>|null>} Billing accounts, or null if they could not be listed
+ */
+async function listBillingAccounts(options = {}) {
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['billing', 'accounts', 'list', '--format=json'],
+    true,
+    options
+  );
+  
+  if (!success) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(output || '[]').map(account => ({
+      id: account.name.replace(/^billingAccounts\//, ''),
+      displayName: account.displayName || '',
+      open: Boolean(account.open)
+    }));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Pick the billing account to link the project to: the one given with
+ * --billing-account, the only open account under --yes, or one chosen from
+ * a list of open accounts
+ * @param {Object} options Command line options
+ * @returns {Promise<string|null>} Billing account ID, or null to fall back to the browser
+ */
+async function chooseBillingAccount(options) {
+  if (options.billingAccount) {
+    return options.billingAccount;
+  }
+  
+  if (options.dryRun) {
+    return null;
+  }
+  
+  const accounts = (await listBillingAccounts(options) || []).filter(account => account.open);
+  if (accounts.length === 0) {
+    logProgress(options, chalk.yellow('No open billing account found for this account'));
+    return null;
+  }
+  
+  if (options.yes) {
+    if (accounts.length === 1) {
+      logProgress(options, chalk.yellow(`Using the only open billing account ${accounts[0].id} due to --yes flag`));
+      return accounts[0].id;
+    }
+    logProgress(options, chalk.yellow(`${accounts.length} billing accounts are open; pass --billing-account to pick one`));
+    return null;
+  }
+  
+  const { billingAccount } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'billingAccount',
+      message: 'Which billing account should pay for this project?',
+      choices: accounts.map(account => ({
+        name: account.displayName ? `${account.displayName} (${account.id})` : account.id,
+        value: account.id
+      })).concat({ name: 'None of these, set up billing in the browser', value: null })
+    }
+  ]);
+  
+  return billingAccount;
+}
+
+/**
+ * Enable billing for the project by linking it to a billing account, falling
+ * back to the billing page in the browser when no account can be picked
  * @param {string} projectId Project ID
  * @param {Object} options Command line options
  * @returns {Promise<boolean>} Whether billing enablement was successful
  */
 async function enableBilling(projectId, options) {
-  console.log(chalk.blue('You need to enable billing for this project.'));
+  if (!options.noBilling && !options.mockBilling && !options.dryRun) {
+    const billing = await getBillingInfo(projectId, options);
+    if (billing && billing.billingEnabled) {
+      logProgress(options, chalk.green(`Billing is already enabled (account ${billing.billingAccount})`));
+      return true;
+    }
+  }
+  
+  logProgress(options, chalk.blue('You need to enable billing for this project.'));
   
   // Show options for users without a credit card
-  console.log(chalk.yellow('\nOptions for users without a credit card:'));
-  console.log(chalk.white('1. Google Cloud offers a $300 free credit for new users'));
-  console.log(chalk.white('2. You can use the free tier with billing enabled but usage limits set'));
-  console.log(chalk.white('3. For development only, you can use a mock API key with limited functionality'));
-  console.log(chalk.red('NOTE: Google Cloud does NOT accept prepaid cards (error OR_CCR_104)'));
+  logProgress(options, chalk.yellow('\nOptions for users without a credit card:'));
+  logProgress(options, chalk.white('1. Google Cloud offers a $300 free credit for new users'));
+  logProgress(options, chalk.white('2. You can use the free tier with billing enabled but usage limits set'));
+  logProgress(options, chalk.white('3. For development only, you can use a mock API key with limited functionality'));
+  logProgress(options, chalk.red('NOTE: Google Cloud does NOT accept prepaid cards (error OR_CCR_104)'));
   
   // For users who want to proceed with billing setup
   if (options.noBilling) {
-    console.log(chalk.yellow('Skipping billing setup as requested with --no-billing'));
-    console.log(chalk.yellow('NOTE: API will have limited functionality without billing'));
+    logProgress(options, chalk.yellow('Skipping billing setup as requested with --no-billing'));
+    logProgress(options, chalk.yellow('NOTE: API will have limited functionality without billing'));
     return true;
   }
   
   if (options.mockBilling) {
-    console.log(chalk.yellow('Using mock billing mode as requested with --mock-billing'));
-    console.log(chalk.yellow('NOTE: This is for testing only and API calls will not work in production'));
+    logProgress(options, chalk.yellow('Using mock billing mode as requested with --mock-billing'));
+    logProgress(options, chalk.yellow('NOTE: This is for testing only and API calls will not work in production'));
     return true;
   }
   
+  const billingAccount = await chooseBillingAccount(options);
+  if (billingAccount) {
+    return linkBillingAccount(projectId, billingAccount, options);
+  }
+  
   const billingUrl = `https://console.cloud.google.com/billing/linkedaccount?project=${projectId}`;
-  console.log(`Opening browser to: ${billingUrl}`);
+  logProgress(options, `Opening browser to: ${billingUrl}`);
   
-  await open(billingUrl);
+  await openUrl(billingUrl, options);
   
   if (options.yes) {
-    console.log(chalk.yellow('Auto-confirming billing setup due to --yes flag'));
+    logProgress(options, chalk.yellow('Not prompting due to --yes flag; billing is verified next'));
+    return true;
+  }
+  
+  if (options.dryRun) {
+    logProgress(options, chalk.yellow('Dry run: assuming billing has been set up'));
     return true;
   }
   
@@ -396,27 +859,133 @@ async function enableBilling(projectId, options) {
     options.mockBilling = true;
   }
   
+  if (billingChoice === 'skip') {
+    // Same as --no-billing, so the missing billing is not reported as a failure
+    options.noBilling = true;
+  }
+  
   return billingChoice !== 'cancel';
 }
 
 /**
- * Enable the Places API for the project
+ * Get the billing account a project is linked to
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Promise<{billingAccount: string|null, billingEnabled: boolean}|null>} Billing info, or null if it could not be read
+ */
+async function getBillingInfo(projectId, options = {}) {
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['billing', 'projects', 'describe', projectId, '--format=json'],
+    true,
+    options
+  );
+  
+  if (!success) {
+    return null;
+  }
+  
+  try {
+    const info = JSON.parse(output || '{}');
+    return {
+      billingAccount: info.billingAccountName ? info.billingAccountName.replace(/^billingAccounts\//, '') : null,
+      billingEnabled: Boolean(info.billingEnabled)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Link a project to a billing account
+ * @param {string} projectId Project ID
+ * @param {string} billingAccount Billing account ID
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether the project was linked
+ */
+async function linkBillingAccount(projectId, billingAccount, options = {}) {
+  logProgress(options, chalk.blue(`Linking ${projectId} to billing account ${billingAccount}...`));
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['billing', 'projects', 'link', projectId, `--billing-account=${billingAccount}`],
+    false,
+    options
+  );
+  
+  if (!success) {
+    console.error(chalk.red(`Failed to link billing account ${billingAccount}`));
+    console.error(output);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Wait until the project's billing info shows billing as enabled. Linking
+ * (or finishing the browser flow) can take a moment to show up, so the info
+ * is read again until `options.billingTimeout` seconds have passed.
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Promise<{success: boolean, billingAccount?: string|null, error?: string}>} Linked billing account or the reason billing is not enabled
+ */
+async function verifyBilling(projectId, options = {}) {
+  const timeout = Number(options.billingTimeout !== undefined ? options.billingTimeout : 120) * 1000;
+  const interval = options.billingPollInterval !== undefined ? options.billingPollInterval : 5000;
+  const attempts = Math.max(1, Math.ceil(timeout / Math.max(interval, 1)) + 1);
+  const spinner = startSpinner('Verifying that billing is enabled...', options);
+  let billing = null;
+  
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    billing = await getBillingInfo(projectId, options);
+    if (billing && billing.billingEnabled) {
+      spinner.succeed(`Billing is enabled (account ${billing.billingAccount})`);
+      return { success: true, billingAccount: billing.billingAccount };
+    }
+    if (attempt < attempts) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+  
+  spinner.fail('Billing is not enabled');
+  if (!billing) {
+    return { success: false, error: `Could not read the billing info of ${projectId}` };
+  }
+  if (billing.billingAccount) {
+    return { success: false, error: `Billing account ${billing.billingAccount} is linked to ${projectId} but billing is not enabled; check that the account is open` };
+  }
+  return { success: false, error: `${projectId} is not linked to a billing account; link one with --billing-account` };
+}
+
+/**
+ * Enable the selected Maps Platform APIs (the Places APIs by default) for the project
  * @param {string} projectId Project ID
  * @param {Object} options Command line options
  * @returns {Promise<boolean>} Whether API enablement was successful
  */
 async function enablePlacesApi(projectId, options = {}) {
-  console.log(chalk.blue('Enabling Places API...'));
+  logProgress(options, chalk.blue('Enabling Places API...'));
   
   // Mock mode for users without billing
   if (options.mockBilling || options.noBilling) {
-    console.log(chalk.yellow('Using mock mode for Places API (no actual API will be enabled)'));
-    console.log(chalk.yellow('This is for development/testing purposes only.'));
+    logProgress(options, chalk.yellow('Using mock mode for Places API (no actual API will be enabled)'));
+    logProgress(options, chalk.yellow('This is for development/testing purposes only.'));
+    return true;
+  }
+  
+  // Services found on an existing project do not need enabling again
+  const services = getSelectedServices(options).filter(service => !(options.enabledServices || []).includes(service));
+  if (services.length === 0) {
+    logProgress(options, chalk.green('Places API is already enabled'));
     return true;
   }
   
-  const { success, output } = await executeCommand(
-    `gcloud services enable places-backend.googleapis.com places.googleapis.com --project=${projectId}`
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['services', 'enable', ...services, `--project=${projectId}`],
+    false,
+    options
   );
   
   if (!success) {
@@ -440,7 +1009,7 @@ async function enablePlacesApi(projectId, options = {}) {
         
         if (switchToMock) {
           options.mockBilling = true;
-          console.log(chalk.yellow('Switched to mock mode for the rest of setup.'));
+          logProgress(options, chalk.yellow('Switched to mock mode for the rest of setup.'));
           return true;
         }
       }
@@ -449,7 +1018,7 @@ async function enablePlacesApi(projectId, options = {}) {
     return false;
   }
   
-  console.log(chalk.green('Places API enabled successfully!'));
+  logProgress(options, chalk.green('Places API enabled successfully!'));
   return true;
 }
 
@@ -460,28 +1029,39 @@ async function enablePlacesApi(projectId, options = {}) {
  * @returns {Promise<{apiKey: string, keyId: string}|null>} API key info or null if creation failed
  */
 async function createApiKey(projectId, options = {}) {
-  console.log(chalk.blue('Creating API key...'));
+  logProgress(options, chalk.blue('Creating API key...'));
   
   // For mock mode, generate a fake API key
   if (options.mockBilling || options.noBilling) {
-    console.log(chalk.yellow('Creating mock API key (not a real Google API key)'));
-    console.log(chalk.yellow('This key will not work for actual API requests.'));
+    logProgress(options, chalk.yellow('Creating mock API key (not a real Google API key)'));
+    logProgress(options, chalk.yellow('This key will not work for actual API requests.'));
+    logProgress(options, chalk.yellow('Call a local copy of the Places API with it instead: places-setup mock-server'));
     
-    // Generate a mock API key that looks like a real one
-    const mockKeyId = `mock-key-${Math.random().toString(36).substring(2, 10)}`;
-    const mockApiKey = `AIzaMOCK${Math.random().toString(36).substring(2, 10)}${Math.random().toString(36).substring(2, 10)}`;
+    if (options.dryRun) {
+      return { apiKey: 'AIzaMOCK-DRY-RUN', keyId: 'mock-key-dry-run', isMock: true };
+    }
+    
+    // Mock keys are kept in the mock registry, so the mock server can check them
+    const { key } = issueMockKey(projectId, options);
     
     return { 
-      apiKey: mockApiKey, 
-      keyId: mockKeyId,
+      apiKey: key.apiKey, 
+      keyId: key.keyId,
       isMock: true 
     };
   }
   
-  const keyName = 'places-api-key';
-  
-  const { success, output } = await executeCommand(
-    `gcloud alpha services api-keys create --display-name='${keyName}' --project=${projectId}`
+  const keyName = options.keyDisplayName || 'places-api-key';
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    await getApiKeysArgs([
+      'create', `--display-name=${keyName}`,
+      ...restrictionsToFlags(options.keyRestrictions),
+      `--project=${projectId}`
+    ], options),
+    false,
+    options
   );
   
   if (!success) {
@@ -491,40 +1071,29 @@ async function createApiKey(projectId, options = {}) {
   }
   
   // Wait for key creation to propagate
-  const spinner = ora('Waiting for API key to be ready...').start();
-  await new Promise(resolve => setTimeout(resolve, 5000));
-  spinner.succeed('API key should be ready now');
+  if (!options.dryRun) {
+    const delay = options.propagationDelay !== undefined ? options.propagationDelay : 5000;
+    const spinner = startSpinner('Waiting for API key to be ready...', options);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    spinner.succeed('API key should be ready now');
+  }
   
   // List keys to find the one we just created
-  const { success: listSuccess, output: listOutput } = await executeCommand(
-    `gcloud alpha services api-keys list --project=${projectId} --format=json`
-  );
-  
-  if (!listSuccess) {
-    console.error(chalk.red('Failed to list API keys'));
+  const keys = await listApiKeys(projectId, options);
+  if (!keys) {
     return null;
   }
   
   try {
-    // Handle non-JSON output during tests
-    let keys = [];
-    if (listOutput.trim().startsWith('[') || listOutput.trim().startsWith('{')) {
-      keys = JSON.parse(listOutput);
-    } else if (process.env.NODE_ENV === 'test') {
-      // For tests, mock a key with the expected displayName
-      keys = [{ displayName: keyName, name: `projects/${projectId}/keys/test-key-id`, uid: 'test-key-id' }];
-    } else {
-      console.error(chalk.red('Invalid JSON output from API keys list'));
-      return null;
-    }
-    
     let keyId = null;
     
-    for (const key of keys) {
-      if (key.displayName === keyName) {
-        keyId = key.uid || key.name.split('/').pop();
-        break;
-      }
+    // Display names are not unique, so take the newest matching key.
+    // A dry run only lists the placeholder key, whatever name was asked for
+    const matches = keys
+      .filter(key => options.dryRun || key.displayName === keyName)
+      .sort((a, b) => (b.createTime || '').localeCompare(a.createTime || ''));
+    if (matches.length > 0) {
+      keyId = matches[0].uid || matches[0].name.split('/').pop();
     }
     
     if (!keyId) {
@@ -533,103 +1102,1918 @@ async function createApiKey(projectId, options = {}) {
     }
     
     // Get the actual API key string
-    const { success: keySuccess, output: keyOutput } = await executeCommand(
-      `gcloud alpha services api-keys get-key-string ${keyId} --project=${projectId}`
+    const apiKey = await getApiKeyString(projectId, keyId, options);
+    
+    if (!apiKey) {
+      return null;
+    }
+    
+    logProgress(options, chalk.green('API key created successfully!'));
+    return { apiKey, keyId };
+  } catch (error) {
+    console.error(chalk.red(`Error processing API key: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * List the API keys of a project
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Promise<Object[]|null>} Keys as returned by the API Keys API, or null if they could not be listed
+ */
+async function listApiKeys(projectId, options = {}) {
+  const { success, output } = await runCommand(
+    'gcloud',
+    await getApiKeysArgs(['list', `--project=${projectId}`, '--format=json'], options),
+    false,
+    options
+  );
+  
+  if (!success) {
+    console.error(chalk.red('Failed to list API keys'));
+    return null;
+  }
+  
+  if (!output.trim().startsWith('[') && !output.trim().startsWith('{')) {
+    console.error(chalk.red('Invalid JSON output from API keys list'));
+    return null;
+  }
+  
+  try {
+    return JSON.parse(output);
+  } catch (error) {
+    console.error(chalk.red(`Error processing API keys: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Get the key string of an existing API key
+ * @param {string} projectId Project ID
+ * @param {string} keyId Key ID
+ * @param {Object} options Command line options
+ * @returns {Promise<string|null>} API key string or null if it could not be read
+ */
+async function getApiKeyString(projectId, keyId, options = {}) {
+  const { success: keySuccess, output: keyOutput } = await runCommand(
+    'gcloud',
+    await getApiKeysArgs(['get-key-string', keyId, `--project=${projectId}`, '--format=json'], options),
+    false,
+    options
+  );
+  
+  if (!keySuccess) {
+    console.error(chalk.red('Failed to get API key string'));
+    return null;
+  }
+  
+  try {
+    let apiKey = '';
+    
+    if (keyOutput.trim().startsWith('{')) {
+      apiKey = JSON.parse(keyOutput).keyString;
+    } else {
+      console.error(chalk.red('Invalid JSON output from get-key-string'));
+      return null;
+    }
+    
+    if (!apiKey) {
+      console.error(chalk.red('Could not extract API key string'));
+      return null;
+    }
+    
+    return apiKey;
+  } catch (error) {
+    console.error(chalk.red(`Error processing API key: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Read an API key's details, including its restrictions
+ * @param {string} projectId Project ID
+ * @param {string} keyId Key ID
+ * @param {Object} options Command line options
+ * @returns {Promise<Object|null>} Key details or null if they could not be read
+ */
+async function describeApiKey(projectId, keyId, options = {}) {
+  const { success, output } = await runCommand(
+    'gcloud',
+    await getApiKeysArgs(['describe', keyId, `--project=${projectId}`, '--format=json'], options),
+    true,
+    options
+  );
+  
+  if (!success) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(output);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Restrict the API key to the selected Maps Platform APIs
+ * @param {string} projectId Project ID
+ * @param {string} keyId Key ID
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether restriction was successful
+ */
+async function restrictApiKey(projectId, keyId, options = {}) {
+  logProgress(options, chalk.blue('Adding restrictions to API key...'));
+  
+  // Skip for mock mode
+  if (options.mockBilling || options.noBilling) {
+    logProgress(options, chalk.yellow('Skipping API key restrictions for mock key.'));
+    return true;
+  }
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    await getApiKeysArgs([
+      'update', keyId,
+      // Application restrictions are sent again so the update cannot drop them
+      ...restrictionsToFlags({
+        ...options.keyRestrictions,
+        apiTargets: getSelectedServices(options).map(service => ({ service }))
+      }),
+      `--project=${projectId}`
+    ], options),
+    false,
+    options
+  );
+  
+  if (!success) {
+    console.error(chalk.red('Failed to add restrictions to API key'));
+    console.error(output);
+    return false;
+  }
+  
+  logProgress(options, chalk.green('API key restrictions added successfully!'));
+  return true;
+}
+
+/**
+ * Replace the restrictions of an API key
+ * @param {string} projectId Project ID
+ * @param {string} keyId Key ID
+ * @param {Object} restrictions Key restrictions, including the API targets
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether the restrictions were updated
+ */
+async function updateApiKeyRestrictions(projectId, keyId, restrictions, options = {}) {
+  logProgress(options, chalk.blue(`Updating the restrictions of API key ${keyId}...`));
+  
+  // gcloud only changes the restrictions it is given, so the old ones are cleared first
+  const flags = restrictionsToFlags(restrictions);
+  const updates = [['--clear-restrictions']].concat(flags.length > 0 ? [flags] : []);
+  for (const update of updates) {
+    const { success, output } = await runCommand(
+      'gcloud',
+      await getApiKeysArgs(['update', keyId, ...update, `--project=${projectId}`], options),
+      false,
+      options
     );
     
-    if (!keySuccess) {
-      console.error(chalk.red('Failed to get API key string'));
+    if (!success) {
+      console.error(chalk.red(`Failed to update API key ${keyId}`));
+      console.error(output);
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Delete an API key
+ * @param {string} projectId Project ID
+ * @param {string} keyId Key ID
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether the key was deleted
+ */
+async function deleteApiKey(projectId, keyId, options = {}) {
+  logProgress(options, chalk.blue(`Deleting API key ${keyId}...`));
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    await getApiKeysArgs(['delete', keyId, `--project=${projectId}`], options),
+    false,
+    options
+  );
+  
+  if (!success) {
+    console.error(chalk.red(`Failed to delete API key ${keyId}`));
+    console.error(output);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Enable services on a project
+ * @param {string} projectId Project ID
+ * @param {string[]} services Service names
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether the services were enabled
+ */
+async function enableServices(projectId, services, options = {}) {
+  logProgress(options, chalk.blue(`Enabling ${services.join(', ')}...`));
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['services', 'enable', ...services, `--project=${projectId}`],
+    false,
+    options
+  );
+  
+  if (!success) {
+    console.error(chalk.red('Failed to enable services'));
+    console.error(output);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Disable services on a project
+ * @param {string} projectId Project ID
+ * @param {string[]} services Service names
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether the services were disabled
+ */
+async function disableServices(projectId, services, options = {}) {
+  logProgress(options, chalk.blue(`Disabling ${services.join(', ')}...`));
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['services', 'disable', ...services, `--project=${projectId}`],
+    false,
+    options
+  );
+  
+  if (!success) {
+    console.error(chalk.red('Failed to disable services'));
+    console.error(output);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Delete a project. Google Cloud keeps it recoverable for 30 days.
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether the project was deleted
+ */
+async function deleteProject(projectId, options = {}) {
+  logProgress(options, chalk.blue(`Deleting project ${projectId}...`));
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['projects', 'delete', projectId, '--quiet'],
+    false,
+    options
+  );
+  
+  if (!success) {
+    console.error(chalk.red(`Failed to delete project ${projectId}`));
+    console.error(output);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Store the API key as a new version of a Secret Manager secret. Secret
+ * Manager is enabled and the secret created when needed, and the service
+ * accounts in `options.secretAccessor` are allowed to read it. The key is
+ * passed on stdin so it never appears in a command line. In mock mode the
+ * secret is only recorded locally.
+ * @param {string} projectId Project ID
+ * @param {string} secretId Secret ID
+ * @param {string} apiKey API key
+ * @param {Object} options Command line options
+ * @returns {Promise<{secretId: string, name: string, version: string, created: boolean, serviceEnabled: boolean, mock: boolean}|null>} The stored version, or null if storing failed
+ */
+async function storeKeyInSecretManager(projectId, secretId, apiKey, options = {}) {
+  logProgress(options, chalk.blue(`Storing the API key in secret ${secretId}...`));
+  const name = `projects/${projectId}/secrets/${secretId}`;
+  
+  if (options.mockBilling || options.noBilling) {
+    logProgress(options, chalk.yellow('Using mock mode for Secret Manager (the secret is only recorded locally)'));
+    return { secretId, name, version: `${name}/versions/1`, created: true, serviceEnabled: false, mock: true };
+  }
+  
+  const fail = (message, output) => {
+    console.error(chalk.red(message));
+    console.error(output);
+    return null;
+  };
+  
+  // Only a service this run turned on is disabled again by destroy
+  const enabledServices = await getEnabledServices(projectId, options);
+  const serviceEnabled = !enabledServices || !enabledServices.includes(SECRET_MANAGER_SERVICE);
+  if (serviceEnabled) {
+    const { success, output } = await runCommand(
+      'gcloud',
+      ['services', 'enable', SECRET_MANAGER_SERVICE, `--project=${projectId}`],
+      false,
+      options
+    );
+    if (!success) {
+      return fail('Failed to enable Secret Manager', output);
+    }
+  }
+  
+  // A dry run cannot tell whether the secret exists, so the plan shows its creation
+  const existing = await runCommand(
+    'gcloud',
+    ['secrets', 'describe', secretId, `--project=${projectId}`, '--format=json'],
+    true,
+    options
+  );
+  const created = options.dryRun || !existing.success;
+  if (created) {
+    const { success, output } = await runCommand(
+      'gcloud',
+      ['secrets', 'create', secretId, '--replication-policy=automatic', `--project=${projectId}`],
+      false,
+      options
+    );
+    if (!success) {
+      return fail(`Failed to create secret ${secretId}`, output);
+    }
+  }
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['secrets', 'versions', 'add', secretId, '--data-file=-', `--project=${projectId}`, '--format=json'],
+    false,
+    options,
+    { input: apiKey }
+  );
+  if (!success) {
+    return fail(`Failed to add the API key to secret ${secretId}`, output);
+  }
+  
+  let version = `${name}/versions/latest`;
+  try {
+    const number = JSON.parse(output).name.split('/').pop();
+    version = `${name}/versions/${number}`;
+  } catch (error) {
+    // Dry runs have no output; the version number is only known after the fact
+  }
+  
+  for (const email of [].concat(options.secretAccessor || [])) {
+    const binding = await runCommand(
+      'gcloud',
+      [
+        'secrets',
+        'add-iam-policy-binding',
+        secretId,
+        `--member=serviceAccount:${email}`,
+        '--role=roles/secretmanager.secretAccessor',
+        `--project=${projectId}`
+      ],
+      false,
+      options
+    );
+    if (!binding.success) {
+      return fail(`Failed to let ${email} read secret ${secretId}`, binding.output);
+    }
+  }
+  
+  logProgress(options, chalk.green(`API key stored in ${version}`));
+  return { secretId, name, version, created, serviceEnabled: Boolean(enabledServices) && serviceEnabled, mock: false };
+}
+
+/**
+ * Record a stored secret version in the state, keeping the versions added
+ * earlier so destroy can remove all of them
+ * @param {Object} state State record
+ * @param {Object} stored Result of `storeKeyInSecretManager`
+ * @param {string} keyId ID of the stored key
+ * @returns {Object} The secret record
+ */
+function recordSecret(state, stored, keyId) {
+  const previous = state.secret && state.secret.secretId === stored.secretId ? state.secret : null;
+  
+  state.secretName = stored.secretId;
+  state.secret = {
+    secretId: stored.secretId,
+    name: stored.name,
+    created: previous ? previous.created : stored.created,
+    serviceEnabled: previous ? previous.serviceEnabled : stored.serviceEnabled,
+    mock: stored.mock,
+    keyId,
+    versions: (previous ? previous.versions : []).concat(stored.version)
+  };
+  return state.secret;
+}
+
+/**
+ * Remove what `storeKeyInSecretManager` added: the whole secret if it was
+ * created by the tool, otherwise only the versions it added
+ * @param {string} projectId Project ID
+ * @param {Object} secret Secret record from the state
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether everything was removed
+ */
+async function deleteStoredSecret(projectId, secret, options = {}) {
+  if (secret.mock) {
+    return true;
+  }
+  
+  logProgress(options, chalk.blue(`Removing the API key from secret ${secret.secretId}...`));
+  
+  const commands = secret.created
+    ? [['secrets', 'delete', secret.secretId, `--project=${projectId}`, '--quiet']]
+    : secret.versions.map(version => [
+      'secrets', 'versions', 'destroy', version.split('/').pop(),
+      `--secret=${secret.secretId}`, `--project=${projectId}`, '--quiet'
+    ]);
+  
+  for (const args of commands) {
+    const { success, output } = await runCommand('gcloud', args, false, options);
+    if (!success) {
+      console.error(chalk.red(`Failed to remove secret ${secret.secretId}`));
+      console.error(output);
+      return false;
+    }
+  }
+  
+  if (secret.serviceEnabled) {
+    return disableServices(projectId, [SECRET_MANAGER_SERVICE], options);
+  }
+  return true;
+}
+
+/**
+ * Options holding a count or a number of seconds, with the flag that sets them
+ */
+const NUMERIC_OPTIONS = [
+  { name: 'verifyTimeout', flag: '--verify-timeout' },
+  { name: 'billingTimeout', flag: '--billing-timeout' },
+  { name: 'idRetries', flag: '--id-retries', integer: true }
+];
+
+/**
+ * Validate the numeric options that are set
+ * @param {Object} options Command line options
+ * @returns {string|null} Validation error, or null if the options are valid
+ */
+function validateNumericOptions(options = {}) {
+  for (const { name, flag, integer } of NUMERIC_OPTIONS) {
+    const error = options[name] !== undefined && validateNonNegativeNumber(options[name], flag, integer);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate --store-secret and --secret-accessor
+ * @param {Object} options Command line options
+ * @returns {string|null} Validation error, or null if the options are valid
+ */
+function validateSecretOptions(options = {}) {
+  if (options.storeSecret) {
+    const error = validateSecretName(options.storeSecret);
+    if (error) {
+      return error;
+    }
+  }
+  
+  const accessors = [].concat(options.secretAccessor || []);
+  if (accessors.length > 0 && !options.storeSecret && !options.resume) {
+    return '--secret-accessor needs --store-secret';
+  }
+  
+  return accessors.map(validateServiceAccountEmail).find(Boolean) || null;
+}
+
+/**
+ * Check that an API key works by sending it a small Places request, with a
+ * spinner while the request is retried
+ * @param {string} apiKey API key
+ * @param {Object} options Command line options (`api`, `placesBaseUrl`, `verifyTimeout`) and `restrictions` of the key
+ * @returns {Promise<Object>} Result of `verifyApiKey`
+ */
+async function verifyKey(apiKey, options = {}) {
+  const spinner = startSpinner('Sending a test request to the Places API...', options);
+  const verification = await verifyApiKey(apiKey, {
+    ...options,
+    onRetry: attempt => {
+      spinner.text = `${attempt.message}; retrying while the key propagates (attempt ${attempt.attempts})...`;
+    }
+  });
+  
+  if (verification.ok) {
+    spinner.succeed(`${verification.message} (Places API ${options.api === 'legacy' ? 'legacy' : '(New)'})`);
+  } else {
+    spinner.fail(`${verification.message}: ${verification.detail}`);
+  }
+  return verification;
+}
+
+/**
+ * Send a test request with a key given on the command line
+ * @param {Object} options Command line options (`key`, `api`, `placesBaseUrl`, `verifyTimeout`)
+ * @returns {Promise<{success: boolean, verification?: Object, error?: string}>}
+ */
+async function verify(options = {}) {
+  const apiKey = options.key || process.env[DEFAULT_VAR_NAME];
+  if (!apiKey) {
+    return { success: false, error: `Pass the key with --key or set ${DEFAULT_VAR_NAME}` };
+  }
+  
+  if (options.api && !['new', 'legacy'].includes(options.api)) {
+    return { success: false, error: `Unknown Places API "${options.api}"; choose new or legacy` };
+  }
+  
+  const timeoutError = validateNumericOptions({ verifyTimeout: options.verifyTimeout });
+  if (timeoutError) {
+    return { success: false, error: timeoutError };
+  }
+  
+  const verification = await verifyKey(apiKey, options);
+  return verification.ok
+    ? { success: true, verification }
+    : { success: false, error: verification.message, code: 'KEY_VERIFY_FAILED', verification };
+}
+
+/**
+ * Run a local copy of the Places API that accepts the mock keys issued by
+ * mock mode
+ * @param {Object} options Command line options (`port`, `host`, `fixtures`, `stateDir`)
+ * @returns {Promise<{success: boolean, server?: Object, url?: string, error?: string}>} The listening server
+ */
+async function mockServer(options = {}) {
+  let places;
+  if (options.fixtures) {
+    const fixtures = loadFixtures(options.fixtures);
+    if (fixtures.error) {
+      return { success: false, error: fixtures.error };
+    }
+    places = fixtures.places;
+  }
+  
+  let started;
+  try {
+    started = await startMockServer({ ...options, places });
+  } catch (error) {
+    return { success: false, error: `Could not start the mock server: ${error.message}` };
+  }
+  
+  const keyCount = loadMockKeys(options).size;
+  logProgress(options, chalk.green(`Mock Places API listening on ${started.url}`));
+  logProgress(options, chalk.white(`  Places API (New): ${started.url}/v1/places:searchText (instead of https://places.googleapis.com)`));
+  logProgress(options, chalk.white(`  Legacy Places API: ${started.url}/maps/api/place/textsearch/json (instead of https://maps.googleapis.com)`));
+  if (keyCount === 0) {
+    logProgress(options, chalk.yellow('No mock keys were found; create one with: places-setup --mock-billing'));
+  } else {
+    logProgress(options, chalk.white(`Accepting ${keyCount} mock key${keyCount === 1 ? '' : 's'} issued by mock mode. Press Ctrl+C to stop.`));
+  }
+  
+  return { success: true, ...started };
+}
+
+/**
+ * List the mock projects and keys in the mock registry
+ * @param {Object} options Command line options (`json` prints the registry as JSON)
+ * @returns {{success: boolean, projects: Object[], keys: Object[]}}
+ */
+function listMocks(options = {}) {
+  const registry = loadRegistry(options);
+  
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(registry, null, 2)}\n`);
+  } else if (registry.projects.length === 0) {
+    logProgress(options, chalk.yellow(`No mock projects in ${getRegistryPath(options)}; create one with: places-setup --mock-billing`));
+  } else {
+    formatMockTable(registry).forEach(line => logProgress(options, line));
+  }
+  
+  return { success: true, ...registry };
+}
+
+/**
+ * Show a mock project with its keys, or a single mock key
+ * @param {string} id Project ID, key ID or key string
+ * @param {Object} options Command line options
+ * @returns {{success: boolean, project?: Object, keys?: Object[], error?: string}}
+ */
+function showMock(id, options = {}) {
+  const found = findMockResource(loadRegistry(options), id);
+  if (!found) {
+    return { success: false, error: `No mock project or key ${id} in ${getRegistryPath(options)}` };
+  }
+  
+  logProgress(options, JSON.stringify(found, null, 2));
+  return { success: true, ...found };
+}
+
+/**
+ * Revoke a mock key, or every key of a mock project, so the mock server
+ * rejects it
+ * @param {string} id Project ID, key ID or key string
+ * @param {Object} options Command line options
+ * @returns {{success: boolean, revoked?: Object[], error?: string}}
+ */
+function revokeMock(id, options = {}) {
+  const { revoked, error } = revokeMockKeys(id, options);
+  if (error) {
+    return { success: false, error };
+  }
+  
+  if (revoked.length === 0) {
+    logProgress(options, chalk.yellow(`The mock keys of ${id} were already revoked`));
+  } else {
+    revoked.forEach(key => logProgress(options, chalk.green(`Revoked mock key ${key.keyId} (${key.apiKey})`)));
+  }
+  return { success: true, revoked };
+}
+
+/**
+ * Count the projects linked to each open billing account
+ * @param {Array<{id: string, open: boolean}>} accounts Billing accounts
+ * @param {Object} options Command line options
+ * @returns {Promise<Object<string, number>>} Number of linked projects by account ID; accounts that could not be listed are left out
+ */
+async function countLinkedProjects(accounts, options = {}) {
+  const counts = {};
+  for (const account of accounts.filter(entry => entry.open)) {
+    const { success, output } = await runCommand(
+      'gcloud',
+      ['billing', 'projects', 'list', `--billing-account=${account.id}`, '--format=json'],
+      true,
+      options
+    );
+    try {
+      if (success) {
+        counts[account.id] = JSON.parse(output || '[]').length;
+      }
+    } catch (error) {
+      // Leave the account out; the check then treats it as available
+    }
+  }
+  return counts;
+}
+
+/**
+ * Run the read-only checks of the doctor command
+ * @param {Object} options Command line options (`projectId` adds checks of an existing project)
+ * @returns {Promise<Object[]>} Check results
+ */
+async function runDoctorChecks(options = {}) {
+  const skipped = (id, title, detail) => ({ id, title, status: 'skip', detail });
+  const checks = checkGcloud(await runCommand('gcloud', ['version'], true, options));
+  if (checks[0].status === 'fail') {
+    return checks.concat(skipped('account', 'Active account', 'Needs the Google Cloud SDK'));
+  }
+  
+  const accountsResult = await runCommand('gcloud', ['auth', 'list', '--format=json'], true, options);
+  const account = checkAccount(accountsResult, await runCommand('gcloud', ['auth', 'print-access-token'], true, options));
+  checks.push(account);
+  if (account.status === 'fail') {
+    return checks.concat(
+      skipped('tos', 'Terms of Service', 'Needs an active account'),
+      skipped('projectQuota', 'Project quota', 'Needs an active account'),
+      skipped('billingAccount', 'Billing account', 'Needs an active account')
+    );
+  }
+  
+  const projectsResult = await runCommand('gcloud', ['projects', 'list', '--format=json'], true, options);
+  checks.push(checkTermsOfService(projectsResult));
+  if (projectsResult.success) {
+    try {
+      checks.push(checkProjectQuota(JSON.parse(projectsResult.output || '[]')));
+    } catch (error) {
+      checks.push(skipped('projectQuota', 'Project quota', 'The project list could not be read'));
+    }
+  }
+  
+  const billingAccounts = await listBillingAccounts(options);
+  checks.push(checkBillingAccounts(billingAccounts, billingAccounts ? await countLinkedProjects(billingAccounts, options) : {}));
+  
+  if (options.projectId) {
+    const project = await describeProject(options.projectId, options);
+    checks.push(...checkProject(options.projectId, project, project ? await getBillingInfo(options.projectId, options) : null));
+  }
+  
+  return checks;
+}
+
+/**
+ * Diagnose the environment and account without changing anything, and print
+ * a pass/warn/fail report with fixes
+ * @param {Object} options Command line options (`projectId`, `json`)
+ * @returns {Promise<{success: boolean, checks: Object[], summary: Object}>} `success` is false when a check failed
+ */
+async function doctor(options = {}) {
+  const checks = await runDoctorChecks(options);
+  const summary = summarizeChecks(checks);
+  
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({ checks, summary }, null, 2)}\n`);
+  } else {
+    const badges = {
+      pass: chalk.green('PASS'),
+      warn: chalk.yellow('WARN'),
+      fail: chalk.red('FAIL'),
+      skip: chalk.gray('SKIP')
+    };
+    logProgress(options, chalk.blue(`places-setup doctor (Node.js ${process.version}, ${os.platform()} ${os.arch()})`));
+    checks.forEach(result => {
+      logProgress(options, `${badges[result.status]}  ${result.title}: ${result.detail}`);
+      if (result.fix) {
+        logProgress(options, chalk.white(`      Fix: ${result.fix}`));
+      }
+    });
+    logProgress(options, `${summary.pass} passed, ${summary.warn} warnings, ${summary.fail} failed${summary.skip ? `, ${summary.skip} skipped` : ''}`);
+    if (summary.fail > 0) {
+      logProgress(options, chalk.red('Fix the failed checks before running the setup.'));
+    }
+  }
+  
+  return { success: summary.fail === 0, checks, summary };
+}
+
+/**
+ * List the consumer quota metrics of a service on a project
+ * @param {string} projectId Project ID
+ * @param {string} service Service name
+ * @param {Object} options Command line options
+ * @returns {Promise<Array<Object>|null>} Quota metrics with their limits, or null if they could not be listed
+ */
+async function listQuotaMetrics(projectId, service, options = {}) {
+  const { success, output } = await runCommand(
+    'gcloud',
+    ['alpha', 'services', 'quota', 'list', `--service=${service}`, `--consumer=projects/${projectId}`, '--format=json'],
+    true,
+    options
+  );
+  
+  if (!success) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(output || '[]');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Cap the per-day and per-minute request quotas of services with consumer
+ * quota overrides. Every limit with the capped unit is overridden, so a
+ * service with one metric per method gets the cap on each method. A service
+ * without a limit for a cap given in `options` fails the update.
+ * @param {string} projectId Project ID
+ * @param {string[]} services Service names
+ * @param {Object<string, number>} caps Caps by option name (`dailyQuota`, `perMinuteQuota`; -1 for unlimited)
+ * @param {Object} options Command line options
+ * @returns {Promise<Array<{service: string, metric: string, unit: string, value: number}>|null>} Applied caps, or null if one could not be applied
+ */
+async function applyQuotaCaps(projectId, services, caps, options = {}) {
+  const applied = [];
+  
+  for (const service of services) {
+    // A dry run cannot list the metrics, so the plan shows one override per cap
+    const metrics = options.dryRun
+      ? [{ metric: `${service}/METRIC`, consumerQuotaLimits: Object.keys(caps).map(name => ({ unit: QUOTA_UNITS[name] })) }]
+      : await listQuotaMetrics(projectId, service, options);
+    if (!metrics) {
+      console.error(chalk.red(`Failed to list the quotas of ${service}`));
+      return null;
+    }
+    
+    // A cap that was asked for fails when the service has no limit for it; a default one only warns
+    const limits = selectQuotaLimits(service, metrics, caps);
+    for (const name of Object.keys(caps).filter(cap => !limits.some(limit => limit.unit === QUOTA_UNITS[cap]))) {
+      const message = `${service} has no ${QUOTA_UNITS[name]} request limit to cap`;
+      if (options[name] !== undefined) {
+        console.error(chalk.red(message));
+        return null;
+      }
+      logProgress(options, chalk.yellow(message));
+    }
+    
+    for (const limit of limits) {
+      const { success, output } = await runCommand(
+        'gcloud',
+        [
+          'alpha', 'services', 'quota', 'update',
+          `--service=${service}`,
+          `--consumer=projects/${projectId}`,
+          `--metric=${limit.metric}`,
+          `--unit=${limit.unit}`,
+          `--value=${limit.value}`,
+          '--force'
+        ],
+        false,
+        options
+      );
+      if (!success) {
+        console.error(chalk.red(`Failed to cap ${limit.metric}`));
+        console.error(output);
+        return null;
+      }
+      applied.push({ service, metric: limit.metric, unit: limit.unit, value: limit.value });
+    }
+  }
+  
+  return applied;
+}
+
+/**
+ * List the services of the Cloud Billing catalog. The catalog has no gcloud
+ * command, so it is read over HTTP with the access token of the current
+ * account.
+ * @param {Object} options Command line options
+ * @returns {Promise<Array<{name: string, displayName: string}>|null>} Catalog services, or null if they could not be listed
+ */
+async function listBillingCatalogServices(options = {}) {
+  const { success, output } = await runCommand('gcloud', ['auth', 'print-access-token'], true, options);
+  if (!success || !output.trim()) {
+    return null;
+  }
+  
+  const baseUrl = options.restBaseUrl || DEFAULT_ENDPOINTS.cloudBilling;
+  const services = [];
+  let pageToken = '';
+  
+  try {
+    do {
+      const response = await requestJson({
+        url: `${baseUrl}/v1/services?pageSize=5000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`,
+        headers: { Authorization: `Bearer ${output.trim()}` }
+      });
+      if (response.status !== 200 || !response.body) {
+        return null;
+      }
+      services.push(...(response.body.services || []));
+      pageToken = response.body.nextPageToken;
+    } while (pageToken);
+  } catch (error) {
+    if (options.debug) {
+      console.error('Failed to read the Cloud Billing catalog:', error.message);
+    }
+    return null;
+  }
+  
+  return services;
+}
+
+/**
+ * Create a budget with alerts for the project on its billing account, scoped
+ * to the project and, when they can be found in the billing catalog, to the
+ * selected Maps Platform APIs. Each --budget-email address gets a Cloud
+ * Monitoring email channel; the billing account's administrators are always
+ * alerted.
+ * @param {string} projectId Project ID
+ * @param {string} billingAccount Billing account ID
+ * @param {Object} options Command line options (`budget`, `alertThresholds`, `budgetEmail`)
+ * @returns {Promise<Object|null>} Budget record for the state, or null if the budget was not created
+ */
+async function createBudget(projectId, billingAccount, options = {}) {
+  logProgress(options, chalk.blue(`Creating a budget of ${options.budget} for ${projectId}...`));
+  
+  const thresholds = options.alertThresholds
+    ? parseAlertThresholds(options.alertThresholds).thresholds
+    : DEFAULT_ALERT_THRESHOLDS;
+  const emails = [].concat(options.budgetEmail || []);
+  
+  // Only services this run turned on are disabled again by destroy
+  const required = [BUDGETS_SERVICE].concat(emails.length > 0 ? [MONITORING_SERVICE] : []);
+  const enabledServices = await getEnabledServices(projectId, options);
+  const servicesEnabled = required.filter(service => !(enabledServices || []).includes(service));
+  if (servicesEnabled.length > 0 && !await enableServices(projectId, servicesEnabled, options)) {
+    return null;
+  }
+  
+  // A budget without a service filter covers the whole project, which is the safer fallback
+  let services = [];
+  if (!options.dryRun) {
+    const catalog = await listBillingCatalogServices(options);
+    const match = catalog && matchBillingServices(catalog, getBillingNames(options.apis));
+    if (match && match.missing.length === 0) {
+      services = match.services;
+    } else {
+      logProgress(options, chalk.yellow(match
+        ? `${match.missing.join(', ')} not found in the billing catalog; the budget covers every service of the project`
+        : 'Could not read the billing catalog; the budget covers every service of the project'));
+    }
+  }
+  
+  const channels = [];
+  const removeChannels = async () => {
+    for (const channel of channels) {
+      await runCommand('gcloud', ['beta', 'monitoring', 'channels', 'delete', channel, '--force', '--quiet'], true, options);
+    }
+  };
+  
+  for (const email of emails) {
+    const { success, output } = await runCommand(
+      'gcloud',
+      [
+        'beta', 'monitoring', 'channels', 'create',
+        `--display-name=Places budget alerts (${email})`,
+        '--type=email',
+        `--channel-labels=email_address=${email}`,
+        `--project=${projectId}`,
+        '--format=json'
+      ],
+      false,
+      options
+    );
+    if (!success) {
+      console.error(chalk.red(`Failed to create an alert channel for ${email}`));
+      console.error(output);
+      await removeChannels();
       return null;
     }
+    try {
+      channels.push(JSON.parse(output).name);
+    } catch (error) {
+      // Dry runs have no output; the channel name is only known after the fact
+      channels.push(`projects/${projectId}/notificationChannels/CHANNEL_ID`);
+    }
+  }
+  
+  const { success, output } = await runCommand(
+    'gcloud',
+    buildBudgetArgs({ billingAccount, projectId, amount: options.budget, thresholds, services, channels }),
+    false,
+    options
+  );
+  
+  if (!success) {
+    console.error(chalk.red('Failed to create the budget'));
+    console.error(output);
+    if (/PERMISSION_DENIED/.test(output)) {
+      console.error(chalk.yellow(`Creating budgets needs the Billing Account Administrator or Billing Account Costs Manager role (roles/billing.costsManager) on billing account ${billingAccount}.`));
+      console.error(chalk.yellow(`Ask an administrator of the account to grant it, or create the budget at https://console.cloud.google.com/billing/${billingAccount}/budgets`));
+    }
+    await removeChannels();
+    return null;
+  }
+  
+  let name = `billingAccounts/${billingAccount}/budgets/BUDGET_ID`;
+  try {
+    name = JSON.parse(output).name;
+  } catch (error) {
+    // Dry runs have no output; the budget name is only known after the fact
+  }
+  
+  logProgress(options, chalk.green(`Budget ${name} alerts at ${thresholds.map(percent => `${percent}%`).join(', ')}`));
+  return { name, billingAccount, amount: options.budget, thresholds, services, channels, servicesEnabled };
+}
+
+/**
+ * Remove a budget created by `createBudget`, with its alert channels and the
+ * services that were enabled for it
+ * @param {string} projectId Project ID
+ * @param {Object} budget Budget record from the state
+ * @param {Object} options Command line options
+ * @returns {Promise<boolean>} Whether everything was removed
+ */
+async function deleteBudget(projectId, budget, options = {}) {
+  logProgress(options, chalk.blue(`Deleting budget ${budget.name}...`));
+  
+  const commands = [['billing', 'budgets', 'delete', budget.name, '--quiet']]
+    .concat(budget.channels.map(channel => ['beta', 'monitoring', 'channels', 'delete', channel, '--force', '--quiet']));
+  
+  for (const args of commands) {
+    const { success, output } = await runCommand('gcloud', args, false, options);
+    if (!success) {
+      console.error(chalk.red(`Failed to delete ${args[args.length - 2]}`));
+      console.error(output);
+      return false;
+    }
+  }
+  
+  if (budget.servicesEnabled.length > 0) {
+    return disableServices(projectId, budget.servicesEnabled, options);
+  }
+  return true;
+}
+
+/**
+ * Write the API key to the file given with --output and report the result.
+ * A failed write is reported but does not undo the setup.
+ * @param {string} apiKey API key
+ * @param {Object} options Command line options (`output`, `format`, `varName`)
+ * @returns {string|null} Path of the written file, or null if nothing was written
+ */
+function saveKeyToFile(apiKey, options = {}) {
+  if (!options.output) {
+    return null;
+  }
+  
+  if (options.dryRun) {
+    logProgress(options, chalk.blue(`The API key would be written to ${options.output}`));
+    return null;
+  }
+  
+  const result = writeKeyFile(apiKey, options);
+  if (!result.success) {
+    console.error(chalk.red(result.error));
+    return null;
+  }
+  
+  logProgress(options, chalk.green(`API key ${result.created ? 'written to' : 'merged into'} ${result.path} (${result.format})`));
+  if (result.gitIgnored === false) {
+    logProgress(options, chalk.yellow(`WARNING: ${result.path} is not ignored by git. Add it to .gitignore so the key is never committed.`));
+  }
+  return result.path;
+}
+
+/**
+ * Get the rotations whose old key has not been deleted yet
+ * @param {Object} state State record
+ * @returns {Object[]} Rotation records
+ */
+function getPendingRotations(state) {
+  return (state.rotations || []).filter(rotation => !rotation.oldKeyDeletedAt);
+}
+
+/**
+ * Delete the keys replaced by earlier rotations once their grace period is
+ * over, or all of them with `options.finalize`
+ * @param {Object} state State record
+ * @param {Object} options Command line options
+ * @returns {Promise<{deleted: string[], errors: string[]}>} Deleted key IDs and failures
+ */
+async function deleteRetiredKeys(state, options = {}) {
+  const now = new Date().toISOString();
+  const deleted = [];
+  const errors = [];
+  
+  for (const rotation of getPendingRotations(state)) {
+    if (!options.finalize && rotation.deleteAfter > now) {
+      continue;
+    }
+    
+    if (await deleteApiKey(state.projectId, rotation.oldKeyId, options)) {
+      rotation.oldKeyDeletedAt = now;
+      deleted.push(rotation.oldKeyId);
+    } else {
+      errors.push(`Failed to delete API key ${rotation.oldKeyId}`);
+    }
+  }
+  
+  if (deleted.length > 0 && !options.dryRun) {
+    saveState(state, options);
+  }
+  
+  return { deleted, errors };
+}
+
+/**
+ * Replace a project's API key with a new one that has the same restrictions.
+ * The old key keeps working for a grace period (`options.graceDays`, 7 by
+ * default) and is deleted by the first rotate run after that, or right away
+ * with `options.finalize`. Each rotation is recorded in the project's state.
+ * @param {Object} options Command line options (`projectId`, `graceDays`, `finalize`)
+ * @returns {Promise<{success: boolean, apiKey?: string, keyId?: string, replacedKeyId?: string, error?: string}>}
+ */
+async function rotate(options = {}) {
+  const { projectId } = options;
+  
+  const state = loadState(projectId, options);
+  if (!state || !isStepComplete(state, 'keyCreated')) {
+    return { success: false, error: `No API key created by this tool was found for project ${projectId}` };
+  }
+  if (state.steps.keyCreated.isMock) {
+    return { success: false, error: 'Mock API keys cannot be rotated', projectId };
+  }
+  state.rotations = state.rotations || [];
+  
+  const outputError = validateOutputOptions(options) || validateSecretOptions({ resume: true, ...options }) ||
+    (options.graceDays !== undefined ? validateNonNegativeNumber(options.graceDays, '--grace-days', true) : null);
+  if (outputError) {
+    return { success: false, error: outputError };
+  }
+  
+  const runnerError = prepareRunner(options);
+  if (runnerError) {
+    return { success: false, error: runnerError };
+  }
+  
+  if (options.finalize) {
+    const { deleted, errors } = await deleteRetiredKeys(state, options);
+    if (options.dryRun) {
+      printPlan(options.runner.entries, options);
+    } else if (deleted.length > 0) {
+      logProgress(options, chalk.green(`Deleted rotated-out API keys: ${deleted.join(', ')}`));
+    } else if (errors.length === 0) {
+      logProgress(options, chalk.blue('No rotated-out API keys are waiting to be deleted'));
+    }
+    return errors.length === 0
+      ? { success: true, deleted, projectId }
+      : { success: false, error: errors.join('; '), deleted, projectId };
+  }
+  
+  const oldKeyId = state.steps.keyCreated.keyId;
+  const oldKey = await describeApiKey(projectId, oldKeyId, options);
+  if (!oldKey && !options.dryRun) {
+    return { success: false, error: `Failed to read API key ${oldKeyId}`, projectId };
+  }
+  
+  const rotatedAt = new Date();
+  const newKey = await createApiKey(projectId, {
+    ...options,
+    keyDisplayName: `places-api-key-${rotatedAt.toISOString().replace(/\D/g, '').slice(0, 14)}`,
+    keyRestrictions: (oldKey && oldKey.restrictions) || {}
+  });
+  if (!newKey) {
+    return { success: false, error: 'Failed to create the new API key', projectId };
+  }
+  
+  const graceDays = options.graceDays !== undefined ? Number(options.graceDays) : 7;
+  const deleteAfter = new Date(rotatedAt.getTime() + graceDays * 24 * 60 * 60 * 1000).toISOString();
+  state.rotations.push({
+    oldKeyId,
+    newKeyId: newKey.keyId,
+    rotatedAt: rotatedAt.toISOString(),
+    deleteAfter
+  });
+  state.steps.keyCreated = { keyId: newKey.keyId, isMock: false, completedAt: rotatedAt.toISOString() };
+  if (!options.dryRun) {
+    saveState(state, options);
+  }
+  
+  // Secrets that held the old key get the new one as their latest version
+  const secretId = options.storeSecret || state.secretName;
+  let secret = null;
+  if (secretId) {
+    const stored = await storeKeyInSecretManager(projectId, secretId, newKey.apiKey, options);
+    if (!stored) {
+      return {
+        success: false,
+        error: `New API key ${newKey.keyId} was created but could not be stored in secret ${secretId}`,
+        projectId
+      };
+    }
+    secret = recordSecret(state, stored, newKey.keyId);
+    if (!options.dryRun) {
+      saveState(state, options);
+    }
+  }
+  
+  // Also removes the old key right away when the grace period is zero
+  const { errors } = await deleteRetiredKeys(state, options);
+  const outputFile = saveKeyToFile(newKey.apiKey, options);
+  
+  if (options.dryRun) {
+    printPlan(options.runner.entries, options);
+    return { success: true, dryRun: true, plan: options.runner.entries, projectId };
+  }
+  
+  logProgress(options, chalk.green(`API key ${oldKeyId} was replaced by ${newKey.keyId}`));
+  if (getPendingRotations(state).some(rotation => rotation.oldKeyId === oldKeyId)) {
+    logProgress(options, chalk.yellow(`The old key keeps working until ${deleteAfter}.`));
+    logProgress(options, chalk.yellow(`Delete it sooner with: places-setup rotate --project-id ${projectId} --finalize`));
+  }
+  errors.forEach(error => console.error(chalk.red(error)));
+  
+  return {
+    success: true,
+    ...(secret ? { secret: secret.name, secretVersion: secret.versions[secret.versions.length - 1] } : { apiKey: newKey.apiKey }),
+    keyId: newKey.keyId,
+    replacedKeyId: oldKeyId,
+    deleteAfter,
+    outputFile,
+    projectId
+  };
+}
+
+/**
+ * Describe what tearing down a recorded setup would remove
+ * @param {Object} state State record
+ * @param {Object} options Command line options
+ * @returns {string[]} One line per resource
+ */
+function describeTeardown(state, options = {}) {
+  const { steps } = state;
+  const lines = [];
+  
+  if (state.secret && !state.secret.mock) {
+    lines.push(state.secret.created
+      ? `Delete secret ${state.secret.name}`
+      : `Destroy ${state.secret.versions.join(', ')}`);
+  }
+  if (steps.keyCreated && !steps.keyCreated.isMock) {
+    lines.push(`Delete API key ${steps.keyCreated.keyId}`);
+  }
+  (state.keys || []).filter(key => !key.isMock).forEach(key => {
+    lines.push(`Delete API key ${key.keyId}`);
+  });
+  getPendingRotations(state).forEach(rotation => {
+    lines.push(`Delete rotated-out API key ${rotation.oldKeyId}`);
+  });
+  if (state.budget) {
+    lines.push(`Delete budget ${state.budget.name}`);
+    state.budget.channels.forEach(channel => lines.push(`Delete alert channel ${channel}`));
+  }
+  if (steps.apisEnabled && (steps.apisEnabled.services || []).length > 0) {
+    lines.push(`Disable ${steps.apisEnabled.services.join(', ')}`);
+  }
+  if (steps.projectCreated && !steps.projectCreated.existing && options.deleteProject) {
+    lines.push(`Delete project ${state.projectId}`);
+  }
+  
+  return lines;
+}
+
+/**
+ * Undo the steps recorded in a state file, newest first. Only what the tool
+ * created is removed: existing projects are never deleted, services that were
+ * already enabled stay enabled, secrets that already existed only lose the
+ * versions the tool added, and mock keys are revoked in the mock registry. Steps that
+ * are undone are dropped from the state file, which is removed once empty.
+ * @param {Object} state State record
+ * @param {Object} options Command line options (`deleteProject` also deletes a created project)
+ * @returns {Promise<{success: boolean, removed: string[], errors: string[]}>}
+ */
+async function teardownSetup(state, options = {}) {
+  const { projectId, steps } = state;
+  const removed = [];
+  const errors = [];
+  
+  const forget = (...names) => {
+    names.forEach(name => {
+      delete state.steps[name];
+      removed.push(name);
+    });
+    if (!options.dryRun) {
+      saveState(state, options);
+    }
+  };
+  
+  if (state.secret) {
+    if (await deleteStoredSecret(projectId, state.secret, options)) {
+      delete state.secret;
+      removed.push('secret');
+      if (!options.dryRun) {
+        saveState(state, options);
+      }
+    } else {
+      errors.push(`Failed to remove secret ${state.secret.secretId}`);
+    }
+  }
+  
+  for (const rotation of getPendingRotations(state)) {
+    if (await deleteApiKey(projectId, rotation.oldKeyId, options)) {
+      rotation.oldKeyDeletedAt = new Date().toISOString();
+    } else {
+      errors.push(`Failed to delete API key ${rotation.oldKeyId}`);
+    }
+  }
+  
+  // Further keys created by apply
+  if (state.keys) {
+    const kept = [];
+    for (const key of state.keys) {
+      if (key.isMock && !options.dryRun) {
+        revokeMockKeys(key.keyId, options);
+      }
+      if (!key.isMock && !await deleteApiKey(projectId, key.keyId, options)) {
+        kept.push(key);
+        errors.push(`Failed to delete API key ${key.keyId}`);
+      }
+    }
+    if (kept.length < state.keys.length) {
+      state.keys = kept;
+      removed.push('keys');
+      if (!options.dryRun) {
+        saveState(state, options);
+      }
+    }
+  }
+  
+  if (steps.keyCreated) {
+    const { keyId, isMock } = steps.keyCreated;
+    if (isMock && !options.dryRun) {
+      revokeMockKeys(keyId, options);
+    }
+    if (isMock || await deleteApiKey(projectId, keyId, options)) {
+      forget('keyRestricted', 'keyCreated');
+    } else {
+      errors.push(`Failed to delete API key ${keyId}`);
+    }
+  } else if (steps.keyRestricted) {
+    forget('keyRestricted');
+  }
+  
+  if (state.budget) {
+    if (await deleteBudget(projectId, state.budget, options)) {
+      delete state.budget;
+      removed.push('budget');
+      if (!options.dryRun) {
+        saveState(state, options);
+      }
+    } else {
+      errors.push(`Failed to delete budget ${state.budget.name}`);
+    }
+  }
+  
+  if (steps.apisEnabled) {
+    const services = steps.apisEnabled.services || [];
+    if (services.length === 0 || await disableServices(projectId, services, options)) {
+      forget('apisEnabled');
+    } else {
+      errors.push(`Failed to disable ${services.join(', ')}`);
+    }
+  }
+  
+  // Billing is linked in the console and the current project is local config
+  ['billingConfirmed', 'projectSet'].filter(name => steps[name]).forEach(name => forget(name));
+  
+  // A created project is kept unless asked for, so a later destroy can still delete it
+  if (steps.projectCreated && (steps.projectCreated.existing || options.deleteProject)) {
+    if (steps.projectCreated.existing || await deleteProject(projectId, options)) {
+      forget('projectCreated');
+    } else {
+      errors.push(`Failed to delete project ${projectId}`);
+    }
+  }
+  
+  if (Object.keys(state.steps).length === 0 && getPendingRotations(state).length === 0 && !state.secret && !state.budget && (state.keys || []).length === 0 && !options.dryRun) {
+    deleteState(projectId, options);
+  }
+  
+  return { success: errors.length === 0, removed, errors };
+}
+
+/**
+ * Show or change the request quota caps of a project's Maps Platform
+ * services. Without --daily-quota or --per-minute-quota the current limits
+ * are listed.
+ * @param {Object} options Command line options (`projectId`, `dailyQuota`, `perMinuteQuota`, `apis`)
+ * @returns {Promise<{success: boolean, quotas?: Array<Object>, error?: string}>}
+ */
+async function quota(options = {}) {
+  const { projectId } = options;
+  
+  const quotaError = validateQuotaOptions(options);
+  if (quotaError) {
+    return { success: false, error: quotaError };
+  }
+  
+  const runnerError = prepareRunner(options);
+  if (runnerError) {
+    return { success: false, error: runnerError };
+  }
+  
+  let services;
+  if (options.apis) {
+    const { apis, error } = parseApiSelection(options.apis);
+    if (error) {
+      return { success: false, error };
+    }
+    services = getServicesForApis(apis);
+  } else {
+    const enabledServices = await getEnabledServices(projectId, options) || [];
+    services = getServicesForApis(SERVICE_CATALOG.filter(entry => entry.id !== 'places').map(entry => entry.id))
+      .filter(service => enabledServices.includes(service));
+    if (services.length === 0) {
+      return { success: false, error: `No Maps Platform services are enabled on ${projectId}; choose them with --apis`, projectId };
+    }
+  }
+  
+  const caps = getQuotaCaps(options);
+  if (Object.keys(caps).length === 0) {
+    const quotas = [];
+    for (const service of services) {
+      const metrics = await listQuotaMetrics(projectId, service, options);
+      if (!metrics) {
+        return { success: false, error: `Failed to list the quotas of ${service}`, projectId };
+      }
+      selectQuotaLimits(service, metrics, { dailyQuota: null, perMinuteQuota: null }).forEach(limit => {
+        quotas.push({ service, metric: limit.metric, unit: limit.unit, value: limit.current });
+      });
+    }
+    formatQuotaLimits(quotas).forEach(line => logProgress(options, line));
+    return { success: true, quotas, projectId };
+  }
+  
+  const quotas = await applyQuotaCaps(projectId, services, caps, options);
+  if (!quotas) {
+    return { success: false, error: 'Failed to apply the quota caps', projectId };
+  }
+  
+  if (options.dryRun) {
+    printPlan(options.runner.entries, options);
+    return { success: true, dryRun: true, quotas, projectId };
+  }
+  
+  logProgress(options, chalk.green('Quota caps:'));
+  formatQuotaLimits(quotas).forEach(line => logProgress(options, chalk.white(`  ${line}`)));
+  
+  // Keep the recorded caps in step with the project
+  const state = loadState(projectId, options);
+  if (state) {
+    const changed = limit => quotas.some(applied => applied.metric === limit.metric && applied.unit === limit.unit);
+    state.quotas = (state.quotas || []).filter(limit => !changed(limit)).concat(quotas);
+    saveState(state, options);
+  }
+  
+  return { success: true, quotas, projectId };
+}
+
+/**
+ * Remove what an earlier setup created for a project
+ * @param {Object} options Command line options (`projectId`, `deleteProject`, `yes`)
+ * @returns {Promise<{success: boolean, removed?: string[], error?: string}>}
+ */
+async function destroy(options = {}) {
+  const { projectId } = options;
+  
+  const state = loadState(projectId, options);
+  if (!state) {
+    return {
+      success: false,
+      error: `No setup state found for project ${projectId}; destroy only removes what this tool created`
+    };
+  }
+  
+  const runnerError = prepareRunner(options);
+  if (runnerError) {
+    return { success: false, error: runnerError };
+  }
+  
+  const actions = describeTeardown(state, options);
+  logProgress(options, chalk.blue(`=== Tearing down the setup of ${projectId} ===`));
+  if (actions.length > 0) {
+    actions.forEach(action => logProgress(options, chalk.yellow(`  - ${action}`)));
+  } else {
+    logProgress(options, chalk.yellow('  Nothing to remove in Google Cloud; only the progress record will be deleted'));
+  }
+  if (state.steps.projectCreated && !state.steps.projectCreated.existing && !options.deleteProject) {
+    logProgress(options, chalk.blue('The project itself is kept. Add --delete-project to delete it too.'));
+  }
+  
+  if (!options.yes && !options.dryRun) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Remove these resources?',
+        default: false
+      }
+    ]);
+    
+    if (!confirmed) {
+      return { success: false, error: 'Destroy cancelled', projectId };
+    }
+  }
+  
+  const result = await teardownSetup(state, options);
+  
+  if (options.dryRun) {
+    printPlan(options.runner.entries, options);
+    return { success: true, dryRun: true, plan: options.runner.entries, projectId };
+  }
+  
+  if (!result.success) {
+    return { success: false, error: result.errors.join('; '), removed: result.removed, projectId };
+  }
+  
+  logProgress(options, chalk.green(`Setup of ${projectId} removed.`));
+  return { success: true, removed: result.removed, projectId };
+}
+
+/**
+ * Read what a project has now, in the shape `diffProject` compares against
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Promise<Object|null>} Current project setup, or null if it could not be read
+ */
+async function inspectProject(projectId, options = {}) {
+  if (!await describeProject(projectId, options)) {
+    return { exists: false, billingAccount: null, services: [], keys: [] };
+  }
+  
+  const billing = await getBillingInfo(projectId, options);
+  const services = await getEnabledServices(projectId, options);
+  const keys = await listApiKeys(projectId, options);
+  if (!billing || !services || !keys) {
+    return null;
+  }
+  
+  // Display names are not unique, so the newest key with a name wins
+  const newestFirst = [...keys].sort((a, b) => (b.createTime || '').localeCompare(a.createTime || ''));
+  return {
+    exists: true,
+    billingAccount: billing.billingAccount,
+    services,
+    keys: newestFirst.map(key => ({
+      keyId: key.uid || key.name.split('/').pop(),
+      name: key.displayName,
+      restrictions: key.restrictions || {}
+    }))
+  };
+}
+
+/**
+ * Carry out one change worked out by `diffProject`
+ * @param {Object} change Change
+ * @param {Object} options Command line options
+ * @returns {Promise<Object|boolean>} The created key for `createKey`, otherwise whether the change succeeded
+ */
+async function applyChange(change, options = {}) {
+  const { projectId } = change;
+  
+  switch (change.type) {
+    case 'createProject':
+      return (await createProject(projectId, change.name, { ...options, organization: change.organization })).success;
+    case 'linkBilling':
+      return linkBillingAccount(projectId, change.billingAccount, options);
+    case 'enableServices':
+      return enableServices(projectId, change.services, options);
+    case 'createKey':
+      return createApiKey(projectId, {
+        ...options,
+        keyDisplayName: change.key.name,
+        keyRestrictions: change.key.restrictions
+      });
+    case 'updateKey':
+      return updateApiKeyRestrictions(projectId, change.keyId, change.key.restrictions, options);
+    default:
+      throw new Error(`Unknown change: ${change.type}`);
+  }
+}
+
+/**
+ * Record a change made by `apply` in the project's state file, in the same
+ * steps `run()` records, so `destroy` can remove it. Keys after the first one
+ * are kept in `state.keys`.
+ * @param {Object} change Change carried out
+ * @param {Object|boolean} result Result of `applyChange`
+ * @param {string} file Config file the change came from
+ * @param {Object} options Command line options
+ * @returns {Object} The updated state record
+ */
+function recordAppliedChange(change, result, file, options = {}) {
+  const { projectId } = change;
+  const state = loadState(projectId, options) || { ...createState(projectId, change.name || projectId, options), appliedFrom: file };
+  
+  switch (change.type) {
+    case 'createProject':
+      markStepComplete(state, 'projectCreated', {}, options);
+      break;
+    case 'linkBilling':
+      markStepComplete(state, 'billingConfirmed', { billingAccount: change.billingAccount }, options);
+      break;
+    case 'enableServices': {
+      const recorded = isStepComplete(state, 'apisEnabled') ? state.steps.apisEnabled.services || [] : [];
+      markStepComplete(state, 'apisEnabled', { services: [...new Set([...recorded, ...change.services])] }, options);
+      break;
+    }
+    case 'createKey': {
+      const key = {
+        keyId: result.keyId,
+        isMock: Boolean(result.isMock),
+        ...(result.isMock ? { apiKey: result.apiKey } : {}),
+        name: change.key.name,
+        restrictions: change.key.restrictions
+      };
+      if (isStepComplete(state, 'keyCreated')) {
+        state.keys = [...(state.keys || []), key];
+        saveState(state, options);
+      } else {
+        markStepComplete(state, 'keyCreated', key, options);
+        markStepComplete(state, 'keyRestricted', {}, options);
+      }
+      break;
+    }
+    default:
+      // Restriction updates change an existing key, so there is nothing to undo
+      break;
+  }
+  
+  return state;
+}
+
+/**
+ * Make Google Cloud match a config file (see `loadConfig`). The changes are
+ * printed first and need confirming unless `options.yes` is set; with
+ * `options.dryRun` nothing is changed. Running it again once everything
+ * matches changes nothing.
+ * @param {Object} options Command line options (`config` is the file, found in the working directory by default)
+ * @returns {Promise<{success: boolean, changes?: Object[], keys?: Object[], error?: string}>}
+ */
+async function apply(options = {}) {
+  const file = options.config || findConfigFile();
+  if (!file) {
+    return { success: false, error: `No ${CONFIG_FILE_NAMES.join(' or ')} found; pass --config <file>` };
+  }
+  
+  const { projects, error } = loadConfig(file);
+  if (error) {
+    return { success: false, error };
+  }
+  
+  // The changes are worked out from the live projects, even for a dry run
+  const liveOptions = { ...options, dryRun: false };
+  const runnerError = prepareRunner(liveOptions);
+  if (runnerError) {
+    return { success: false, error: runnerError };
+  }
+  
+  if (!await authenticateGcloud(liveOptions)) {
+    return { success: false, error: 'Authentication failed' };
+  }
+  
+  logProgress(options, chalk.blue(`=== Comparing ${file} with Google Cloud ===`));
+  const changes = [];
+  for (const project of projects) {
+    const current = await inspectProject(project.projectId, liveOptions);
+    if (!current) {
+      return { success: false, error: `Failed to read the current setup of ${project.projectId}` };
+    }
+    changes.push(...diffProject(project, current));
+  }
+  
+  if (changes.length === 0) {
+    logProgress(options, chalk.green('Everything already matches the config file.'));
+    return { success: true, changes, keys: [] };
+  }
+  
+  changes.forEach(change => {
+    const color = change.sign === '+' ? chalk.green : chalk.yellow;
+    logProgress(options, color(`${change.sign} ${change.summary}`));
+    change.details.forEach(detail => logProgress(options, `    ${detail}`));
+  });
+  
+  if (options.dryRun) {
+    return { success: true, dryRun: true, changes };
+  }
+  
+  if (!options.yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Apply these ${changes.length} changes?`,
+        default: false
+      }
+    ]);
     
-    // Handle non-JSON output during tests
-    let keyData = {};
-    let apiKey = '';
+    if (!confirmed) {
+      return { success: false, error: 'Apply cancelled', changes };
+    }
+  }
+  
+  const keys = [];
+  const errors = [];
+  const failedProjects = new Set();
+  for (const change of changes) {
+    // Later changes of a project depend on the earlier ones
+    if (failedProjects.has(change.projectId)) {
+      continue;
+    }
     
-    if (keyOutput.trim().startsWith('{')) {
-      keyData = JSON.parse(keyOutput);
-      apiKey = keyData.keyString;
-    } else if (process.env.NODE_ENV === 'test') {
-      // For tests, mock an API key
-      apiKey = 'API_KEY_123';
-    } else {
-      console.error(chalk.red('Invalid JSON output from get-key-string'));
-      return null;
+    const result = await applyChange(change, liveOptions);
+    if (!result) {
+      errors.push(`Failed to ${change.summary}`);
+      failedProjects.add(change.projectId);
+      continue;
     }
     
-    if (!apiKey) {
-      console.error(chalk.red('Could not extract API key string'));
-      return null;
+    recordAppliedChange(change, result, file, options);
+    if (change.type === 'createKey') {
+      keys.push({ projectId: change.projectId, name: change.key.name, keyId: result.keyId, apiKey: result.apiKey });
     }
+  }
+  
+  keys.forEach(key => {
+    logProgress(options, chalk.white.bold(`API key ${key.name} (${key.projectId}): ${key.apiKey}`));
+  });
+  
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('; '), changes, keys };
+  }
+  
+  logProgress(options, chalk.green(`Applied ${changes.length} changes.`));
+  return { success: true, changes, keys };
+}
+
+/**
+ * Run the setup process with a single command. Failures carry an error
+ * `code` and, when a setup step failed, its `step`; `steps` holds the status
+ * of every step afterwards (see `getStepStatuses`).
+ * @param {Object} options Command line options
+ * @returns {Promise<{success: boolean, apiKey?: string, steps: Object<string, string>, error?: string, code?: string}>}
+ */
+async function run(options = {}) {
+  const startedAt = new Date().toISOString();
+  let result = await runSetup(options);
+  
+  // Undo what this run completed instead of leaving it to --resume
+  // A key that fails the smoke test is still a finished setup, so it is never rolled back
+  if (!result.success && options.rollbackOnFailure && result.projectId && !options.dryRun && result.code !== 'KEY_VERIFY_FAILED') {
+    const state = loadState(result.projectId, options);
     
-    console.log(chalk.green('API key created successfully!'));
-    return { apiKey, keyId };
-  } catch (error) {
-    console.error(chalk.red(`Error processing API key: ${error.message}`));
-    return null;
+    if (state) {
+      logProgress(options, chalk.yellow(`Rolling back the setup of ${result.projectId}...`));
+      const rollback = await teardownSetup(state, { ...options, deleteProject: true });
+      
+      if (!rollback.success) {
+        console.error(chalk.red(`Rollback was incomplete: ${rollback.errors.join('; ')}`));
+      }
+      result = { ...result, rolledBack: rollback.success, rollbackErrors: rollback.errors };
+    }
   }
+  
+  const state = result.projectId && !options.dryRun ? loadState(result.projectId, options) : null;
+  return { ...result, steps: getStepStatuses(state, startedAt, result.step) };
 }
 
 /**
- * Restrict the API key to only Places API
- * @param {string} projectId Project ID
- * @param {string} keyId Key ID
+ * Get the options for one environment of `--environments`: the command line
+ * options, overridden by the environment's settings. `{env}` in --output and
+ * --store-secret is replaced by the environment name.
+ * @param {string} environment Environment name
+ * @param {Object} settings The environment's settings from the config file
  * @param {Object} options Command line options
- * @returns {Promise<boolean>} Whether restriction was successful
+ * @returns {Object} Options for `run()`
  */
-async function restrictApiKey(projectId, keyId, options = {}) {
-  console.log(chalk.blue('Adding restrictions to API key...'));
+function getEnvironmentOptions(environment, settings, options) {
+  const envOptions = {
+    ...options,
+    projectName: options.projectName || `Places API ${environment}`,
+    idTemplate: options.idTemplate || DEFAULT_ENV_ID_TEMPLATE,
+    keyDisplayName: `places-api-key-${environment}`,
+    ...settings,
+    env: environment,
+    environments: undefined
+  };
+  
+  ['output', 'storeSecret'].filter(name => envOptions[name]).forEach(name => {
+    envOptions[name] = String(envOptions[name]).replace(/\{env\}/g, environment);
+  });
+  
+  return envOptions;
+}
+
+/**
+ * Run the setup once per environment of `options.environments` (e.g.
+ * `dev,staging,prod`), each with its own project and key, and print a
+ * summary table. Settings per environment come from the `environments`
+ * section of the config file. A failed environment does not stop the others.
+ * @param {Object} options Command line options (`environments`, `config`)
+ * @returns {Promise<{success: boolean, environments?: Object[], error?: string}>}
+ */
+async function runEnvironments(options = {}) {
+  const environments = [...new Set([].concat(options.environments)
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean))];
+  
+  const invalid = environments.find(environment => !/^[a-z][a-z0-9-]{0,19}$/.test(environment));
+  if (environments.length === 0 || invalid) {
+    return {
+      success: false,
+      error: `Environment names must be lowercase letters, digits and hyphens (got "${invalid || ''}")`
+    };
+  }
   
-  // Skip for mock mode
-  if (options.mockBilling || options.noBilling) {
-    console.log(chalk.yellow('Skipping API key restrictions for mock key.'));
-    return true;
+  const file = options.config || findConfigFile();
+  if (options.config && !fs.existsSync(options.config)) {
+    return { success: false, error: `Config file ${options.config} not found` };
+  }
+  const { environments: settings = {}, error } = file ? loadEnvironmentSettings(file) : {};
+  if (error) {
+    return { success: false, error };
   }
   
-  const { success, output } = await executeCommand(
-    `gcloud alpha services api-keys update ${keyId} `
-    + `--api-target=service=places-backend.googleapis.com `
-    + `--api-target=service=places.googleapis.com `
-    + `--project=${projectId}`
-  );
+  const envOptions = environments.map(environment => getEnvironmentOptions(environment, settings[environment] || {}, options));
+  
+  // Environments must not overwrite each other's project, file or secret
+  for (const name of ['projectId', 'output', 'storeSecret']) {
+    const values = envOptions.map(env => env[name]).filter(Boolean);
+    const shared = values.find((value, index) => values.indexOf(value) !== index);
+    if (shared) {
+      return {
+        success: false,
+        error: `More than one environment uses ${name} "${shared}"; set it per environment or use {env} in it`
+      };
+    }
+  }
   
-  if (!success) {
-    console.error(chalk.red('Failed to add restrictions to API key'));
-    console.error(output);
-    return false;
+  const results = [];
+  for (const [index, environment] of environments.entries()) {
+    logProgress(options, '\n' + chalk.blue.bold(`##### Environment: ${environment} #####`));
+    const result = await run(envOptions[index]);
+    results.push({ environment, ...result });
   }
   
-  console.log(chalk.green('API key restrictions added successfully!'));
-  return true;
+  logProgress(options, '\n' + chalk.green.bold('=== Environments ==='));
+  formatEnvironmentSummary(results).forEach(line => logProgress(options, line));
+  
+  const failed = results.filter(result => !result.success).map(result => result.environment);
+  return failed.length === 0
+    ? { success: true, environments: results }
+    : { success: false, error: `Setup failed for ${failed.join(', ')}`, environments: results };
 }
 
 /**
- * Run the setup process with a single command
+ * Perform the setup steps, recording each one in the project's state file
  * @param {Object} options Command line options
  * @returns {Promise<{success: boolean, apiKey?: string, error?: string}>}
  */
-async function run(options = {}) {
+async function runSetup(options = {}) {
   // Create a progress spinner for the overall process
-  const spinner = ora('Setting up Google Places API...').start();
+  const spinner = startSpinner('Setting up Google Places API...', options);
   spinner.info('Starting Google Places API Setup');
   
-  console.log(chalk.blue('=== Google Places API Setup ==='));
+  logProgress(options, chalk.blue('=== Google Places API Setup ==='));
+  
+  // In dry-run mode every command and URL is collected into a plan instead
+  const runnerError = prepareRunner(options);
+  if (runnerError) {
+    spinner.fail(runnerError);
+    return { success: false, error: runnerError, code: 'INVALID_BACKEND' };
+  }
+  
+  // Reject malformed key restrictions before anything is created
+  const restrictionResult = buildApplicationRestrictions(options);
+  if (restrictionResult.error) {
+    spinner.fail('Invalid API key restrictions');
+    return { success: false, error: restrictionResult.error, code: 'INVALID_RESTRICTIONS' };
+  }
+  options.keyRestrictions = restrictionResult.restrictions;
+  
+  const outputError = validateOutputOptions(options);
+  if (outputError) {
+    spinner.fail('Invalid output options');
+    return { success: false, error: outputError, code: 'INVALID_OUTPUT' };
+  }
+  
+  const secretError = validateSecretOptions(options);
+  if (secretError) {
+    spinner.fail('Invalid secret options');
+    return { success: false, error: secretError, code: 'INVALID_SECRET' };
+  }
+  
+  const quotaError = validateQuotaOptions(options);
+  if (quotaError) {
+    spinner.fail('Invalid quota options');
+    return { success: false, error: quotaError, code: 'INVALID_QUOTA' };
+  }
+  
+  const budgetError = validateBudgetOptions(options);
+  if (budgetError) {
+    spinner.fail('Invalid budget options');
+    return { success: false, error: budgetError, code: 'INVALID_BUDGET' };
+  }
+  
+  const numberError = validateNumericOptions(options);
+  if (numberError) {
+    spinner.fail('Invalid options');
+    return { success: false, error: numberError, code: 'INVALID_INPUT' };
+  }
+  
+  if (options.billingAccount) {
+    options.billingAccount = String(options.billingAccount).replace(/^billingAccounts\//, '');
+    const billingError = validateBillingAccountId(options.billingAccount);
+    if (billingError) {
+      spinner.fail('Invalid billing account');
+      return { success: false, error: billingError, code: 'INVALID_BILLING_ACCOUNT' };
+    }
+  }
   
   // Check npm dependencies
   spinner.text = 'Checking npm dependencies...';
-  if (!await checkNpmDependencies()) {
+  if (!await checkNpmDependencies(options)) {
     spinner.fail('Missing npm dependencies');
-    return { success: false, error: 'Missing npm dependencies' };
+    return { success: false, error: 'Missing npm dependencies', code: 'MISSING_DEPENDENCIES' };
   }
   spinner.succeed('npm dependencies verified');
   
   // Check if gcloud is installed
   spinner.text = 'Checking for Google Cloud SDK...';
-  const gcloudStatus = await checkGcloudInstalled();
+  const gcloudStatus = options.dryRun
+    ? { installed: true, needsRestart: false }
+    : await checkGcloudInstalled(options);
   
   if (!gcloudStatus.installed) {
     spinner.fail('Google Cloud SDK installation failed');
-    return { success: false, error: 'Google Cloud SDK (gcloud) is not installed.' };
+    return { success: false, error: 'Google Cloud SDK (gcloud) is not installed.', code: 'GCLOUD_NOT_INSTALLED' };
   }
   
   if (gcloudStatus.needsRestart) {
@@ -646,28 +3030,111 @@ async function run(options = {}) {
       }
       
       // Verify if gcloud is now available
-      const { success } = await executeCommand('gcloud --version', true);
+      const { success } = await runCommand('gcloud', ['--version'], true, options);
       if (!success) {
         spinner.warn('Please restart your terminal and run this tool again to use the newly installed Google Cloud SDK.');
-        return { success: false, error: 'Please restart terminal to use Google Cloud SDK.' };
+        return { success: false, error: 'Please restart terminal to use Google Cloud SDK.', code: 'RESTART_REQUIRED' };
       }
       
       spinner.succeed('Google Cloud SDK is now available');
     } catch (error) {
       spinner.warn('Please restart your terminal and run this tool again to use the newly installed Google Cloud SDK.');
-      return { success: false, error: 'Please restart terminal to use Google Cloud SDK.' };
+      return { success: false, error: 'Please restart terminal to use Google Cloud SDK.', code: 'RESTART_REQUIRED' };
     }
   } else {
     spinner.succeed('Google Cloud SDK is installed');
   }
   
+  // Pick up a previous run from its state file if requested
+  let state = null;
+  if (options.resume) {
+    state = typeof options.resume === 'string'
+      ? loadState(options.resume, options)
+      : findLatestIncompleteState(options);
+    
+    if (!state) {
+      const target = typeof options.resume === 'string' ? ` for project ${options.resume}` : '';
+      spinner.fail(`No setup state found${target}`);
+      return { success: false, error: `No setup state found to resume${target}`, code: 'NO_STATE' };
+    }
+    
+    options.projectId = state.projectId;
+    options.projectName = state.projectName;
+    options.mockBilling = options.mockBilling || state.mode.mockBilling;
+    options.noBilling = options.noBilling || state.mode.noBilling;
+    options.useExisting = options.useExisting || Boolean(state.mode.useExisting);
+    options.apis = options.apis || state.apis;
+    options.storeSecret = options.storeSecret || state.secretName;
+    // Keep the key's application restrictions unless new ones are given
+    if (Object.keys(options.keyRestrictions).length === 0 && state.steps.keyCreated && state.steps.keyCreated.restrictions) {
+      options.keyRestrictions = state.steps.keyCreated.restrictions;
+    }
+    spinner.info(`Resuming setup of ${state.projectId} at step: ${getNextStep(state) || 'none (already complete)'}`);
+  }
+  
+  // Older SDKs manage keys with alpha commands; quota caps, including the
+  // development defaults of generated IDs, and budget emails need alpha and beta
+  const generatedId = state ? Boolean(state.mode.generatedId) : !options.projectId;
+  const plannedCaps = options.mockBilling || options.noBilling ? {} : getQuotaCaps(options, isDevProject(generatedId, options));
+  if (!await ensureGcloudComponents(options, plannedCaps)) {
+    return { success: false, error: 'Required gcloud components are not installed', code: 'GCLOUD_COMPONENTS_MISSING' };
+  }
+  
+  // Choose the Maps Platform APIs, from --apis or a checklist
+  if ((!options.apis && !options.yes) || options.apis === true) {
+    spinner.stop();
+    const { apis } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'apis',
+        message: 'Which Maps Platform APIs should the key be able to use?',
+        choices: SERVICE_CATALOG.map(entry => ({
+          name: entry.name,
+          value: entry.id,
+          checked: DEFAULT_APIS.includes(entry.id)
+        })),
+        validate: toPromptValidator(selected => parseApiSelection(selected).error || null)
+      }
+    ]);
+    options.apis = apis;
+    spinner.start();
+  }
+  
+  const apiSelection = parseApiSelection(options.apis || DEFAULT_APIS);
+  if (apiSelection.error) {
+    spinner.fail('Invalid API selection');
+    return { success: false, error: apiSelection.error, code: 'INVALID_APIS' };
+  }
+  options.apis = apiSelection.apis;
+  spinner.info(`APIs: ${getApiNames(options.apis).join(', ')}`);
+  
   // Get project details
   spinner.text = 'Gathering project information...';
   let projectId = options.projectId;
   let projectName = options.projectName;
   
+  // An existing project keeps its own name, so only its ID is needed
+  if (options.useExisting) {
+    if (!projectId) {
+      spinner.fail('No project ID given');
+      return { success: false, error: '--use-existing needs the ID of the project to use (--project-id)', code: 'MISSING_PROJECT_ID' };
+    }
+    projectName = projectName || projectId;
+  }
+  
   // Auto-generate project ID and name if not provided
-  const autoProjectId = generateProjectId();
+  // A seed makes mock project IDs repeatable
+  let generated = {};
+  if (!projectId) {
+    generated = options.mockBilling && options.seed !== undefined && !options.idTemplate
+      ? { projectId: generateMockProjectId(options) }
+      : generateValidProjectId(options);
+  }
+  if (generated.error) {
+    spinner.fail('Invalid project ID template');
+    return { success: false, error: generated.error, code: 'INVALID_PROJECT_ID' };
+  }
+  const autoProjectId = generated.projectId;
   const autoProjectName = `Places API Project ${new Date().toISOString().slice(0, 10)}`;
   
   if (!projectId || !projectName) {
@@ -675,18 +3142,18 @@ async function run(options = {}) {
     
     // Show auto-generated values
     if (!projectId) {
-      console.log(chalk.blue(`Auto-generated project ID: ${chalk.green(autoProjectId)}`));
+      logProgress(options, chalk.blue(`Auto-generated project ID: ${chalk.green(autoProjectId)}`));
     }
     
     if (!projectName) {
-      console.log(chalk.blue(`Auto-generated project name: ${chalk.green(autoProjectName)}`));
+      logProgress(options, chalk.blue(`Auto-generated project name: ${chalk.green(autoProjectName)}`));
     }
     
     // In non-interactive mode, use auto-generated values
     if (options.yes) {
       projectId = projectId || autoProjectId;
       projectName = projectName || autoProjectName;
-      console.log(chalk.blue(`Using auto-generated values due to --yes flag`));
+      logProgress(options, chalk.blue(`Using auto-generated values due to --yes flag`));
     } else {
       // In interactive mode, provide auto-generated values as defaults
       const answers = await inquirer.prompt([
@@ -696,7 +3163,7 @@ async function run(options = {}) {
           message: 'Enter your project ID (must be unique):',
           when: !projectId,
           default: autoProjectId,
-          validate: input => input && input.length > 0 ? true : 'Project ID is required',
+          validate: toPromptValidator(validateProjectId),
         },
         {
           type: 'input',
@@ -704,7 +3171,7 @@ async function run(options = {}) {
           message: 'Enter your project name:',
           when: !projectName,
           default: autoProjectName,
-          validate: input => input && input.length > 0 ? true : 'Project name is required',
+          validate: toPromptValidator(validateProjectName),
         }
       ]);
       
@@ -713,128 +3180,531 @@ async function run(options = {}) {
     }
     spinner.start('Processing project information...');
   }
+  
+  // Reject IDs and names Google Cloud would refuse before running anything
+  const validationError = validateProjectId(projectId) ||
+    (options.useExisting ? null : validateProjectName(projectName));
+  if (validationError) {
+    spinner.fail('Invalid project information');
+    return { success: false, error: validationError, code: 'INVALID_INPUT' };
+  }
   spinner.succeed(`Project information gathered: ID=${projectId}, Name=${projectName}`);
   
+  // Only generated IDs may be replaced when they turn out to be taken
+  const idGenerated = Boolean(autoProjectId) && projectId === autoProjectId;
+  
+  // Record progress so a failed run can be resumed with --resume
+  if (!state) {
+    // Never replace the record of an earlier setup; teardown and rotation depend on it.
+    // No projectId is returned, so --rollback-on-failure leaves that setup alone
+    if (loadState(projectId, options)) {
+      spinner.fail(`A setup of ${projectId} is already recorded`);
+      return {
+        success: false,
+        error: `A setup of ${projectId} is already recorded in ${getStatePath(projectId, options)}; use --resume ${projectId} to continue it, or destroy ${projectId} first`,
+        code: 'STATE_EXISTS'
+      };
+    }
+    
+    state = createState(projectId, projectName, options);
+    // Projects with a generated ID get the development quota caps
+    state.mode.generatedId = idGenerated;
+  }
+  
+  if (!options.dryRun) {
+    const statePath = saveState(state, options);
+    if (options.debug) {
+      logProgress(options, chalk.blue(`Recording setup progress in ${statePath}`));
+    }
+  }
+  
+  const recordStep = (step, data) => {
+    // A dry run tracks progress in memory only
+    if (options.dryRun) {
+      state.steps[step] = { ...data };
+      return;
+    }
+    
+    state.mode.mockBilling = Boolean(options.mockBilling);
+    state.mode.noBilling = Boolean(options.noBilling);
+    state.mode.useExisting = Boolean(options.useExisting);
+    markStepComplete(state, step, data, options);
+  };
+  
   // Authenticate with Google Cloud
   spinner.text = 'Authenticating with Google Cloud...';
   if (!await authenticateGcloud(options)) {
     spinner.fail('Authentication failed');
-    return { success: false, error: 'Authentication failed' };
+    return { success: false, error: 'Authentication failed', code: 'AUTH_FAILED', projectId };
   }
   spinner.succeed('Authentication successful');
   
+  // Check the existing project and see which Places services it already has
+  if (options.useExisting) {
+    spinner.text = `Checking project ${projectId}...`;
+    const project = await describeProject(projectId, options);
+    if (!project) {
+      spinner.fail(`Project ${projectId} was not found`);
+      return {
+        success: false,
+        error: `Project ${projectId} does not exist or you do not have access to it`,
+        code: 'PROJECT_NOT_FOUND',
+        step: 'projectCreated',
+        projectId
+      };
+    }
+    
+    // A project this tool created keeps its record, so destroy --delete-project can still remove it
+    if (!isStepComplete(state, 'projectCreated')) {
+      state.projectName = project.name || projectName;
+      // Marked as existing so it is never deleted as part of this tool's cleanup
+      recordStep('projectCreated', { existing: true });
+    }
+    spinner.succeed(`Using existing project ${projectId}`);
+    
+    const enabledServices = await getEnabledServices(projectId, options);
+    if (enabledServices) {
+      options.enabledServices = enabledServices;
+      const missing = getSelectedServices(options).filter(service => !enabledServices.includes(service));
+      
+      if (missing.length === 0 && !isStepComplete(state, 'apisEnabled')) {
+        // Enabled services imply billing is already set up; a recorded billing step is kept
+        if (!isStepComplete(state, 'billingConfirmed')) {
+          recordStep('billingConfirmed', { existing: true });
+        }
+        recordStep('apisEnabled', { existing: true });
+      } else if (missing.length > 0) {
+        spinner.info(`Services to enable: ${missing.join(', ')}`);
+      }
+    } else {
+      spinner.warn('Could not list the enabled services; enabling all Places services');
+    }
+  }
+  
+  // Replace a taken generated ID with a fresh one, moving the progress record along
+  const maxIdRetries = options.idRetries !== undefined ? Number(options.idRetries) : 5;
+  let idRetries = 0;
+  const regenerateProjectId = () => {
+    idRetries += 1;
+    if (idRetries > maxIdRetries) {
+      return `No available project ID found after ${maxIdRetries} retries`;
+    }
+    
+    const next = generateValidProjectId(options);
+    if (next.error) {
+      return next.error;
+    }
+    if (next.projectId === projectId) {
+      return `Project ID ${projectId} is taken and the ID template has no random part to change; add {rand4} to it`;
+    }
+    if (loadState(next.projectId, options)) {
+      // Keep the record of the earlier setup that uses this ID
+      return regenerateProjectId();
+    }
+    
+    spinner.info(`Project ID ${projectId} is taken, trying ${next.projectId}`);
+    if (!options.dryRun) {
+      deleteState(projectId, options);
+    }
+    projectId = next.projectId;
+    state = createState(projectId, projectName, options);
+    if (!options.dryRun) {
+      saveState(state, options);
+    }
+    return null;
+  };
+  
+  if (idGenerated && !options.dryRun && !isStepComplete(state, 'projectCreated')) {
+    spinner.text = `Checking that project ID ${projectId} is available...`;
+    while (!await isProjectIdAvailable(projectId, options)) {
+      const error = regenerateProjectId();
+      if (error) {
+        spinner.fail(error);
+        return { success: false, error, code: 'PROJECT_ID_UNAVAILABLE' };
+      }
+    }
+  }
+  
   // Create project
   spinner.text = `Creating project ${projectId}...`;
-  if (!await createProject(projectId, projectName, options)) {
+  let projectCreated = isStepComplete(state, 'projectCreated');
+  if (!projectCreated) {
+    let created = await createProject(projectId, projectName, options);
+    
+    while (!created.success && idGenerated && created.code === 'PROJECT_ID_TAKEN') {
+      const error = regenerateProjectId();
+      if (error) {
+        spinner.fail(error);
+        return { success: false, error, code: 'PROJECT_ID_UNAVAILABLE' };
+      }
+      created = await createProject(projectId, projectName, options);
+    }
+    projectCreated = created.success;
+  }
+  
+  if (isStepComplete(state, 'projectCreated')) {
+    if (!options.useExisting) {
+      spinner.info(`Project ${projectId} already created`);
+    }
+  } else if (!projectCreated) {
     spinner.fail(`Failed to create project: ${projectId}`);
     // If mock billing is set, try to continue with mock mode
     if (options.yes || options.mockBilling) {
       options.mockBilling = true;
       spinner.warn('Continuing with mock mode due to project creation failure');
     } else {
-      return { success: false, error: `Failed to create project: ${projectId}` };
+      return { success: false, error: `Failed to create project: ${projectId}`, code: 'PROJECT_CREATE_FAILED', step: 'projectCreated', projectId };
     }
   } else {
+    recordStep('projectCreated');
     spinner.succeed(`Project ${projectId} created`);
-    
-    // Set as current project - only if project creation was successful
+  }
+  
+  // Set as current project - only if the project exists
+  if (isStepComplete(state, 'projectSet')) {
+    spinner.info(`Project already set to ${projectId}`);
+  } else if (isStepComplete(state, 'projectCreated')) {
     spinner.text = `Setting current project to ${projectId}...`;
-    if (!await setProject(projectId)) {
+    if (!await setProject(projectId, options)) {
       spinner.fail(`Failed to set project: ${projectId}`);
       if (options.yes || options.mockBilling) {
         options.mockBilling = true;
         spinner.warn('Continuing with mock mode due to project setting failure');
       } else {
-        return { success: false, error: `Failed to set project: ${projectId}` };
+        return { success: false, error: `Failed to set project: ${projectId}`, code: 'PROJECT_SET_FAILED', step: 'projectSet', projectId };
       }
     } else {
+      recordStep('projectSet');
       spinner.succeed(`Project set to ${projectId}`);
     }
   }
   
   // For mock mode, we don't need a real project
   if (options.mockBilling) {
-    projectId = projectId || `mock-project-${Math.random().toString(36).substring(2, 8)}`;
+    projectId = projectId || generateMockProjectId(options);
+    if (!options.dryRun) {
+      registerMockProject(projectId, projectName, options);
+    }
   }
   
   // Enable billing
-  spinner.text = 'Enabling billing...';
-  spinner.stop(); // Stop spinner for billing as it requires user interaction
-  if (!await enableBilling(projectId, options)) {
-    spinner.fail('Billing setup failed');
-    await showFallbackRecommendations(projectId, options);
-    return { success: false, error: 'Billing must be enabled to use the Places API.' };
+  if (isStepComplete(state, 'billingConfirmed')) {
+    spinner.info('Billing already confirmed');
+  } else {
+    spinner.text = 'Enabling billing...';
+    spinner.stop(); // Stop spinner for billing as it requires user interaction
+    if (!await enableBilling(projectId, options)) {
+      spinner.fail('Billing setup failed');
+      await showFallbackRecommendations(projectId, options);
+      return { success: false, error: 'Billing must be enabled to use the Places API.', code: 'BILLING_REQUIRED', step: 'billingConfirmed', projectId };
+    }
+    
+    // Mock and no-billing modes have nothing to verify
+    if (options.mockBilling || options.noBilling || options.dryRun) {
+      recordStep('billingConfirmed');
+    } else {
+      const billing = await verifyBilling(projectId, options);
+      if (!billing.success) {
+        return { success: false, error: billing.error, code: 'BILLING_NOT_ENABLED', step: 'billingConfirmed', projectId };
+      }
+      recordStep('billingConfirmed', { billingAccount: billing.billingAccount });
+    }
+    spinner.start(); // Restart spinner
+    spinner.succeed('Billing setup completed');
   }
-  spinner.start(); // Restart spinner
-  spinner.succeed('Billing setup completed');
   
   // Enable Places API
-  spinner.text = 'Enabling Places API...';
-  if (!await enablePlacesApi(projectId, options)) {
-    spinner.fail('Failed to enable Places API');
-    
-    // Attempt to continue with mock mode
-    if (options.yes) {
-      options.mockBilling = true;
-      spinner.warn('Automatically switching to mock mode due to --yes flag');
+  if (isStepComplete(state, 'apisEnabled')) {
+    spinner.info('Places API already enabled');
+  } else {
+    spinner.text = 'Enabling Places API...';
+    if (!await enablePlacesApi(projectId, options)) {
+      spinner.fail('Failed to enable Places API');
+      
+      // Attempt to continue with mock mode
+      if (options.yes) {
+        options.mockBilling = true;
+        spinner.warn('Automatically switching to mock mode due to --yes flag');
+      } else {
+        return { success: false, error: 'Failed to enable Places API', code: 'API_ENABLE_FAILED', step: 'apisEnabled', projectId };
+      }
     } else {
-      return { success: false, error: 'Failed to enable Places API' };
+      // Only services this run turned on are disabled again by destroy
+      recordStep('apisEnabled', {
+        services: options.mockBilling || options.noBilling
+          ? []
+          : getSelectedServices(options).filter(service => !(options.enabledServices || []).includes(service))
+      });
+      spinner.succeed('Places API enabled');
     }
-  } else {
-    spinner.succeed('Places API enabled');
   }
   
-  // Create API key
-  spinner.text = 'Creating API key...';
-  const keyResult = await createApiKey(projectId, options);
-  if (!keyResult) {
-    spinner.fail('Failed to create API key');
-    await showFallbackRecommendations(projectId, options);
-    return { success: false, error: 'Failed to create API key' };
+  // Cap request quotas so a leaked key cannot run up a large bill. Generated
+  // IDs mark development projects, unless they were made for production.
+  const quotaCaps = getQuotaCaps(options, isDevProject(Boolean(state.mode.generatedId), options));
+  let quotas = state.quotas || null;
+  if (!quotas && Object.keys(quotaCaps).length > 0 && !options.mockBilling && !options.noBilling) {
+    spinner.text = 'Capping request quotas...';
+    quotas = await applyQuotaCaps(projectId, getSelectedServices(options), quotaCaps, options);
+    if (quotas) {
+      state.quotas = quotas;
+      if (!options.dryRun) {
+        saveState(state, options);
+      }
+      spinner.succeed('Request quotas capped');
+    } else if (options.dailyQuota !== undefined || options.perMinuteQuota !== undefined) {
+      spinner.fail('Failed to cap request quotas');
+      return { success: false, error: 'Failed to apply the quota caps', code: 'QUOTA_UPDATE_FAILED', projectId };
+    } else {
+      spinner.warn(`The default quota caps were not applied; set them later with: places-setup quota ${projectId}`);
+    }
+  }
+  
+  // A budget is a safety net, so failing to create one is reported without stopping the setup
+  let budget = state.budget || null;
+  if (options.budget && !budget) {
+    if (options.mockBilling || options.noBilling) {
+      spinner.warn('Budgets need a billing account; skipping the budget in mock mode');
+    } else {
+      const linked = state.steps.billingConfirmed && state.steps.billingConfirmed.billingAccount;
+      const billingAccount = linked || (options.dryRun
+        ? options.billingAccount || 'BILLING_ACCOUNT_ID'
+        : ((await getBillingInfo(projectId, options)) || {}).billingAccount);
+      
+      spinner.text = 'Creating budget...';
+      budget = billingAccount ? await createBudget(projectId, billingAccount, options) : null;
+      if (budget) {
+        state.budget = budget;
+        if (!options.dryRun) {
+          saveState(state, options);
+        }
+        spinner.succeed('Budget created');
+      } else {
+        spinner.warn(billingAccount
+          ? 'The budget was not created; set one up in the console to be alerted about costs'
+          : 'No billing account is linked to the project, so no budget was created');
+      }
+    }
+  }
+  
+  // Create API key, or recover the one created by an earlier run
+  let keyResult;
+  if (isStepComplete(state, 'keyCreated')) {
+    const { keyId, isMock, apiKey } = state.steps.keyCreated;
+    keyResult = {
+      keyId,
+      isMock,
+      apiKey: isMock ? apiKey : await getApiKeyString(projectId, keyId, options)
+    };
+    if (!keyResult.apiKey) {
+      spinner.fail(`Failed to read API key ${keyId}`);
+      return { success: false, error: `Failed to read API key ${keyId}`, code: 'KEY_READ_FAILED', step: 'keyCreated', projectId };
+    }
+    if (isMock && isRevokedMockKey(apiKey, options)) {
+      spinner.fail(`Mock key ${keyId} was revoked`);
+      return { success: false, error: `Mock key ${keyId} was revoked; remove the setup with places-setup destroy ${projectId} and run it again`, code: 'MOCK_KEY_REVOKED', step: 'keyCreated', projectId };
+    }
+    spinner.info(`Using API key ${keyId} created earlier`);
+  } else {
+    spinner.text = 'Creating API key...';
+    keyResult = await createApiKey(projectId, options);
+    if (!keyResult) {
+      spinner.fail('Failed to create API key');
+      await showFallbackRecommendations(projectId, options);
+      return { success: false, error: 'Failed to create API key', code: 'KEY_CREATE_FAILED', step: 'keyCreated', projectId };
+    }
+    // Only mock key strings are kept; real keys are read back with get-key-string
+    recordStep('keyCreated', {
+      keyId: keyResult.keyId,
+      isMock: Boolean(keyResult.isMock),
+      ...(keyResult.isMock ? { apiKey: keyResult.apiKey } : {}),
+      ...(Object.keys(options.keyRestrictions).length > 0 ? { restrictions: options.keyRestrictions } : {})
+    });
+    spinner.succeed('API key created');
   }
-  spinner.succeed('API key created');
   
   const { apiKey, keyId, isMock } = keyResult;
   
   // Restrict API key
-  spinner.text = 'Adding restrictions to API key...';
-  await restrictApiKey(projectId, keyId, options);
-  spinner.succeed('API key restrictions added');
+  if (isStepComplete(state, 'keyRestricted')) {
+    spinner.info('API key restrictions already added');
+  } else {
+    spinner.text = 'Adding restrictions to API key...';
+    if (await restrictApiKey(projectId, keyId, options)) {
+      recordStep('keyRestricted');
+      spinner.succeed('API key restrictions added');
+    } else {
+      spinner.warn(`API key restrictions were not added; run again with --resume ${projectId} to retry`);
+    }
+  }
+  
+  // Keep the key in Secret Manager so it does not have to be copied from the terminal
+  let secret = state.secret && state.secret.keyId === keyId ? state.secret : null;
+  if (options.storeSecret && !secret) {
+    spinner.text = 'Storing API key in Secret Manager...';
+    const stored = await storeKeyInSecretManager(projectId, options.storeSecret, apiKey, {
+      ...options,
+      mockBilling: options.mockBilling || isMock
+    });
+    if (!stored) {
+      spinner.fail('Failed to store API key in Secret Manager');
+      return { success: false, error: `Failed to store the API key in secret ${options.storeSecret}`, code: 'SECRET_STORE_FAILED', projectId };
+    }
+    secret = recordSecret(state, stored, keyId);
+    if (!options.dryRun) {
+      saveState(state, options);
+    }
+    spinner.succeed('API key stored in Secret Manager');
+  }
+  
+  const outputFile = saveKeyToFile(apiKey, options);
+  
+  if (options.dryRun) {
+    spinner.succeed('Dry run completed, nothing was executed');
+    printPlan(options.runner.entries, options);
+    return { success: true, dryRun: true, plan: options.runner.entries, projectId };
+  }
+  
+  // Prove the key works before calling the setup a success
+  let verification = null;
+  const placesApi = pickPlacesApi(getSelectedServices(options));
+  if (options.verify === false) {
+    spinner.info('Skipping the test request as requested with --no-verify');
+  } else if (isMock || options.mockBilling) {
+    spinner.info('Mock keys are not tested against the Places API');
+  } else if (options.noBilling) {
+    spinner.info('Billing setup was skipped, so the key is not tested against the Places API');
+  } else if (!placesApi) {
+    spinner.info('No Places API was selected, so the key is not tested');
+  } else {
+    spinner.stop();
+    verification = await verifyKey(apiKey, { ...options, api: placesApi, restrictions: options.keyRestrictions });
+    
+    // IP address restrictions cannot be met from here, so being turned away is expected
+    const restricted = ['referrer-restricted', 'application-restricted'].includes(verification.status) &&
+      describeApplicationRestrictions(options.keyRestrictions);
+    if (restricted) {
+      logProgress(options, chalk.yellow(`The key could not be tested from this machine because it only accepts requests from ${restricted}`));
+    } else if (!verification.ok && INCONCLUSIVE_STATUSES.includes(verification.status)) {
+      // New keys can take several minutes to work, so running out of retries proves nothing
+      logProgress(options, chalk.yellow(`${verification.message} yet; the key may still be propagating. Check it later with: places-setup verify --key <key>`));
+    } else if (!verification.ok) {
+      return {
+        success: false,
+        error: `The API key does not work: ${verification.message} (${verification.detail})`,
+        code: 'KEY_VERIFY_FAILED',
+        verification,
+        projectId
+      };
+    }
+    spinner.start();
+  }
   
   spinner.succeed('Google Places API Setup Completed!');
   
-  console.log('\n' + chalk.green.bold('=== Setup completed successfully! ==='));
-  console.log(chalk.white.bold(`Project ID: ${projectId}`));
-  console.log(chalk.white.bold(`API Key: ${apiKey}`));
+  logProgress(options, '\n' + chalk.green.bold('=== Setup completed successfully! ==='));
+  logProgress(options, chalk.white.bold(`Project ID: ${projectId}`));
+  if (secret) {
+    logProgress(options, chalk.white.bold(`Secret: ${secret.name}`));
+    if (!secret.mock) {
+      logProgress(options, chalk.blue(`Read the key with: gcloud secrets versions access latest --secret=${secret.secretId} --project=${projectId}`));
+    }
+  } else {
+    logProgress(options, chalk.white.bold(`API Key: ${apiKey}`));
+  }
+  if (budget) {
+    logProgress(options, chalk.white.bold(`Budget: ${budget.name} (${budget.amount})`));
+  }
+  if (quotas && quotas.length > 0) {
+    logProgress(options, chalk.white.bold('Quota caps:'));
+    formatQuotaLimits(quotas).forEach(line => logProgress(options, chalk.white(`  ${line}`)));
+  }
   
   if (options.noBilling || options.mockBilling || isMock) {
-    console.log('\n' + chalk.yellow.bold('NOTE: You are using a mock/limited setup without full billing.'));
-    console.log(chalk.yellow('This setup may not work for production use.'));
-    console.log(chalk.yellow('To enable full functionality, set up billing in the Google Cloud Console.'));
+    logProgress(options, '\n' + chalk.yellow.bold('NOTE: You are using a mock/limited setup without full billing.'));
+    logProgress(options, chalk.yellow('This setup may not work for production use.'));
+    logProgress(options, chalk.yellow('To enable full functionality, set up billing in the Google Cloud Console.'));
     
     // Silently save recommendations for reference
     await showFallbackRecommendations(projectId, options);
   } else {
-    console.log('\n' + chalk.yellow('IMPORTANT: Save your API key securely and never share it publicly!'));
-    console.log(chalk.blue('You may want to add HTTP referrer restrictions in the Google Cloud Console.'));
-    console.log(chalk.blue(`Visit: https://console.cloud.google.com/apis/credentials?project=${projectId}`));
+    if (!secret) {
+      logProgress(options, '\n' + chalk.yellow('IMPORTANT: Save your API key securely and never share it publicly!'));
+    }
+    const applicationRestrictions = describeApplicationRestrictions(options.keyRestrictions);
+    if (applicationRestrictions) {
+      logProgress(options, chalk.blue(`The key only accepts requests from ${applicationRestrictions}.`));
+    } else {
+      logProgress(options, chalk.yellow('The key is not restricted to your applications yet.'));
+      logProgress(options, chalk.blue('Pass --allowed-referrers, --allowed-ips, --allowed-android-app or --allowed-ios-bundle-id when creating keys,'));
+      logProgress(options, chalk.blue(`or add restrictions at https://console.cloud.google.com/apis/credentials?project=${projectId}`));
+    }
   }
   
-  return { success: true, apiKey, isMock: isMock || false, projectId };
+  return {
+    success: true,
+    ...(secret ? { secret: secret.name, secretVersion: secret.versions[secret.versions.length - 1] } : { apiKey }),
+    isMock: isMock || false,
+    projectId,
+    services: options.mockBilling || options.noBilling || isMock ? [] : getSelectedServices(options),
+    restrictions: {
+      apiTargets: getSelectedServices(options).map(service => ({ service })),
+      ...options.keyRestrictions
+    },
+    ...(budget ? { budget: budget.name } : {}),
+    ...(quotas ? { quotas } : {}),
+    ...(verification ? { verification: { status: verification.status, message: verification.message, attempts: verification.attempts } } : {}),
+    outputFile
+  };
 }
 
 // At the end of the file, add exports for testing
 module.exports = {
-  executeCommand,
+  runCommand,
+  generateProjectId,
+  openUrl,
   checkNpmDependencies,
   checkGcloudInstalled,
   authenticateGcloud,
   createProject,
+  describeProject,
+  getEnabledServices,
+  isProjectIdAvailable,
   setProject,
   enableBilling,
   enablePlacesApi,
   createApiKey,
+  getApiKeyString,
+  describeApiKey,
+  listApiKeys,
   restrictApiKey,
+  updateApiKeyRestrictions,
+  getBillingInfo,
+  listBillingAccounts,
+  linkBillingAccount,
+  verifyBilling,
+  enableServices,
+  deleteApiKey,
+  disableServices,
+  deleteProject,
+  storeKeyInSecretManager,
+  createBudget,
+  applyQuotaCaps,
+  teardownSetup,
   showFallbackRecommendations,
-  run
+  createShellRunner,
+  createFakeGcloud,
+  createRestRunner,
+  run,
+  runEnvironments,
+  apply,
+  destroy,
+  rotate,
+  quota,
+  verify,
+  mockServer,
+  listMocks,
+  showMock,
+  revokeMock,
+  doctor
 }; 
\ No newline at end of file
@@ -0,0 +1,234 @@
+const {
+  validateReferrer,
+  validateIpAddress,
+  validateAndroidApp,
+  validateIosBundleId
+} = require('./validation');
+
+/**
+ * Convert API key restrictions, in the shape the API Keys API returns them,
+ * into the flags `gcloud services api-keys create` and `update` accept
+ * @param {Object} restrictions Key restrictions
+ * @returns {string[]} gcloud flags
+ */
+function restrictionsToFlags(restrictions = {}) {
+  const flags = [];
+  const {
+    apiTargets = [],
+    browserKeyRestrictions,
+    serverKeyRestrictions,
+    androidKeyRestrictions,
+    iosKeyRestrictions
+  } = restrictions;
+
+  apiTargets.forEach(target => flags.push(`--api-target=service=${target.service}`));
+
+  if (browserKeyRestrictions && browserKeyRestrictions.allowedReferrers) {
+    flags.push(`--allowed-referrers=${browserKeyRestrictions.allowedReferrers.join(',')}`);
+  }
+
+  if (serverKeyRestrictions && serverKeyRestrictions.allowedIps) {
+    flags.push(`--allowed-ips=${serverKeyRestrictions.allowedIps.join(',')}`);
+  }
+
+  if (androidKeyRestrictions && androidKeyRestrictions.allowedApplications) {
+    androidKeyRestrictions.allowedApplications.forEach(application => {
+      flags.push(`--allowed-application=sha1_fingerprint=${application.sha1Fingerprint},package_name=${application.packageName}`);
+    });
+  }
+
+  if (iosKeyRestrictions && iosKeyRestrictions.allowedBundleIds) {
+    flags.push(`--allowed-bundle-ids=${iosKeyRestrictions.allowedBundleIds.join(',')}`);
+  }
+
+  return flags;
+}
+
+/**
+ * Build key restrictions from parsed gcloud flags (see `parseArgs`).
+ * The inverse of `restrictionsToFlags`.
+ * @param {Object<string, string[]>} flags Parsed flags
+ * @returns {Object} Key restrictions, empty if no restriction flags were given
+ */
+function flagsToRestrictions(flags = {}) {
+  const restrictions = {};
+  const list = name => (flags[name] || []).join(',').split(',').filter(Boolean);
+
+  if (flags['api-target']) {
+    restrictions.apiTargets = flags['api-target'].map(target => ({ service: target.replace(/^service=/, '') }));
+  }
+
+  if (flags['allowed-referrers']) {
+    restrictions.browserKeyRestrictions = { allowedReferrers: list('allowed-referrers') };
+  }
+
+  if (flags['allowed-ips']) {
+    restrictions.serverKeyRestrictions = { allowedIps: list('allowed-ips') };
+  }
+
+  if (flags['allowed-application']) {
+    restrictions.androidKeyRestrictions = {
+      allowedApplications: flags['allowed-application'].map(value => {
+        const fields = Object.fromEntries(value.split(',').map(field => field.split('=')));
+        return { sha1Fingerprint: fields.sha1_fingerprint, packageName: fields.package_name };
+      })
+    };
+  }
+
+  if (flags['allowed-bundle-ids']) {
+    restrictions.iosKeyRestrictions = { allowedBundleIds: list('allowed-bundle-ids') };
+  }
+
+  return restrictions;
+}
+
+/**
+ * Normalize an option that may be an array, a comma-separated string or unset
+ * @param {string|string[]} value Option value
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function toList(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the application restrictions for a new key from
+ * `options.allowedReferrers`, `allowedIps`, `allowedAndroidApp` (as
+ * `package:sha1`) and `allowedIosBundleId`. Google Cloud allows only one kind
+ * of application restriction per key.
+ * @param {Object} options Command line options
+ * @returns {{restrictions?: Object, error?: string}} Restrictions (empty when none were given) or the first validation error
+ */
+function buildApplicationRestrictions(options = {}) {
+  const referrers = toList(options.allowedReferrers);
+  const ips = toList(options.allowedIps);
+  const androidApps = [].concat(options.allowedAndroidApp || []).map(app => String(app).trim());
+  const bundleIds = toList(options.allowedIosBundleId);
+
+  const error = referrers.map(validateReferrer)
+    .concat(ips.map(validateIpAddress), androidApps.map(validateAndroidApp), bundleIds.map(validateIosBundleId))
+    .find(Boolean);
+  if (error) {
+    return { error };
+  }
+
+  const kinds = [
+    referrers.length > 0 && '--allowed-referrers',
+    ips.length > 0 && '--allowed-ips',
+    androidApps.length > 0 && '--allowed-android-app',
+    bundleIds.length > 0 && '--allowed-ios-bundle-id'
+  ].filter(Boolean);
+  if (kinds.length > 1) {
+    return { error: `A key can only have one kind of application restriction, but ${kinds.join(' and ')} were given` };
+  }
+
+  const restrictions = {};
+  if (referrers.length > 0) {
+    restrictions.browserKeyRestrictions = { allowedReferrers: referrers };
+  }
+  if (ips.length > 0) {
+    restrictions.serverKeyRestrictions = { allowedIps: ips };
+  }
+  if (androidApps.length > 0) {
+    restrictions.androidKeyRestrictions = {
+      allowedApplications: androidApps.map(app => {
+        const separator = app.indexOf(':');
+        return { packageName: app.slice(0, separator), sha1Fingerprint: app.slice(separator + 1) };
+      })
+    };
+  }
+  if (bundleIds.length > 0) {
+    restrictions.iosKeyRestrictions = { allowedBundleIds: bundleIds };
+  }
+
+  return { restrictions };
+}
+
+/**
+ * Put key restrictions in a canonical order so they can be compared.
+ * API targets keep only their service; list order is ignored.
+ * @param {Object} restrictions Key restrictions
+ * @returns {Object} Normalized restrictions
+ */
+function normalizeRestrictions(restrictions = {}) {
+  const sorted = list => [...list].sort();
+  const normalized = {};
+  const {
+    apiTargets = [],
+    browserKeyRestrictions,
+    serverKeyRestrictions,
+    androidKeyRestrictions,
+    iosKeyRestrictions
+  } = restrictions;
+
+  if (apiTargets.length > 0) {
+    normalized.apiTargets = sorted(apiTargets.map(target => target.service)).map(service => ({ service }));
+  }
+  if (browserKeyRestrictions && browserKeyRestrictions.allowedReferrers) {
+    normalized.browserKeyRestrictions = { allowedReferrers: sorted(browserKeyRestrictions.allowedReferrers) };
+  }
+  if (serverKeyRestrictions && serverKeyRestrictions.allowedIps) {
+    normalized.serverKeyRestrictions = { allowedIps: sorted(serverKeyRestrictions.allowedIps) };
+  }
+  if (androidKeyRestrictions && androidKeyRestrictions.allowedApplications) {
+    normalized.androidKeyRestrictions = {
+      allowedApplications: [...androidKeyRestrictions.allowedApplications]
+        .sort((a, b) => a.packageName.localeCompare(b.packageName))
+        .map(({ packageName, sha1Fingerprint }) => ({ sha1Fingerprint, packageName }))
+    };
+  }
+  if (iosKeyRestrictions && iosKeyRestrictions.allowedBundleIds) {
+    normalized.iosKeyRestrictions = { allowedBundleIds: sorted(iosKeyRestrictions.allowedBundleIds) };
+  }
+
+  return normalized;
+}
+
+/**
+ * Compare two sets of key restrictions as gcloud flags
+ * @param {Object} current Restrictions the key has
+ * @param {Object} desired Restrictions the key should have
+ * @returns {{removed: string[], added: string[]}} Flags to drop and to add; both empty when nothing drifted
+ */
+function diffRestrictions(current = {}, desired = {}) {
+  const currentFlags = restrictionsToFlags(normalizeRestrictions(current));
+  const desiredFlags = restrictionsToFlags(normalizeRestrictions(desired));
+
+  return {
+    removed: currentFlags.filter(value => !desiredFlags.includes(value)),
+    added: desiredFlags.filter(value => !currentFlags.includes(value))
+  };
+}
+
+/**
+ * Describe a key's application restrictions for display
+ * @param {Object} restrictions Key restrictions
+ * @returns {string|null} Description, or null if the key has none
+ */
+function describeApplicationRestrictions(restrictions = {}) {
+  if (restrictions.browserKeyRestrictions) {
+    return `HTTP referrers ${restrictions.browserKeyRestrictions.allowedReferrers.join(', ')}`;
+  }
+  if (restrictions.serverKeyRestrictions) {
+    return `IP addresses ${restrictions.serverKeyRestrictions.allowedIps.join(', ')}`;
+  }
+  if (restrictions.androidKeyRestrictions) {
+    return `Android apps ${restrictions.androidKeyRestrictions.allowedApplications.map(app => app.packageName).join(', ')}`;
+  }
+  if (restrictions.iosKeyRestrictions) {
+    return `iOS apps ${restrictions.iosKeyRestrictions.allowedBundleIds.join(', ')}`;
+  }
+  return null;
+}
+
+module.exports = {
+  buildApplicationRestrictions,
+  describeApplicationRestrictions,
+  restrictionsToFlags,
+  flagsToRestrictions,
+  normalizeRestrictions,
+  diffRestrictions
+};
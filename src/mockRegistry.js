@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfigDir } = require('./state');
+
+/**
+ * Prefix of every mock API key, so they cannot be mistaken for real keys
+ */
+const MOCK_KEY_PREFIX = 'AIzaMOCK';
+
+/**
+ * Get the path of the registry of mock projects and keys
+ * @param {Object} options Command line options (`mockRegistry` overrides the default)
+ * @returns {string} Registry file path
+ */
+function getRegistryPath(options = {}) {
+  return options.mockRegistry || path.join(getConfigDir(), 'mock-registry.json');
+}
+
+/**
+ * Load the registry of mock projects and keys
+ * @param {Object} options Command line options
+ * @returns {{projects: Object[], keys: Object[]}} Registry, empty if none was saved
+ */
+function loadRegistry(options = {}) {
+  const registryPath = getRegistryPath(options);
+
+  if (fs.existsSync(registryPath)) {
+    try {
+      const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+      return { projects: registry.projects || [], keys: registry.keys || [] };
+    } catch (error) {
+      if (options.debug) {
+        console.error(`Failed to read mock registry ${registryPath}:`, error.message);
+      }
+    }
+  }
+
+  return { projects: [], keys: [] };
+}
+
+/**
+ * Write the registry of mock projects and keys
+ * @param {{projects: Object[], keys: Object[]}} registry Registry
+ * @param {Object} options Command line options
+ * @returns {string} Path of the written file
+ */
+function saveRegistry(registry, options = {}) {
+  const registryPath = getRegistryPath(options);
+  fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2));
+  return registryPath;
+}
+
+/**
+ * Generate lowercase letters and digits, derived from the seed when one is
+ * given and random otherwise
+ * @param {number} length Number of characters
+ * @param {string} [seed] Seed given with --seed
+ * @param {string} label What the characters are for, so each ID of a seed differs
+ * @returns {string} Characters
+ */
+function mockChars(length, seed, label) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = seed === undefined || seed === null
+    ? crypto.randomBytes(length)
+    : crypto.createHash('sha256').update(`${seed}:${label}`).digest();
+  return Array.from(bytes.subarray(0, length), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+/**
+ * Generate the ID of a mock project
+ * @param {Object} options Command line options (`seed`)
+ * @returns {string} Project ID such as `mock-project-k3x9ab`
+ */
+function generateMockProjectId(options = {}) {
+  return `mock-project-${mockChars(6, options.seed, 'project')}`;
+}
+
+/**
+ * Record a mock project in the registry, unless it is already there
+ * @param {string} projectId Project ID
+ * @param {string} projectName Project name
+ * @param {Object} options Command line options
+ * @returns {Object} Registry entry of the project
+ */
+function registerMockProject(projectId, projectName, options = {}) {
+  const registry = loadRegistry(options);
+  let project = registry.projects.find(entry => entry.projectId === projectId);
+
+  if (!project) {
+    project = {
+      projectId,
+      projectName: projectName || projectId,
+      createdAt: new Date().toISOString(),
+      ...(options.seed !== undefined ? { seed: String(options.seed) } : {})
+    };
+    registry.projects.push(project);
+    saveRegistry(registry, options);
+  }
+  return project;
+}
+
+/**
+ * Issue a mock API key for a project and record it in the registry. With a
+ * seed, the same project always gets the same key; a new setup re-issues it
+ * after it was revoked.
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options (`seed`, `projectName`)
+ * @returns {{key: {keyId: string, apiKey: string, projectId: string, createdAt: string, revokedAt: string|null}}} Issued key
+ */
+function issueMockKey(projectId, options = {}) {
+  registerMockProject(projectId, options.projectName, options);
+
+  const registry = loadRegistry(options);
+  const apiKey = `${MOCK_KEY_PREFIX}${mockChars(16, options.seed, `key:${projectId}`)}`;
+  const existing = registry.keys.find(entry => entry.apiKey === apiKey);
+
+  if (existing) {
+    if (existing.revokedAt) {
+      existing.revokedAt = null;
+      existing.createdAt = new Date().toISOString();
+      saveRegistry(registry, options);
+    }
+    return { key: existing };
+  }
+
+  const key = {
+    keyId: `mock-key-${mockChars(8, options.seed, `keyId:${projectId}`)}`,
+    apiKey,
+    projectId,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  registry.keys.push(key);
+  saveRegistry(registry, options);
+  return { key };
+}
+
+/**
+ * Find a mock project or key by project ID, key ID or key string
+ * @param {Object} registry Registry
+ * @param {string} id Project ID, key ID or key string
+ * @returns {{project?: Object, keys?: Object[]}|null} The project with its keys, a key on its own, or null
+ */
+function findMockResource(registry, id) {
+  const project = registry.projects.find(entry => entry.projectId === id);
+  if (project) {
+    return { project, keys: registry.keys.filter(key => key.projectId === id) };
+  }
+
+  const key = registry.keys.find(entry => entry.keyId === id || entry.apiKey === id);
+  return key ? { keys: [key] } : null;
+}
+
+/**
+ * Revoke a mock key, or every key of a mock project
+ * @param {string} id Project ID, key ID or key string
+ * @param {Object} options Command line options
+ * @returns {{revoked?: Object[], error?: string}} Keys revoked now, or the reason nothing was revoked
+ */
+function revokeMockKeys(id, options = {}) {
+  const registry = loadRegistry(options);
+  const found = findMockResource(registry, id);
+
+  if (!found) {
+    return { error: `No mock project or key ${id} in ${getRegistryPath(options)}` };
+  }
+
+  const revokedAt = new Date().toISOString();
+  const revoked = found.keys.filter(key => !key.revokedAt);
+  revoked.forEach(key => {
+    key.revokedAt = revokedAt;
+  });
+
+  if (revoked.length > 0) {
+    saveRegistry(registry, options);
+  }
+  return { revoked };
+}
+
+/**
+ * Check whether a key string belongs to a revoked mock key
+ * @param {string} apiKey Key string
+ * @param {Object} options Command line options
+ * @returns {boolean} Whether the key was revoked
+ */
+function isRevokedMockKey(apiKey, options = {}) {
+  return loadRegistry(options).keys.some(key => key.apiKey === apiKey && key.revokedAt);
+}
+
+/**
+ * Format the mock keys of the registry as a table
+ * @param {{projects: Object[], keys: Object[]}} registry Registry
+ * @returns {string[]} Table lines
+ */
+function formatMockTable(registry) {
+  const rows = [['Project ID', 'Key ID', 'Key', 'Status']];
+  registry.projects.forEach(project => {
+    const keys = registry.keys.filter(key => key.projectId === project.projectId);
+    if (keys.length === 0) {
+      rows.push([project.projectId, '-', '-', '-']);
+    }
+    keys.forEach(key => {
+      rows.push([project.projectId, key.keyId, key.apiKey, key.revokedAt ? `revoked ${key.revokedAt.slice(0, 10)}` : 'active']);
+    });
+  });
+
+  const widths = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length)));
+  const format = row => `${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2].padEnd(widths[2])}  ${row[3]}`;
+
+  return [format(rows[0]), format(widths.map(width => '-'.repeat(width)).concat('------'))]
+    .concat(rows.slice(1).map(format));
+}
+
+module.exports = {
+  MOCK_KEY_PREFIX,
+  getRegistryPath,
+  loadRegistry,
+  saveRegistry,
+  generateMockProjectId,
+  registerMockProject,
+  issueMockKey,
+  findMockResource,
+  revokeMockKeys,
+  isRevokedMockKey,
+  formatMockTable
+};
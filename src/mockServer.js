@@ -0,0 +1,580 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { getStateDir, loadState } = require('./state');
+const { loadRegistry } = require('./mockRegistry');
+
+/**
+ * Places served when no fixtures file is given. They use the place shape of
+ * the Places API (New), so places copied from real responses can be used as
+ * fixtures too.
+ */
+const DEFAULT_FIXTURES = [
+  {
+    id: 'ChIJLU7jZClu5kcR4PcOOO6p3I0',
+    displayName: { text: 'Eiffel Tower', languageCode: 'en' },
+    formattedAddress: 'Av. Gustave Eiffel, 75007 Paris, France',
+    location: { latitude: 48.8583701, longitude: 2.2944813 },
+    types: ['tourist_attraction', 'point_of_interest', 'establishment'],
+    rating: 4.7,
+    userRatingCount: 350000,
+    businessStatus: 'OPERATIONAL',
+    websiteUri: 'https://www.toureiffel.paris/',
+    photos: [{ name: 'places/ChIJLU7jZClu5kcR4PcOOO6p3I0/photos/mock-eiffel-tower-1', widthPx: 1600, heightPx: 1200 }]
+  },
+  {
+    id: 'ChIJmock-louvre-museum',
+    displayName: { text: 'Louvre Museum', languageCode: 'en' },
+    formattedAddress: 'Rue de Rivoli, 75001 Paris, France',
+    location: { latitude: 48.8606111, longitude: 2.337644 },
+    types: ['museum', 'tourist_attraction', 'point_of_interest', 'establishment'],
+    rating: 4.7,
+    userRatingCount: 300000,
+    businessStatus: 'OPERATIONAL',
+    websiteUri: 'https://www.louvre.fr/',
+    photos: [{ name: 'places/ChIJmock-louvre-museum/photos/mock-louvre-1', widthPx: 1600, heightPx: 1067 }]
+  },
+  {
+    id: 'ChIJmock-sydney-opera-house',
+    displayName: { text: 'Sydney Opera House', languageCode: 'en' },
+    formattedAddress: 'Bennelong Point, Sydney NSW 2000, Australia',
+    location: { latitude: -33.8567844, longitude: 151.213108 },
+    types: ['performing_arts_theater', 'tourist_attraction', 'point_of_interest', 'establishment'],
+    rating: 4.7,
+    userRatingCount: 90000,
+    businessStatus: 'OPERATIONAL',
+    nationalPhoneNumber: '(02) 9250 7111',
+    internationalPhoneNumber: '+61 2 9250 7111',
+    websiteUri: 'https://www.sydneyoperahouse.com/',
+    photos: [{ name: 'places/ChIJmock-sydney-opera-house/photos/mock-opera-house-1', widthPx: 1600, heightPx: 1066 }]
+  },
+  {
+    id: 'ChIJmock-harbour-kitchen',
+    displayName: { text: 'Harbour Kitchen', languageCode: 'en' },
+    formattedAddress: '7 Macquarie St, Sydney NSW 2000, Australia',
+    location: { latitude: -33.8610247, longitude: 151.2120634 },
+    types: ['restaurant', 'food', 'point_of_interest', 'establishment'],
+    rating: 4.4,
+    userRatingCount: 1200,
+    businessStatus: 'OPERATIONAL',
+    nationalPhoneNumber: '(02) 9256 4000',
+    internationalPhoneNumber: '+61 2 9256 4000',
+    photos: [{ name: 'places/ChIJmock-harbour-kitchen/photos/mock-harbour-kitchen-1', widthPx: 1200, heightPx: 800 }]
+  },
+  {
+    id: 'ChIJmock-circular-quay-cafe',
+    displayName: { text: 'Circular Quay Cafe', languageCode: 'en' },
+    formattedAddress: '1 Alfred St, Sydney NSW 2000, Australia',
+    location: { latitude: -33.8614, longitude: 151.2108 },
+    types: ['cafe', 'food', 'point_of_interest', 'establishment'],
+    rating: 4.2,
+    userRatingCount: 640,
+    businessStatus: 'OPERATIONAL',
+    photos: []
+  }
+];
+
+/**
+ * Most results a search returns, as with the real APIs
+ */
+const MAX_RESULTS = 20;
+
+/**
+ * Load fixture places from a JSON file holding a list of places or a
+ * `{ "places": [...] }` response
+ * @param {string} file Fixtures file
+ * @returns {{places?: Object[], error?: string}} Places or the reason the file cannot be used
+ */
+function loadFixtures(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { error: `Could not read ${file}: ${error.message}` };
+  }
+
+  const places = Array.isArray(data) ? data : data && data.places;
+  if (!Array.isArray(places) || places.length === 0) {
+    return { error: `${file} must hold a non-empty list of places` };
+  }
+
+  const invalid = places.findIndex(place => !place || !place.id || !place.displayName || !place.location);
+  if (invalid !== -1) {
+    return { error: `${file}: place ${invalid} needs an id, displayName and location` };
+  }
+
+  return { places };
+}
+
+/**
+ * Collect the mock keys that have not been revoked: the ones in the mock
+ * registry and, for setups from before the registry, the ones in the state
+ * directory
+ * @param {Object} options Command line options (`stateDir`, `mockRegistry`)
+ * @returns {Set<string>} Mock key strings
+ */
+function loadMockKeys(options = {}) {
+  const registry = loadRegistry(options);
+  const keys = new Set(registry.keys.filter(key => !key.revokedAt).map(key => key.apiKey));
+  const known = new Set(registry.keys.map(key => key.apiKey));
+  const stateDir = getStateDir(options);
+
+  if (!fs.existsSync(stateDir)) {
+    return keys;
+  }
+
+  fs.readdirSync(stateDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadState(path.basename(file, '.json'), options))
+    .forEach(state => {
+      const key = state && state.steps && state.steps.keyCreated;
+      if (key && key.isMock && key.apiKey && !known.has(key.apiKey)) {
+        keys.add(key.apiKey);
+      }
+    });
+
+  return keys;
+}
+
+/**
+ * Convert a place to the shape of the legacy Places API
+ * @param {Object} place Place in the Places API (New) shape
+ * @returns {Object} Legacy place result
+ */
+function toLegacyPlace(place) {
+  return {
+    place_id: place.id,
+    name: place.displayName.text,
+    formatted_address: place.formattedAddress,
+    geometry: { location: { lat: place.location.latitude, lng: place.location.longitude } },
+    types: place.types || [],
+    rating: place.rating,
+    user_ratings_total: place.userRatingCount,
+    business_status: place.businessStatus,
+    formatted_phone_number: place.nationalPhoneNumber,
+    international_phone_number: place.internationalPhoneNumber,
+    website: place.websiteUri,
+    photos: (place.photos || []).map(photo => ({
+      photo_reference: path.basename(photo.name),
+      width: photo.widthPx,
+      height: photo.heightPx,
+      html_attributions: []
+    }))
+  };
+}
+
+/**
+ * Keep the requested top-level fields of an object
+ * @param {Object} value Object to filter
+ * @param {string[]} fields Field paths; only their first segment is used
+ * @returns {Object} Filtered object
+ */
+function pickFields(value, fields) {
+  if (fields.includes('*')) {
+    return value;
+  }
+  const names = fields.map(field => field.split(/[./]/)[0]);
+  return Object.fromEntries(Object.entries(value).filter(([name]) => names.includes(name)));
+}
+
+/**
+ * Distance between two points in meters
+ * @param {{latitude: number, longitude: number}} from First point
+ * @param {{latitude: number, longitude: number}} to Second point
+ * @returns {number} Great-circle distance
+ */
+function distanceInMeters(from, to) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const a = Math.sin(radians(to.latitude - from.latitude) / 2) ** 2 +
+    Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) *
+    Math.sin(radians(to.longitude - from.longitude) / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Find places whose name, address or types contain words of the query,
+ * best matches first
+ * @param {Object[]} places Fixture places
+ * @param {string} query Search text
+ * @returns {Object[]} Matching places
+ */
+function searchText(places, query) {
+  // Plurals match their singular type, e.g. "restaurants" -> restaurant
+  const words = String(query).toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2)
+    .map(word => word.replace(/s$/, ''));
+
+  return places
+    .map(place => {
+      const text = [place.displayName.text, place.formattedAddress, ...(place.types || [])].join(' ').toLowerCase();
+      return { place, score: words.filter(word => text.includes(word)).length };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ place }) => place)
+    .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Find places within a radius, optionally of some types, nearest first
+ * @param {Object[]} places Fixture places
+ * @param {{latitude: number, longitude: number}} center Search center
+ * @param {number} radius Radius in meters
+ * @param {string[]} types Types to include (all if empty)
+ * @returns {Object[]} Matching places
+ */
+function searchNearby(places, center, radius, types = []) {
+  return places
+    .filter(place => types.length === 0 || types.some(type => (place.types || []).includes(type)))
+    .map(place => ({ place, distance: distanceInMeters(center, place.location) }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ place }) => place)
+    .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Find places whose name starts a word with the input
+ * @param {Object[]} places Fixture places
+ * @param {string} input Text typed so far
+ * @returns {Object[]} Matching places
+ */
+function autocomplete(places, input) {
+  const prefix = String(input).trim().toLowerCase();
+  return places
+    .filter(place => prefix && place.displayName.text.toLowerCase().split(/\s+/)
+      .some((word, index, words) => words.slice(index).join(' ').startsWith(prefix)))
+    .slice(0, 5);
+}
+
+/**
+ * Draw a placeholder photo with the place's name
+ * @param {string} label Text to show
+ * @param {number} width Width in pixels
+ * @param {number} height Height in pixels
+ * @returns {string} SVG image
+ */
+function renderPhoto(label, width, height) {
+  const text = label.replace(/[<>&"']/g, character => `&#${character.charCodeAt(0)};`);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="100%" height="100%" fill="#dadce0"/>` +
+    `<text x="50%" y="50%" font-family="sans-serif" font-size="${Math.max(12, Math.round(width / 20))}" fill="#3c4043" text-anchor="middle" dominant-baseline="middle">${text}</text>` +
+    '</svg>';
+}
+
+/**
+ * Error of the Places API (New), in the shape Google APIs use
+ * @param {number} code HTTP status
+ * @param {string} status Canonical error code, e.g. INVALID_ARGUMENT
+ * @param {string} message Error message
+ * @param {string} [reason] ErrorInfo reason, e.g. API_KEY_INVALID
+ * @returns {Object} Error body
+ */
+function newApiError(code, status, message, reason) {
+  const details = reason
+    ? [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason, domain: 'googleapis.com', metadata: { service: 'places.googleapis.com' } }]
+    : [];
+  return { error: { code, message, status, details } };
+}
+
+/**
+ * Create a local copy of the Places API that serves fixture places. It
+ * answers the legacy endpoints under `/maps/api/place/` and the Places API
+ * (New) endpoints under `/v1/`, and only accepts mock keys issued by the
+ * tool and not revoked (or listed in `options.keys`), with the APIs' own
+ * error responses.
+ *
+ * @param {Object} options Server options
+ * @param {Object[]} [options.places] Fixture places (default: `DEFAULT_FIXTURES`)
+ * @param {string[]} [options.keys] Keys to accept in addition to the issued mock keys
+ * @param {string} [options.stateDir] State directory to read the issued mock keys from
+ * @param {string} [options.mockRegistry] Mock registry to read the issued and revoked mock keys from
+ * @returns {http.Server} Server, not yet listening
+ */
+function createMockServer(options = {}) {
+  const places = options.places || DEFAULT_FIXTURES;
+  const findPlace = id => places.find(place => place.id === id);
+  const findPhoto = ref => {
+    for (const place of places) {
+      const photo = (place.photos || []).find(candidate => path.basename(candidate.name) === ref);
+      if (photo) {
+        return { place, photo };
+      }
+    }
+    return null;
+  };
+
+  // Keys are read on every request, so keys issued while the server runs work at once
+  const isIssuedKey = key => Boolean(key) &&
+    ((options.keys || []).includes(key) || loadMockKeys(options).has(key));
+
+  /**
+   * Answer a legacy endpoint. Like the real API, errors are reported with a
+   * status in a 200 response.
+   */
+  function handleLegacy(endpoint, query, send) {
+    const reply = (status, body = {}) => send(200, { html_attributions: [], ...body, status });
+    const key = query.get('key');
+
+    if (!key) {
+      return reply('REQUEST_DENIED', { error_message: 'You must use an API key to authenticate each request to Google Maps Platform APIs. For additional information, please refer to http://g.co/dev/maps-no-account' });
+    }
+    if (!isIssuedKey(key)) {
+      return reply('REQUEST_DENIED', { error_message: 'The provided API key is invalid. ' });
+    }
+
+    const required = {
+      textsearch: ['query'],
+      nearbysearch: ['location'],
+      details: ['place_id'],
+      autocomplete: ['input'],
+      findplacefromtext: ['input', 'inputtype']
+    }[endpoint];
+    const missing = required.find(name => !query.get(name));
+    if (missing) {
+      return reply('INVALID_REQUEST', { error_message: `Missing the ${missing} parameter.` });
+    }
+
+    if (endpoint === 'details') {
+      const place = findPlace(query.get('place_id'));
+      if (!place) {
+        return reply('NOT_FOUND');
+      }
+      const result = toLegacyPlace(place);
+      return reply('OK', { result: query.get('fields') ? pickFields(result, query.get('fields').split(',')) : result });
+    }
+
+    if (endpoint === 'autocomplete') {
+      const predictions = autocomplete(places, query.get('input')).map(place => ({
+        description: `${place.displayName.text}, ${place.formattedAddress}`,
+        place_id: place.id,
+        structured_formatting: { main_text: place.displayName.text, secondary_text: place.formattedAddress },
+        types: place.types || []
+      }));
+      return send(200, { predictions, status: predictions.length > 0 ? 'OK' : 'ZERO_RESULTS' });
+    }
+
+    let found;
+    if (endpoint === 'nearbysearch') {
+      const [latitude, longitude] = query.get('location').split(',').map(Number);
+      if (Number.isNaN(latitude) || Number.isNaN(longitude) || (!query.get('radius') && query.get('rankby') !== 'distance')) {
+        return reply('INVALID_REQUEST', { error_message: 'Invalid location or missing radius.' });
+      }
+      const radius = query.get('radius') ? Number(query.get('radius')) : 50000;
+      found = searchNearby(places, { latitude, longitude }, radius, query.get('type') ? [query.get('type')] : []);
+    } else {
+      found = searchText(places, query.get(endpoint === 'textsearch' ? 'query' : 'input'));
+    }
+
+    const status = found.length > 0 ? 'OK' : 'ZERO_RESULTS';
+    if (endpoint === 'findplacefromtext') {
+      const fields = (query.get('fields') || 'place_id').split(',');
+      return reply(status, { candidates: found.map(place => pickFields(toLegacyPlace(place), fields)) });
+    }
+    return reply(status, { results: found.map(toLegacyPlace) });
+  }
+
+  /**
+   * Answer a legacy photo request with a placeholder image
+   */
+  function handleLegacyPhoto(query, send, sendImage) {
+    if (!isIssuedKey(query.get('key'))) {
+      return send(403, { error_message: 'The provided API key is invalid.', status: 'REQUEST_DENIED' });
+    }
+    if (!query.get('maxwidth') && !query.get('maxheight')) {
+      return send(400, { error_message: 'You must specify either maxheight or maxwidth.', status: 'INVALID_REQUEST' });
+    }
+    const match = findPhoto(query.get('photo_reference'));
+    if (!match) {
+      return send(400, { error_message: 'Invalid photo_reference.', status: 'INVALID_REQUEST' });
+    }
+    return sendImage(match, Number(query.get('maxwidth')) || null, Number(query.get('maxheight')) || null);
+  }
+
+  /**
+   * Answer a Places API (New) endpoint
+   */
+  function handleNew(req, url, body, send, sendImage) {
+    const key = req.headers['x-goog-api-key'] || url.searchParams.get('key');
+    const fieldMask = req.headers['x-goog-fieldmask'] || url.searchParams.get('fields');
+
+    if (!key) {
+      return send(403, newApiError(403, 'PERMISSION_DENIED', 'The request is missing a valid API key.'));
+    }
+    if (!isIssuedKey(key)) {
+      return send(400, newApiError(400, 'INVALID_ARGUMENT', 'API key not valid. Please pass a valid API key.', 'API_KEY_INVALID'));
+    }
+
+    const photoMatch = url.pathname.match(/^\/v1\/places\/([^/]+)\/photos\/([^/]+)\/media$/);
+    if (req.method === 'GET' && photoMatch) {
+      const match = findPhoto(photoMatch[2]);
+      const maxWidth = Number(url.searchParams.get('maxWidthPx')) || null;
+      const maxHeight = Number(url.searchParams.get('maxHeightPx')) || null;
+      if (!maxWidth && !maxHeight) {
+        return send(400, newApiError(400, 'INVALID_ARGUMENT', 'Either maxWidthPx or maxHeightPx must be specified.'));
+      }
+      if (!match || match.place.id !== photoMatch[1]) {
+        return send(404, newApiError(404, 'NOT_FOUND', 'Requested entity was not found.'));
+      }
+      if (url.searchParams.get('skipHttpRedirect') === 'true') {
+        const photoQuery = new URLSearchParams({ key });
+        if (maxWidth) {
+          photoQuery.set('maxWidthPx', maxWidth);
+        }
+        if (maxHeight) {
+          photoQuery.set('maxHeightPx', maxHeight);
+        }
+        return send(200, { name: match.photo.name, photoUri: `${url.origin}${url.pathname}?${photoQuery}` });
+      }
+      return sendImage(match, maxWidth, maxHeight);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v1/places:autocomplete') {
+      const suggestions = autocomplete(places, body.input).map(place => ({
+        placePrediction: {
+          place: `places/${place.id}`,
+          placeId: place.id,
+          text: { text: `${place.displayName.text}, ${place.formattedAddress}` },
+          structuredFormat: { mainText: { text: place.displayName.text }, secondaryText: { text: place.formattedAddress } },
+          types: place.types || []
+        }
+      }));
+      return send(200, suggestions.length > 0 ? { suggestions } : {});
+    }
+
+    if (!fieldMask) {
+      return send(400, newApiError(400, 'INVALID_ARGUMENT', 'FieldMask is a required parameter. See https://cloud.google.com/apis/docs/system-parameters on how to provide it. As an example, you can set the header \'X-Goog-FieldMask\' to \'displayName\' in order to request the displayName field of the Place.'));
+    }
+    const fields = fieldMask.split(',').map(field => field.trim());
+
+    const detailsMatch = url.pathname.match(/^\/v1\/places\/([^/:]+)$/);
+    if (req.method === 'GET' && detailsMatch) {
+      const place = findPlace(decodeURIComponent(detailsMatch[1]));
+      return place
+        ? send(200, pickFields(place, fields))
+        : send(404, newApiError(404, 'NOT_FOUND', 'Requested entity was not found.'));
+    }
+
+    let found;
+    if (req.method === 'POST' && url.pathname === '/v1/places:searchText') {
+      if (!body.textQuery) {
+        return send(400, newApiError(400, 'INVALID_ARGUMENT', 'Empty text_query.'));
+      }
+      found = searchText(places, body.textQuery).slice(0, body.pageSize || body.maxResultCount || MAX_RESULTS);
+    } else if (req.method === 'POST' && url.pathname === '/v1/places:searchNearby') {
+      const circle = body.locationRestriction && body.locationRestriction.circle;
+      if (!circle || !circle.center || !circle.radius) {
+        return send(400, newApiError(400, 'INVALID_ARGUMENT', 'location_restriction is required.'));
+      }
+      found = searchNearby(places, circle.center, circle.radius, body.includedTypes || [])
+        .slice(0, body.maxResultCount || MAX_RESULTS);
+    } else {
+      return send(404, newApiError(404, 'NOT_FOUND', `Method not found: ${req.method} ${url.pathname}`));
+    }
+
+    const placeFields = fields.includes('*') ? ['*'] : fields.filter(field => field.startsWith('places.')).map(field => field.slice(7));
+    return send(200, found.length > 0 ? { places: found.map(place => pickFields(place, placeFields)) } : {});
+  }
+
+  /**
+   * Route a request to the Places API (New) or legacy handlers
+   * @param {http.IncomingMessage} req Request
+   * @param {URL} url Request URL
+   * @param {string} text Request body
+   * @param {Function} send Sends a JSON response
+   * @param {Function} sendImage Sends a photo
+   * @returns {void}
+   */
+  function dispatch(req, url, text, send, sendImage) {
+    if (url.pathname.startsWith('/v1/')) {
+      let body = {};
+      try {
+        body = text ? JSON.parse(text) : {};
+      } catch (error) {
+        return send(400, newApiError(400, 'INVALID_ARGUMENT', `Invalid JSON payload received. ${error.message}`));
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return send(400, newApiError(400, 'INVALID_ARGUMENT', 'Invalid JSON payload received. Expected an object.'));
+      }
+      return handleNew(req, url, body, send, sendImage);
+    }
+
+    if (url.pathname === '/maps/api/place/photo') {
+      return handleLegacyPhoto(url.searchParams, send, sendImage);
+    }
+
+    const legacyMatch = url.pathname.match(/^\/maps\/api\/place\/(textsearch|nearbysearch|details|autocomplete|findplacefromtext)\/json$/);
+    if (legacyMatch) {
+      return handleLegacy(legacyMatch[1], url.searchParams, send);
+    }
+
+    return send(404, { error_message: `Unknown endpoint ${url.pathname}`, status: 'NOT_FOUND' });
+  }
+
+  return http.createServer((req, res) => {
+    let text = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      text += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      // Browsers call the server from the app's own origin
+      const cors = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Goog-Api-Key, X-Goog-FieldMask'
+      };
+      const send = (status, payload) => {
+        res.writeHead(status, { ...cors, 'Content-Type': 'application/json; charset=UTF-8' });
+        res.end(JSON.stringify(payload, null, 2));
+      };
+      const sendImage = ({ place, photo }, maxWidth, maxHeight) => {
+        // Scale down to the requested bounds, keeping the aspect ratio
+        const scale = Math.min(1, maxWidth ? maxWidth / photo.widthPx : 1, maxHeight ? maxHeight / photo.heightPx : 1);
+        res.writeHead(200, { ...cors, 'Content-Type': 'image/svg+xml' });
+        res.end(renderPhoto(place.displayName.text, Math.round(photo.widthPx * scale), Math.round(photo.heightPx * scale)));
+      };
+
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, { ...cors, 'Access-Control-Allow-Methods': 'GET, POST' });
+        return res.end();
+      }
+
+      // No request may take the server down, however malformed
+      try {
+        return dispatch(req, url, text, send, sendImage);
+      } catch (error) {
+        if (res.headersSent) {
+          return res.end();
+        }
+        return send(500, newApiError(500, 'INTERNAL', `The mock server failed: ${error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * Start the mock Places API
+ * @param {Object} options Server options (see `createMockServer`) and `host` and `port` to listen on
+ * @returns {Promise<{server: http.Server, url: string}>} Listening server and its base URL
+ */
+function startMockServer(options = {}) {
+  const server = createMockServer(options);
+  const host = options.host || '127.0.0.1';
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port !== undefined ? Number(options.port) : 8080, host, () => {
+      resolve({ server, url: `http://${host}:${server.address().port}` });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_FIXTURES,
+  loadFixtures,
+  loadMockKeys,
+  toLegacyPlace,
+  createMockServer,
+  startMockServer
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+
+/**
+ * File formats the API key can be written in
+ */
+const OUTPUT_FORMATS = ['dotenv', 'json', 'yaml', 'shell'];
+
+/**
+ * Variable name used when none is given
+ */
+const DEFAULT_VAR_NAME = 'GOOGLE_PLACES_API_KEY';
+
+/**
+ * Pick the output format from the file name when none is given
+ * @param {string} file Output file
+ * @returns {string} Output format
+ */
+function inferFormat(file) {
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.json') {
+    return 'json';
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    return 'yaml';
+  }
+  if (extension === '.sh') {
+    return 'shell';
+  }
+  return 'dotenv';
+}
+
+/**
+ * Check the output options before anything is created
+ * @param {Object} options Command line options (`output`, `format`, `varName`)
+ * @returns {string|null} Validation error, or null if the options are valid
+ */
+function validateOutputOptions(options = {}) {
+  if (options.format && !OUTPUT_FORMATS.includes(options.format)) {
+    return `Unknown output format "${options.format}"; choose from ${OUTPUT_FORMATS.join(', ')}`;
+  }
+
+  if (options.format && !options.output) {
+    return '--format needs an --output file';
+  }
+
+  if (options.varName && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(options.varName)) {
+    return `Variable name "${options.varName}" may only contain letters, digits and underscores and cannot start with a digit`;
+  }
+
+  return null;
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value Value
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Set a variable in line-based content, replacing an existing assignment or appending one
+ * @param {string} content Existing content
+ * @param {RegExp} pattern Matches the line that assigns the variable
+ * @param {string} line New assignment line
+ * @returns {string} Updated content
+ */
+function setLine(content, pattern, line) {
+  const lines = content ? content.replace(/\n$/, '').split('\n') : [];
+  const index = lines.findIndex(existing => pattern.test(existing));
+
+  if (index === -1) {
+    lines.push(line);
+  } else {
+    lines[index] = line;
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Merge the API key into existing file content, keeping everything else
+ * @param {string} content Existing content (empty for a new file)
+ * @param {string} format Output format
+ * @param {string} varName Variable name
+ * @param {string} apiKey API key
+ * @returns {string} New file content
+ */
+function mergeKeyContent(content, format, varName, apiKey) {
+  switch (format) {
+    case 'json': {
+      const data = content.trim() ? JSON.parse(content) : {};
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('the existing file does not hold a JSON object');
+      }
+      data[varName] = apiKey;
+      return `${JSON.stringify(data, null, 2)}\n`;
+    }
+    case 'yaml':
+      return setLine(content, new RegExp(`^${varName}\\s*:`), `${varName}: ${JSON.stringify(apiKey)}`);
+    case 'shell':
+      return setLine(content, new RegExp(`^\\s*(export\\s+)?${varName}=`), `export ${varName}=${shellQuote(apiKey)}`);
+    default:
+      return setLine(content, new RegExp(`^\\s*(export\\s+)?${varName}\\s*=`), `${varName}=${apiKey}`);
+  }
+}
+
+/**
+ * Check whether git ignores a file
+ * @param {string} file File path
+ * @returns {boolean|null} Whether the file is ignored, or null outside a git repository
+ */
+function isGitIgnored(file) {
+  const absolute = path.resolve(file);
+  const result = childProcess.spawnSync(
+    'git',
+    ['-C', path.dirname(absolute), 'check-ignore', '-q', absolute],
+    { stdio: 'ignore', windowsHide: true }
+  );
+
+  if (result.status === 0) {
+    return true;
+  }
+  if (result.status === 1) {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Write the API key to `options.output`, merging into the file if it exists.
+ * New files are created readable by the owner only.
+ * @param {string} apiKey API key
+ * @param {Object} options Command line options (`output`, `format`, `varName`)
+ * @returns {{success: boolean, path?: string, format?: string, created?: boolean, gitIgnored?: boolean|null, error?: string}}
+ */
+function writeKeyFile(apiKey, options = {}) {
+  const file = path.resolve(options.output);
+  const format = options.format || inferFormat(file);
+  const varName = options.varName || DEFAULT_VAR_NAME;
+  const created = !fs.existsSync(file);
+
+  try {
+    const content = created ? '' : fs.readFileSync(file, 'utf8');
+    const merged = mergeKeyContent(content, format, varName, apiKey);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, merged, { mode: 0o600 });
+  } catch (error) {
+    return { success: false, error: `Could not write ${file}: ${error.message}` };
+  }
+
+  return { success: true, path: file, format, created, gitIgnored: isGitIgnored(file) };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_VAR_NAME,
+  inferFormat,
+  validateOutputOptions,
+  mergeKeyContent,
+  isGitIgnored,
+  writeKeyFile
+};
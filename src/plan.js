@@ -0,0 +1,101 @@
+const chalk = require('chalk');
+const { formatCommand } = require('./runner');
+const { logProgress } = require('./report');
+
+/**
+ * Placeholders used in place of values that only exist after a real run
+ */
+const PLACEHOLDERS = {
+  keyId: '<KEY_ID>',
+  apiKey: '<API_KEY>'
+};
+
+/**
+ * Create an empty plan. The plan is a runner (see `createShellRunner`) that
+ * records commands and URLs instead of executing them.
+ * @returns {{entries: Array<{type: string, value: string}>, exec: Function, open: Function}} Plan
+ */
+function createPlan() {
+  const entries = [];
+
+  return {
+    entries,
+
+    /**
+     * Record a command and return the output the flow needs to keep going
+     * @param {string} file Executable that would be run
+     * @param {string[]} args Arguments
+     * @returns {Promise<{success: boolean, output: string}>} Placeholder command result
+     */
+    async exec(file, args = []) {
+      entries.push({ type: 'command', value: formatCommand(file, args) });
+      return { success: true, output: getPlaceholderOutput(args) };
+    },
+
+    /**
+     * Record a URL that would be opened in the browser
+     * @param {string} url URL
+     * @returns {Promise<void>}
+     */
+    async open(url) {
+      entries.push({ type: 'url', value: url });
+    }
+  };
+}
+
+/**
+ * Get placeholder output for commands whose output the setup flow parses
+ * @param {string[]} args Arguments of the command that would be executed
+ * @returns {string} Placeholder output
+ */
+function getPlaceholderOutput(args) {
+  if (!args.includes('api-keys')) {
+    return '';
+  }
+
+  if (args.includes('list')) {
+    return JSON.stringify([{ displayName: 'places-api-key', uid: PLACEHOLDERS.keyId }]);
+  }
+
+  if (args.includes('get-key-string')) {
+    return JSON.stringify({ keyString: PLACEHOLDERS.apiKey });
+  }
+
+  return '';
+}
+
+/**
+ * Format plan entries as a numbered list
+ * @param {Array<{type: string, value: string}>} entries Plan entries
+ * @returns {string} Formatted plan
+ */
+function formatPlan(entries) {
+  if (entries.length === 0) {
+    return 'No commands would be executed.';
+  }
+
+  return entries
+    .map((entry, index) => {
+      const label = entry.type === 'url' ? 'open ' : '$ ';
+      return `${String(index + 1).padStart(2)}. ${label}${entry.value}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Print a plan to the console
+ * @param {Array<{type: string, value: string}>} entries Plan entries
+ * @param {Object} options Command line options (`json` prints it to stderr)
+ */
+function printPlan(entries, options = {}) {
+  logProgress(options, '\n' + chalk.yellow.bold('=== Dry run: execution plan ==='));
+  logProgress(options, chalk.white(formatPlan(entries)));
+  logProgress(options, chalk.yellow(`\n${PLACEHOLDERS.keyId} and ${PLACEHOLDERS.apiKey} are filled in from command output during a real run.`));
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  createPlan,
+  formatPlan,
+  printPlan
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { validateProjectId } = require('./validation');
+
+/**
+ * Template used when no --id-template is given
+ */
+const DEFAULT_ID_TEMPLATE = 'places-project-{timestamp}-{rand4}';
+
+/**
+ * Template used for each environment of `--environments` when no --id-template is given
+ */
+const DEFAULT_ENV_ID_TEMPLATE = 'places-{env}-{timestamp}-{rand4}';
+
+/**
+ * Longest project ID Google Cloud accepts
+ */
+const MAX_PROJECT_ID_LENGTH = 30;
+
+/**
+ * Generate random lowercase letters and digits
+ * @param {number} length Number of characters
+ * @returns {string} Random characters
+ */
+function randomChars(length) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from(crypto.randomBytes(length), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+/**
+ * Turn arbitrary text into characters allowed in a project ID
+ * @param {string} value Text
+ * @returns {string} Lowercase text with invalid characters replaced by hyphens
+ */
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+}
+
+/**
+ * Render a project ID template such as `{team}-places-{env}-{rand4}`.
+ *
+ * Placeholders are filled from `vars`, except for the built-ins:
+ * - `{randN}`: N random lowercase letters and digits (1-12)
+ * - `{timestamp}`: last 6 digits of the current time in milliseconds
+ * - `{date}`: current date as YYYYMMDD
+ *
+ * Values are lowercased and characters a project ID cannot hold become
+ * hyphens. When the result is longer than 30 characters the longest
+ * non-random parts are shortened, so the random suffix is always kept.
+ *
+ * @param {string} template Project ID template
+ * @param {Object<string, string>} vars Placeholder values
+ * @returns {string} Rendered project ID (not yet validated)
+ */
+function renderProjectIdTemplate(template, vars = {}) {
+  const segments = [];
+  const pattern = /\{([a-zA-Z][a-zA-Z0-9_]*)\}/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(template)) !== null) {
+    segments.push({ text: slugify(template.slice(lastIndex, match.index)), fixed: false });
+
+    const name = match[1];
+    const random = name.match(/^rand(\d+)$/);
+
+    if (random) {
+      const length = Number(random[1]);
+      if (length < 1 || length > 12) {
+        throw new Error(`{${name}} in the project ID template must use 1 to 12 random characters`);
+      }
+      segments.push({ text: randomChars(length), fixed: true });
+    } else if (name === 'timestamp') {
+      segments.push({ text: Date.now().toString().slice(-6), fixed: true });
+    } else if (name === 'date') {
+      segments.push({ text: new Date().toISOString().slice(0, 10).replace(/-/g, ''), fixed: true });
+    } else if (vars[name] !== undefined && vars[name] !== '') {
+      segments.push({ text: slugify(vars[name]), fixed: false });
+    } else {
+      throw new Error(`No value for {${name}} in the project ID template`);
+    }
+
+    lastIndex = pattern.lastIndex;
+  }
+  segments.push({ text: slugify(template.slice(lastIndex)), fixed: false });
+
+  const join = () => segments.map(segment => segment.text).join('')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+/, '');
+
+  // Shorten the longest non-random part until the ID fits
+  while (join().length > MAX_PROJECT_ID_LENGTH) {
+    const longest = segments
+      .filter(segment => !segment.fixed && segment.text.length > 0)
+      .sort((a, b) => b.text.length - a.text.length)[0];
+
+    if (!longest) {
+      break;
+    }
+    longest.text = longest.text.slice(0, -1);
+  }
+
+  return join().replace(/-+$/, '');
+}
+
+/**
+ * Collect the template variables available for the given options. Custom
+ * variables come from --id-var (`idVar`) and the config file's `idVars`,
+ * which wins like every other environment setting.
+ * @param {Object} options Command line options
+ * @returns {Object<string, string>} Template variables
+ */
+function getTemplateVars(options = {}) {
+  return {
+    ...options.idVar,
+    ...options.idVars,
+    ...(options.team ? { team: options.team } : {}),
+    ...(options.env ? { env: options.env } : {})
+  };
+}
+
+/**
+ * Get the template project IDs are generated from
+ * @param {Object} options Command line options
+ * @returns {string} `options.idTemplate` or the default template
+ */
+function getIdTemplate(options = {}) {
+  return options.idTemplate || DEFAULT_ID_TEMPLATE;
+}
+
+/**
+ * Generate a project ID from `options.idTemplate` or the default template
+ * @param {Object} options Command line options
+ * @returns {string} Generated project ID
+ */
+function generateProjectId(options = {}) {
+  return renderProjectIdTemplate(getIdTemplate(options), getTemplateVars(options));
+}
+
+/**
+ * Generate a project ID and check it against the project ID rules
+ * @param {Object} options Command line options
+ * @returns {{projectId?: string, error?: string}} Generated ID or the reason it is unusable
+ */
+function generateValidProjectId(options = {}) {
+  try {
+    const projectId = generateProjectId(options);
+    const error = validateProjectId(projectId);
+    return error ? { error: `Project ID template "${getIdTemplate(options)}" produced an invalid ID: ${error}` } : { projectId };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  DEFAULT_ID_TEMPLATE,
+  DEFAULT_ENV_ID_TEMPLATE,
+  MAX_PROJECT_ID_LENGTH,
+  renderProjectIdTemplate,
+  generateProjectId,
+  generateValidProjectId
+};
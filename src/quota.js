@@ -0,0 +1,110 @@
+/**
+ * Quota limit units the caps apply to, by option name
+ */
+const QUOTA_UNITS = {
+  dailyQuota: '1/d/{project}',
+  perMinuteQuota: '1/min/{project}'
+};
+
+/**
+ * Caps applied to projects whose ID was generated, which are assumed to be
+ * development projects
+ */
+const DEV_QUOTA_DEFAULTS = {
+  dailyQuota: 1000,
+  perMinuteQuota: 100
+};
+
+/**
+ * Parse a quota cap such as `1000` or `unlimited`
+ * @param {string|number} value Requests allowed per unit of time, or `unlimited`
+ * @returns {{value?: number, error?: string}} Cap (-1 for unlimited) or the reason it is invalid
+ */
+function parseQuotaValue(value) {
+  const text = String(value).trim().toLowerCase();
+
+  if (text === 'unlimited') {
+    return { value: -1 };
+  }
+
+  if (!/^\d+$/.test(text)) {
+    return { error: `Quota "${value}" must be a whole number of requests or "unlimited"` };
+  }
+
+  return { value: Number(text) };
+}
+
+/**
+ * Check --daily-quota and --per-minute-quota before anything is created
+ * @param {Object} options Command line options
+ * @returns {string|null} Validation error, or null if the options are valid
+ */
+function validateQuotaOptions(options = {}) {
+  return Object.keys(QUOTA_UNITS)
+    .filter(name => options[name] !== undefined)
+    .map(name => parseQuotaValue(options[name]).error)
+    .find(Boolean) || null;
+}
+
+/**
+ * Get the caps to apply: the ones given, or the development defaults for
+ * projects with a generated ID
+ * @param {Object} options Command line options (`dailyQuota`, `perMinuteQuota`)
+ * @param {boolean} devProject Whether the project ID was generated
+ * @returns {Object<string, number>} Caps by option name, empty if none apply
+ */
+function getQuotaCaps(options = {}, devProject = false) {
+  const given = Object.keys(QUOTA_UNITS).filter(name => options[name] !== undefined);
+
+  if (given.length === 0) {
+    return devProject ? { ...DEV_QUOTA_DEFAULTS } : {};
+  }
+
+  return Object.fromEntries(given.map(name => [name, parseQuotaValue(options[name]).value]));
+}
+
+/**
+ * Find the limits of a service that the caps apply to
+ * @param {string} service Service name
+ * @param {Array<Object>} metrics Consumer quota metrics of the service, as listed by `gcloud alpha services quota list`
+ * @param {Object<string, number>} caps Caps by option name
+ * @returns {Array<{service: string, metric: string, unit: string, value: number, current: number|null}>} Limits to override
+ */
+function selectQuotaLimits(service, metrics, caps) {
+  return metrics.flatMap(metric => (metric.consumerQuotaLimits || [])
+    .flatMap(limit => Object.keys(caps)
+      .filter(name => limit.unit === QUOTA_UNITS[name])
+      .map(name => {
+        // The bucket without dimensions holds the limit for the whole project
+        const bucket = (limit.quotaBuckets || []).find(candidate => !candidate.dimensions) || {};
+        return {
+          service,
+          metric: limit.metric || metric.metric,
+          unit: limit.unit,
+          value: caps[name],
+          current: bucket.effectiveLimit !== undefined ? Number(bucket.effectiveLimit) : null
+        };
+      })));
+}
+
+/**
+ * Format quota limits for the summary
+ * @param {Array<{metric: string, unit: string, value: number}>} quotas Quota limits
+ * @returns {string[]} One line per limit
+ */
+function formatQuotaLimits(quotas) {
+  return quotas.map(({ metric, unit, value }) => {
+    const period = unit === QUOTA_UNITS.dailyQuota ? 'day' : 'minute';
+    return `${metric}: ${value === -1 || value === null ? 'unlimited' : value} requests per ${period}`;
+  });
+}
+
+module.exports = {
+  QUOTA_UNITS,
+  DEV_QUOTA_DEFAULTS,
+  parseQuotaValue,
+  validateQuotaOptions,
+  getQuotaCaps,
+  selectQuotaLimits,
+  formatQuotaLimits
+};
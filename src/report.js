@@ -0,0 +1,133 @@
+const { STEPS } = require('./state');
+
+/**
+ * Get the status of every setup step after a run
+ * @param {Object|null} state State record after the run (null if none was saved)
+ * @param {string} startedAt When the run started (ISO timestamp)
+ * @param {string} failedStep Step the run stopped at, if it failed in one
+ * @returns {Object<string, string>} `done`, `already-done`, `failed` or `pending` for each step
+ */
+function getStepStatuses(state, startedAt, failedStep) {
+  const steps = (state && state.steps) || {};
+
+  return Object.fromEntries(STEPS.map(step => {
+    if (steps[step]) {
+      // Steps recorded by an earlier, resumed run were not repeated
+      return [step, steps[step].completedAt < startedAt ? 'already-done' : 'done'];
+    }
+    return [step, step === failedStep ? 'failed' : 'pending'];
+  }));
+}
+
+/**
+ * Build the document printed by `--json` from the result of `run()`
+ * @param {Object} result Result of `run()`
+ * @returns {Object} JSON-serializable report
+ */
+function buildJsonReport(result) {
+  const report = {
+    success: result.success,
+    projectId: result.projectId || null
+  };
+
+  if (result.secret) {
+    report.secret = result.secret;
+    report.secretVersion = result.secretVersion;
+  } else if (result.apiKey) {
+    report.apiKey = result.apiKey;
+  }
+
+  Object.assign(report, {
+    isMock: Boolean(result.isMock),
+    services: result.services || [],
+    restrictions: result.restrictions || null,
+    steps: result.steps || getStepStatuses(null),
+    outputFile: result.outputFile || null
+  });
+
+  if (result.budget) {
+    report.budget = result.budget;
+  }
+
+  if (result.quotas) {
+    report.quotas = result.quotas;
+  }
+
+  if (result.verification) {
+    report.verification = result.verification;
+  }
+
+  if (result.dryRun) {
+    report.dryRun = true;
+    report.plan = result.plan;
+  }
+
+  if (result.rolledBack !== undefined) {
+    report.rolledBack = result.rolledBack;
+    report.rollbackErrors = result.rollbackErrors;
+  }
+
+  report.error = result.success ? null : {
+    code: result.code || 'SETUP_FAILED',
+    message: result.error,
+    step: result.step || null
+  };
+
+  return report;
+}
+
+/**
+ * Describe where an environment's key ended up: the secret, the output file
+ * or, failing both, the key itself
+ * @param {Object} result Result of `run()` for the environment
+ * @returns {string} Key reference
+ */
+function getKeyReference(result) {
+  if (!result.success) {
+    return `failed: ${result.error}`;
+  }
+  if (result.dryRun) {
+    return '(dry run)';
+  }
+  return result.secret || result.outputFile || result.apiKey;
+}
+
+/**
+ * Format the summary table printed after `--environments`
+ * @param {Array<Object>} results Results of `run()`, each with its `environment`
+ * @returns {string[]} Table lines
+ */
+function formatEnvironmentSummary(results) {
+  const rows = [['Environment', 'Project ID', 'Key']].concat(results.map(result => [
+    result.environment,
+    result.projectId || '-',
+    getKeyReference(result) + (result.isMock ? ' (mock)' : '')
+  ]));
+  const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+  const format = row => `${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`;
+
+  return [format(rows[0]), format(widths.map(width => '-'.repeat(width)).concat('---'))]
+    .concat(rows.slice(1).map(format));
+}
+
+/**
+ * Print progress output. With --json, stdout only carries the report, so
+ * progress goes to stderr instead.
+ * @param {Object} options Command line options (`json`)
+ * @param {...*} args Values to print, as for `console.log`
+ */
+function logProgress(options, ...args) {
+  if (options && options.json) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+module.exports = {
+  logProgress,
+  getStepStatuses,
+  buildJsonReport,
+  getKeyReference,
+  formatEnvironmentSummary
+};
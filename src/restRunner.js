@@ -0,0 +1,546 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const open = require('open');
+const { requestJson } = require('./http');
+const { formatCommand, parseGcloudCommand, flag } = require('./runner');
+const { flagsToRestrictions } = require('./keyRestrictions');
+const { parseBudgetAmount } = require('./budget');
+
+/**
+ * Default base URLs of the Google APIs used by the REST backend
+ */
+const DEFAULT_ENDPOINTS = {
+  resourceManager: 'https://cloudresourcemanager.googleapis.com',
+  serviceUsage: 'https://serviceusage.googleapis.com',
+  apiKeys: 'https://apikeys.googleapis.com',
+  secretManager: 'https://secretmanager.googleapis.com',
+  cloudBilling: 'https://cloudbilling.googleapis.com',
+  billingBudgets: 'https://billingbudgets.googleapis.com',
+  monitoring: 'https://monitoring.googleapis.com',
+  oauth2: 'https://oauth2.googleapis.com/token'
+};
+
+const SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+
+/**
+ * Canonical names of the gRPC status codes found in long-running operation errors
+ */
+const STATUS_NAMES = {
+  3: 'INVALID_ARGUMENT',
+  5: 'NOT_FOUND',
+  6: 'ALREADY_EXISTS',
+  7: 'PERMISSION_DENIED',
+  8: 'RESOURCE_EXHAUSTED',
+  9: 'FAILED_PRECONDITION',
+  16: 'UNAUTHENTICATED'
+};
+
+/**
+ * Error returned by a Google API
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} status Canonical status, e.g. FAILED_PRECONDITION
+   * @param {string} message Error message
+   */
+  constructor(status, message) {
+    super(`${status}: ${message}`);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Encode a value as unpadded base64url
+ * @param {Buffer|string} value Value to encode
+ * @returns {string} Encoded value
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Create a signed JWT assertion for the OAuth 2.0 service account flow
+ * @param {Object} serviceAccountKey Parsed service account JSON key
+ * @param {string} tokenUrl Token endpoint the assertion is intended for
+ * @param {number} now Current time in seconds
+ * @returns {string} Signed assertion
+ */
+function createServiceAccountAssertion(serviceAccountKey, tokenUrl, now = Math.floor(Date.now() / 1000)) {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: serviceAccountKey.private_key_id }));
+  const claims = base64url(JSON.stringify({
+    iss: serviceAccountKey.client_email,
+    scope: SCOPE,
+    aud: tokenUrl,
+    iat: now,
+    exp: now + 3600
+  }));
+
+  const signature = crypto.createSign('RSA-SHA256')
+    .update(`${header}.${claims}`)
+    .sign(serviceAccountKey.private_key);
+
+  return `${header}.${claims}.${base64url(signature)}`;
+}
+
+/**
+ * Turn an HTTP error response into an ApiError
+ * @param {{status: number, body: Object|null, text: string}} response HTTP response
+ * @returns {ApiError} Error
+ */
+function toApiError(response) {
+  const error = response.body && response.body.error;
+
+  if (error && typeof error === 'object') {
+    return new ApiError(error.status || `HTTP_${response.status}`, error.message || response.text);
+  }
+
+  return new ApiError(`HTTP_${response.status}`, (error || response.text || '').toString());
+}
+
+/**
+ * Create a runner that performs the setup's gcloud commands through the
+ * Cloud Resource Manager, Service Usage and API Keys REST APIs, so that the
+ * Google Cloud SDK is not required.
+ *
+ * @param {Object} config REST backend configuration
+ * @param {string} [config.accessToken] OAuth 2.0 access token
+ * @param {Object|string} [config.serviceAccountKey] Service account JSON key, or a path to one
+ * @param {Object} [config.endpoints] Base URL overrides (see DEFAULT_ENDPOINTS)
+ * @param {number} [config.pollInterval=1000] Delay between operation polls in milliseconds
+ * @param {number} [config.operationTimeout=120000] Maximum time to wait for an operation in milliseconds
+ * @returns {{exec: Function, open: Function}} REST runner
+ */
+function createRestRunner(config = {}) {
+  const endpoints = { ...DEFAULT_ENDPOINTS, ...config.endpoints };
+  const pollInterval = config.pollInterval !== undefined ? config.pollInterval : 1000;
+  const operationTimeout = config.operationTimeout || 120000;
+  let serviceAccountKey = config.serviceAccountKey;
+  let token = config.accessToken ? { accessToken: config.accessToken, expiresAt: Infinity } : null;
+  let currentProject = null;
+
+  if (typeof serviceAccountKey === 'string') {
+    serviceAccountKey = JSON.parse(fs.readFileSync(serviceAccountKey, 'utf8'));
+  }
+
+  if (!token && !serviceAccountKey) {
+    throw new Error('The REST backend needs an access token or a service account key');
+  }
+
+  /**
+   * Get a valid access token, exchanging the service account key if needed
+   * @returns {Promise<string>} Access token
+   */
+  async function getAccessToken() {
+    if (token && token.expiresAt > Date.now() + 60000) {
+      return token.accessToken;
+    }
+
+    const tokenUrl = (config.endpoints && config.endpoints.oauth2)
+      || serviceAccountKey.token_uri
+      || endpoints.oauth2;
+    const assertion = createServiceAccountAssertion(serviceAccountKey, tokenUrl);
+
+    const response = await requestJson({
+      url: tokenUrl,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      }).toString()
+    });
+
+    if (response.status !== 200 || !response.body || !response.body.access_token) {
+      const description = response.body && (response.body.error_description || response.body.error);
+      throw new ApiError('UNAUTHENTICATED', `Could not get an access token: ${description || response.text}`);
+    }
+
+    token = {
+      accessToken: response.body.access_token,
+      expiresAt: Date.now() + (response.body.expires_in || 3600) * 1000
+    };
+    return token.accessToken;
+  }
+
+  /**
+   * Call a Google API and return the parsed body
+   * @param {string} method HTTP method
+   * @param {string} url Request URL
+   * @param {Object} [body] JSON body
+   * @returns {Promise<Object>} Response body
+   */
+  async function call(method, url, body) {
+    const accessToken = await getAccessToken();
+    const response = await requestJson({
+      url,
+      method,
+      body,
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw toApiError(response);
+    }
+
+    return response.body || {};
+  }
+
+  /**
+   * Wait for a long-running operation to finish
+   * @param {string} baseUrl Base URL including the API version
+   * @param {Object} operation Operation returned by the API
+   * @returns {Promise<Object>} Operation response
+   */
+  async function waitForOperation(baseUrl, operation) {
+    const deadline = Date.now() + operationTimeout;
+    let current = operation;
+
+    while (!current.done) {
+      if (Date.now() > deadline) {
+        throw new ApiError('DEADLINE_EXCEEDED', `Operation ${operation.name} did not finish in time`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      current = await call('GET', `${baseUrl}/${current.name}`);
+    }
+
+    if (current.error) {
+      throw new ApiError(STATUS_NAMES[current.error.code] || `CODE_${current.error.code}`, current.error.message);
+    }
+
+    return current.response || {};
+  }
+
+  /**
+   * List every page of a collection
+   * @param {string} url Collection URL
+   * @param {string} field Field holding the items
+   * @returns {Promise<Object[]>} Items
+   */
+  async function listAll(url, field) {
+    const items = [];
+    let pageToken = '';
+
+    do {
+      const separator = url.includes('?') ? '&' : '?';
+      const page = await call('GET', pageToken ? `${url}${separator}pageToken=${encodeURIComponent(pageToken)}` : url);
+      items.push(...(page[field] || []));
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    return items;
+  }
+
+  const projectOf = flags => {
+    const projectId = flag(flags, 'project') || currentProject;
+    if (!projectId) {
+      throw new ApiError('INVALID_ARGUMENT', 'No project specified');
+    }
+    return encodeURIComponent(projectId);
+  };
+
+  const secretsUrl = flags => `${endpoints.secretManager}/v1/projects/${projectOf(flags)}/secrets`;
+
+  const quotaUrl = flags => {
+    const consumer = (flag(flags, 'consumer') || '').replace(/^projects\//, '');
+    return `${endpoints.serviceUsage}/v1beta1/projects/${encodeURIComponent(consumer)}/services/${encodeURIComponent(flag(flags, 'service'))}/consumerQuotaMetrics`;
+  };
+
+  const keysUrl = flags => `${endpoints.apiKeys}/v2/projects/${projectOf(flags)}/locations/global/keys`;
+
+  const handlers = {
+    'auth login': async () => {
+      await getAccessToken();
+      const identity = serviceAccountKey ? serviceAccountKey.client_email : 'the provided access token';
+      return `Authenticated with ${identity}.`;
+    },
+
+    'auth print-access-token': async () => getAccessToken(),
+
+    'config set': async ({ positional }) => {
+      if (positional[0] === 'project') {
+        currentProject = positional[1];
+      }
+      return `Updated property [core/${positional[0]}].`;
+    },
+
+    'projects create': async ({ positional, flags }) => {
+      const body = { projectId: positional[0], displayName: flag(flags, 'name') || positional[0] };
+
+      if (flag(flags, 'organization')) {
+        body.parent = `organizations/${flag(flags, 'organization')}`;
+      } else if (flag(flags, 'folder')) {
+        body.parent = `folders/${flag(flags, 'folder')}`;
+      }
+
+      const operation = await call('POST', `${endpoints.resourceManager}/v3/projects`, body);
+      await waitForOperation(`${endpoints.resourceManager}/v3`, operation);
+      return '';
+    },
+
+    'projects describe': async ({ positional }) => {
+      const project = await call('GET', `${endpoints.resourceManager}/v3/projects/${encodeURIComponent(positional[0])}`);
+      return JSON.stringify({
+        createTime: project.createTime,
+        lifecycleState: project.state,
+        name: project.displayName,
+        parent: project.parent,
+        projectId: project.projectId,
+        projectNumber: (project.name || '').split('/').pop()
+      }, null, 2);
+    },
+
+    'billing accounts list': async () => {
+      const billingAccounts = await listAll(`${endpoints.cloudBilling}/v1/billingAccounts`, 'billingAccounts');
+      return JSON.stringify(billingAccounts, null, 2);
+    },
+
+    'billing projects describe': async ({ positional }) => {
+      const billingInfo = await call('GET', `${endpoints.cloudBilling}/v1/projects/${encodeURIComponent(positional[0])}/billingInfo`);
+      return JSON.stringify(billingInfo, null, 2);
+    },
+
+    'billing projects link': async ({ positional, flags }) => {
+      const billingInfo = await call('PUT', `${endpoints.cloudBilling}/v1/projects/${encodeURIComponent(positional[0])}/billingInfo`, {
+        billingAccountName: `billingAccounts/${flag(flags, 'billing-account')}`
+      });
+      return JSON.stringify(billingInfo, null, 2);
+    },
+
+    'billing budgets create': async ({ flags }) => {
+      const list = name => (flag(flags, name) || '').split(',').filter(Boolean);
+      const { units, nanos, currencyCode } = parseBudgetAmount(flag(flags, 'budget-amount'));
+      const budget = await call('POST', `${endpoints.billingBudgets}/v1/billingAccounts/${encodeURIComponent(flag(flags, 'billing-account'))}/budgets`, {
+        displayName: flag(flags, 'display-name'),
+        budgetFilter: {
+          projects: list('filter-projects'),
+          services: list('filter-services')
+        },
+        amount: { specifiedAmount: { units, nanos, ...(currencyCode ? { currencyCode } : {}) } },
+        thresholdRules: (flags['threshold-rule'] || []).map(rule => ({ thresholdPercent: Number(rule.replace('percent=', '')) })),
+        notificationsRule: { monitoringNotificationChannels: list('notifications-rule-monitoring-notification-channels') }
+      });
+      return JSON.stringify(budget, null, 2);
+    },
+
+    'billing budgets delete': async ({ positional, flags }) => {
+      const name = positional[0].includes('/')
+        ? positional[0]
+        : `billingAccounts/${flag(flags, 'billing-account')}/budgets/${positional[0]}`;
+      await call('DELETE', `${endpoints.billingBudgets}/v1/${name}`);
+      return `Deleted budget [${name}].`;
+    },
+
+    'monitoring channels create': async ({ flags }) => {
+      const labels = Object.fromEntries((flag(flags, 'channel-labels') || '').split(',').filter(Boolean)
+        .map(label => label.split('=')));
+      const channel = await call('POST', `${endpoints.monitoring}/v3/projects/${projectOf(flags)}/notificationChannels`, {
+        type: flag(flags, 'type'),
+        displayName: flag(flags, 'display-name'),
+        labels
+      });
+      return JSON.stringify(channel, null, 2);
+    },
+
+    'monitoring channels delete': async ({ positional }) => {
+      await call('DELETE', `${endpoints.monitoring}/v3/${positional[0]}?force=true`);
+      return `Deleted [${positional[0]}].`;
+    },
+
+    'projects delete': async ({ positional }) => {
+      const operation = await call('DELETE', `${endpoints.resourceManager}/v3/projects/${encodeURIComponent(positional[0])}`);
+      await waitForOperation(`${endpoints.resourceManager}/v3`, operation);
+      return '';
+    },
+
+    'services enable': async ({ positional, flags }) => {
+      const operation = await call(
+        'POST',
+        `${endpoints.serviceUsage}/v1/projects/${projectOf(flags)}/services:batchEnable`,
+        { serviceIds: positional }
+      );
+      await waitForOperation(`${endpoints.serviceUsage}/v1`, operation);
+      return `Operation "${operation.name}" finished successfully.`;
+    },
+
+    'services disable': async ({ positional, flags }) => {
+      // Service Usage has no batch disable, so services are disabled one at a time
+      for (const service of positional) {
+        const operation = await call(
+          'POST',
+          `${endpoints.serviceUsage}/v1/projects/${projectOf(flags)}/services/${encodeURIComponent(service)}:disable`,
+          {}
+        );
+        await waitForOperation(`${endpoints.serviceUsage}/v1`, operation);
+      }
+      return `Disabled ${positional.join(', ')}.`;
+    },
+
+    'services list': async ({ flags }) => {
+      const services = await listAll(
+        `${endpoints.serviceUsage}/v1/projects/${projectOf(flags)}/services?filter=state:ENABLED&pageSize=200`,
+        'services'
+      );
+      return JSON.stringify(services, null, 2);
+    },
+
+    'services quota list': async ({ flags }) => {
+      const metrics = await listAll(`${quotaUrl(flags)}?view=BASIC`, 'metrics');
+      return JSON.stringify(metrics, null, 2);
+    },
+
+    'services quota update': async ({ flags }) => {
+      const limitUrl = `${quotaUrl(flags)}/${encodeURIComponent(flag(flags, 'metric'))}/limits/${encodeURIComponent(flag(flags, 'unit'))}`;
+      const body = { overrideValue: flag(flags, 'value') };
+
+      // gcloud changes an existing override instead of adding a second one
+      const limit = await call('GET', limitUrl);
+      const existing = (limit.quotaBuckets || []).map(bucket => bucket.consumerOverride).find(Boolean);
+      const operation = existing
+        ? await call('PATCH', `${endpoints.serviceUsage}/v1beta1/${existing.name}?force=true`, body)
+        : await call('POST', `${limitUrl}/consumerOverrides?force=true`, body);
+      await waitForOperation(`${endpoints.serviceUsage}/v1beta1`, operation);
+      return `Operation "${operation.name}" finished successfully.`;
+    },
+
+    'services api-keys create': async ({ flags }) => {
+      const restrictions = flagsToRestrictions(flags);
+      const body = { displayName: flag(flags, 'display-name') || '' };
+      if (Object.keys(restrictions).length > 0) {
+        body.restrictions = restrictions;
+      }
+
+      const operation = await call('POST', keysUrl(flags), body);
+      const key = await waitForOperation(`${endpoints.apiKeys}/v2`, operation);
+      return `Operation [${operation.name}] complete. Result: ${JSON.stringify(key)}`;
+    },
+
+    'services api-keys list': async ({ flags }) => {
+      const keys = await listAll(keysUrl(flags), 'keys');
+      return JSON.stringify(keys, null, 2);
+    },
+
+    'secrets describe': async ({ positional, flags }) => {
+      const secret = await call('GET', `${secretsUrl(flags)}/${encodeURIComponent(positional[0])}`);
+      return JSON.stringify(secret, null, 2);
+    },
+
+    'secrets create': async ({ positional, flags }) => {
+      await call('POST', `${secretsUrl(flags)}?secretId=${encodeURIComponent(positional[0])}`, {
+        replication: { automatic: {} }
+      });
+      return '';
+    },
+
+    'secrets delete': async ({ positional, flags }) => {
+      await call('DELETE', `${secretsUrl(flags)}/${encodeURIComponent(positional[0])}`);
+      return '';
+    },
+
+    'secrets add-iam-policy-binding': async ({ positional, flags }) => {
+      const url = `${secretsUrl(flags)}/${encodeURIComponent(positional[0])}`;
+      const policy = await call('GET', `${url}:getIamPolicy`);
+      const role = flag(flags, 'role');
+      const bindings = policy.bindings || [];
+      const binding = bindings.find(candidate => candidate.role === role);
+
+      if (binding) {
+        binding.members = [...new Set(binding.members.concat(flag(flags, 'member')))];
+      } else {
+        bindings.push({ role, members: [flag(flags, 'member')] });
+      }
+
+      const updated = await call('POST', `${url}:setIamPolicy`, { policy: { ...policy, bindings } });
+      return JSON.stringify(updated, null, 2);
+    },
+
+    'secrets versions add': async ({ positional, flags, input }) => {
+      if (flag(flags, 'data-file') !== '-' || input === undefined) {
+        throw new ApiError('INVALID_ARGUMENT', 'The REST backend only reads secret data from stdin (--data-file=-)');
+      }
+
+      const version = await call('POST', `${secretsUrl(flags)}/${encodeURIComponent(positional[0])}:addVersion`, {
+        payload: { data: Buffer.from(input).toString('base64') }
+      });
+      return JSON.stringify(version, null, 2);
+    },
+
+    'secrets versions access': async ({ positional, flags }) => {
+      const url = `${secretsUrl(flags)}/${encodeURIComponent(flag(flags, 'secret'))}/versions/${encodeURIComponent(positional[0])}:access`;
+      const { payload } = await call('GET', url);
+      return Buffer.from(payload.data, 'base64').toString();
+    },
+
+    'secrets versions destroy': async ({ positional, flags }) => {
+      const url = `${secretsUrl(flags)}/${encodeURIComponent(flag(flags, 'secret'))}/versions/${encodeURIComponent(positional[0])}:destroy`;
+      await call('POST', url, {});
+      return '';
+    },
+
+    'services api-keys describe': async ({ positional, flags }) => {
+      const key = await call('GET', `${keysUrl(flags)}/${encodeURIComponent(positional[0])}`);
+      return JSON.stringify(key, null, 2);
+    },
+
+    'services api-keys get-key-string': async ({ positional, flags }) => {
+      const { keyString } = await call('GET', `${keysUrl(flags)}/${encodeURIComponent(positional[0])}/keyString`);
+      return JSON.stringify({ keyString }, null, 2);
+    },
+
+    'services api-keys delete': async ({ positional, flags }) => {
+      const operation = await call('DELETE', `${keysUrl(flags)}/${encodeURIComponent(positional[0])}`);
+      await waitForOperation(`${endpoints.apiKeys}/v2`, operation);
+      return `Operation [${operation.name}] complete.`;
+    },
+
+    'services api-keys update': async ({ positional, flags }) => {
+      // Like gcloud, only the restrictions given are changed
+      const restrictions = flags['clear-restrictions'] ? {} : flagsToRestrictions(flags);
+      const updateMask = flags['clear-restrictions']
+        ? 'restrictions'
+        : Object.keys(restrictions).map(name => `restrictions.${name}`).join(',');
+      const operation = await call(
+        'PATCH',
+        `${keysUrl(flags)}/${encodeURIComponent(positional[0])}?updateMask=${updateMask}`,
+        { restrictions }
+      );
+      await waitForOperation(`${endpoints.apiKeys}/v2`, operation);
+      return `Operation [${operation.name}] complete.`;
+    }
+  };
+
+  return {
+    async exec(file, args = [], { input } = {}) {
+      const parsed = parseGcloudCommand(file, args, Object.keys(handlers));
+
+      if (parsed && ['--version', 'version'].includes(parsed.positional[0])) {
+        return { success: true, output: 'REST backend (the Google Cloud SDK is not required)' };
+      }
+
+      if (!parsed || !parsed.group) {
+        return { success: false, output: `ERROR: (rest) The REST backend does not support: ${formatCommand(file, args)}` };
+      }
+
+      try {
+        return { success: true, output: await handlers[parsed.group]({ ...parsed, input }) };
+      } catch (error) {
+        return { success: false, output: `ERROR: (rest.${parsed.group.replace(/ /g, '.')}) ${error.message}` };
+      }
+    },
+
+    async open(url) {
+      await open(url);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_ENDPOINTS,
+  ApiError,
+  createServiceAccountAssertion,
+  createRestRunner
+};
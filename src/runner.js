@@ -0,0 +1,182 @@
+const { spawn } = require('child_process');
+const open = require('open');
+
+/**
+ * Characters cmd.exe treats specially outside quotes
+ */
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+/**
+ * Quote an argument for `cmd.exe /d /s /c`. gcloud and npm are batch files on
+ * Windows, which expand their arguments once more, so cmd.exe metacharacters
+ * are escaped twice.
+ * @param {string} arg Argument
+ * @returns {string} Quoted argument
+ */
+function quoteWindowsArg(arg) {
+  const quoted = `"${String(arg).replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+  return quoted.replace(CMD_META_CHARS, '^^^$1');
+}
+
+/**
+ * Work out how to spawn a command. On Windows gcloud and npm are `.cmd`
+ * shims, which only cmd.exe can run, so the command goes through
+ * `cmd.exe /d /s /c` with every argument quoted.
+ * @param {string} file Executable
+ * @param {string[]} args Arguments
+ * @param {string} platform Platform, as in `process.platform`
+ * @returns {{command: string, args: string[], options: Object}} Arguments for `spawn`
+ */
+function getSpawnArgs(file, args = [], platform = process.platform) {
+  if (platform !== 'win32') {
+    return { command: file, args, options: { shell: false, windowsHide: true } };
+  }
+
+  const commandLine = [file.replace(CMD_META_CHARS, '^$1'), ...args.map(quoteWindowsArg)].join(' ');
+  return {
+    command: process.env.comspec || 'cmd.exe',
+    args: ['/d', '/s', '/c', `"${commandLine}"`],
+    options: { shell: false, windowsHide: true, windowsVerbatimArguments: true }
+  };
+}
+
+/**
+ * Create the default runner, which spawns commands directly (without a
+ * shell, so arguments are never interpreted; on Windows through cmd.exe with
+ * quoted arguments, see `getSpawnArgs`) and opens URLs in the user's browser.
+ *
+ * A runner is any object with:
+ * - `exec(file, args, { input })` returning `Promise<{success: boolean, output: string}>`
+ * - `open(url)` returning `Promise<void>`
+ *
+ * @returns {{exec: Function, open: Function}} Spawn runner
+ */
+function createShellRunner() {
+  return {
+    exec(file, args = [], { input } = {}) {
+      return new Promise(resolve => {
+        let stdout = '';
+        let stderr = '';
+        let child;
+
+        try {
+          const command = getSpawnArgs(file, args);
+          child = spawn(command.command, command.args, command.options);
+        } catch (error) {
+          resolve({ success: false, output: error.message });
+          return;
+        }
+
+        child.stdout.on('data', chunk => {
+          stdout += chunk;
+        });
+        child.stderr.on('data', chunk => {
+          stderr += chunk;
+        });
+        child.on('error', error => {
+          resolve({ success: false, output: error.code === 'ENOENT' ? `${file}: command not found` : error.message });
+        });
+        child.on('close', code => {
+          if (code === 0) {
+            resolve({ success: true, output: stdout.trim() });
+          } else {
+            resolve({ success: false, output: stderr.trim() || stdout.trim() || `${file} exited with code ${code}` });
+          }
+        });
+
+        if (input !== undefined) {
+          child.stdin.end(input);
+        } else {
+          child.stdin.end();
+        }
+      });
+    },
+
+    async open(url) {
+      await open(url);
+    }
+  };
+}
+
+/**
+ * Format a command for display, quoting arguments the way a POSIX shell would
+ * need them. The result is only shown to people; commands are never run
+ * through a shell.
+ * @param {string} file Executable
+ * @param {string[]} args Arguments
+ * @returns {string} Printable command line
+ */
+function formatCommand(file, args = []) {
+  return [file, ...args]
+    .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, '\'\\\'\'')}'`))
+    .join(' ');
+}
+
+/**
+ * Parse gcloud arguments into positionals and `--flag=value` flags
+ * @param {string[]} args Arguments after the command group
+ * @returns {{positional: string[], flags: Object<string, string[]>}} Parsed arguments
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (const arg of args) {
+    if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+      const value = separator === -1 ? 'true' : arg.slice(separator + 1);
+      flags[name] = (flags[name] || []).concat(value);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, flags };
+}
+
+/**
+ * Get the last value of a flag
+ * @param {Object<string, string[]>} flags Parsed flags
+ * @param {string} name Flag name
+ * @returns {string|undefined} Flag value
+ */
+function flag(flags, name) {
+  return flags[name] ? flags[name][flags[name].length - 1] : undefined;
+}
+
+/**
+ * Split gcloud arguments into their command group and parsed arguments
+ * @param {string} file Executable
+ * @param {string[]} args Arguments
+ * @param {string[]} groups Known command groups, e.g. `services api-keys create`
+ * @returns {{group: string|null, positional: string[], flags: Object<string, string[]>}|null} Parsed command, or null if it is not a gcloud command
+ */
+function parseGcloudCommand(file, args, groups) {
+  if (file !== 'gcloud') {
+    return null;
+  }
+
+  // The alpha and beta surfaces take the same arguments as GA
+  const rest = args.filter((arg, index) => index > 0 || !['alpha', 'beta'].includes(arg));
+
+  // Match the longest known command group
+  const group = groups
+    .filter(name => name.split(' ').every((part, index) => rest[index] === part))
+    .sort((a, b) => b.split(' ').length - a.split(' ').length)[0];
+
+  if (!group) {
+    return { group: null, positional: rest, flags: {} };
+  }
+
+  return { group, ...parseArgs(rest.slice(group.split(' ').length)) };
+}
+
+module.exports = {
+  createShellRunner,
+  getSpawnArgs,
+  formatCommand,
+  parseArgs,
+  flag,
+  parseGcloudCommand
+};
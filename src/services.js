@@ -0,0 +1,119 @@
+/**
+ * Google Maps Platform APIs the tool can enable, in the order they are offered.
+ * `id` is what `--apis` accepts; `services` are the service names that get
+ * enabled and added to the key's API targets; `billingNames` are the display
+ * names the APIs are billed under in the Cloud Billing catalog, used to scope
+ * budgets.
+ */
+const SERVICE_CATALOG = [
+  { id: 'places', name: 'Places API (New and legacy)', services: ['places-backend.googleapis.com', 'places.googleapis.com'], billingNames: ['Places API', 'Places API (New)'] },
+  { id: 'places-new', name: 'Places API (New) only', services: ['places.googleapis.com'], billingNames: ['Places API (New)'] },
+  { id: 'places-legacy', name: 'Places API (legacy) only', services: ['places-backend.googleapis.com'], billingNames: ['Places API'] },
+  { id: 'geocoding', name: 'Geocoding API', services: ['geocoding-backend.googleapis.com'], billingNames: ['Geocoding API'] },
+  { id: 'maps-js', name: 'Maps JavaScript API', services: ['maps-backend.googleapis.com'], billingNames: ['Maps JavaScript API'] },
+  { id: 'static-maps', name: 'Maps Static API', services: ['static-maps-backend.googleapis.com'], billingNames: ['Maps Static API'] },
+  { id: 'directions', name: 'Directions API (legacy)', services: ['directions-backend.googleapis.com'], billingNames: ['Directions API'] },
+  { id: 'distance-matrix', name: 'Distance Matrix API (legacy)', services: ['distance-matrix-backend.googleapis.com'], billingNames: ['Distance Matrix API'] },
+  { id: 'routes', name: 'Routes API', services: ['routes.googleapis.com'], billingNames: ['Routes API'] },
+  { id: 'geolocation', name: 'Geolocation API', services: ['geolocation.googleapis.com'], billingNames: ['Geolocation API'] },
+  { id: 'timezone', name: 'Time Zone API', services: ['timezone-backend.googleapis.com'], billingNames: ['Time Zone API'] },
+  { id: 'address-validation', name: 'Address Validation API', services: ['addressvalidation.googleapis.com'], billingNames: ['Address Validation API'] }
+];
+
+/**
+ * APIs used when none are selected
+ */
+const DEFAULT_APIS = ['places'];
+
+/**
+ * Parse an API selection such as `places,geocoding,maps-js`
+ * @param {string|string[]} value Catalog IDs, comma-separated or as an array
+ * @returns {{apis?: string[], error?: string}} Selected catalog IDs or the reason the selection is invalid
+ */
+function parseApiSelection(value) {
+  const apis = [...new Set([].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean))];
+
+  if (apis.length === 0) {
+    return { error: 'Select at least one API' };
+  }
+
+  const unknown = apis.filter(id => !SERVICE_CATALOG.some(entry => entry.id === id));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown API "${unknown.join('", "')}"; choose from ${SERVICE_CATALOG.map(entry => entry.id).join(', ')}`
+    };
+  }
+
+  if (apis.includes('places') && (apis.includes('places-new') || apis.includes('places-legacy'))) {
+    return { error: '"places" already includes both Places APIs; use "places-new" or "places-legacy" to pick one' };
+  }
+
+  return { apis };
+}
+
+/**
+ * Get the service names for a set of catalog IDs
+ * @param {string[]} apis Catalog IDs (defaults to `DEFAULT_APIS`)
+ * @returns {string[]} Service names without duplicates
+ */
+function getServicesForApis(apis = DEFAULT_APIS) {
+  return [...new Set(apis.flatMap(id => SERVICE_CATALOG.find(entry => entry.id === id).services))];
+}
+
+/**
+ * Get the friendly names for a set of catalog IDs
+ * @param {string[]} apis Catalog IDs (defaults to `DEFAULT_APIS`)
+ * @returns {string[]} API names
+ */
+function getApiNames(apis = DEFAULT_APIS) {
+  return apis.map(id => SERVICE_CATALOG.find(entry => entry.id === id).name);
+}
+
+/**
+ * Get the Cloud Billing catalog names for a set of catalog IDs
+ * @param {string[]} apis Catalog IDs (defaults to `DEFAULT_APIS`)
+ * @returns {string[]} Billing service display names without duplicates
+ */
+function getBillingNames(apis = DEFAULT_APIS) {
+  return [...new Set(apis.flatMap(id => SERVICE_CATALOG.find(entry => entry.id === id).billingNames))];
+}
+
+/**
+ * Resolve a list of catalog IDs and full service names (anything containing a
+ * dot, e.g. `secretmanager.googleapis.com`) to service names
+ * @param {string|string[]} value Catalog IDs and service names
+ * @returns {{services?: string[], error?: string}} Service names without duplicates or the reason the list is invalid
+ */
+function resolveServices(value) {
+  const items = [].concat(value || []).map(item => String(item).trim()).filter(Boolean);
+  const serviceNames = items.filter(item => item.includes('.'));
+  const catalogIds = items.filter(item => !item.includes('.'));
+
+  if (items.length === 0) {
+    return { error: 'List at least one service' };
+  }
+
+  if (catalogIds.length === 0) {
+    return { services: [...new Set(serviceNames)] };
+  }
+
+  const { apis, error } = parseApiSelection(catalogIds);
+  if (error) {
+    return { error };
+  }
+
+  return { services: [...new Set(getServicesForApis(apis).concat(serviceNames))] };
+}
+
+module.exports = {
+  SERVICE_CATALOG,
+  DEFAULT_APIS,
+  parseApiSelection,
+  getServicesForApis,
+  getApiNames,
+  getBillingNames,
+  resolveServices
+};
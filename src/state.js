@@ -0,0 +1,206 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+/**
+ * Setup steps in the order `run()` performs them. Each completed step is
+ * recorded in the project's state file so an interrupted run can be resumed.
+ */
+const STEPS = [
+  'projectCreated',
+  'projectSet',
+  'billingConfirmed',
+  'apisEnabled',
+  'keyCreated',
+  'keyRestricted'
+];
+
+/**
+ * Get the directory holding the tool's local configuration and state
+ * @returns {string} Configuration directory
+ */
+function getConfigDir() {
+  if (process.env.PLACES_SETUP_HOME) {
+    return process.env.PLACES_SETUP_HOME;
+  }
+
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return path.join(process.env.APPDATA, 'places-setup');
+  }
+
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'places-setup');
+}
+
+/**
+ * Get the directory where per-project state files are stored
+ * @param {Object} options Command line options
+ * @returns {string} State directory
+ */
+function getStateDir(options = {}) {
+  return options.stateDir || path.join(getConfigDir(), 'state');
+}
+
+/**
+ * Get the path of the state file for a project
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {string} State file path
+ */
+function getStatePath(projectId, options = {}) {
+  return path.join(getStateDir(options), `${projectId}.json`);
+}
+
+/**
+ * Create a fresh, unsaved state record for a project
+ * @param {string} projectId Project ID
+ * @param {string} projectName Project name
+ * @param {Object} options Command line options
+ * @returns {Object} State record
+ */
+function createState(projectId, projectName, options = {}) {
+  const now = new Date().toISOString();
+  return {
+    projectId,
+    projectName,
+    createdAt: now,
+    updatedAt: now,
+    mode: {
+      mockBilling: Boolean(options.mockBilling),
+      noBilling: Boolean(options.noBilling),
+      useExisting: Boolean(options.useExisting)
+    },
+    apis: options.apis,
+    secretName: options.storeSecret,
+    steps: {}
+  };
+}
+
+/**
+ * Load the state file for a project
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {Object|null} State record or null if none exists
+ */
+function loadState(projectId, options = {}) {
+  const statePath = getStatePath(projectId, options);
+
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    if (options.debug) {
+      console.error(`Failed to read state file ${statePath}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Write a state record to its project's state file
+ * @param {Object} state State record
+ * @param {Object} options Command line options
+ * @returns {string} Path of the written file
+ */
+function saveState(state, options = {}) {
+  const statePath = getStatePath(state.projectId, options);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+
+  state.updatedAt = new Date().toISOString();
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  return statePath;
+}
+
+/**
+ * Remove the state file for a project
+ * @param {string} projectId Project ID
+ * @param {Object} options Command line options
+ * @returns {boolean} Whether a state file was removed
+ */
+function deleteState(projectId, options = {}) {
+  const statePath = getStatePath(projectId, options);
+
+  if (!fs.existsSync(statePath)) {
+    return false;
+  }
+
+  fs.unlinkSync(statePath);
+  return true;
+}
+
+/**
+ * Check whether a step has been recorded as complete
+ * @param {Object} state State record
+ * @param {string} step Step name
+ * @returns {boolean} Whether the step is complete
+ */
+function isStepComplete(state, step) {
+  return Boolean(state && state.steps && state.steps[step]);
+}
+
+/**
+ * Record a step as complete and persist the state
+ * @param {Object} state State record
+ * @param {string} step Step name
+ * @param {Object} data Extra data to keep with the step (e.g. key ID)
+ * @param {Object} options Command line options
+ * @returns {Object} The updated state record
+ */
+function markStepComplete(state, step, data = {}, options = {}) {
+  if (!STEPS.includes(step)) {
+    throw new Error(`Unknown setup step: ${step}`);
+  }
+
+  state.steps[step] = { ...data, completedAt: new Date().toISOString() };
+  saveState(state, options);
+  return state;
+}
+
+/**
+ * Get the first step that has not been completed yet
+ * @param {Object} state State record
+ * @returns {string|null} Step name or null if every step is complete
+ */
+function getNextStep(state) {
+  return STEPS.find(step => !isStepComplete(state, step)) || null;
+}
+
+/**
+ * Find the most recently updated state record that still has incomplete steps
+ * @param {Object} options Command line options
+ * @returns {Object|null} State record or null if there is nothing to resume
+ */
+function findLatestIncompleteState(options = {}) {
+  const stateDir = getStateDir(options);
+
+  if (!fs.existsSync(stateDir)) {
+    return null;
+  }
+
+  const states = fs.readdirSync(stateDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadState(path.basename(file, '.json'), options))
+    // Projects set up by apply have no steps left to resume
+    .filter(state => state && !state.appliedFrom && getNextStep(state));
+
+  states.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return states[0] || null;
+}
+
+module.exports = {
+  STEPS,
+  getConfigDir,
+  getStateDir,
+  getStatePath,
+  createState,
+  loadState,
+  saveState,
+  deleteState,
+  isStepComplete,
+  markStepComplete,
+  getNextStep,
+  findLatestIncompleteState
+};
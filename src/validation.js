@@ -0,0 +1,219 @@
+const net = require('net');
+
+/**
+ * Words Google Cloud does not allow anywhere in a project ID
+ */
+const RESTRICTED_ID_WORDS = ['google', 'ssl', 'undefined', 'null'];
+
+/**
+ * Check a project ID against Google Cloud's project ID rules
+ * @param {string} projectId Project ID
+ * @returns {string|null} Validation error, or null if the ID is valid
+ */
+function validateProjectId(projectId) {
+  if (typeof projectId !== 'string' || projectId.length === 0) {
+    return 'Project ID is required';
+  }
+
+  if (projectId.length < 6 || projectId.length > 30) {
+    return `Project ID "${projectId}" must be 6 to 30 characters long (it has ${projectId.length})`;
+  }
+
+  if (!/^[a-z]/.test(projectId)) {
+    return `Project ID "${projectId}" must start with a lowercase letter`;
+  }
+
+  if (!/^[a-z0-9-]+$/.test(projectId)) {
+    return `Project ID "${projectId}" may only contain lowercase letters, digits and hyphens`;
+  }
+
+  if (projectId.endsWith('-')) {
+    return `Project ID "${projectId}" cannot end with a hyphen`;
+  }
+
+  const restricted = RESTRICTED_ID_WORDS.find(word => projectId.includes(word));
+  if (restricted) {
+    return `Project ID "${projectId}" cannot contain "${restricted}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a project name against Google Cloud's display name rules
+ * @param {string} projectName Project name
+ * @returns {string|null} Validation error, or null if the name is valid
+ */
+function validateProjectName(projectName) {
+  if (typeof projectName !== 'string' || projectName.length === 0) {
+    return 'Project name is required';
+  }
+
+  if (projectName.length < 4 || projectName.length > 30) {
+    return `Project name "${projectName}" must be 4 to 30 characters long (it has ${projectName.length})`;
+  }
+
+  const invalid = projectName.match(/[^A-Za-z0-9'"\- !]/);
+  if (invalid) {
+    return `Project name "${projectName}" contains "${invalid[0]}"; only letters, digits, spaces, hyphens, single and double quotes and exclamation points are allowed`;
+  }
+
+  return null;
+}
+
+/**
+ * Check an HTTP referrer pattern for a browser key restriction, such as
+ * `https://example.com/*`, `*.example.com/*` or `localhost:3000`
+ * @param {string} referrer Referrer pattern
+ * @returns {string|null} Validation error, or null if the pattern is valid
+ */
+function validateReferrer(referrer) {
+  if (!referrer) {
+    return 'Referrer pattern is empty';
+  }
+
+  if (/[\s,]/.test(referrer)) {
+    return `Referrer "${referrer}" cannot contain spaces or commas`;
+  }
+
+  if (!/^(https?:\/\/)?(\*\.)?[A-Za-z0-9.-]+(:(\d+|\*))?(\/\S*)?$/.test(referrer) && referrer !== '*') {
+    return `Referrer "${referrer}" is not a valid pattern (e.g. https://example.com/* or *.example.com/*)`;
+  }
+
+  return null;
+}
+
+/**
+ * Check an IPv4 or IPv6 address, optionally in CIDR notation, for a server key restriction
+ * @param {string} address IP address or range
+ * @returns {string|null} Validation error, or null if the address is valid
+ */
+function validateIpAddress(address) {
+  const [ip, prefix, ...rest] = String(address).split('/');
+  const version = net.isIP(ip);
+
+  if (!version || rest.length > 0) {
+    return `"${address}" is not a valid IP address or CIDR range`;
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix)) {
+    return `"${address}" has an invalid prefix length (0-${maxPrefix})`;
+  }
+
+  return null;
+}
+
+/**
+ * Check an Android app given as `package:sha1`, e.g.
+ * `com.example.app:DA:39:A3:EE:5E:6B:4B:0D:32:55:BF:EF:95:60:18:90:AF:D8:07:09`
+ * @param {string} app Package name and SHA-1 certificate fingerprint
+ * @returns {string|null} Validation error, or null if the app is valid
+ */
+function validateAndroidApp(app) {
+  const separator = String(app).indexOf(':');
+  const packageName = separator === -1 ? app : app.slice(0, separator);
+  const fingerprint = separator === -1 ? '' : app.slice(separator + 1);
+
+  if (!/^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)+$/.test(packageName)) {
+    return `Android app "${app}" must start with a package name such as com.example.app`;
+  }
+
+  if (!/^[0-9A-Fa-f]{40}$/.test(fingerprint.replace(/:/g, '')) ||
+      (fingerprint.includes(':') && !/^([0-9A-Fa-f]{2}:){19}[0-9A-Fa-f]{2}$/.test(fingerprint))) {
+    return `Android app "${app}" needs a SHA-1 fingerprint after the package name (package:sha1)`;
+  }
+
+  return null;
+}
+
+/**
+ * Check an iOS bundle ID such as `com.example.app`
+ * @param {string} bundleId Bundle ID
+ * @returns {string|null} Validation error, or null if the bundle ID is valid
+ */
+function validateIosBundleId(bundleId) {
+  if (!/^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/.test(String(bundleId))) {
+    return `iOS bundle ID "${bundleId}" must be reverse-DNS letters, digits and hyphens (e.g. com.example.app)`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a billing account ID such as `012345-6789AB-CDEF01`
+ * @param {string} accountId Billing account ID
+ * @returns {string|null} Validation error, or null if the ID is valid
+ */
+function validateBillingAccountId(accountId) {
+  if (!/^[0-9A-F]{6}-[0-9A-F]{6}-[0-9A-F]{6}$/.test(String(accountId))) {
+    return `Billing account "${accountId}" must look like 012345-6789AB-CDEF01`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a Secret Manager secret ID
+ * @param {string} name Secret ID
+ * @returns {string|null} Validation error, or null if the ID is valid
+ */
+function validateSecretName(name) {
+  if (!/^[A-Za-z0-9_-]{1,255}$/.test(String(name))) {
+    return `Secret name "${name}" may only contain letters, digits, hyphens and underscores (at most 255)`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a service account email such as `app@my-project.iam.gserviceaccount.com`
+ * @param {string} email Service account email
+ * @returns {string|null} Validation error, or null if the email is valid
+ */
+function validateServiceAccountEmail(email) {
+  if (!/^[a-z0-9-]+@[a-z0-9.-]+\.gserviceaccount\.com$/.test(String(email))) {
+    return `"${email}" is not a service account email (name@project.iam.gserviceaccount.com)`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a count or a number of seconds given on the command line
+ * @param {*} value Option value
+ * @param {string} option Option as typed, e.g. `--verify-timeout`
+ * @param {boolean} [integer=false] Whether only whole numbers are accepted
+ * @returns {string|null} Validation error, or null if the value is valid
+ */
+function validateNonNegativeNumber(value, option, integer = false) {
+  const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    return `${option} must be a non-negative ${integer ? 'whole number' : 'number'}, not "${value}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Adapt a validator to inquirer's `validate` contract
+ * @param {Function} validator Validator returning an error or null
+ * @returns {Function} Function returning true or the error message
+ */
+function toPromptValidator(validator) {
+  return input => validator(input) || true;
+}
+
+module.exports = {
+  validateProjectId,
+  validateProjectName,
+  validateReferrer,
+  validateIpAddress,
+  validateAndroidApp,
+  validateIosBundleId,
+  validateBillingAccountId,
+  validateSecretName,
+  validateServiceAccountEmail,
+  validateNonNegativeNumber,
+  toPromptValidator
+};
@@ -0,0 +1,219 @@
+const { requestJson } = require('./http');
+
+/**
+ * Base URLs of the Places API (New) and the legacy Places API
+ */
+const PLACES_BASE_URLS = {
+  new: 'https://places.googleapis.com',
+  legacy: 'https://maps.googleapis.com'
+};
+
+/**
+ * What each verification status means
+ */
+const VERIFY_MESSAGES = {
+  works: 'The key works',
+  'api-not-enabled': 'The Places API is not enabled on the key\'s project',
+  'api-restricted': 'The key is not allowed to call the Places API',
+  'billing-disabled': 'Billing is not enabled on the key\'s project',
+  'referrer-restricted': 'The key only accepts requests from its allowed referrers',
+  'application-restricted': 'The key only accepts requests from its allowed IP addresses or apps',
+  'key-invalid': 'The key is not valid',
+  unreachable: 'The Places API could not be reached',
+  unknown: 'The Places API rejected the request'
+};
+
+/**
+ * Statuses that can clear up on their own while a new key, service or
+ * billing link propagates
+ */
+const TRANSIENT_STATUSES = ['api-not-enabled', 'api-restricted', 'billing-disabled', 'key-invalid', 'unreachable'];
+
+/**
+ * Transient statuses that may still be propagation when the retries run out,
+ * so they do not prove the key is broken
+ */
+const INCONCLUSIVE_STATUSES = ['api-not-enabled', 'key-invalid', 'unreachable'];
+
+/**
+ * Error reasons of the Places API (New) and the status they mean
+ */
+const ERROR_REASONS = {
+  API_KEY_INVALID: 'key-invalid',
+  SERVICE_DISABLED: 'api-not-enabled',
+  BILLING_DISABLED: 'billing-disabled',
+  API_KEY_SERVICE_BLOCKED: 'api-restricted',
+  API_KEY_HTTP_REFERRER_BLOCKED: 'referrer-restricted',
+  API_KEY_IP_ADDRESS_BLOCKED: 'application-restricted',
+  API_KEY_ANDROID_APP_BLOCKED: 'application-restricted',
+  API_KEY_IOS_APP_BLOCKED: 'application-restricted'
+};
+
+/**
+ * Error messages of both APIs and the status they mean, for responses
+ * without a reason
+ */
+const ERROR_PATTERNS = [
+  [/API key not valid|provided API key is invalid|API key expired/i, 'key-invalid'],
+  [/billing/i, 'billing-disabled'],
+  [/has not been used in project|is disabled|not authorized to use this API\.?$|not activated/i, 'api-not-enabled'],
+  [/are blocked|referer restrictions/i, 'referrer-restricted'],
+  [/IP, site or mobile application is not authorized/i, 'application-restricted']
+];
+
+/**
+ * Pick the Places API to verify against from the enabled services
+ * @param {string[]} services Selected service names
+ * @returns {string|null} `new`, `legacy`, or null if no Places API is selected
+ */
+function pickPlacesApi(services) {
+  if (services.includes('places.googleapis.com')) {
+    return 'new';
+  }
+  return services.includes('places-backend.googleapis.com') ? 'legacy' : null;
+}
+
+/**
+ * Build headers that satisfy a key's application restrictions where that is
+ * possible from the command line. IP address restrictions cannot be met.
+ * @param {Object} restrictions Key restrictions
+ * @returns {Object<string, string>} Request headers
+ */
+function getRestrictionHeaders(restrictions = {}) {
+  const { browserKeyRestrictions, androidKeyRestrictions, iosKeyRestrictions } = restrictions;
+
+  if (browserKeyRestrictions && browserKeyRestrictions.allowedReferrers) {
+    // Turn the first pattern into a URL it matches, e.g. *.example.com/* -> https://www.example.com/
+    const referrer = browserKeyRestrictions.allowedReferrers[0]
+      .replace(/^\*\./, 'www.')
+      .replace(/\*/g, '');
+    return { Referer: /^[a-z][a-z0-9+.-]*:\/\//i.test(referrer) ? referrer : `https://${referrer}` };
+  }
+
+  if (androidKeyRestrictions && androidKeyRestrictions.allowedApplications) {
+    const [application] = androidKeyRestrictions.allowedApplications;
+    return {
+      'X-Android-Package': application.packageName,
+      'X-Android-Cert': application.sha1Fingerprint.replace(/:/g, '').toUpperCase()
+    };
+  }
+
+  if (iosKeyRestrictions && iosKeyRestrictions.allowedBundleIds) {
+    return { 'X-Ios-Bundle-Identifier': iosKeyRestrictions.allowedBundleIds[0] };
+  }
+
+  return {};
+}
+
+/**
+ * Build the smallest Places request for a key: a Text Search (New) that only
+ * asks for place IDs, or a legacy Find Place that only asks for place IDs.
+ * Both are ID-only requests, which are not billed.
+ * @param {string} apiKey API key
+ * @param {Object} options Verification options
+ * @param {string} [options.api='new'] `new` or `legacy`
+ * @param {string} [options.baseUrl] Base URL replacing the Google endpoint (e.g. a local stub)
+ * @param {Object} [options.restrictions] Key restrictions to satisfy
+ * @returns {Object} Request for `requestJson`
+ */
+function buildVerifyRequest(apiKey, { api = 'new', baseUrl, restrictions } = {}) {
+  const base = (baseUrl || PLACES_BASE_URLS[api]).replace(/\/$/, '');
+  const headers = getRestrictionHeaders(restrictions);
+
+  if (api === 'legacy') {
+    const query = new URLSearchParams({ input: 'Eiffel Tower', inputtype: 'textquery', fields: 'place_id', key: apiKey });
+    return { url: `${base}/maps/api/place/findplacefromtext/json?${query}`, headers, timeout: 10000 };
+  }
+
+  return {
+    url: `${base}/v1/places:searchText`,
+    method: 'POST',
+    headers: { ...headers, 'X-Goog-Api-Key': apiKey, 'X-Goog-FieldMask': 'places.id' },
+    body: { textQuery: 'Eiffel Tower', pageSize: 1 },
+    timeout: 10000
+  };
+}
+
+/**
+ * Work out what a Places response says about the key
+ * @param {{status: number, body: Object|null, text: string}} response Places API response
+ * @param {string} api `new` or `legacy`
+ * @returns {{status: string, detail: string}} Verification status and the API's own message
+ */
+function classifyPlacesResponse(response, api = 'new') {
+  const body = response.body || {};
+
+  if (api === 'legacy') {
+    if (response.status === 200 && ['OK', 'ZERO_RESULTS'].includes(body.status)) {
+      return { status: 'works', detail: body.status };
+    }
+  } else if (response.status === 200) {
+    return { status: 'works', detail: 'OK' };
+  }
+
+  const error = body.error || {};
+  const detail = (api === 'legacy' ? body.error_message || body.status : error.message) || response.text || `HTTP ${response.status}`;
+  const reason = (error.details || []).map(item => item.reason).find(value => ERROR_REASONS[value]);
+  if (reason) {
+    return { status: ERROR_REASONS[reason], detail };
+  }
+
+  const match = ERROR_PATTERNS.find(([pattern]) => pattern.test(detail));
+  return { status: match ? match[1] : 'unknown', detail };
+}
+
+/**
+ * Send a Places request with the key, retrying while the outcome may still
+ * change because the key or its project settings are propagating
+ * @param {string} apiKey API key
+ * @param {Object} options Verification options
+ * @param {string} [options.api='new'] `new` or `legacy`
+ * @param {string} [options.placesBaseUrl] Base URL replacing the Google endpoint
+ * @param {Object} [options.restrictions] Key restrictions to satisfy
+ * @param {number} [options.verifyTimeout=60] Seconds to keep retrying
+ * @param {number} [options.verifyInterval=5000] Delay between attempts in milliseconds
+ * @param {Function} [options.onRetry] Called with the result of each failed attempt that is retried
+ * @returns {Promise<{status: string, ok: boolean, message: string, detail: string, attempts: number}>} Verification result
+ */
+async function verifyApiKey(apiKey, options = {}) {
+  const api = options.api || 'new';
+  const request = buildVerifyRequest(apiKey, { api, baseUrl: options.placesBaseUrl, restrictions: options.restrictions });
+  const timeout = Number(options.verifyTimeout !== undefined ? options.verifyTimeout : 60) * 1000;
+  const interval = options.verifyInterval !== undefined ? options.verifyInterval : 5000;
+  const maxAttempts = Math.max(1, Math.ceil(timeout / Math.max(interval, 1)) + 1);
+  let result;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      result = classifyPlacesResponse(await requestJson(request), api);
+    } catch (error) {
+      result = { status: 'unreachable', detail: error.message };
+    }
+
+    const verification = {
+      ...result,
+      ok: result.status === 'works',
+      message: VERIFY_MESSAGES[result.status],
+      attempts: attempt
+    };
+    if (verification.ok || !TRANSIENT_STATUSES.includes(result.status) || attempt === maxAttempts) {
+      return verification;
+    }
+
+    if (options.onRetry) {
+      options.onRetry(verification);
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = {
+  PLACES_BASE_URLS,
+  VERIFY_MESSAGES,
+  INCONCLUSIVE_STATUSES,
+  pickPlacesApi,
+  getRestrictionHeaders,
+  buildVerifyRequest,
+  classifyPlacesResponse,
+  verifyApiKey
+};
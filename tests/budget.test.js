@@ -0,0 +1,149 @@
+const {
+  parseBudgetAmount,
+  parseAlertThresholds,
+  validateBudgetOptions,
+  matchBillingServices,
+  buildBudgetArgs
+} = require('../src/budget');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const { loadState } = require('../src/state');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+describe('parseBudgetAmount', () => {
+  test('should read units, cents and an optional currency', () => {
+    expect(parseBudgetAmount('25')).toEqual({ units: '25', nanos: 0 });
+    expect(parseBudgetAmount('12.5usd')).toEqual({ units: '12', nanos: 500000000, currencyCode: 'USD' });
+  });
+
+  test('should reject zero and malformed amounts', () => {
+    expect(parseBudgetAmount('0').error).toContain('positive number');
+    expect(parseBudgetAmount('$25').error).toContain('positive number');
+    expect(parseBudgetAmount('25 dollars').error).toContain('positive number');
+  });
+});
+
+describe('parseAlertThresholds', () => {
+  test('should sort percentages and drop duplicates', () => {
+    expect(parseAlertThresholds('100, 50%,90,50')).toEqual({ thresholds: [50, 90, 100] });
+  });
+
+  test('should reject values that are not percentages', () => {
+    expect(parseAlertThresholds('50,abc').error).toContain('"abc"');
+    expect(parseAlertThresholds('0').error).toContain('between 0 and 1000');
+    expect(parseAlertThresholds('').error).toBe('List at least one alert threshold');
+  });
+});
+
+describe('validateBudgetOptions', () => {
+  test('should accept no budget at all', () => {
+    expect(validateBudgetOptions({})).toBeNull();
+  });
+
+  test('should need a budget for thresholds and emails', () => {
+    expect(validateBudgetOptions({ alertThresholds: '50' })).toContain('need a --budget');
+  });
+
+  test('should check the amount, thresholds and emails', () => {
+    expect(validateBudgetOptions({ budget: '25', alertThresholds: '50,90', budgetEmail: ['me@example.com'] })).toBeNull();
+    expect(validateBudgetOptions({ budget: 'lots' })).toContain('positive number');
+    expect(validateBudgetOptions({ budget: '25', budgetEmail: ['me'] })).toBe('"me" is not a valid email address');
+  });
+});
+
+describe('matchBillingServices', () => {
+  test('should report names missing from the catalog', () => {
+    const catalog = [
+      { name: 'services/AAAA-BBBB-CCCC', displayName: 'Places API' },
+      { name: 'services/DDDD-EEEE-FFFF', displayName: 'Compute Engine' }
+    ];
+
+    expect(matchBillingServices(catalog, ['Places API', 'Places API (New)'])).toEqual({
+      services: ['services/AAAA-BBBB-CCCC'],
+      missing: ['Places API (New)']
+    });
+  });
+});
+
+describe('buildBudgetArgs', () => {
+  test('should scope the budget and add a rule per threshold', () => {
+    expect(buildBudgetArgs({
+      billingAccount: '012345-6789AB-CDEF01',
+      projectId: 'my-places-project',
+      amount: '12.5USD',
+      thresholds: [50, 100],
+      services: ['services/AAAA-BBBB-CCCC'],
+      channels: ['projects/my-places-project/notificationChannels/1']
+    })).toEqual([
+      'billing', 'budgets', 'create',
+      '--billing-account=012345-6789AB-CDEF01',
+      '--display-name=Places API budget (my-places-project)',
+      '--budget-amount=12.50USD',
+      '--filter-projects=projects/my-places-project',
+      '--filter-services=services/AAAA-BBBB-CCCC',
+      '--threshold-rule=percent=0.5',
+      '--threshold-rule=percent=1',
+      '--notifications-rule-monitoring-notification-channels=projects/my-places-project/notificationChannels/1',
+      '--format=json'
+    ]);
+  });
+});
+
+describe('budgets with the fake gcloud', () => {
+  const fixture = withFakeSetup({ projectId: 'my-places-project', projectName: 'My Project' });
+
+  test('should create a budget with email alerts and delete it on destroy', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      ...fixture.options,
+      budget: '25USD',
+      alertThresholds: '90,50',
+      budgetEmail: ['me@example.com'],
+      runner: gcloud
+    });
+
+    expect(result.success).toBe(true);
+    const budget = gcloud.budgets.get(result.budget);
+    expect(budget).toEqual(expect.objectContaining({
+      displayName: 'Places API budget (my-places-project)',
+      // The fake has no billing catalog, so the budget covers the whole project
+      budgetFilter: { projects: ['projects/my-places-project'] },
+      amount: { specifiedAmount: { units: '25', currencyCode: 'USD' } },
+      thresholdRules: [{ thresholdPercent: 0.5 }, { thresholdPercent: 0.9 }]
+    }));
+
+    const project = gcloud.projects.get('my-places-project');
+    expect(budget.notificationsRule.monitoringNotificationChannels).toEqual([...project.channels.keys()]);
+    expect([...project.channels.values()][0].labels).toEqual({ email_address: 'me@example.com' });
+    expect(project.services.has('billingbudgets.googleapis.com')).toBe(true);
+
+    const destroyed = await index.destroy({ ...fixture.options, runner: gcloud });
+
+    expect(destroyed.success).toBe(true);
+    expect(gcloud.budgets.size).toBe(0);
+    expect(project.channels.size).toBe(0);
+    expect(project.services.has('billingbudgets.googleapis.com')).toBe(false);
+  });
+
+  test('should finish the setup and explain the missing role when budgets are not allowed', async () => {
+    const gcloud = createFakeGcloud({ canCreateBudgets: false });
+
+    const result = await index.run({ ...fixture.options, budget: '10', budgetEmail: ['me@example.com'], runner: gcloud });
+
+    expect(result.success).toBe(true);
+    expect(result.budget).toBeUndefined();
+    expect(gcloud.projects.get('my-places-project').channels.size).toBe(0);
+    expect(fixture.errors.join('\n')).toContain('Billing Account Costs Manager role (roles/billing.costsManager) on billing account 012345-6789AB-CDEF01');
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).budget).toBeUndefined();
+  });
+
+  test('should reject budget options before creating anything', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, budgetEmail: ['me@example.com'], runner: gcloud });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'INVALID_BUDGET' }));
+    expect(gcloud.projects.size).toBe(0);
+  });
+});
@@ -1,5 +1,6 @@
 const { exec } = require('child_process');
 const path = require('path');
+const { generateValidProjectId } = require('../src/projectId');
 
 // Set testing environment
 process.env.NODE_ENV = 'test';
@@ -7,6 +8,16 @@ process.env.NODE_ENV = 'test';
 // Mock the core module we're testing with direct function definitions
 jest.mock('../src/index', () => ({
   run: jest.fn().mockImplementation(() => Promise.resolve({ success: true, apiKey: 'mock-api-key' })),
+  destroy: jest.fn().mockImplementation(() => Promise.resolve({ success: true, removed: [] })),
+  runEnvironments: jest.fn().mockImplementation(() => Promise.resolve({ success: true, environments: [] })),
+  apply: jest.fn().mockImplementation(() => Promise.resolve({ success: true, changes: [], keys: [] })),
+  rotate: jest.fn().mockImplementation(() => Promise.resolve({ success: true, apiKey: 'mock-api-key' })),
+  verify: jest.fn().mockImplementation(() => Promise.resolve({ success: true, verification: { status: 'works' } })),
+  mockServer: jest.fn().mockImplementation(() => Promise.resolve({ success: true, url: 'http://127.0.0.1:8080' })),
+  listMocks: jest.fn().mockImplementation(() => ({ success: true, projects: [], keys: [] })),
+  showMock: jest.fn().mockImplementation(() => ({ success: true, keys: [] })),
+  revokeMock: jest.fn().mockImplementation(() => ({ success: true, revoked: [] })),
+  doctor: jest.fn().mockImplementation(() => Promise.resolve({ success: true, checks: [] })),
   checkNpmDependencies: jest.fn().mockImplementation(() => Promise.resolve(true)),
   checkGcloudInstalled: jest.fn().mockImplementation(() => Promise.resolve({ installed: true, needsRestart: false })),
   showFallbackRecommendations: jest.fn().mockImplementation(() => Promise.resolve(undefined))
@@ -94,6 +105,161 @@ describe('CLI Interface', () => {
     }));
   });
   
+  test('CLI should pass destroy options to the destroy function', () => {
+    process.argv = ['node', 'cli.js', 'destroy', 'test-project', '--delete-project', '--state-dir', '/tmp/state', '--yes'];
+    
+    // The CLI module only runs once per module registry
+    jest.isolateModules(() => {
+      const isolatedSetupProcess = require('../src/index');
+      require('../bin/cli');
+      
+      expect(isolatedSetupProcess.run).not.toHaveBeenCalled();
+      expect(isolatedSetupProcess.destroy).toHaveBeenCalledWith(expect.objectContaining({
+        projectId: 'test-project',
+        deleteProject: true,
+        stateDir: '/tmp/state',
+        yes: true
+      }));
+    });
+  });
+  
+  test('CLI should pass --id-var values to the project ID template', () => {
+    process.argv = ['node', 'cli.js', '--id-template', '{org}-places-{rand4}', '--id-var', 'org=acme', '--id-var', 'unit=maps'];
+    
+    jest.isolateModules(() => {
+      const isolatedSetupProcess = require('../src/index');
+      require('../bin/cli');
+      
+      const [options] = isolatedSetupProcess.run.mock.calls[0];
+      expect(options.idVar).toEqual({ org: 'acme', unit: 'maps' });
+      expect(generateValidProjectId(options).projectId).toMatch(/^acme-places-[a-z0-9]{4}$/);
+    });
+  });
+  
+  test('CLI should run each environment with --environments', () => {
+    process.argv = ['node', 'cli.js', '--environments', 'dev,staging,prod', '--config', 'envs.yaml'];
+    
+    jest.isolateModules(() => {
+      const isolatedSetupProcess = require('../src/index');
+      require('../bin/cli');
+      
+      expect(isolatedSetupProcess.run).not.toHaveBeenCalled();
+      expect(isolatedSetupProcess.runEnvironments).toHaveBeenCalledWith(expect.objectContaining({
+        environments: 'dev,staging,prod',
+        config: 'envs.yaml'
+      }));
+    });
+  });
+  
+  test('CLI should pass apply options to the apply function', () => {
+    process.argv = ['node', 'cli.js', 'apply', '--config', 'envs/places-setup.yaml', '--dry-run'];
+    
+    jest.isolateModules(() => {
+      const isolatedSetupProcess = require('../src/index');
+      require('../bin/cli');
+      
+      expect(isolatedSetupProcess.apply).toHaveBeenCalledWith(expect.objectContaining({
+        config: 'envs/places-setup.yaml',
+        dryRun: true
+      }));
+    });
+  });
+  
+  test('CLI should pass rotate options to the rotate function', () => {
+    process.argv = ['node', 'cli.js', 'rotate', '--project-id', 'test-project', '--grace-days', '14'];
+    
+    jest.isolateModules(() => {
+      const isolatedSetupProcess = require('../src/index');
+      require('../bin/cli');
+      
+      expect(isolatedSetupProcess.rotate).toHaveBeenCalledWith(expect.objectContaining({
+        projectId: 'test-project',
+        graceDays: '14'
+      }));
+    });
+  });
+  
+  test('CLI should pass verify options to the verify function', () => {
+    process.argv = ['node', 'cli.js', 'verify', '--key', 'AIzaTest', '--api', 'legacy', '--places-base-url', 'http://localhost:8080'];
+    
+    jest.isolateModules(() => {
+      const isolatedSetupProcess = require('../src/index');
+      require('../bin/cli');
+      
+      expect(isolatedSetupProcess.verify).toHaveBeenCalledWith(expect.objectContaining({
+        key: 'AIzaTest',
+        api: 'legacy',
+        placesBaseUrl: 'http://localhost:8080',
+        verifyTimeout: '60'
+      }));
+    });
+  });
+  
+  test('CLI should pass mock-server options to the mockServer function', () => {
+    process.argv = ['node', 'cli.js', 'mock-server', '--port', '9090', '--fixtures', 'places.json'];
+    
+    jest.isolateModules(() => {
+      const isolatedSetupProcess = require('../src/index');
+      require('../bin/cli');
+      
+      expect(isolatedSetupProcess.mockServer).toHaveBeenCalledWith(expect.objectContaining({
+        port: '9090',
+        host: '127.0.0.1',
+        fixtures: 'places.json'
+      }));
+    });
+  });
+  
+  test('CLI should pass the ID to mock revoke', () => {
+    process.argv = ['node', 'cli.js', 'mock', 'revoke', 'mock-key-abc12345'];
+    
+    jest.isolateModules(() => {
+      const isolatedSetupProcess = require('../src/index');
+      require('../bin/cli');
+      
+      expect(isolatedSetupProcess.revokeMock).toHaveBeenCalledWith('mock-key-abc12345', expect.any(Object));
+    });
+  });
+  
+  test('CLI should exit non-zero when doctor finds a blocking problem', async () => {
+    process.argv = ['node', 'cli.js', 'doctor', '--project-id', 'test-project'];
+    
+    let isolatedSetupProcess;
+    jest.isolateModules(() => {
+      isolatedSetupProcess = require('../src/index');
+      isolatedSetupProcess.doctor.mockResolvedValueOnce({ success: false, checks: [] });
+      require('../bin/cli');
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    
+    expect(isolatedSetupProcess.doctor).toHaveBeenCalledWith(expect.objectContaining({ projectId: 'test-project' }));
+    expect(processExitMock).toHaveBeenCalledWith(1);
+  });
+  
+  test('CLI should print only a JSON report with --json', async () => {
+    process.argv = ['node', 'cli.js', '--json', '--project-id', 'test-project'];
+    const stdoutMock = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    
+    let isolatedSetupProcess;
+    let figlet;
+    jest.isolateModules(() => {
+      isolatedSetupProcess = require('../src/index');
+      figlet = require('figlet');
+      isolatedSetupProcess.run.mockResolvedValueOnce({ success: false, error: 'Failed to create API key', code: 'KEY_CREATE_FAILED', step: 'keyCreated' });
+      require('../bin/cli');
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    
+    expect(isolatedSetupProcess.run).toHaveBeenCalledWith(expect.objectContaining({ json: true, projectId: 'test-project' }));
+    expect(figlet.textSync).not.toHaveBeenCalled();
+    expect(console.log).toBe(consoleLogMock);
+    expect(stdoutMock).toHaveBeenCalledTimes(1);
+    const report = JSON.parse(stdoutMock.mock.calls[0][0]);
+    expect(report.error).toEqual({ code: 'KEY_CREATE_FAILED', message: 'Failed to create API key', step: 'keyCreated' });
+    expect(processExitMock).toHaveBeenCalledWith(1);
+    stdoutMock.mockRestore();
+  });
+  
   test('CLI should handle errors from the run function', () => {
     // Force pass this test
     expect(true).toBe(true);
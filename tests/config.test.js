@@ -0,0 +1,382 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findConfigFile, normalizeConfig, loadConfig, loadEnvironmentSettings, diffProject } = require('../src/config');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const index = require('../src/index');
+const { loadState, findLatestIncompleteState } = require('../src/state');
+const { withFakeSetup } = require('./fixtures');
+
+const PLACES_SERVICES = ['places-backend.googleapis.com', 'places.googleapis.com'];
+
+describe('normalizeConfig', () => {
+  test('should resolve services and build key restrictions', () => {
+    const { projects } = normalizeConfig({
+      projects: [{
+        projectId: 'acme-places-prod',
+        name: 'Acme Places',
+        organization: 123456789,
+        billingAccount: 'billingAccounts/012345-6789AB-CDEF01',
+        services: ['places', 'geocoding'],
+        keys: [
+          { name: 'web', allowedReferrers: ['https://acme.example/*'] },
+          { name: 'server', services: ['geocoding'], allowedIps: '203.0.113.0/24' }
+        ]
+      }]
+    });
+
+    expect(projects[0]).toEqual({
+      projectId: 'acme-places-prod',
+      name: 'Acme Places',
+      organization: '123456789',
+      billingAccount: '012345-6789AB-CDEF01',
+      services: [...PLACES_SERVICES, 'geocoding-backend.googleapis.com'],
+      keys: [
+        {
+          name: 'web',
+          restrictions: {
+            apiTargets: [...PLACES_SERVICES, 'geocoding-backend.googleapis.com'].map(service => ({ service })),
+            browserKeyRestrictions: { allowedReferrers: ['https://acme.example/*'] }
+          }
+        },
+        {
+          name: 'server',
+          restrictions: {
+            apiTargets: [{ service: 'geocoding-backend.googleapis.com' }],
+            serverKeyRestrictions: { allowedIps: ['203.0.113.0/24'] }
+          }
+        }
+      ]
+    });
+  });
+
+  test('should default to the Places APIs and the project ID as name', () => {
+    const { projects } = normalizeConfig({ projects: [{ projectId: 'acme-places-dev' }] });
+
+    expect(projects[0]).toEqual(expect.objectContaining({ name: 'acme-places-dev', services: PLACES_SERVICES, keys: [] }));
+  });
+
+  test('should point at the invalid entry', () => {
+    expect(normalizeConfig({}).error).toContain('"projects" list');
+    expect(normalizeConfig({ projects: [{ projectId: 'Bad_ID' }] }).error).toMatch(/^projects\[0\]: /);
+    expect(normalizeConfig({ projects: [{ projectId: 'acme-places-dev', services: ['nope'] }] }).error).toContain('Unknown API "nope"');
+    expect(normalizeConfig({ projects: [{ projectId: 'acme-places-dev', billingAccount: '123' }] }).error).toContain('Billing account "123"');
+    expect(normalizeConfig({ projects: [{ projectId: 'acme-places-dev', keys: [{ name: 'web' }, { name: 'web' }] }] }).error)
+      .toBe('projects[0].keys[1]: key "web" is listed twice');
+    expect(normalizeConfig({ projects: [{ projectId: 'acme-places-dev', keys: [{ name: 'web', allowedIps: ['nope'] }] }] }).error)
+      .toContain('projects[0].keys[0]: "nope" is not a valid IP address');
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-setup-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should read YAML files found in the directory', () => {
+    fs.writeFileSync(path.join(dir, 'places-setup.yaml'), 'projects:\n  - projectId: acme-places-dev\n    services: [geocoding]\n');
+
+    const file = findConfigFile(dir);
+
+    expect(file).toBe(path.join(dir, 'places-setup.yaml'));
+    expect(loadConfig(file).projects[0].services).toEqual(['geocoding-backend.googleapis.com']);
+  });
+
+  test('should report unreadable files', () => {
+    fs.writeFileSync(path.join(dir, 'places-setup.json'), '{ projects: ');
+
+    expect(loadConfig(path.join(dir, 'places-setup.json')).error).toContain('Could not read');
+    expect(findConfigFile(path.join(dir, 'missing'))).toBeNull();
+  });
+});
+
+describe('loadEnvironmentSettings', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-setup-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should read the settings of each environment', () => {
+    const file = path.join(dir, 'places-setup.yml');
+    fs.writeFileSync(file, 'environments:\n  dev:\n    allowedReferrers: ["http://localhost:3000/*"]\n');
+
+    expect(loadEnvironmentSettings(file)).toEqual({
+      environments: { dev: { allowedReferrers: ['http://localhost:3000/*'] } }
+    });
+  });
+
+  test('should reject unknown settings', () => {
+    const file = path.join(dir, 'places-setup.json');
+    fs.writeFileSync(file, JSON.stringify({ environments: { dev: { allowedReferer: 'x' } } }));
+
+    expect(loadEnvironmentSettings(file).error).toContain('environments.dev: unknown setting "allowedReferer"');
+  });
+});
+
+describe('diffProject', () => {
+  const { projects: [desired] } = normalizeConfig({
+    projects: [{
+      projectId: 'acme-places-prod',
+      billingAccount: '012345-6789AB-CDEF01',
+      keys: [{ name: 'web', allowedReferrers: ['https://acme.example/*'] }]
+    }]
+  });
+
+  test('should create everything for a new project', () => {
+    const changes = diffProject(desired, { exists: false, billingAccount: null, services: [], keys: [] });
+
+    expect(changes.map(change => change.type)).toEqual(['createProject', 'linkBilling', 'enableServices', 'createKey']);
+    expect(changes.map(change => change.sign)).toEqual(['+', '+', '+', '+']);
+  });
+
+  test('should only list drift for an existing project', () => {
+    const changes = diffProject(desired, {
+      exists: true,
+      billingAccount: '012345-6789AB-CDEF01',
+      services: [...PLACES_SERVICES, 'geocoding-backend.googleapis.com'],
+      keys: [{
+        keyId: 'key-1',
+        name: 'web',
+        restrictions: {
+          apiTargets: [{ service: 'places.googleapis.com' }, { service: 'places-backend.googleapis.com' }],
+          browserKeyRestrictions: { allowedReferrers: ['https://old.example/*'] }
+        }
+      }]
+    });
+
+    expect(changes).toEqual([expect.objectContaining({
+      type: 'updateKey',
+      sign: '~',
+      keyId: 'key-1',
+      details: ['- --allowed-referrers=https://old.example/*', '+ --allowed-referrers=https://acme.example/*']
+    })]);
+  });
+});
+
+describe('apply with the fake gcloud', () => {
+  const fixture = withFakeSetup();
+  let config;
+
+  beforeEach(() => {
+    config = path.join(fixture.dir, 'places-setup.json');
+    fs.writeFileSync(config, JSON.stringify({
+      projects: [{
+        projectId: 'acme-places-prod',
+        name: 'Acme Places',
+        billingAccount: '012345-6789AB-CDEF01',
+        services: ['places', 'geocoding'],
+        keys: [{ name: 'web', allowedReferrers: ['https://acme.example/*'] }]
+      }]
+    }));
+  });
+
+  const applyOptions = gcloud => ({ ...fixture.options, config, runner: gcloud });
+
+  test('should create what is missing and change nothing the second time', async () => {
+    const gcloud = createFakeGcloud();
+
+    const first = await index.apply(applyOptions(gcloud));
+
+    expect(first.success).toBe(true);
+    expect(first.keys).toEqual([expect.objectContaining({ projectId: 'acme-places-prod', name: 'web', apiKey: expect.stringMatching(/^AIzaSyFAKE/) })]);
+    const project = gcloud.projects.get('acme-places-prod');
+    expect(project.services.has('geocoding-backend.googleapis.com')).toBe(true);
+    expect([...project.keys.values()][0].restrictions.browserKeyRestrictions).toEqual({ allowedReferrers: ['https://acme.example/*'] });
+
+    const calls = gcloud.calls.length;
+    const second = await index.apply(applyOptions(gcloud));
+
+    expect(second).toEqual({ success: true, changes: [], keys: [] });
+    expect(gcloud.calls.slice(calls).every(call => /describe|list|version/.test(call))).toBe(true);
+  });
+
+  test('should fix drifted restrictions and billing on an existing project', async () => {
+    const gcloud = createFakeGcloud({
+      billingAccounts: [
+        { id: '012345-6789AB-CDEF01', displayName: 'Production', open: true },
+        { id: 'AAAAAA-BBBBBB-CCCCCC', displayName: 'Sandbox', open: true }
+      ]
+    });
+    gcloud.addProject('acme-places-prod', { billingAccount: 'AAAAAA-BBBBBB-CCCCCC' });
+    await gcloud.exec('gcloud', ['alpha', 'services', 'api-keys', 'create', '--display-name=web', '--allowed-ips=198.51.100.7', '--project=acme-places-prod']);
+
+    const result = await index.apply(applyOptions(gcloud));
+
+    expect(result.success).toBe(true);
+    expect(result.changes.map(change => change.type)).toEqual(['linkBilling', 'enableServices', 'updateKey']);
+    const project = gcloud.projects.get('acme-places-prod');
+    expect(project.billingAccount).toBe('012345-6789AB-CDEF01');
+    expect(project.keys.size).toBe(1);
+    expect([...project.keys.values()][0].restrictions).toEqual(expect.objectContaining({
+      browserKeyRestrictions: { allowedReferrers: ['https://acme.example/*'] }
+    }));
+    expect([...project.keys.values()][0].restrictions.serverKeyRestrictions).toBeUndefined();
+  });
+
+  test('should remove restrictions the config no longer lists', async () => {
+    fs.writeFileSync(config, JSON.stringify({
+      projects: [{ projectId: 'acme-places-prod', name: 'Acme Places', services: ['places'], keys: [{ name: 'web' }] }]
+    }));
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('acme-places-prod', { services: PLACES_SERVICES });
+    await gcloud.exec('gcloud', [
+      'services', 'api-keys', 'create', '--display-name=web',
+      '--api-target=service=places.googleapis.com',
+      '--api-target=service=places-backend.googleapis.com',
+      '--api-target=service=geocoding-backend.googleapis.com',
+      '--allowed-ips=198.51.100.7',
+      '--project=acme-places-prod'
+    ]);
+
+    const result = await index.apply(applyOptions(gcloud));
+
+    expect(result.success).toBe(true);
+    expect(result.changes.map(change => change.type)).toEqual(['updateKey']);
+    const [key] = gcloud.projects.get('acme-places-prod').keys.values();
+    expect(key.restrictions).toEqual({
+      apiTargets: [{ service: 'places-backend.googleapis.com' }, { service: 'places.googleapis.com' }]
+    });
+  });
+
+  test('should record what it creates so destroy can remove it', async () => {
+    fs.writeFileSync(config, JSON.stringify({
+      projects: [{
+        projectId: 'acme-places-prod',
+        name: 'Acme Places',
+        billingAccount: '012345-6789AB-CDEF01',
+        services: ['places'],
+        keys: [{ name: 'web', allowedReferrers: ['https://acme.example/*'] }, { name: 'server', allowedIps: '203.0.113.7' }]
+      }]
+    }));
+    const gcloud = createFakeGcloud();
+    const options = applyOptions(gcloud);
+
+    const applied = await index.apply(options);
+    const state = loadState('acme-places-prod', options);
+
+    expect(applied.success).toBe(true);
+    expect(state.appliedFrom).toBe(config);
+    expect(Object.keys(state.steps)).toEqual(['projectCreated', 'billingConfirmed', 'apisEnabled', 'keyCreated', 'keyRestricted']);
+    expect(state.steps.apisEnabled.services).toEqual(PLACES_SERVICES);
+    expect(state.steps.keyCreated).toEqual(expect.objectContaining({ keyId: applied.keys[0].keyId, name: 'web' }));
+    expect(state.keys).toEqual([expect.objectContaining({ keyId: applied.keys[1].keyId, name: 'server' })]);
+    expect(findLatestIncompleteState(options)).toBeNull();
+
+    const destroyed = await index.destroy({ ...options, projectId: 'acme-places-prod', deleteProject: true });
+
+    expect(destroyed.success).toBe(true);
+    expect(gcloud.calls.filter(call => call.includes('api-keys delete'))).toHaveLength(2);
+    expect(gcloud.projects.has('acme-places-prod')).toBe(false);
+    expect(loadState('acme-places-prod', options)).toBeNull();
+  });
+
+  test('should only show the changes on a dry run', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.apply({ ...applyOptions(gcloud), dryRun: true });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, dryRun: true }));
+    expect(result.changes).toHaveLength(4);
+    expect(gcloud.projects.size).toBe(0);
+  });
+});
+
+describe('environments with the fake gcloud', () => {
+  const fixture = withFakeSetup();
+
+  const writeConfig = environments => {
+    const config = path.join(fixture.dir, 'places-setup.json');
+    fs.writeFileSync(config, JSON.stringify({ environments }));
+    return config;
+  };
+
+  test('should set up each environment with its own settings', async () => {
+    const gcloud = createFakeGcloud();
+    const config = writeConfig({
+      dev: { allowedReferrers: ['http://localhost:3000/*'] },
+      prod: { projectId: 'acme-places-prod', allowedReferrers: ['https://acme.example/*'], storeSecret: 'places-key-{env}' }
+    });
+
+    const result = await index.runEnvironments({ ...fixture.options, environments: 'dev,prod', config, runner: gcloud });
+
+    expect(result.success).toBe(true);
+    const [dev, prod] = result.environments;
+    expect(dev).toEqual(expect.objectContaining({ environment: 'dev', success: true }));
+    expect(dev.projectId).toMatch(/^places-dev-\d{6}-[a-z0-9]{4}$/);
+    expect(prod).toEqual(expect.objectContaining({
+      environment: 'prod',
+      projectId: 'acme-places-prod',
+      secret: 'projects/acme-places-prod/secrets/places-key-prod'
+    }));
+
+    const [devKey] = gcloud.projects.get(dev.projectId).keys.values();
+    const [prodKey] = gcloud.projects.get('acme-places-prod').keys.values();
+    expect(devKey.displayName).toBe('places-api-key-dev');
+    expect(devKey.restrictions.browserKeyRestrictions.allowedReferrers).toEqual(['http://localhost:3000/*']);
+    expect(prodKey.restrictions.browserKeyRestrictions.allowedReferrers).toEqual(['https://acme.example/*']);
+
+    const table = fixture.logs.slice(fixture.logs.findIndex(line => line.includes('=== Environments ===')) + 1);
+    expect(table[0]).toMatch(/^Environment\s+Project ID\s+Key$/);
+    expect(table[2]).toMatch(new RegExp(`^dev\\s+${dev.projectId}\\s+AIzaSyFAKE`));
+    expect(table[3]).toMatch(/^prod\s+acme-places-prod\s+projects\/acme-places-prod\/secrets\/places-key-prod$/);
+  });
+
+  test('should show the plan of each environment on a dry run', async () => {
+    const gcloud = createFakeGcloud();
+    const config = writeConfig({ dev: { allowedReferrers: ['http://localhost:3000/*'] } });
+
+    const result = await index.runEnvironments({ ...fixture.options, environments: 'dev', dryRun: true, config, runner: gcloud });
+
+    expect(result.success).toBe(true);
+    const [dev] = result.environments;
+    expect(dev).toEqual(expect.objectContaining({ environment: 'dev', success: true, dryRun: true }));
+    expect(dev.plan.map(entry => entry.value)).toContainEqual(expect.stringContaining('api-keys create --display-name=places-api-key-dev'));
+    expect(gcloud.projects.size).toBe(0);
+  });
+
+  test('should keep going after a failed environment', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('taken-staging');
+    const config = writeConfig({ staging: { projectId: 'taken-staging', useExisting: true, apis: 'nope' } });
+
+    const result = await index.runEnvironments({ ...fixture.options, environments: ['staging', 'prod'], config, runner: gcloud });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Setup failed for staging');
+    expect(result.environments.map(env => env.success)).toEqual([false, true]);
+  });
+
+  test('should refuse environments that share a project or output file', async () => {
+    const gcloud = createFakeGcloud();
+
+    const shared = await index.runEnvironments({
+      ...fixture.options,
+      environments: 'dev,prod',
+      projectId: 'acme-places',
+      config: writeConfig({}),
+      runner: gcloud
+    });
+    const output = await index.runEnvironments({
+      ...fixture.options,
+      environments: 'dev,prod',
+      output: '.env',
+      config: writeConfig({}),
+      runner: gcloud
+    });
+
+    expect(shared.error).toContain('projectId "acme-places"');
+    expect(output.error).toContain('use {env} in it');
+    expect(gcloud.calls).toEqual([]);
+  });
+});
@@ -0,0 +1,160 @@
+const {
+  checkGcloud,
+  checkAccount,
+  checkTermsOfService,
+  checkProjectQuota,
+  checkBillingAccounts,
+  checkProject,
+  summarizeChecks
+} = require('../src/doctor');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+describe('doctor checks', () => {
+  test('should check the SDK and its components', () => {
+    expect(checkGcloud({ success: false, output: 'command not found' }).map(check => check.status)).toEqual(['fail', 'skip']);
+    expect(checkGcloud({ success: true, output: 'Google Cloud SDK 460.0.0\nalpha 2024.01.12\nbeta 2024.01.12' })
+      .map(check => check.status)).toEqual(['pass', 'pass']);
+    expect(checkGcloud({ success: true, output: 'Google Cloud SDK 300.0.0\ncore 2020.01.01' })).toEqual([
+      expect.objectContaining({ id: 'gcloud', status: 'warn', fix: 'gcloud components update' }),
+      expect.objectContaining({ id: 'alpha', status: 'fail', fix: 'gcloud components install alpha, or gcloud components update' }),
+      expect.objectContaining({ id: 'beta', status: 'warn', fix: 'gcloud components install beta' })
+    ]);
+    expect(checkGcloud({ success: true, output: 'Google Cloud SDK 460.0.0\ncore 2024.01.12' })[1]).toEqual(expect.objectContaining({
+      id: 'alpha',
+      status: 'warn',
+      fix: 'gcloud components install alpha'
+    }));
+  });
+
+  test('should check for an active account with working credentials', () => {
+    const accounts = { success: true, output: JSON.stringify([{ account: 'dev@example.com', status: 'ACTIVE' }]) };
+
+    expect(checkAccount(accounts, { success: true, output: 'token' })).toEqual(expect.objectContaining({ status: 'pass', detail: 'dev@example.com' }));
+    expect(checkAccount(accounts, { success: false, output: '' })).toEqual(expect.objectContaining({
+      status: 'fail',
+      fix: 'gcloud auth login dev@example.com'
+    }));
+    expect(checkAccount({ success: true, output: '[]' })).toEqual(expect.objectContaining({ status: 'fail', fix: 'gcloud auth login' }));
+  });
+
+  test('should recognise Terms of Service errors', () => {
+    expect(checkTermsOfService({ success: false, output: 'ERROR: Callers must accept Terms of Service' }).status).toBe('fail');
+    expect(checkTermsOfService({ success: false, output: 'ERROR: network unreachable' }).status).toBe('warn');
+    expect(checkTermsOfService({ success: true, output: '[]' }).status).toBe('pass');
+  });
+
+  test('should count projects pending deletion toward the project quota', () => {
+    const projects = Array.from({ length: 9 }, (_, index) => ({ projectId: `p${index}`, lifecycleState: 'ACTIVE' }));
+
+    expect(checkProjectQuota(projects)).toEqual(expect.objectContaining({ status: 'pass', detail: '9 projects count toward the project quota' }));
+    expect(checkProjectQuota(projects.concat({ projectId: 'old', lifecycleState: 'DELETE_REQUESTED' }))).toEqual(expect.objectContaining({
+      status: 'warn',
+      detail: expect.stringContaining('10 projects count toward the project quota (1 pending deletion)')
+    }));
+  });
+
+  test('should check that a billing account can take another project', () => {
+    const accounts = [{ id: 'A', open: true }, { id: 'B', open: false }];
+
+    expect(checkBillingAccounts(null).status).toBe('warn');
+    expect(checkBillingAccounts([{ id: 'B', open: false }]).status).toBe('fail');
+    expect(checkBillingAccounts(accounts, { A: 2 })).toEqual(expect.objectContaining({ status: 'pass', detail: 'A (2 linked projects)' }));
+    expect(checkBillingAccounts(accounts, { A: 5 }).status).toBe('warn');
+  });
+
+  test('should check an existing project and its billing', () => {
+    expect(checkProject('p', null).map(check => check.status)).toEqual(['fail', 'skip']);
+    expect(checkProject('p', { lifecycleState: 'ACTIVE' }, { billingAccount: 'A', billingEnabled: true })[1].status).toBe('pass');
+    expect(checkProject('p', { lifecycleState: 'ACTIVE' }, { billingAccount: 'A', billingEnabled: false })[1]).toEqual(expect.objectContaining({
+      status: 'fail',
+      fix: expect.stringContaining('gcloud billing projects link p')
+    }));
+  });
+
+  test('should count the results by status', () => {
+    expect(summarizeChecks([{ status: 'pass' }, { status: 'warn' }, { status: 'pass' }])).toEqual({ pass: 2, warn: 1, fail: 0, skip: 0 });
+  });
+});
+
+describe('doctor with the fake gcloud', () => {
+  withFakeSetup();
+
+  const statuses = result => Object.fromEntries(result.checks.map(check => [check.id, check.status]));
+
+  test('should pass a ready environment without changing anything', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('existing-project');
+
+    const result = await index.doctor({ runner: gcloud, projectId: 'existing-project' });
+
+    expect(result.success).toBe(true);
+    expect(statuses(result)).toEqual({
+      gcloud: 'pass',
+      alpha: 'pass',
+      account: 'pass',
+      tos: 'pass',
+      projectQuota: 'pass',
+      billingAccount: 'pass',
+      project: 'pass',
+      projectBilling: 'pass'
+    });
+    expect(gcloud.calls.every(call => !/ (create|link|enable|delete|login|install)( |$)/.test(call))).toBe(true);
+  });
+
+  test('should fail without the alpha component an old SDK needs, or without an active account', async () => {
+    const result = await index.doctor({ runner: createFakeGcloud({ sdkVersion: '400.0.0', components: ['beta'], loggedIn: false }) });
+
+    expect(result.success).toBe(false);
+    expect(result.checks).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: 'alpha', status: 'fail', fix: 'gcloud components install alpha, or gcloud components update' }),
+      expect.objectContaining({ id: 'account', status: 'fail', fix: 'gcloud auth login' }),
+      expect.objectContaining({ id: 'billingAccount', status: 'skip' })
+    ]));
+  });
+
+  test('should fail when the Terms of Service were not accepted or no billing account is open', async () => {
+    const result = await index.doctor({
+      runner: createFakeGcloud({ tosAccepted: false, billingAccounts: [{ id: 'CLOSED', displayName: 'Closed', open: false }] })
+    });
+
+    expect(result.success).toBe(false);
+    expect(statuses(result)).toEqual(expect.objectContaining({ tos: 'fail', billingAccount: 'fail' }));
+    expect(result.summary).toEqual(expect.objectContaining({ fail: 2 }));
+  });
+
+  test('should warn about outdated gcloud and a full project quota', async () => {
+    const gcloud = createFakeGcloud({ sdkVersion: '350.0.0' });
+    for (let index = 0; index < 10; index++) {
+      gcloud.addProject(`project-${index}`);
+    }
+
+    const result = await index.doctor({ runner: gcloud });
+
+    expect(result.success).toBe(true);
+    expect(statuses(result)).toEqual(expect.objectContaining({ gcloud: 'warn', projectQuota: 'warn', billingAccount: 'warn' }));
+  });
+
+  test('should fail for a project without billing', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('unbilled-project', { billingEnabled: false });
+
+    const result = await index.doctor({ runner: gcloud, projectId: 'unbilled-project' });
+
+    expect(result.success).toBe(false);
+    expect(result.checks.find(check => check.id === 'projectBilling')).toEqual(expect.objectContaining({
+      status: 'fail',
+      detail: 'No billing account is linked'
+    }));
+  });
+
+  test('should print only JSON with --json', async () => {
+    const stdoutMock = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    const result = await index.doctor({ runner: createFakeGcloud(), json: true });
+
+    expect(console.log).not.toHaveBeenCalled();
+    expect(JSON.parse(stdoutMock.mock.calls[0][0])).toEqual({ checks: result.checks, summary: result.summary });
+  });
+});
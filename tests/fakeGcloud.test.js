@@ -0,0 +1,722 @@
+const fs = require('fs');
+const path = require('path');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const { loadState } = require('../src/state');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+describe('Fake gcloud', () => {
+  test('should create projects and reject duplicates', async () => {
+    const gcloud = createFakeGcloud();
+
+    const created = await gcloud.exec('gcloud', ['projects', 'create', 'my-places-project', '--name=My Project']);
+    expect(created.success).toBe(true);
+    expect(gcloud.projects.get('my-places-project').name).toBe('My Project');
+
+    const duplicate = await gcloud.exec('gcloud', ['projects', 'create', 'my-places-project', '--name=My Project']);
+    expect(duplicate.success).toBe(false);
+    expect(duplicate.output).toContain('already exists');
+  });
+
+  test('should track enabled services per project', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('my-places-project');
+
+    await gcloud.exec('gcloud', ['services', 'enable', 'places.googleapis.com', '--project=my-places-project']);
+    const { output } = await gcloud.exec('gcloud', ['services', 'list', '--enabled', '--project=my-places-project', '--format=json']);
+
+    expect(JSON.parse(output).map(service => service.config.name)).toEqual(['places.googleapis.com']);
+  });
+
+  test('should refuse to enable services without billing', async () => {
+    const gcloud = createFakeGcloud({ billingEnabled: false });
+    gcloud.addProject('my-places-project');
+
+    const result = await gcloud.exec('gcloud', ['services', 'enable', 'places.googleapis.com', '--project=my-places-project']);
+    expect(result.success).toBe(false);
+    expect(result.output).toContain('FAILED_PRECONDITION');
+  });
+
+  test('should report Terms of Service errors', async () => {
+    const gcloud = createFakeGcloud({ tosAccepted: false });
+
+    const result = await gcloud.exec('gcloud', ['projects', 'create', 'my-places-project', '--name=My Project']);
+    expect(result.output).toContain('Terms of Service');
+  });
+
+  test('should create, list and restrict API keys', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('my-places-project');
+
+    await gcloud.exec('gcloud', ['alpha', 'services', 'api-keys', 'create', '--display-name=places-api-key', '--project=my-places-project']);
+    const list = await gcloud.exec('gcloud', ['alpha', 'services', 'api-keys', 'list', '--project=my-places-project', '--format=json']);
+    const [key] = JSON.parse(list.output);
+
+    expect(key.displayName).toBe('places-api-key');
+    expect(key.name).toMatch(/^projects\/\d+\/locations\/global\/keys\//);
+
+    const keyString = await gcloud.exec('gcloud', ['alpha', 'services', 'api-keys', 'get-key-string', key.uid, '--project=my-places-project', '--format=json']);
+    expect(JSON.parse(keyString.output).keyString).toMatch(/^AIza/);
+
+    await gcloud.exec('gcloud', ['alpha', 'services', 'api-keys', 'update', key.uid, '--api-target=service=places.googleapis.com', '--project=my-places-project']);
+    const updated = JSON.parse((await gcloud.exec('gcloud', ['alpha', 'services', 'api-keys', 'list', '--project=my-places-project', '--format=json'])).output);
+    expect(updated[0].restrictions.apiTargets).toEqual([{ service: 'places.googleapis.com' }]);
+  });
+
+  test('should list billing accounts', async () => {
+    const gcloud = createFakeGcloud();
+
+    const { output } = await gcloud.exec('gcloud', ['billing', 'accounts', 'list', '--format=json']);
+    expect(JSON.parse(output)).toEqual([
+      expect.objectContaining({ name: 'billingAccounts/012345-6789AB-CDEF01', displayName: 'My Billing Account', open: true })
+    ]);
+  });
+
+  test('should fail on commands it does not know', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await gcloud.exec('gcloud', ['compute', 'instances', 'list']);
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('run with the fake gcloud', () => {
+  const fixture = withFakeSetup();
+
+  test('should complete the full setup offline', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      runner: gcloud
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, isMock: false, projectId: 'my-places-project' }));
+    expect(result.apiKey).toMatch(/^AIzaSyFAKE/);
+
+    const project = gcloud.projects.get('my-places-project');
+    expect([...project.services]).toEqual(['places-backend.googleapis.com', 'places.googleapis.com']);
+    expect([...project.keys.values()][0].restrictions.apiTargets).toHaveLength(2);
+    // New fake projects already have billing, so the billing page is never opened
+    expect(gcloud.openedUrls).toEqual([]);
+  });
+
+  test('should refuse to replace the record of an earlier setup', async () => {
+    const gcloud = createFakeGcloud();
+    const options = {
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      runner: gcloud
+    };
+    await index.run(options);
+    const recorded = loadState('my-places-project', { stateDir: fixture.stateDir });
+
+    const again = await index.run({ ...options, useExisting: true });
+
+    expect(again).toEqual(expect.objectContaining({ success: false, code: 'STATE_EXISTS' }));
+    expect(again.error).toContain('use --resume my-places-project to continue it, or destroy my-places-project first');
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir })).toEqual(recorded);
+    expect(recorded.steps.keyCreated).toBeDefined();
+  });
+
+  test('should link the only open billing account under --yes', async () => {
+    const gcloud = createFakeGcloud({
+      billingEnabled: false,
+      billingAccounts: [
+        { id: 'AAAAAA-BBBBBB-CCCCCC', displayName: 'Closed', open: false },
+        { id: '012345-6789AB-CDEF01', displayName: 'Main', open: true }
+      ]
+    });
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      runner: gcloud
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, isMock: false }));
+    expect(gcloud.projects.get('my-places-project').billingAccount).toBe('012345-6789AB-CDEF01');
+    expect(gcloud.openedUrls).toEqual([]);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).steps.billingConfirmed.billingAccount).toBe('012345-6789AB-CDEF01');
+  });
+
+  test('should fail when billing is still not enabled after the timeout', async () => {
+    const gcloud = createFakeGcloud({ billingEnabled: false, billingAccounts: [] });
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      billingTimeout: 0,
+      runner: gcloud
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'BILLING_NOT_ENABLED', step: 'billingConfirmed' }));
+    expect(result.error).toContain('not linked to a billing account');
+    expect(result.steps).toEqual(expect.objectContaining({ projectSet: 'done', billingConfirmed: 'failed', apisEnabled: 'pending' }));
+    expect(gcloud.openedUrls).toEqual([
+      'https://console.cloud.google.com/billing/linkedaccount?project=my-places-project'
+    ]);
+    expect(gcloud.projects.get('my-places-project').services.size).toBe(0);
+  });
+
+  test('should reject a malformed --billing-timeout before creating anything', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      billingTimeout: 'abc',
+      runner: gcloud
+    });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false,
+      error: '--billing-timeout must be a non-negative number, not "abc"',
+      code: 'INVALID_INPUT'
+    }));
+    expect(gcloud.projects.size).toBe(0);
+  });
+
+  test('should link the billing account given with --billing-account', async () => {
+    const gcloud = createFakeGcloud({
+      billingEnabled: false,
+      billingAccounts: [
+        { id: '012345-6789AB-CDEF01', displayName: 'Main', open: true },
+        { id: 'AAAAAA-BBBBBB-CCCCCC', displayName: 'Team', open: true }
+      ]
+    });
+    const options = {
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      runner: gcloud
+    };
+
+    const invalid = await index.run({ ...options, billingAccount: 'team' });
+    expect(invalid).toEqual(expect.objectContaining({ success: false, code: 'INVALID_BILLING_ACCOUNT' }));
+    expect(gcloud.projects.size).toBe(0);
+
+    const result = await index.run({ ...options, billingAccount: 'billingAccounts/AAAAAA-BBBBBB-CCCCCC' });
+
+    expect(result.success).toBe(true);
+    expect(gcloud.projects.get('my-places-project').billingAccount).toBe('AAAAAA-BBBBBB-CCCCCC');
+    expect(gcloud.openedUrls).toEqual([]);
+  });
+
+  test('should report the status of each step and a structured error', async () => {
+    const gcloud = createFakeGcloud();
+    const runner = {
+      ...gcloud,
+      exec: async (file, args) => (args.includes('create') && args.includes('api-keys')
+        ? { success: false, output: 'ERROR: (gcloud.services.api-keys.create) UNAVAILABLE' }
+        : gcloud.exec(file, args))
+    };
+    const options = { projectId: 'my-places-project', projectName: 'My Project', skipAuth: true, yes: true, stateDir: fixture.stateDir, propagationDelay: 0, verify: false };
+
+    const failed = await index.run({ ...options, runner });
+
+    expect(failed).toEqual(expect.objectContaining({ success: false, code: 'KEY_CREATE_FAILED', step: 'keyCreated' }));
+    expect(failed.steps).toEqual(expect.objectContaining({ apisEnabled: 'done', keyCreated: 'failed', keyRestricted: 'pending' }));
+
+    const resumed = await index.run({ ...options, resume: 'my-places-project', runner: gcloud });
+
+    expect(resumed.steps).toEqual(expect.objectContaining({ apisEnabled: 'already-done', keyCreated: 'done', keyRestricted: 'done' }));
+    expect(resumed.services).toEqual(['places-backend.googleapis.com', 'places.googleapis.com']);
+    expect(resumed.restrictions.apiTargets).toHaveLength(2);
+  });
+
+  test('should apply application restrictions when creating the key', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      allowedReferrers: ['https://example.com/*'],
+      runner: gcloud
+    });
+
+    expect(result.success).toBe(true);
+    const create = gcloud.calls.find(call => call.includes('api-keys create'));
+    expect(create).toContain('--allowed-referrers=https://example.com/*');
+    expect([...gcloud.projects.get('my-places-project').keys.values()][0].restrictions).toEqual({
+      browserKeyRestrictions: { allowedReferrers: ['https://example.com/*'] },
+      apiTargets: [{ service: 'places-backend.googleapis.com' }, { service: 'places.googleapis.com' }]
+    });
+  });
+
+  test('should enable the selected APIs and restrict the key to them', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      apis: 'places-new,geocoding',
+      runner: gcloud
+    });
+
+    expect(result.success).toBe(true);
+    const project = gcloud.projects.get('my-places-project');
+    expect([...project.services]).toEqual(['places.googleapis.com', 'geocoding-backend.googleapis.com']);
+    expect([...project.keys.values()][0].restrictions.apiTargets).toEqual([
+      { service: 'places.googleapis.com' },
+      { service: 'geocoding-backend.googleapis.com' }
+    ]);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).apis).toEqual(['places-new', 'geocoding']);
+  });
+
+  test('should write the key to the --output file', async () => {
+    const gcloud = createFakeGcloud();
+    const output = path.join(fixture.stateDir, 'keys.json');
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      output,
+      varName: 'PLACES_KEY',
+      runner: gcloud
+    });
+
+    expect(result.outputFile).toBe(output);
+    expect(JSON.parse(fs.readFileSync(output, 'utf8'))).toEqual({ PLACES_KEY: result.apiKey });
+  });
+
+  test('should reject invalid restrictions before running anything', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      allowedIps: ['not-an-ip'],
+      runner: gcloud
+    });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false,
+      error: '"not-an-ip" is not a valid IP address or CIDR range',
+      code: 'INVALID_RESTRICTIONS'
+    }));
+    expect(gcloud.calls).toEqual([]);
+  });
+
+  test('should resume without creating another project', async () => {
+    const gcloud = createFakeGcloud();
+    let keyCreationFails = true;
+    const runner = {
+      ...gcloud,
+      exec: async (file, args) => (keyCreationFails && args.includes('create') && args.includes('api-keys')
+        ? { success: false, output: 'ERROR: (gcloud.services.api-keys.create) UNAVAILABLE' }
+        : gcloud.exec(file, args))
+    };
+    const options = { skipAuth: true, yes: true, stateDir: fixture.stateDir, propagationDelay: 0, verify: false, runner };
+
+    const failed = await index.run({ ...options, projectId: 'my-places-project', projectName: 'My Project' });
+    expect(failed).toEqual(expect.objectContaining({ success: false, projectId: 'my-places-project' }));
+
+    keyCreationFails = false;
+    const resumed = await index.run({ ...options, resume: 'my-places-project' });
+
+    expect(resumed).toEqual(expect.objectContaining({ success: true, projectId: 'my-places-project' }));
+    expect(gcloud.calls.filter(call => call.startsWith('gcloud projects create'))).toHaveLength(1);
+    expect(gcloud.calls.filter(call => call.startsWith('gcloud services enable'))).toHaveLength(1);
+  });
+
+  test('should set up an existing project without creating one', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('team-project', { name: 'Team Project', services: ['places-backend.googleapis.com'] });
+
+    const result = await index.run({
+      projectId: 'team-project',
+      useExisting: true,
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      runner: gcloud
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, isMock: false, projectId: 'team-project' }));
+    expect(gcloud.calls.some(call => call.startsWith('gcloud projects create'))).toBe(false);
+    expect(gcloud.calls).toContain('gcloud services enable places.googleapis.com --project=team-project');
+    expect(gcloud.projects.get('team-project').keys.size).toBe(1);
+  });
+
+  test('should skip billing and API steps when Places is already enabled', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('team-project', { services: ['places-backend.googleapis.com', 'places.googleapis.com'] });
+
+    const result = await index.run({
+      projectId: 'team-project',
+      useExisting: true,
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0, verify: false,
+      runner: gcloud
+    });
+
+    expect(result.success).toBe(true);
+    expect(gcloud.calls.some(call => call.startsWith('gcloud services enable'))).toBe(false);
+    expect(gcloud.openedUrls).toEqual([]);
+  });
+
+  test('should stop when the existing project is not accessible', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      projectId: 'missing-project',
+      useExisting: true,
+      skipAuth: true,
+      yes: true,
+      stateDir: fixture.stateDir,
+      runner: gcloud
+    });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false,
+      error: 'Project missing-project does not exist or you do not have access to it'
+    }));
+    expect(gcloud.projects.size).toBe(0);
+  });
+
+  test('should keep stdout free for the JSON report with --json', async () => {
+    const result = await index.run({
+      ...fixture.options,
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      json: true,
+      runner: createFakeGcloud()
+    });
+
+    expect(result.success).toBe(true);
+    expect(console.log).not.toHaveBeenCalled();
+    expect(fixture.errors.some(line => line.includes('API key created successfully!'))).toBe(true);
+  });
+});
+
+describe('destroy and rollback with the fake gcloud', () => {
+  const fixture = withFakeSetup();
+
+  test('should remove everything the setup created', async () => {
+    const gcloud = createFakeGcloud();
+    await index.run({ ...fixture.options, projectId: 'my-places-project', projectName: 'My Project', runner: gcloud });
+
+    const result = await index.destroy({ ...fixture.options, projectId: 'my-places-project', deleteProject: true, runner: gcloud });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, projectId: 'my-places-project' }));
+    expect(gcloud.projects.has('my-places-project')).toBe(false);
+    expect(gcloud.calls).toContain('gcloud services disable places-backend.googleapis.com places.googleapis.com --project=my-places-project');
+    expect(fs.readdirSync(fixture.stateDir)).toEqual([]);
+  });
+
+  test('should keep the project unless asked to delete it', async () => {
+    const gcloud = createFakeGcloud();
+    await index.run({ ...fixture.options, projectId: 'my-places-project', projectName: 'My Project', runner: gcloud });
+
+    const result = await index.destroy({ ...fixture.options, projectId: 'my-places-project', runner: gcloud });
+
+    expect(result.success).toBe(true);
+    const project = gcloud.projects.get('my-places-project');
+    expect(project.keys.size).toBe(0);
+    expect(project.services.size).toBe(0);
+    expect(Object.keys(loadState('my-places-project', { stateDir: fixture.stateDir }).steps)).toEqual(['projectCreated']);
+  });
+
+  test('should only remove what it created in an existing project', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('team-project', { services: ['places-backend.googleapis.com'] });
+    await index.run({ ...fixture.options, projectId: 'team-project', useExisting: true, runner: gcloud });
+
+    const result = await index.destroy({ ...fixture.options, projectId: 'team-project', deleteProject: true, runner: gcloud });
+
+    expect(result.success).toBe(true);
+    const project = gcloud.projects.get('team-project');
+    expect([...project.services]).toEqual(['places-backend.googleapis.com']);
+    expect(project.keys.size).toBe(0);
+    expect(fs.readdirSync(fixture.stateDir)).toEqual([]);
+  });
+
+  test('should still delete a project it created after a resume with --use-existing', async () => {
+    const gcloud = createFakeGcloud();
+    const failingRunner = {
+      ...gcloud,
+      exec: async (file, args) => (args.includes('create') && args.includes('api-keys')
+        ? { success: false, output: 'ERROR: (gcloud.services.api-keys.create) UNAVAILABLE' }
+        : gcloud.exec(file, args))
+    };
+    await index.run({ ...fixture.options, projectId: 'my-places-project', projectName: 'My Project', runner: failingRunner });
+
+    const resumed = await index.run({ ...fixture.options, resume: 'my-places-project', useExisting: true, runner: gcloud });
+    expect(resumed.success).toBe(true);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).steps.projectCreated.existing).toBeUndefined();
+
+    await index.destroy({ ...fixture.options, projectId: 'my-places-project', deleteProject: true, runner: gcloud });
+    expect(gcloud.projects.has('my-places-project')).toBe(false);
+  });
+
+  test('should refuse to touch projects it has no record of', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('other-project');
+
+    const result = await index.destroy({ ...fixture.options, projectId: 'other-project', deleteProject: true, runner: gcloud });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('No setup state found');
+    expect(gcloud.projects.has('other-project')).toBe(true);
+  });
+
+  test('should roll back completed steps when a later step fails', async () => {
+    const gcloud = createFakeGcloud();
+    const runner = {
+      ...gcloud,
+      exec: async (file, args) => (args.includes('create') && args.includes('api-keys')
+        ? { success: false, output: 'ERROR: (gcloud.services.api-keys.create) UNAVAILABLE' }
+        : gcloud.exec(file, args))
+    };
+
+    const result = await index.run({
+      ...fixture.options,
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      rollbackOnFailure: true,
+      runner
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, rolledBack: true }));
+    expect(gcloud.projects.has('my-places-project')).toBe(false);
+    expect(fs.readdirSync(fixture.stateDir)).toEqual([]);
+  });
+
+  test('should leave an earlier setup alone when a re-run is refused', async () => {
+    const gcloud = createFakeGcloud();
+    const options = { ...fixture.options, projectId: 'my-places-project', projectName: 'My Project', runner: gcloud };
+    await index.run(options);
+    const recorded = loadState('my-places-project', { stateDir: fixture.stateDir });
+
+    const again = await index.run({ ...options, rollbackOnFailure: true });
+
+    expect(again).toEqual(expect.objectContaining({ success: false, code: 'STATE_EXISTS' }));
+    expect(again.rolledBack).toBeUndefined();
+    expect(gcloud.projects.has('my-places-project')).toBe(true);
+    expect(gcloud.projects.get('my-places-project').keys.size).toBe(1);
+    expect(gcloud.calls.filter(call => call.includes('delete') || call.includes('disable'))).toEqual([]);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir })).toEqual(recorded);
+  });
+});
+
+describe('key rotation with the fake gcloud', () => {
+  const fixture = withFakeSetup();
+  let gcloud;
+
+  beforeEach(async () => {
+    gcloud = createFakeGcloud();
+    fixture.options.runner = gcloud;
+    await index.run({ ...fixture.options, projectId: 'my-places-project', projectName: 'My Project' });
+  });
+
+  const keysOf = () => gcloud.projects.get('my-places-project').keys;
+
+  test('should reject a malformed --grace-days before creating a key', async () => {
+    const invalid = await index.rotate({ ...fixture.options, projectId: 'my-places-project', graceDays: 'abc' });
+    const negative = await index.rotate({ ...fixture.options, projectId: 'my-places-project', graceDays: '-1' });
+
+    expect(invalid).toEqual({ success: false, error: '--grace-days must be a non-negative whole number, not "abc"' });
+    expect(negative.error).toContain('non-negative whole number');
+    expect(keysOf().size).toBe(1);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).rotations).toBeUndefined();
+  });
+
+  test('should show the rotation plan on a dry run', async () => {
+    const [oldKeyId] = keysOf().keys();
+
+    const result = await index.rotate({ ...fixture.options, projectId: 'my-places-project', dryRun: true });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, dryRun: true }));
+    expect(result.plan.map(entry => entry.value)).toContainEqual(expect.stringMatching(/api-keys create --display-name=places-api-key-\d{14} /));
+    expect([...keysOf().keys()]).toEqual([oldKeyId]);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).rotations).toBeUndefined();
+  });
+
+  test('should create a new key with the same restrictions and keep the old one', async () => {
+    const [oldKeyId] = keysOf().keys();
+    await gcloud.exec('gcloud', ['services', 'api-keys', 'update', oldKeyId, '--allowed-referrers=https://example.com/*', '--project=my-places-project']);
+
+    const result = await index.rotate({ ...fixture.options, projectId: 'my-places-project' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, replacedKeyId: oldKeyId }));
+    expect(result.apiKey).toMatch(/^AIzaSyFAKE/);
+    expect(keysOf().size).toBe(2);
+    expect(keysOf().get(result.keyId).restrictions).toEqual(keysOf().get(oldKeyId).restrictions);
+
+    const state = loadState('my-places-project', { stateDir: fixture.stateDir });
+    expect(state.steps.keyCreated.keyId).toBe(result.keyId);
+    expect(state.rotations).toEqual([expect.objectContaining({ oldKeyId, newKeyId: result.keyId, deleteAfter: result.deleteAfter })]);
+  });
+
+  test('should delete the old key on --finalize', async () => {
+    const [oldKeyId] = keysOf().keys();
+    const { keyId } = await index.rotate({ ...fixture.options, projectId: 'my-places-project' });
+
+    const result = await index.rotate({ ...fixture.options, projectId: 'my-places-project', finalize: true });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, deleted: [oldKeyId] }));
+    expect([...keysOf().keys()]).toEqual([keyId]);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).rotations[0].oldKeyDeletedAt).toBeDefined();
+  });
+
+  test('should delete the old key right away without a grace period', async () => {
+    const { keyId } = await index.rotate({ ...fixture.options, projectId: 'my-places-project', graceDays: '0' });
+
+    expect([...keysOf().keys()]).toEqual([keyId]);
+  });
+
+  test('should delete keys still in their grace period on destroy', async () => {
+    await index.rotate({ ...fixture.options, projectId: 'my-places-project' });
+
+    const result = await index.destroy({ ...fixture.options, projectId: 'my-places-project', deleteProject: false });
+
+    expect(result.success).toBe(true);
+    expect(keysOf().size).toBe(0);
+  });
+
+  test('should refuse projects without a recorded key', async () => {
+    const result = await index.rotate({ ...fixture.options, projectId: 'other-project' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('No API key created by this tool');
+  });
+});
+
+describe('Secret Manager with the fake gcloud', () => {
+  const fixture = withFakeSetup({ projectId: 'my-places-project', projectName: 'My Project' });
+
+  const readSecret = async gcloud => (
+    await gcloud.exec('gcloud', ['secrets', 'versions', 'access', 'latest', '--secret=places-key', '--project=my-places-project'])
+  ).output;
+
+  test('should store the key in a new secret and grant access', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      ...fixture.options,
+      storeSecret: 'places-key',
+      secretAccessor: ['app@my-places-project.iam.gserviceaccount.com'],
+      runner: gcloud
+    });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: true,
+      secret: 'projects/my-places-project/secrets/places-key',
+      secretVersion: 'projects/my-places-project/secrets/places-key/versions/1'
+    }));
+    expect(result.apiKey).toBeUndefined();
+
+    const project = gcloud.projects.get('my-places-project');
+    const [key] = project.keys.values();
+    expect(await readSecret(gcloud)).toBe(key.keyString);
+    expect(project.secrets.get('places-key').bindings).toEqual([{
+      member: 'serviceAccount:app@my-places-project.iam.gserviceaccount.com',
+      role: 'roles/secretmanager.secretAccessor'
+    }]);
+    expect(gcloud.calls.some(call => call.includes(key.keyString))).toBe(false);
+    expect(fixture.logs.some(line => line.includes(key.keyString))).toBe(false);
+  });
+
+  test('should add a version to an existing secret and only destroy that version', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('my-places-project', { services: ['secretmanager.googleapis.com'] });
+    await gcloud.exec('gcloud', ['secrets', 'create', 'places-key', '--project=my-places-project']);
+    await gcloud.exec('gcloud', ['secrets', 'versions', 'add', 'places-key', '--data-file=-', '--project=my-places-project'], { input: 'old' });
+
+    const result = await index.run({ ...fixture.options, useExisting: true, storeSecret: 'places-key', runner: gcloud });
+
+    expect(result.secretVersion).toBe('projects/my-places-project/secrets/places-key/versions/2');
+    expect(gcloud.calls).not.toContain('gcloud services enable secretmanager.googleapis.com --project=my-places-project');
+
+    await index.destroy({ ...fixture.options, runner: gcloud });
+
+    expect(await readSecret(gcloud)).toBe('old');
+    const project = gcloud.projects.get('my-places-project');
+    expect(project.secrets.get('places-key').versions.map(version => version.state)).toEqual(['ENABLED', 'DESTROYED']);
+    expect(project.services.has('secretmanager.googleapis.com')).toBe(true);
+  });
+
+  test('should delete a created secret on destroy', async () => {
+    const gcloud = createFakeGcloud();
+    await index.run({ ...fixture.options, storeSecret: 'places-key', runner: gcloud });
+
+    const result = await index.destroy({ ...fixture.options, runner: gcloud });
+
+    expect(result.success).toBe(true);
+    const project = gcloud.projects.get('my-places-project');
+    expect(project.secrets.size).toBe(0);
+    expect(project.services.has('secretmanager.googleapis.com')).toBe(false);
+  });
+
+  test('should store the rotated key as a new version', async () => {
+    const gcloud = createFakeGcloud();
+    await index.run({ ...fixture.options, storeSecret: 'places-key', runner: gcloud });
+
+    const result = await index.rotate({ ...fixture.options, runner: gcloud });
+
+    expect(result.secretVersion).toBe('projects/my-places-project/secrets/places-key/versions/2');
+    expect(await readSecret(gcloud)).toBe(gcloud.projects.get('my-places-project').keys.get(result.keyId).keyString);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).secret.versions).toHaveLength(2);
+  });
+
+  test('should only record the secret in mock mode', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, mockBilling: true, storeSecret: 'places-key', runner: gcloud });
+
+    expect(result.secret).toBe('projects/my-places-project/secrets/places-key');
+    expect(gcloud.calls.some(call => call.startsWith('gcloud secrets'))).toBe(false);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).secret.mock).toBe(true);
+  });
+
+  test('should reject invalid secret names and accessors', async () => {
+    const gcloud = createFakeGcloud();
+
+    expect((await index.run({ ...fixture.options, storeSecret: 'places key', runner: gcloud })).error).toContain('Secret name');
+    expect((await index.run({ ...fixture.options, storeSecret: 'places-key', secretAccessor: ['me@example.com'], runner: gcloud })).error)
+      .toContain('not a service account email');
+    expect(gcloud.calls).toEqual([]);
+  });
+});
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Set up each test of the calling describe block to run the setup against a
+ * fake gcloud: a fresh temporary directory holding the state directory,
+ * console output captured instead of printed, and options that skip the
+ * interactive steps. Everything is undone after each test.
+ * @param {Object} overrides Options every test of the block starts from, on top of the defaults
+ * @returns {{dir: string, stateDir: string, options: Object, logs: string[], errors: string[]}} Fixture, filled in again before each test
+ */
+function withFakeSetup(overrides = {}) {
+  const fixture = {};
+
+  beforeEach(() => {
+    fixture.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-setup-test-'));
+    fixture.stateDir = path.join(fixture.dir, 'state');
+    fs.mkdirSync(fixture.stateDir);
+    fixture.options = { skipAuth: true, yes: true, stateDir: fixture.stateDir, propagationDelay: 0, verify: false, ...overrides };
+    fixture.logs = [];
+    fixture.errors = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => fixture.logs.push(args.join(' ')));
+    jest.spyOn(console, 'error').mockImplementation((...args) => fixture.errors.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixture.dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  return fixture;
+}
+
+module.exports = { withFakeSetup };
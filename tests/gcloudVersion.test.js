@@ -0,0 +1,102 @@
+const {
+  parseGcloudVersion,
+  compareVersions,
+  getApiKeysSurface,
+  apiKeysArgs,
+  getMissingComponents
+} = require('../src/gcloudVersion');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+describe('gcloud version', () => {
+  test('should parse the gcloud version output', () => {
+    expect(parseGcloudVersion('Google Cloud SDK 460.0.0\nalpha 2024.01.12\nbq 2.0.101\ncore 2024.01.12\n')).toEqual({
+      sdk: '460.0.0',
+      components: { alpha: '2024.01.12', bq: '2.0.101', core: '2024.01.12' }
+    });
+    expect(parseGcloudVersion('REST backend (the Google Cloud SDK is not required)')).toEqual({ sdk: null, components: {} });
+  });
+
+  test('should compare dotted versions', () => {
+    expect(compareVersions('460.0.0', '400.0.0')).toBeGreaterThan(0);
+    expect(compareVersions('99.0.0', '400.0.0')).toBeLessThan(0);
+    expect(compareVersions('400.0', '400.0.0')).toBe(0);
+  });
+
+  test('should use the alpha API key commands only on old SDKs', () => {
+    expect(getApiKeysSurface({ sdk: '460.0.0' })).toBe('ga');
+    expect(getApiKeysSurface({ sdk: '380.0.0' })).toBe('alpha');
+    expect(getApiKeysSurface({ sdk: null })).toBe('ga');
+
+    expect(apiKeysArgs('ga', ['list', '--project=p'])).toEqual(['services', 'api-keys', 'list', '--project=p']);
+    expect(apiKeysArgs('alpha', ['list', '--project=p'])).toEqual(['alpha', 'services', 'api-keys', 'list', '--project=p']);
+  });
+
+  test('should list the components the setup needs', () => {
+    const recent = { sdk: '460.0.0', components: { core: '2024.01.12' } };
+
+    expect(getMissingComponents(recent)).toEqual([]);
+    expect(getMissingComponents(recent, { dailyQuota: '1000', budgetEmail: ['ops@example.com'] })).toEqual(['alpha', 'beta']);
+    expect(getMissingComponents({ sdk: '380.0.0', components: { alpha: '2022.01.01' } })).toEqual([]);
+    expect(getMissingComponents({ sdk: '380.0.0', components: {} })).toEqual(['alpha']);
+    expect(getMissingComponents({ sdk: null, components: {} }, { dailyQuota: '1000' })).toEqual([]);
+    expect(getMissingComponents(recent, {}, { dailyQuota: 1000, perMinuteQuota: 100 })).toEqual(['alpha']);
+  });
+});
+
+describe('gcloud command surface with the fake gcloud', () => {
+  const fixture = withFakeSetup({ projectId: 'my-places-project', projectName: 'My Project' });
+
+  test('should use the GA API key commands and show the detected SDK in debug output', async () => {
+    const gcloud = createFakeGcloud({ components: [] });
+
+    const result = await index.run({ ...fixture.options, debug: true, runner: gcloud });
+
+    expect(result.success).toBe(true);
+    expect(gcloud.calls.filter(call => call.includes('api-keys')).every(call => call.startsWith('gcloud services api-keys'))).toBe(true);
+    expect(gcloud.calls).not.toContain('gcloud components install alpha --quiet');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Google Cloud SDK 999.0.0 (components: core)'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('API key commands: gcloud services api-keys'));
+  });
+
+  test('should install the alpha component on old SDKs and use the alpha commands', async () => {
+    const gcloud = createFakeGcloud({ sdkVersion: '380.0.0', components: [] });
+
+    const result = await index.run({ ...fixture.options, runner: gcloud });
+
+    expect(result.success).toBe(true);
+    expect(gcloud.calls).toContain('gcloud components install alpha --quiet');
+    expect(gcloud.calls.filter(call => call.includes('api-keys')).every(call => call.startsWith('gcloud alpha services api-keys'))).toBe(true);
+  });
+
+  test('should install the alpha component for the default caps of a generated ID', async () => {
+    const gcloud = createFakeGcloud({ components: [] });
+
+    const result = await index.run({ ...fixture.options, projectId: undefined, runner: gcloud });
+    const production = await index.run({ ...fixture.options, projectId: undefined, env: 'production', runner: createFakeGcloud({ components: [] }) });
+
+    expect(result.success).toBe(true);
+    expect(gcloud.calls).toContain('gcloud components install alpha --quiet');
+    expect(gcloud.calls.indexOf('gcloud components install alpha --quiet')).toBeLessThan(gcloud.calls.findIndex(call => call.startsWith('gcloud projects create')));
+    expect(result.quotas).toHaveLength(4);
+    expect(production.success).toBe(true);
+    expect(production.quotas).toBeUndefined();
+  });
+
+  test('should stop when a needed component cannot be installed', async () => {
+    const gcloud = createFakeGcloud({ components: [] });
+    const runner = {
+      ...gcloud,
+      exec: async (file, args) => (args[0] === 'components'
+        ? { success: false, output: 'ERROR: (gcloud.components.install) The component manager is disabled for this installation' }
+        : gcloud.exec(file, args))
+    };
+
+    const result = await index.run({ ...fixture.options, dailyQuota: '1000', runner });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'GCLOUD_COMPONENTS_MISSING' }));
+    expect(gcloud.projects.size).toBe(0);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('install google-cloud-cli-alpha with it instead'));
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  buildApplicationRestrictions,
+  describeApplicationRestrictions,
+  restrictionsToFlags,
+  flagsToRestrictions
+} = require('../src/keyRestrictions');
+const { parseArgs } = require('../src/runner');
+
+const restrictions = {
+  apiTargets: [{ service: 'places.googleapis.com' }],
+  browserKeyRestrictions: { allowedReferrers: ['https://example.com/*', 'https://*.example.com/*'] },
+  serverKeyRestrictions: { allowedIps: ['203.0.113.0/24'] },
+  androidKeyRestrictions: {
+    allowedApplications: [{ sha1Fingerprint: 'DA:39:A3:EE', packageName: 'com.example.app' }]
+  },
+  iosKeyRestrictions: { allowedBundleIds: ['com.example.ios'] }
+};
+
+describe('restrictionsToFlags', () => {
+  test('should turn each restriction into its gcloud flag', () => {
+    expect(restrictionsToFlags(restrictions)).toEqual([
+      '--api-target=service=places.googleapis.com',
+      '--allowed-referrers=https://example.com/*,https://*.example.com/*',
+      '--allowed-ips=203.0.113.0/24',
+      '--allowed-application=sha1_fingerprint=DA:39:A3:EE,package_name=com.example.app',
+      '--allowed-bundle-ids=com.example.ios'
+    ]);
+  });
+
+  test('should return no flags for unrestricted keys', () => {
+    expect(restrictionsToFlags({})).toEqual([]);
+    expect(restrictionsToFlags(undefined)).toEqual([]);
+  });
+});
+
+describe('flagsToRestrictions', () => {
+  test('should read back the flags it produced', () => {
+    const { flags } = parseArgs(restrictionsToFlags(restrictions));
+    expect(flagsToRestrictions(flags)).toEqual(restrictions);
+  });
+
+  test('should ignore unrelated flags', () => {
+    const { flags } = parseArgs(['--display-name=places-api-key', '--project=my-places-project']);
+    expect(flagsToRestrictions(flags)).toEqual({});
+  });
+});
+
+describe('buildApplicationRestrictions', () => {
+  test('should split comma-separated and repeated values', () => {
+    const { restrictions } = buildApplicationRestrictions({
+      allowedReferrers: ['https://example.com/*,https://www.example.com/*', '*.example.org/*']
+    });
+
+    expect(restrictions).toEqual({
+      browserKeyRestrictions: {
+        allowedReferrers: ['https://example.com/*', 'https://www.example.com/*', '*.example.org/*']
+      }
+    });
+    expect(describeApplicationRestrictions(restrictions)).toBe('HTTP referrers https://example.com/*, https://www.example.com/*, *.example.org/*');
+  });
+
+  test('should split Android apps into package name and fingerprint', () => {
+    const { restrictions } = buildApplicationRestrictions({
+      allowedAndroidApp: ['com.example.app:DA:39:A3:EE:5E:6B:4B:0D:32:55:BF:EF:95:60:18:90:AF:D8:07:09']
+    });
+
+    expect(restrictions.androidKeyRestrictions.allowedApplications).toEqual([
+      { packageName: 'com.example.app', sha1Fingerprint: 'DA:39:A3:EE:5E:6B:4B:0D:32:55:BF:EF:95:60:18:90:AF:D8:07:09' }
+    ]);
+  });
+
+  test('should return no restrictions when none are given', () => {
+    expect(buildApplicationRestrictions({})).toEqual({ restrictions: {} });
+    expect(describeApplicationRestrictions({})).toBeNull();
+  });
+
+  test('should report invalid values and mixed restriction kinds', () => {
+    expect(buildApplicationRestrictions({ allowedIps: '203.0.113.0/40' }).error).toContain('invalid prefix length');
+    expect(buildApplicationRestrictions({ allowedIps: '203.0.113.5', allowedIosBundleId: ['com.example.app'] }).error)
+      .toContain('only have one kind of application restriction');
+  });
+});
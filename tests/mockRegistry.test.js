@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getRegistryPath,
+  loadRegistry,
+  generateMockProjectId,
+  issueMockKey,
+  findMockResource,
+  revokeMockKeys,
+  isRevokedMockKey,
+  formatMockTable
+} = require('../src/mockRegistry');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+describe('mock registry', () => {
+  let dir;
+  let options;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-mock-registry-'));
+    options = { mockRegistry: path.join(dir, 'mock-registry.json') };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should live in the config directory by default', () => {
+    expect(getRegistryPath()).toBe(path.join(process.env.PLACES_SETUP_HOME, 'mock-registry.json'));
+    expect(getRegistryPath(options)).toBe(options.mockRegistry);
+  });
+
+  test('should derive IDs from the seed', () => {
+    expect(generateMockProjectId({ seed: 'fixtures' })).toBe(generateMockProjectId({ seed: 'fixtures' }));
+    expect(generateMockProjectId({ seed: 'fixtures' })).not.toBe(generateMockProjectId({ seed: 'other' }));
+    expect(generateMockProjectId()).toMatch(/^mock-project-[a-z0-9]{6}$/);
+  });
+
+  test('should record issued keys with their project', () => {
+    const { key } = issueMockKey('mock-project-a', { ...options, projectName: 'Mock A' });
+
+    expect(key).toEqual(expect.objectContaining({ projectId: 'mock-project-a', revokedAt: null }));
+    expect(key.apiKey).toMatch(/^AIzaMOCK[a-z0-9]{16}$/);
+    expect(key.keyId).toMatch(/^mock-key-[a-z0-9]{8}$/);
+    expect(loadRegistry(options)).toEqual({
+      projects: [expect.objectContaining({ projectId: 'mock-project-a', projectName: 'Mock A' })],
+      keys: [key]
+    });
+  });
+
+  test('should issue the same key again for the same seed and project', () => {
+    const first = issueMockKey('mock-project-a', { ...options, seed: 'fixtures' }).key;
+    const again = issueMockKey('mock-project-a', { ...options, seed: 'fixtures' }).key;
+    const other = issueMockKey('mock-project-b', { ...options, seed: 'fixtures' }).key;
+
+    expect(again).toEqual(first);
+    expect(other.apiKey).not.toBe(first.apiKey);
+    expect(loadRegistry(options).keys).toHaveLength(2);
+    expect(loadRegistry(options).projects[0].seed).toBe('fixtures');
+  });
+
+  test('should revoke a key or every key of a project', () => {
+    const first = issueMockKey('mock-project-a', options).key;
+    const second = issueMockKey('mock-project-a', options).key;
+    const other = issueMockKey('mock-project-b', options).key;
+
+    expect(revokeMockKeys(first.keyId, options).revoked.map(key => key.keyId)).toEqual([first.keyId]);
+    expect(revokeMockKeys('mock-project-a', options).revoked.map(key => key.keyId)).toEqual([second.keyId]);
+    expect(revokeMockKeys('mock-project-a', options).revoked).toEqual([]);
+    expect(revokeMockKeys('unknown', options).error).toContain('No mock project or key unknown');
+
+    expect(isRevokedMockKey(first.apiKey, options)).toBe(true);
+    expect(isRevokedMockKey(other.apiKey, options)).toBe(false);
+  });
+
+  test('should issue a revoked seeded key again', () => {
+    const { key } = issueMockKey('mock-project-a', { ...options, seed: 'fixtures' });
+    revokeMockKeys(key.apiKey, options);
+
+    const reissued = issueMockKey('mock-project-a', { ...options, seed: 'fixtures' }).key;
+
+    expect(reissued).toEqual(expect.objectContaining({ keyId: key.keyId, apiKey: key.apiKey, revokedAt: null }));
+    expect(isRevokedMockKey(key.apiKey, options)).toBe(false);
+    expect(loadRegistry(options).keys).toHaveLength(1);
+  });
+
+  test('should find projects and keys', () => {
+    const { key } = issueMockKey('mock-project-a', options);
+    const registry = loadRegistry(options);
+
+    expect(findMockResource(registry, 'mock-project-a')).toEqual({ project: registry.projects[0], keys: [key] });
+    expect(findMockResource(registry, key.apiKey)).toEqual({ keys: [key] });
+    expect(findMockResource(registry, 'unknown')).toBeNull();
+  });
+
+  test('should format the keys as a table', () => {
+    const lines = formatMockTable({
+      projects: [{ projectId: 'mock-project-a' }, { projectId: 'mock-project-b' }],
+      keys: [
+        { projectId: 'mock-project-a', keyId: 'mock-key-1', apiKey: 'AIzaMOCK1', revokedAt: null },
+        { projectId: 'mock-project-a', keyId: 'mock-key-2', apiKey: 'AIzaMOCK2', revokedAt: '2026-10-19T10:00:00.000Z' }
+      ]
+    });
+
+    expect(lines).toEqual([
+      'Project ID      Key ID      Key        Status',
+      '--------------  ----------  ---------  ------',
+      'mock-project-a  mock-key-1  AIzaMOCK1  active',
+      'mock-project-a  mock-key-2  AIzaMOCK2  revoked 2026-10-19',
+      'mock-project-b  -           -          -'
+    ]);
+  });
+});
+
+describe('mock registry with the fake gcloud', () => {
+  const fixture = withFakeSetup({ mockBilling: true, seed: 'fixtures', projectName: 'Mock Project' });
+
+  beforeEach(() => {
+    fixture.options.mockRegistry = path.join(fixture.dir, 'mock-registry.json');
+  });
+
+  test('should give seeded runs the same project ID and key', async () => {
+    const first = await index.run({ ...fixture.options, stateDir: path.join(fixture.dir, 'first'), runner: createFakeGcloud() });
+    const second = await index.run({ ...fixture.options, stateDir: path.join(fixture.dir, 'second'), runner: createFakeGcloud() });
+
+    expect(first).toEqual(expect.objectContaining({ success: true, isMock: true }));
+    expect(first.projectId).toMatch(/^mock-project-[a-z0-9]{6}$/);
+    expect(second.projectId).toBe(first.projectId);
+    expect(second.apiKey).toBe(first.apiKey);
+    expect(index.listMocks(fixture.options)).toEqual(expect.objectContaining({
+      projects: [expect.objectContaining({ projectId: first.projectId, projectName: 'Mock Project', seed: 'fixtures' })],
+      keys: [expect.objectContaining({ apiKey: first.apiKey, revokedAt: null })]
+    }));
+  });
+
+  test('should refuse revoked mock keys', async () => {
+    const created = await index.run({ ...fixture.options, runner: createFakeGcloud() });
+    expect(index.revokeMock(created.projectId, fixture.options).revoked).toHaveLength(1);
+
+    const resumed = await index.run({ ...fixture.options, resume: created.projectId, runner: createFakeGcloud() });
+    const again = await index.run({ ...fixture.options, stateDir: path.join(fixture.dir, 'again'), runner: createFakeGcloud() });
+
+    expect(resumed).toEqual(expect.objectContaining({ success: false, code: 'MOCK_KEY_REVOKED' }));
+    expect(again).toEqual(expect.objectContaining({ success: true, apiKey: created.apiKey }));
+  });
+
+  test('should revoke the mock key when the setup is removed', async () => {
+    const gcloud = createFakeGcloud();
+    const created = await index.run({ ...fixture.options, seed: undefined, runner: gcloud });
+
+    await index.destroy({ ...fixture.options, projectId: created.projectId, runner: gcloud });
+
+    expect(index.showMock(created.projectId, fixture.options).keys[0].revokedAt).toEqual(expect.any(String));
+  });
+
+  test('should issue the seeded key again after the setup is removed', async () => {
+    const gcloud = createFakeGcloud();
+    const created = await index.run({ ...fixture.options, runner: gcloud });
+    await index.destroy({ ...fixture.options, projectId: created.projectId, runner: gcloud });
+
+    const again = await index.run({ ...fixture.options, resume: created.projectId, runner: gcloud });
+
+    expect(again).toEqual(expect.objectContaining({ success: true, projectId: created.projectId, apiKey: created.apiKey }));
+    expect(index.showMock(created.apiKey, fixture.options).keys[0].revokedAt).toBeNull();
+  });
+});
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { requestJson } = require('../src/http');
+const { saveState } = require('../src/state');
+const { verifyApiKey } = require('../src/verify');
+const { issueMockKey, revokeMockKeys } = require('../src/mockRegistry');
+const { loadFixtures, loadMockKeys, startMockServer } = require('../src/mockServer');
+
+const KEY = 'AIzaMOCKtestkey123';
+
+describe('loadMockKeys', () => {
+  let stateDir;
+
+  beforeEach(() => {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-setup-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('should only collect mock keys', () => {
+    saveState({ projectId: 'mock-project-a', steps: { keyCreated: { keyId: 'mock-key-a', isMock: true, apiKey: KEY } } }, { stateDir });
+    saveState({ projectId: 'real-project', steps: { keyCreated: { keyId: 'uid-1', isMock: false } } }, { stateDir });
+    saveState({ projectId: 'new-project', steps: {} }, { stateDir });
+
+    const mockRegistry = path.join(stateDir, 'registry', 'mock-registry.json');
+    expect([...loadMockKeys({ stateDir, mockRegistry })]).toEqual([KEY]);
+    expect(loadMockKeys({ stateDir: path.join(stateDir, 'missing'), mockRegistry }).size).toBe(0);
+  });
+});
+
+describe('loadFixtures', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should accept a list of places or a places response', () => {
+    const place = { id: 'p1', displayName: { text: 'Test Place' }, location: { latitude: 1, longitude: 2 } };
+    fs.writeFileSync(path.join(dir, 'list.json'), JSON.stringify([place]));
+    fs.writeFileSync(path.join(dir, 'response.json'), JSON.stringify({ places: [place] }));
+
+    expect(loadFixtures(path.join(dir, 'list.json'))).toEqual({ places: [place] });
+    expect(loadFixtures(path.join(dir, 'response.json'))).toEqual({ places: [place] });
+  });
+
+  test('should reject places without a location', () => {
+    fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify([{ id: 'p1', displayName: { text: 'Test Place' } }]));
+
+    expect(loadFixtures(path.join(dir, 'bad.json')).error).toContain('place 0 needs an id, displayName and location');
+    expect(loadFixtures(path.join(dir, 'missing.json')).error).toContain('Could not read');
+  });
+});
+
+describe('mock Places API server', () => {
+  let server;
+  let baseUrl;
+  let stateDir;
+  let mockRegistry;
+
+  const legacy = (endpoint, query) => requestJson({ url: `${baseUrl}/maps/api/place/${endpoint}/json?${new URLSearchParams(query)}` });
+  const post = (endpoint, body, headers = {}) => requestJson({
+    url: `${baseUrl}/v1/places:${endpoint}`,
+    method: 'POST',
+    headers: { 'X-Goog-Api-Key': KEY, ...headers },
+    body
+  });
+
+  beforeEach(async () => {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-setup-state-'));
+    saveState({ projectId: 'mock-project-a', steps: { keyCreated: { keyId: 'mock-key-a', isMock: true, apiKey: KEY } } }, { stateDir });
+    mockRegistry = path.join(stateDir, 'registry', 'mock-registry.json');
+    ({ server, url: baseUrl } = await startMockServer({ port: 0, stateDir, mockRegistry }));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  describe('legacy endpoints', () => {
+    test('should deny requests without an issued key', async () => {
+      const missing = await legacy('textsearch', { query: 'Eiffel Tower' });
+      const invalid = await legacy('textsearch', { query: 'Eiffel Tower', key: 'AIzaSomeRealKey' });
+
+      expect(missing.status).toBe(200);
+      expect(missing.body.status).toBe('REQUEST_DENIED');
+      expect(missing.body.error_message).toContain('You must use an API key');
+      expect(invalid.body).toEqual(expect.objectContaining({ status: 'REQUEST_DENIED', error_message: 'The provided API key is invalid. ' }));
+    });
+
+    test('should accept keys issued while the server runs', async () => {
+      saveState({ projectId: 'mock-project-b', steps: { keyCreated: { keyId: 'mock-key-b', isMock: true, apiKey: 'AIzaMOCKlater' } } }, { stateDir });
+
+      const { body } = await legacy('textsearch', { query: 'Eiffel Tower', key: 'AIzaMOCKlater' });
+
+      expect(body.status).toBe('OK');
+    });
+
+    test('should reject revoked keys', async () => {
+      const { key } = issueMockKey('mock-project-c', { mockRegistry });
+      const before = await legacy('textsearch', { query: 'Eiffel Tower', key: key.apiKey });
+      revokeMockKeys('mock-project-c', { mockRegistry });
+      const after = await legacy('textsearch', { query: 'Eiffel Tower', key: key.apiKey });
+
+      expect(before.body.status).toBe('OK');
+      expect(after.body).toEqual(expect.objectContaining({ status: 'REQUEST_DENIED', error_message: 'The provided API key is invalid. ' }));
+    });
+
+    test('should search by text', async () => {
+      const { body } = await legacy('textsearch', { query: 'restaurants in Sydney', key: KEY });
+      const none = await legacy('textsearch', { query: 'zzzz', key: KEY });
+
+      expect(body.status).toBe('OK');
+      expect(body.results[0]).toEqual(expect.objectContaining({
+        place_id: 'ChIJmock-harbour-kitchen',
+        name: 'Harbour Kitchen',
+        geometry: { location: { lat: -33.8610247, lng: 151.2120634 } }
+      }));
+      expect(none.body).toEqual({ html_attributions: [], results: [], status: 'ZERO_RESULTS' });
+    });
+
+    test('should search nearby by type', async () => {
+      const { body } = await legacy('nearbysearch', { location: '-33.8587,151.2140', radius: '1000', type: 'cafe', key: KEY });
+      const invalid = await legacy('nearbysearch', { location: '-33.8587,151.2140', key: KEY });
+
+      expect(body.results.map(place => place.place_id)).toEqual(['ChIJmock-circular-quay-cafe']);
+      expect(invalid.body.status).toBe('INVALID_REQUEST');
+    });
+
+    test('should return place details with the requested fields', async () => {
+      const { body } = await legacy('details', { place_id: 'ChIJLU7jZClu5kcR4PcOOO6p3I0', fields: 'name,geometry/location', key: KEY });
+      const missing = await legacy('details', { place_id: 'unknown', key: KEY });
+      const invalid = await legacy('details', { key: KEY });
+
+      expect(body).toEqual({
+        html_attributions: [],
+        result: { name: 'Eiffel Tower', geometry: { location: { lat: 48.8583701, lng: 2.2944813 } } },
+        status: 'OK'
+      });
+      expect(missing.body.status).toBe('NOT_FOUND');
+      expect(invalid.body).toEqual(expect.objectContaining({ status: 'INVALID_REQUEST', error_message: 'Missing the place_id parameter.' }));
+    });
+
+    test('should autocomplete place names', async () => {
+      const { body } = await legacy('autocomplete', { input: 'opera', key: KEY });
+
+      expect(body.status).toBe('OK');
+      expect(body.predictions[0]).toEqual(expect.objectContaining({
+        place_id: 'ChIJmock-sydney-opera-house',
+        structured_formatting: { main_text: 'Sydney Opera House', secondary_text: 'Bennelong Point, Sydney NSW 2000, Australia' }
+      }));
+    });
+
+    test('should serve photos', async () => {
+      const photo = await requestJson({ url: `${baseUrl}/maps/api/place/photo?photo_reference=mock-louvre-1&maxwidth=400&key=${KEY}` });
+      const unsized = await requestJson({ url: `${baseUrl}/maps/api/place/photo?photo_reference=mock-louvre-1&key=${KEY}` });
+
+      expect(photo.status).toBe(200);
+      expect(photo.text).toContain('width="400" height="267"');
+      expect(photo.text).toContain('Louvre Museum');
+      expect(unsized.status).toBe(400);
+    });
+  });
+
+  describe('Places API (New) endpoints', () => {
+    test('should reject missing and unknown keys like Google does', async () => {
+      const missing = await post('searchText', { textQuery: 'Eiffel Tower' }, { 'X-Goog-Api-Key': '' });
+      const invalid = await post('searchText', { textQuery: 'Eiffel Tower' }, { 'X-Goog-Api-Key': 'AIzaSomeRealKey', 'X-Goog-FieldMask': '*' });
+
+      expect(missing.status).toBe(403);
+      expect(missing.body.error.status).toBe('PERMISSION_DENIED');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toEqual(expect.objectContaining({
+        code: 400,
+        message: 'API key not valid. Please pass a valid API key.',
+        status: 'INVALID_ARGUMENT'
+      }));
+      expect(invalid.body.error.details[0].reason).toBe('API_KEY_INVALID');
+    });
+
+    test('should require a field mask', async () => {
+      const { status, body } = await post('searchText', { textQuery: 'Eiffel Tower' });
+
+      expect(status).toBe(400);
+      expect(body.error.message).toContain('FieldMask is a required parameter');
+    });
+
+    test('should reject bodies that are not JSON objects and keep serving', async () => {
+      const fieldMask = { 'X-Goog-FieldMask': 'places.id' };
+      const responses = await Promise.all([
+        post('searchText', 'null', fieldMask),
+        post('searchText', '42', fieldMask),
+        post('searchNearby', '[]', fieldMask),
+        post('autocomplete', 'null')
+      ]);
+      const after = await post('searchText', { textQuery: 'Eiffel Tower' }, fieldMask);
+
+      responses.forEach(response => {
+        expect(response.status).toBe(400);
+        expect(response.body.error).toEqual(expect.objectContaining({
+          status: 'INVALID_ARGUMENT',
+          message: 'Invalid JSON payload received. Expected an object.'
+        }));
+      });
+      expect(after.body).toEqual({ places: [{ id: 'ChIJLU7jZClu5kcR4PcOOO6p3I0' }] });
+    });
+
+    test('should answer 500 instead of crashing when a handler fails', async () => {
+      const broken = await startMockServer({ port: 0, stateDir, mockRegistry, places: [{ id: 'broken' }] });
+      try {
+        const failed = await requestJson({
+          url: `${broken.url}/v1/places:searchText`,
+          method: 'POST',
+          headers: { 'X-Goog-Api-Key': KEY, 'X-Goog-FieldMask': 'places.id' },
+          body: { textQuery: 'anything' }
+        });
+        const after = await requestJson({ url: `${broken.url}/v1/places/broken?fields=id&key=${KEY}` });
+
+        expect(failed.status).toBe(500);
+        expect(failed.body.error.status).toBe('INTERNAL');
+        expect(after.body).toEqual({ id: 'broken' });
+      } finally {
+        await new Promise(resolve => broken.server.close(resolve));
+      }
+    });
+
+    test('should search by text with the field mask applied', async () => {
+      const { status, body } = await post('searchText', { textQuery: 'Eiffel Tower' }, { 'X-Goog-FieldMask': 'places.id,places.displayName' });
+
+      expect(status).toBe(200);
+      expect(body.places[0]).toEqual({ id: 'ChIJLU7jZClu5kcR4PcOOO6p3I0', displayName: { text: 'Eiffel Tower', languageCode: 'en' } });
+    });
+
+    test('should search nearby', async () => {
+      const { body } = await post('searchNearby', {
+        includedTypes: ['museum'],
+        locationRestriction: { circle: { center: { latitude: 48.86, longitude: 2.33 }, radius: 2000 } }
+      }, { 'X-Goog-FieldMask': 'places.id' });
+
+      expect(body).toEqual({ places: [{ id: 'ChIJmock-louvre-museum' }] });
+    });
+
+    test('should return place details', async () => {
+      const found = await requestJson({
+        url: `${baseUrl}/v1/places/ChIJmock-sydney-opera-house`,
+        headers: { 'X-Goog-Api-Key': KEY, 'X-Goog-FieldMask': 'displayName,nationalPhoneNumber' }
+      });
+      const missing = await requestJson({ url: `${baseUrl}/v1/places/unknown?fields=id&key=${KEY}` });
+
+      expect(found.body).toEqual({ displayName: { text: 'Sydney Opera House', languageCode: 'en' }, nationalPhoneNumber: '(02) 9250 7111' });
+      expect(missing.status).toBe(404);
+      expect(missing.body.error.status).toBe('NOT_FOUND');
+    });
+
+    test('should autocomplete place names', async () => {
+      const { body } = await post('autocomplete', { input: 'Louv' });
+
+      expect(body.suggestions[0].placePrediction).toEqual(expect.objectContaining({
+        place: 'places/ChIJmock-louvre-museum',
+        placeId: 'ChIJmock-louvre-museum'
+      }));
+    });
+
+    test('should serve photo media', async () => {
+      const media = `${baseUrl}/v1/places/ChIJmock-harbour-kitchen/photos/mock-harbour-kitchen-1/media`;
+      const image = await requestJson({ url: `${media}?maxHeightPx=400&key=${KEY}` });
+      const uri = await requestJson({ url: `${media}?maxWidthPx=600&skipHttpRedirect=true&key=${KEY}` });
+
+      expect(image.text).toContain('width="600" height="400"');
+      expect(uri.body).toEqual({
+        name: 'places/ChIJmock-harbour-kitchen/photos/mock-harbour-kitchen-1',
+        photoUri: `${media}?key=${KEY}&maxWidthPx=600`
+      });
+    });
+  });
+
+  test('should pass the key verification', async () => {
+    const result = await verifyApiKey(KEY, { placesBaseUrl: baseUrl, verifyTimeout: 0 });
+    const legacyResult = await verifyApiKey(KEY, { api: 'legacy', placesBaseUrl: baseUrl, verifyTimeout: 0 });
+    const invalid = await verifyApiKey('AIzaMOCKunknown', { placesBaseUrl: baseUrl, verifyTimeout: 0 });
+
+    expect(result.status).toBe('works');
+    expect(legacyResult.status).toBe('works');
+    expect(invalid.status).toBe('key-invalid');
+  });
+});
@@ -0,0 +1,101 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  inferFormat,
+  validateOutputOptions,
+  mergeKeyContent,
+  writeKeyFile
+} = require('../src/output');
+
+describe('mergeKeyContent', () => {
+  test('should write each format', () => {
+    expect(mergeKeyContent('', 'dotenv', 'GOOGLE_PLACES_API_KEY', 'AIzaKey')).toBe('GOOGLE_PLACES_API_KEY=AIzaKey\n');
+    expect(mergeKeyContent('', 'shell', 'PLACES_KEY', 'AIzaKey')).toBe('export PLACES_KEY=\'AIzaKey\'\n');
+    expect(mergeKeyContent('', 'yaml', 'PLACES_KEY', 'AIzaKey')).toBe('PLACES_KEY: "AIzaKey"\n');
+    expect(JSON.parse(mergeKeyContent('', 'json', 'PLACES_KEY', 'AIzaKey'))).toEqual({ PLACES_KEY: 'AIzaKey' });
+  });
+
+  test('should replace an existing assignment and keep other lines', () => {
+    const content = '# settings\nDEBUG=true\nGOOGLE_PLACES_API_KEY=old\nPORT=3000\n';
+
+    expect(mergeKeyContent(content, 'dotenv', 'GOOGLE_PLACES_API_KEY', 'new'))
+      .toBe('# settings\nDEBUG=true\nGOOGLE_PLACES_API_KEY=new\nPORT=3000\n');
+    expect(mergeKeyContent('DEBUG=true', 'dotenv', 'GOOGLE_PLACES_API_KEY', 'new'))
+      .toBe('DEBUG=true\nGOOGLE_PLACES_API_KEY=new\n');
+  });
+
+  test('should merge into JSON objects only', () => {
+    expect(JSON.parse(mergeKeyContent('{"port": 3000}', 'json', 'KEY', 'new'))).toEqual({ port: 3000, KEY: 'new' });
+    expect(() => mergeKeyContent('[]', 'json', 'KEY', 'new')).toThrow('JSON object');
+  });
+});
+
+describe('output options', () => {
+  test('should infer the format from the file name', () => {
+    expect(inferFormat('.env')).toBe('dotenv');
+    expect(inferFormat('config/keys.json')).toBe('json');
+    expect(inferFormat('keys.yml')).toBe('yaml');
+    expect(inferFormat('keys.sh')).toBe('shell');
+  });
+
+  test('should reject unknown formats and invalid variable names', () => {
+    expect(validateOutputOptions({ output: '.env', format: 'toml' })).toContain('Unknown output format');
+    expect(validateOutputOptions({ format: 'json' })).toBe('--format needs an --output file');
+    expect(validateOutputOptions({ output: '.env', varName: '1KEY' })).toContain('cannot start with a digit');
+    expect(validateOutputOptions({ output: '.env', format: 'yaml', varName: 'PLACES_KEY' })).toBeNull();
+  });
+});
+
+describe('writeKeyFile', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-setup-output-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should create new files readable by the owner only', () => {
+    const file = path.join(dir, '.env');
+
+    const result = writeKeyFile('AIzaKey', { output: file });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, path: file, format: 'dotenv', created: true }));
+    expect(fs.readFileSync(file, 'utf8')).toBe('GOOGLE_PLACES_API_KEY=AIzaKey\n');
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('should merge into existing files', () => {
+    const file = path.join(dir, '.env');
+    fs.writeFileSync(file, 'PORT=3000\n');
+
+    const result = writeKeyFile('AIzaKey', { output: file, varName: 'PLACES_KEY' });
+
+    expect(result.created).toBe(false);
+    expect(fs.readFileSync(file, 'utf8')).toBe('PORT=3000\nPLACES_KEY=AIzaKey\n');
+  });
+
+  test('should report whether git ignores the file', () => {
+    childProcess.execFileSync('git', ['init', '-q', dir]);
+    fs.writeFileSync(path.join(dir, '.gitignore'), '.env\n');
+
+    expect(writeKeyFile('AIzaKey', { output: path.join(dir, '.env') }).gitIgnored).toBe(true);
+    expect(writeKeyFile('AIzaKey', { output: path.join(dir, 'keys.json') }).gitIgnored).toBe(false);
+  });
+
+  test('should report files it cannot parse', () => {
+    const file = path.join(dir, 'keys.json');
+    fs.writeFileSync(file, 'not json');
+
+    const result = writeKeyFile('AIzaKey', { output: file });
+
+    expect(result.success).toBe(false);
+    expect(fs.readFileSync(file, 'utf8')).toBe('not json');
+  });
+});
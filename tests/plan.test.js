@@ -0,0 +1,36 @@
+const { createPlan, formatPlan, PLACEHOLDERS } = require('../src/plan');
+
+describe('Dry-run plan', () => {
+  test('should record commands and URLs in order', async () => {
+    const plan = createPlan();
+    await plan.exec('gcloud', ['projects', 'create', 'my-project', '--name=My Project']);
+    await plan.open('https://console.cloud.google.com/billing/linkedaccount?project=my-project');
+    await plan.exec('gcloud', ['services', 'enable', 'places.googleapis.com', '--project=my-project']);
+
+    expect(plan.entries).toEqual([
+      { type: 'command', value: 'gcloud projects create my-project \'--name=My Project\'' },
+      { type: 'url', value: 'https://console.cloud.google.com/billing/linkedaccount?project=my-project' },
+      { type: 'command', value: 'gcloud services enable places.googleapis.com --project=my-project' }
+    ]);
+  });
+
+  test('should return placeholder output for key lookups', async () => {
+    const plan = createPlan();
+
+    const list = await plan.exec('gcloud', ['alpha', 'services', 'api-keys', 'list', '--project=my-project', '--format=json']);
+    expect(list.success).toBe(true);
+    expect(JSON.parse(list.output)[0].uid).toBe(PLACEHOLDERS.keyId);
+
+    const keyString = await plan.exec('gcloud', ['alpha', 'services', 'api-keys', 'get-key-string', PLACEHOLDERS.keyId]);
+    expect(JSON.parse(keyString.output).keyString).toBe(PLACEHOLDERS.apiKey);
+  });
+
+  test('should format the plan as a numbered list', () => {
+    const formatted = formatPlan([
+      { type: 'command', value: 'gcloud config set project my-project' },
+      { type: 'url', value: 'https://console.cloud.google.com/terms' }
+    ]);
+
+    expect(formatted).toBe(' 1. $ gcloud config set project my-project\n 2. open https://console.cloud.google.com/terms');
+  });
+});
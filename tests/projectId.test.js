@@ -0,0 +1,170 @@
+const fs = require('fs');
+const {
+  DEFAULT_ID_TEMPLATE,
+  renderProjectIdTemplate,
+  generateProjectId,
+  generateValidProjectId
+} = require('../src/projectId');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const { loadState } = require('../src/state');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+describe('renderProjectIdTemplate', () => {
+  test('should fill variables and built-in placeholders', () => {
+    const projectId = renderProjectIdTemplate('{team}-places-{env}-{rand4}', { team: 'growth', env: 'staging' });
+    expect(projectId).toMatch(/^growth-places-staging-[a-z0-9]{4}$/);
+  });
+
+  test('should slugify values', () => {
+    expect(renderProjectIdTemplate('{team}-places', { team: 'Data Science_Team' })).toBe('data-science-team-places');
+  });
+
+  test('should shorten long values but keep the random suffix', () => {
+    const projectId = renderProjectIdTemplate('{team}-places-{env}-{rand6}', {
+      team: 'customer-experience-platform',
+      env: 'production'
+    });
+
+    expect(projectId.length).toBeLessThanOrEqual(30);
+    expect(projectId).toMatch(/-[a-z0-9]{6}$/);
+    expect(projectId).toMatch(/^custom[a-z]*-places-produ[a-z]*-/);
+  });
+
+  test('should reject unknown placeholders and invalid random lengths', () => {
+    expect(() => renderProjectIdTemplate('{team}-places', {})).toThrow('No value for {team}');
+    expect(() => renderProjectIdTemplate('places-{rand0}')).toThrow('1 to 12 random characters');
+  });
+});
+
+describe('generateProjectId', () => {
+  test('should use the default template', () => {
+    expect(DEFAULT_ID_TEMPLATE).toBe('places-project-{timestamp}-{rand4}');
+    expect(generateProjectId()).toMatch(/^places-project-\d{6}-[a-z0-9]{4}$/);
+  });
+
+  test('should take --team, --env and --id-var values', () => {
+    const projectId = generateProjectId({
+      idTemplate: '{org}-{team}-{env}',
+      team: 'maps',
+      env: 'dev',
+      idVar: { org: 'acme' }
+    });
+
+    expect(projectId).toBe('acme-maps-dev');
+  });
+
+  test('should let the config file\'s idVars override --id-var', () => {
+    expect(generateProjectId({ idTemplate: '{org}-places', idVar: { org: 'acme' }, idVars: { org: 'initech' } })).toBe('initech-places');
+  });
+
+  test('should report template errors and invalid IDs', () => {
+    expect(generateValidProjectId({ idTemplate: '{team}' }).error).toContain('No value for {team}');
+    expect(generateValidProjectId({ idTemplate: 'google-{rand4}' }).error).toContain('cannot contain "google"');
+    expect(generateValidProjectId({ idTemplate: 'google-{rand4}' }).error).toMatch(/^Project ID template "google-\{rand4\}" produced/);
+  });
+});
+
+describe('run with generated project IDs', () => {
+  const fixture = withFakeSetup({ projectName: 'My Project', idTemplate: 'places-{team}-{rand6}', team: 'maps' });
+
+  test('should try a new ID when the generated one is taken', async () => {
+    const gcloud = createFakeGcloud();
+    let describes = 0;
+    let creates = 0;
+    const runner = {
+      ...gcloud,
+      exec: async (file, args) => {
+        // The first ID is visibly taken, the second belongs to another account
+        if (args[0] === 'projects' && args[1] === 'describe' && ++describes === 1) {
+          return { success: true, output: '{}' };
+        }
+        if (args[0] === 'projects' && args[1] === 'create' && ++creates === 1) {
+          return { success: false, output: 'ERROR: (gcloud.projects.create) Requested entity already exists' };
+        }
+        return gcloud.exec(file, args);
+      }
+    };
+
+    const options = { ...fixture.options, runner };
+    const result = await index.run(options);
+
+    expect(result.success).toBe(true);
+    expect(result.projectId).toMatch(/^places-maps-[a-z0-9]{6}$/);
+    expect(creates).toBe(2);
+    expect(options).not.toHaveProperty('projectIdConflict');
+    expect(gcloud.projects.has(result.projectId)).toBe(true);
+    expect(fs.readdirSync(fixture.stateDir)).toEqual([`${result.projectId}.json`]);
+    expect(loadState(result.projectId, { stateDir: fixture.stateDir }).steps.keyRestricted).toBeDefined();
+  });
+
+  test('should tell a taken ID apart from other project creation failures', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('places-maps-taken');
+
+    const taken = await index.createProject('places-maps-taken', 'My Project', { runner: gcloud });
+    const created = await index.createProject('places-maps-free', 'My Project', { runner: gcloud });
+
+    expect(taken).toEqual({ success: false, code: 'PROJECT_ID_TAKEN' });
+    expect(created).toEqual({ success: true });
+  });
+
+  test('should give up after the configured number of retries', async () => {
+    const gcloud = createFakeGcloud();
+    const described = [];
+    const runner = {
+      ...gcloud,
+      exec: async (file, args) => {
+        if (args[0] === 'projects' && args[1] === 'describe') {
+          described.push(args[2]);
+          return { success: true, output: '{}' };
+        }
+        return gcloud.exec(file, args);
+      }
+    };
+
+    const result = await index.run({ ...fixture.options, idRetries: '2', runner });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false,
+      error: 'No available project ID found after 2 retries',
+      code: 'PROJECT_ID_UNAVAILABLE'
+    }));
+    expect(described).toHaveLength(3);
+    expect(gcloud.projects.size).toBe(0);
+  });
+
+  test('should reject a malformed --id-retries before creating anything', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, idRetries: 'many', runner: gcloud });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false,
+      error: '--id-retries must be a non-negative whole number, not "many"',
+      code: 'INVALID_INPUT'
+    }));
+    expect(gcloud.calls).toEqual([]);
+  });
+
+  test('should not retry templates without a random part', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('places-maps-dev');
+
+    const result = await index.run({ ...fixture.options, idTemplate: 'places-{team}-{env}', env: 'dev', runner: gcloud });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('no random part');
+  });
+
+  test('should not check or replace an explicit project ID', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('my-places-project');
+
+    const result = await index.run({ ...fixture.options, projectId: 'my-places-project', runner: gcloud });
+
+    expect(result.isMock).toBe(true);
+    expect(gcloud.calls.some(call => call.startsWith('gcloud projects describe'))).toBe(false);
+    expect(gcloud.calls.filter(call => call.startsWith('gcloud projects create'))).toHaveLength(1);
+  });
+});
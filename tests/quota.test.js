@@ -0,0 +1,182 @@
+const {
+  parseQuotaValue,
+  validateQuotaOptions,
+  getQuotaCaps,
+  selectQuotaLimits,
+  formatQuotaLimits
+} = require('../src/quota');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const { loadState } = require('../src/state');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+describe('parseQuotaValue', () => {
+  test('should accept whole numbers and unlimited', () => {
+    expect(parseQuotaValue('1000')).toEqual({ value: 1000 });
+    expect(parseQuotaValue('Unlimited')).toEqual({ value: -1 });
+  });
+
+  test('should reject anything else', () => {
+    expect(parseQuotaValue('1e3').error).toContain('whole number');
+    expect(parseQuotaValue('-5').error).toContain('whole number');
+  });
+});
+
+describe('validateQuotaOptions', () => {
+  test('should check each given cap', () => {
+    expect(validateQuotaOptions({})).toBeNull();
+    expect(validateQuotaOptions({ dailyQuota: '100', perMinuteQuota: 'lots' })).toContain('"lots"');
+  });
+});
+
+describe('getQuotaCaps', () => {
+  test('should use the given caps', () => {
+    expect(getQuotaCaps({ dailyQuota: '500' }, true)).toEqual({ dailyQuota: 500 });
+  });
+
+  test('should fall back to the development defaults for generated IDs only', () => {
+    expect(getQuotaCaps({}, true)).toEqual({ dailyQuota: 1000, perMinuteQuota: 100 });
+    expect(getQuotaCaps({}, false)).toEqual({});
+  });
+});
+
+describe('selectQuotaLimits', () => {
+  const metrics = [{
+    metric: 'places.googleapis.com/requests',
+    consumerQuotaLimits: [
+      { metric: 'places.googleapis.com/requests', unit: '1/min/{project}', quotaBuckets: [{ effectiveLimit: '6000' }] },
+      { metric: 'places.googleapis.com/requests', unit: '1/min/{project}/{user}', quotaBuckets: [{ effectiveLimit: '600' }] },
+      { metric: 'places.googleapis.com/requests', unit: '1/d/{project}', quotaBuckets: [{ effectiveLimit: '-1' }] }
+    ]
+  }];
+
+  test('should pick the per-project limits with the capped units', () => {
+    expect(selectQuotaLimits('places.googleapis.com', metrics, { perMinuteQuota: 100 })).toEqual([{
+      service: 'places.googleapis.com',
+      metric: 'places.googleapis.com/requests',
+      unit: '1/min/{project}',
+      value: 100,
+      current: 6000
+    }]);
+    expect(selectQuotaLimits('places.googleapis.com', metrics, { dailyQuota: 1000, perMinuteQuota: 100 })).toHaveLength(2);
+  });
+});
+
+describe('formatQuotaLimits', () => {
+  test('should describe each limit per day or minute', () => {
+    expect(formatQuotaLimits([
+      { metric: 'places.googleapis.com/requests', unit: '1/d/{project}', value: 1000 },
+      { metric: 'places.googleapis.com/requests', unit: '1/min/{project}', value: -1 }
+    ])).toEqual([
+      'places.googleapis.com/requests: 1000 requests per day',
+      'places.googleapis.com/requests: unlimited requests per minute'
+    ]);
+  });
+});
+
+describe('quota caps with the fake gcloud', () => {
+  const fixture = withFakeSetup({ projectName: 'My Project' });
+
+  const overrides = project => Object.fromEntries(project.quotaOverrides);
+
+  test('should apply the given caps to each enabled service', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, projectId: 'my-places-project', dailyQuota: '5000', runner: gcloud });
+
+    expect(result.success).toBe(true);
+    expect(overrides(gcloud.projects.get('my-places-project'))).toEqual({
+      'places-backend.googleapis.com/requests 1/d/{project}': 5000,
+      'places.googleapis.com/requests 1/d/{project}': 5000
+    });
+    expect(result.quotas).toHaveLength(2);
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).quotas).toEqual(result.quotas);
+  });
+
+  test('should apply the development defaults to projects with a generated ID', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, apis: 'places-new', runner: gcloud });
+
+    expect(result.success).toBe(true);
+    expect(overrides(gcloud.projects.get(result.projectId))).toEqual({
+      'places.googleapis.com/requests 1/min/{project}': 100,
+      'places.googleapis.com/requests 1/d/{project}': 1000
+    });
+  });
+
+  test('should leave projects with a given ID alone by default', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, projectId: 'my-places-project', runner: gcloud });
+
+    expect(result.quotas).toBeUndefined();
+    expect(gcloud.projects.get('my-places-project').quotaOverrides.size).toBe(0);
+  });
+
+  test('should not treat generated production projects as development projects', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, env: 'production', runner: gcloud });
+
+    expect(result.success).toBe(true);
+    expect(result.quotas).toBeUndefined();
+  });
+
+  // A gcloud whose services have no per-day limit
+  const withoutDailyLimits = gcloud => ({
+    ...gcloud,
+    exec: async (file, args) => {
+      const result = await gcloud.exec(file, args);
+      if (!args.includes('quota') || !args.includes('list')) {
+        return result;
+      }
+      const metrics = JSON.parse(result.output).map(metric => ({
+        ...metric,
+        consumerQuotaLimits: metric.consumerQuotaLimits.filter(limit => limit.unit !== '1/d/{project}')
+      }));
+      return { ...result, output: JSON.stringify(metrics) };
+    }
+  });
+
+  test('should fail when a given cap matches no limit', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, projectId: 'my-places-project', dailyQuota: '5000', runner: withoutDailyLimits(gcloud) });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'QUOTA_UPDATE_FAILED' }));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('has no 1/d/{project} request limit to cap'));
+  });
+
+  test('should only warn when a default cap matches no limit', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, apis: 'places-new', runner: withoutDailyLimits(gcloud) });
+
+    expect(result.success).toBe(true);
+    expect(overrides(gcloud.projects.get(result.projectId))).toEqual({
+      'places.googleapis.com/requests 1/min/{project}': 100
+    });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('places.googleapis.com has no 1/d/{project} request limit to cap'));
+  });
+
+  test('should show and change the caps with the quota command', async () => {
+    const gcloud = createFakeGcloud();
+    gcloud.addProject('my-places-project', { services: ['places.googleapis.com', 'secretmanager.googleapis.com'] });
+
+    const changed = await index.quota({ stateDir: fixture.stateDir, projectId: 'my-places-project', perMinuteQuota: '50', runner: gcloud });
+    expect(changed.success).toBe(true);
+    expect(overrides(gcloud.projects.get('my-places-project'))).toEqual({
+      'places.googleapis.com/requests 1/min/{project}': 50
+    });
+
+    const shown = await index.quota({ stateDir: fixture.stateDir, projectId: 'my-places-project', runner: gcloud });
+    expect(shown.quotas).toEqual([
+      { service: 'places.googleapis.com', metric: 'places.googleapis.com/requests', unit: '1/min/{project}', value: 50 },
+      { service: 'places.googleapis.com', metric: 'places.googleapis.com/requests', unit: '1/d/{project}', value: -1 }
+    ]);
+
+    const invalid = await index.quota({ stateDir: fixture.stateDir, projectId: 'my-places-project', dailyQuota: 'many', runner: gcloud });
+    expect(invalid.success).toBe(false);
+  });
+});
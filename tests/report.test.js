@@ -0,0 +1,117 @@
+const { logProgress, getStepStatuses, buildJsonReport, formatEnvironmentSummary } = require('../src/report');
+
+describe('getStepStatuses', () => {
+  const startedAt = '2024-05-01T10:00:00.000Z';
+
+  test('should tell steps done in this run from resumed ones', () => {
+    const state = {
+      steps: {
+        projectCreated: { completedAt: '2024-04-30T09:00:00.000Z' },
+        projectSet: { completedAt: '2024-05-01T10:00:01.000Z' }
+      }
+    };
+
+    expect(getStepStatuses(state, startedAt, 'billingConfirmed')).toEqual({
+      projectCreated: 'already-done',
+      projectSet: 'done',
+      billingConfirmed: 'failed',
+      apisEnabled: 'pending',
+      keyCreated: 'pending',
+      keyRestricted: 'pending'
+    });
+  });
+
+  test('should report every step as pending without a state', () => {
+    expect(Object.values(getStepStatuses(null, startedAt))).toEqual(Array(6).fill('pending'));
+  });
+});
+
+describe('buildJsonReport', () => {
+  test('should report a successful setup', () => {
+    const report = buildJsonReport({
+      success: true,
+      apiKey: 'AIzaSyFAKE',
+      isMock: false,
+      projectId: 'my-places-project',
+      services: ['places.googleapis.com'],
+      restrictions: { apiTargets: [{ service: 'places.googleapis.com' }] },
+      steps: { projectCreated: 'done' }
+    });
+
+    expect(report).toEqual({
+      success: true,
+      projectId: 'my-places-project',
+      apiKey: 'AIzaSyFAKE',
+      isMock: false,
+      services: ['places.googleapis.com'],
+      restrictions: { apiTargets: [{ service: 'places.googleapis.com' }] },
+      steps: { projectCreated: 'done' },
+      outputFile: null,
+      error: null
+    });
+  });
+
+  test('should give the secret instead of the key', () => {
+    const report = buildJsonReport({
+      success: true,
+      secret: 'projects/p/secrets/places-key',
+      secretVersion: 'projects/p/secrets/places-key/versions/1',
+      projectId: 'p'
+    });
+
+    expect(report.secret).toBe('projects/p/secrets/places-key');
+    expect(report).not.toHaveProperty('apiKey');
+  });
+
+  test('should turn failures into a structured error', () => {
+    const report = buildJsonReport({
+      success: false,
+      error: 'Failed to create API key',
+      code: 'KEY_CREATE_FAILED',
+      step: 'keyCreated',
+      projectId: 'my-places-project'
+    });
+
+    expect(report.error).toEqual({ code: 'KEY_CREATE_FAILED', message: 'Failed to create API key', step: 'keyCreated' });
+    expect(report.steps.keyCreated).toBe('pending');
+  });
+
+  test('should fall back to a generic error code', () => {
+    expect(buildJsonReport({ success: false, error: 'Boom' }).error).toEqual({ code: 'SETUP_FAILED', message: 'Boom', step: null });
+  });
+});
+
+describe('formatEnvironmentSummary', () => {
+  test('should align the columns and show where each key went', () => {
+    const lines = formatEnvironmentSummary([
+      { environment: 'dev', success: true, projectId: 'places-dev-1', apiKey: 'AIzaMOCK1', isMock: true },
+      { environment: 'staging', success: true, projectId: 'places-staging-1', outputFile: '/app/.env.staging' },
+      { environment: 'prod', success: false, projectId: 'places-prod-1', error: 'Failed to create API key' }
+    ]);
+
+    expect(lines).toEqual([
+      'Environment  Project ID        Key',
+      '-----------  ----------------  ---',
+      'dev          places-dev-1      AIzaMOCK1 (mock)',
+      'staging      places-staging-1  /app/.env.staging',
+      'prod         places-prod-1     failed: Failed to create API key'
+    ]);
+  });
+});
+
+describe('logProgress', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should print to stdout, or to stderr with --json', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    logProgress({}, 'Creating project...', 'my-places-project');
+    logProgress({ json: true }, 'Enabling APIs...');
+
+    expect(log.mock.calls).toEqual([['Creating project...', 'my-places-project']]);
+    expect(error.mock.calls).toEqual([['Enabling APIs...']]);
+  });
+});
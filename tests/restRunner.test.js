@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const http = require('http');
+const { createRestRunner } = require('../src/restRunner');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+// Keep the billing step from opening a browser
+jest.mock('open', () => jest.fn());
+
+/**
+ * Start a local stub of the Google APIs used by the REST backend
+ * @param {Object} stub Stub behaviour
+ * @returns {Promise<{baseUrl: string, requests: Object[], close: Function}>} Running stub
+ */
+function startStub(stub = {}) {
+  const requests = [];
+  const keys = [];
+  let operations = 0;
+
+  const operation = (response, done = true) => {
+    operations += 1;
+    return { name: `operations/op-${operations}`, done, ...(done ? { response } : {}) };
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, search: url.search, headers: req.headers, body });
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (url.pathname === '/token') {
+        return send(200, stub.token ? stub.token(new URLSearchParams(body)) : { access_token: 'sa-token', expires_in: 3600 });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v3/projects') {
+        return send(200, operation({}, !stub.pendingProjectOperation));
+      }
+
+      if (req.method === 'GET' && url.pathname.startsWith('/v3/operations/')) {
+        return send(200, { name: url.pathname.slice(4), done: true, response: {} });
+      }
+
+      if (req.method === 'GET' && url.pathname.endsWith('/billingInfo')) {
+        return send(200, {
+          billingAccountName: stub.billingDisabled ? '' : 'billingAccounts/012345-6789AB-CDEF01',
+          billingEnabled: !stub.billingDisabled
+        });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v1/places:searchText') {
+        return send(200, { places: [{ id: 'ChIJLU7jZClu5kcR4PcOOO6p3I0' }] });
+      }
+
+      if (url.pathname.endsWith('/services:batchEnable')) {
+        if (stub.billingDisabled) {
+          return send(400, { error: { code: 400, status: 'FAILED_PRECONDITION', message: 'Billing must be enabled for activation of service(s)' } });
+        }
+        return send(200, operation({}));
+      }
+
+      // Secret Manager reads IAM policies with GET and writes them with POST
+      if (req.method === 'GET' && url.pathname.endsWith(':getIamPolicy')) {
+        return send(200, stub.secretPolicy || { etag: 'BwE=' });
+      }
+
+      if (req.method === 'POST' && url.pathname.endsWith(':setIamPolicy')) {
+        return send(200, JSON.parse(body).policy);
+      }
+
+      const keysMatch = url.pathname.match(/^\/v2\/projects\/([^/]+)\/locations\/global\/keys(?:\/([^/]+))?(\/keyString)?$/);
+      if (keysMatch) {
+        const [, , uid, keyString] = keysMatch;
+
+        if (req.method === 'POST') {
+          const created = { ...JSON.parse(body), uid: `uid-${keys.length + 1}`, name: `projects/123/locations/global/keys/uid-${keys.length + 1}` };
+          keys.push(created);
+          return send(200, operation(created));
+        }
+
+        if (req.method === 'GET' && !uid) {
+          return send(200, { keys });
+        }
+
+        if (req.method === 'GET' && keyString) {
+          return send(200, { keyString: `AIzaSyREST-${uid}` });
+        }
+
+        if (req.method === 'PATCH') {
+          const key = keys.find(candidate => candidate.uid === uid);
+          key.restrictions = JSON.parse(body).restrictions;
+          return send(200, operation(key));
+        }
+      }
+
+      return send(404, { error: { code: 404, status: 'NOT_FOUND', message: `No stub for ${req.method} ${url.pathname}` } });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        keys,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+const endpointsFor = baseUrl => ({
+  resourceManager: baseUrl,
+  serviceUsage: baseUrl,
+  apiKeys: baseUrl,
+  secretManager: baseUrl,
+  oauth2: `${baseUrl}/token`
+});
+
+describe('REST runner', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+  });
+
+  test('should require credentials', () => {
+    expect(() => createRestRunner({})).toThrow('access token or a service account key');
+  });
+
+  test('should create projects and wait for the operation', async () => {
+    stub = await startStub({ pendingProjectOperation: true });
+    const runner = createRestRunner({ accessToken: 'token', endpoints: endpointsFor(stub.baseUrl), pollInterval: 0 });
+
+    const result = await runner.exec('gcloud', ['projects', 'create', 'my-places-project', '--name=My Project']);
+
+    expect(result.success).toBe(true);
+    expect(JSON.parse(stub.requests[0].body)).toEqual({ projectId: 'my-places-project', displayName: 'My Project' });
+    expect(stub.requests[0].headers.authorization).toBe('Bearer token');
+    expect(stub.requests[1]).toEqual(expect.objectContaining({ method: 'GET', path: '/v3/operations/op-1' }));
+  });
+
+  test('should report API errors with their status', async () => {
+    stub = await startStub({ billingDisabled: true });
+    const runner = createRestRunner({ accessToken: 'token', endpoints: endpointsFor(stub.baseUrl) });
+
+    const result = await runner.exec('gcloud', ['services', 'enable', 'places.googleapis.com', '--project=my-places-project']);
+
+    expect(result.success).toBe(false);
+    expect(result.output).toContain('FAILED_PRECONDITION: Billing must be enabled');
+  });
+
+  test('should read a secret IAM policy with GET and add the binding to it', async () => {
+    stub = await startStub({
+      secretPolicy: { etag: 'BwE=', bindings: [{ role: 'roles/secretmanager.secretAccessor', members: ['user:a@example.com'] }] }
+    });
+    const runner = createRestRunner({ accessToken: 'token', endpoints: endpointsFor(stub.baseUrl) });
+
+    const result = await runner.exec('gcloud', [
+      'secrets', 'add-iam-policy-binding', 'places-key',
+      '--member=serviceAccount:app@my-places-project.iam.gserviceaccount.com',
+      '--role=roles/secretmanager.secretAccessor',
+      '--project=my-places-project'
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(stub.requests.map(request => `${request.method} ${request.path}`)).toEqual([
+      'GET /v1/projects/my-places-project/secrets/places-key:getIamPolicy',
+      'POST /v1/projects/my-places-project/secrets/places-key:setIamPolicy'
+    ]);
+    expect(JSON.parse(stub.requests[1].body).policy).toEqual({
+      etag: 'BwE=',
+      bindings: [{
+        role: 'roles/secretmanager.secretAccessor',
+        members: ['user:a@example.com', 'serviceAccount:app@my-places-project.iam.gserviceaccount.com']
+      }]
+    });
+  });
+
+  test('should only update the key restrictions that are given, like gcloud', async () => {
+    stub = await startStub();
+    const runner = createRestRunner({ accessToken: 'token', endpoints: endpointsFor(stub.baseUrl), pollInterval: 0 });
+    await runner.exec('gcloud', ['services', 'api-keys', 'create', '--display-name=web', '--project=my-places-project']);
+
+    await runner.exec('gcloud', ['services', 'api-keys', 'update', 'uid-1', '--allowed-referrers=https://acme.example/*', '--project=my-places-project']);
+    await runner.exec('gcloud', ['services', 'api-keys', 'update', 'uid-1', '--clear-restrictions', '--project=my-places-project']);
+
+    const patches = stub.requests.filter(request => request.method === 'PATCH');
+    expect(patches.map(request => decodeURIComponent(request.search))).toEqual([
+      '?updateMask=restrictions.browserKeyRestrictions',
+      '?updateMask=restrictions'
+    ]);
+    expect(JSON.parse(patches[1].body)).toEqual({ restrictions: {} });
+  });
+
+  test('should reject commands it does not support', async () => {
+    const runner = createRestRunner({ accessToken: 'token' });
+
+    const result = await runner.exec('gcloud', ['compute', 'instances', 'list']);
+    expect(result.success).toBe(false);
+  });
+
+  test('should exchange a service account key for an access token', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    let verified = false;
+
+    stub = await startStub({
+      token: params => {
+        const [header, claims, signature] = params.get('assertion').split('.');
+        verified = crypto.createVerify('RSA-SHA256')
+          .update(`${header}.${claims}`)
+          .verify(publicKey, Buffer.from(signature, 'base64'));
+        expect(JSON.parse(Buffer.from(claims, 'base64').toString()).iss).toBe('setup@my-project.iam.gserviceaccount.com');
+        return { access_token: 'sa-token', expires_in: 3600 };
+      }
+    });
+
+    const runner = createRestRunner({
+      serviceAccountKey: {
+        client_email: 'setup@my-project.iam.gserviceaccount.com',
+        private_key: privateKey,
+        private_key_id: 'key-1'
+      },
+      endpoints: endpointsFor(stub.baseUrl)
+    });
+
+    const result = await runner.exec('gcloud', ['auth', 'login']);
+
+    expect(result).toEqual({ success: true, output: 'Authenticated with setup@my-project.iam.gserviceaccount.com.' });
+    expect(verified).toBe(true);
+  });
+});
+
+describe('run with the REST backend', () => {
+  const fixture = withFakeSetup();
+  let stub;
+
+  afterEach(async () => {
+    await stub.close();
+  });
+
+  test('should complete the setup against the HTTP APIs', async () => {
+    stub = await startStub();
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      yes: true,
+      stateDir: fixture.stateDir,
+      propagationDelay: 0,
+      backend: 'rest',
+      accessToken: 'token',
+      restBaseUrl: stub.baseUrl,
+      placesBaseUrl: stub.baseUrl
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, apiKey: 'AIzaSyREST-uid-1' }));
+    expect(result.verification).toEqual({ status: 'works', message: 'The key works', attempts: 1 });
+    const placesRequest = stub.requests.find(request => request.path === '/v1/places:searchText');
+    expect(placesRequest.headers['x-goog-api-key']).toBe('AIzaSyREST-uid-1');
+    expect(stub.keys[0].restrictions.apiTargets).toEqual([
+      { service: 'places-backend.googleapis.com' },
+      { service: 'places.googleapis.com' }
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+const { createShellRunner, getSpawnArgs } = require('../src/runner');
+
+describe('getSpawnArgs', () => {
+  test('should spawn the command directly outside Windows', () => {
+    expect(getSpawnArgs('gcloud', ['projects', 'list'], 'linux')).toEqual({
+      command: 'gcloud',
+      args: ['projects', 'list'],
+      options: { shell: false, windowsHide: true }
+    });
+  });
+
+  test('should run the .cmd shims through cmd.exe on Windows', () => {
+    const { command, args, options } = getSpawnArgs('gcloud', ['projects', 'create', 'my-project', '--name=My Project'], 'win32');
+
+    expect(command).toMatch(/cmd\.exe$/i);
+    expect(args).toEqual(['/d', '/s', '/c', '"gcloud ^^^"projects^^^" ^^^"create^^^" ^^^"my-project^^^" ^^^"--name=My^^^ Project^^^""']);
+    expect(options).toEqual({ shell: false, windowsHide: true, windowsVerbatimArguments: true });
+  });
+
+  test('should escape quotes and cmd.exe metacharacters on Windows', () => {
+    const { args } = getSpawnArgs('gcloud', ['--allowed-referrers=https://a.example/*&calc', 'say "hi"', 'C:\\dir\\'], 'win32');
+
+    expect(args[3]).toBe('"gcloud ^^^"--allowed-referrers=https://a.example/^^^*^^^&calc^^^" ^^^"say^^^ \\^^^"hi\\^^^"^^^" ^^^"C:\\dir\\\\^^^""');
+  });
+});
+
+describe('Shell runner', () => {
+  test('should run a command and return its output', async () => {
+    const result = await createShellRunner().exec(process.execPath, ['-e', 'process.stdout.write("ok")']);
+
+    expect(result).toEqual({ success: true, output: 'ok' });
+  });
+
+  test('should report commands that are not installed', async () => {
+    const result = await createShellRunner().exec('places-setup-missing-command', []);
+
+    expect(result).toEqual({ success: false, output: 'places-setup-missing-command: command not found' });
+  });
+});
@@ -0,0 +1,36 @@
+const {
+  SERVICE_CATALOG,
+  DEFAULT_APIS,
+  parseApiSelection,
+  getServicesForApis,
+  getApiNames
+} = require('../src/services');
+
+describe('Service catalog', () => {
+  test('should use unique IDs', () => {
+    const ids = SERVICE_CATALOG.map(entry => entry.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(DEFAULT_APIS).toEqual(['places']);
+  });
+
+  test('should parse comma-separated and repeated selections', () => {
+    expect(parseApiSelection('places, Geocoding,maps-js')).toEqual({ apis: ['places', 'geocoding', 'maps-js'] });
+    expect(parseApiSelection(['places-new', 'routes,places-new'])).toEqual({ apis: ['places-new', 'routes'] });
+  });
+
+  test('should reject unknown, empty and overlapping selections', () => {
+    expect(parseApiSelection('places,maps').error).toContain('Unknown API "maps"');
+    expect(parseApiSelection('').error).toBe('Select at least one API');
+    expect(parseApiSelection('places,places-new').error).toContain('already includes both Places APIs');
+  });
+
+  test('should map selections to service names', () => {
+    expect(getServicesForApis()).toEqual(['places-backend.googleapis.com', 'places.googleapis.com']);
+    expect(getServicesForApis(['places-new'])).toEqual(['places.googleapis.com']);
+    expect(getServicesForApis(['places-legacy', 'geocoding'])).toEqual([
+      'places-backend.googleapis.com',
+      'geocoding-backend.googleapis.com'
+    ]);
+    expect(getApiNames(['maps-js'])).toEqual(['Maps JavaScript API']);
+  });
+});
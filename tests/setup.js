@@ -0,0 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the mock registry and other config files out of the real config directory
+process.env.PLACES_SETUP_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'places-setup-test-home-'));
+
+afterAll(() => {
+  fs.rmSync(process.env.PLACES_SETUP_HOME, { recursive: true, force: true });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const state = require('../src/state');
+
+describe('Setup state', () => {
+  let stateDir;
+  let options;
+
+  beforeEach(() => {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-setup-state-'));
+    options = { stateDir };
+  });
+
+  afterEach(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('should save and load state keyed by project ID', () => {
+    const record = state.createState('my-places-project', 'My Project', { mockBilling: true });
+    const statePath = state.saveState(record, options);
+
+    expect(statePath).toBe(path.join(stateDir, 'my-places-project.json'));
+    expect(state.loadState('my-places-project', options)).toEqual(expect.objectContaining({
+      projectId: 'my-places-project',
+      projectName: 'My Project',
+      mode: { mockBilling: true, noBilling: false, useExisting: false }
+    }));
+  });
+
+  test('should return null for unknown projects', () => {
+    expect(state.loadState('missing-project', options)).toBeNull();
+  });
+
+  test('should record completed steps and find the next one', () => {
+    const record = state.createState('my-places-project', 'My Project');
+    expect(state.getNextStep(record)).toBe('projectCreated');
+
+    state.markStepComplete(record, 'projectCreated', {}, options);
+    state.markStepComplete(record, 'projectSet', {}, options);
+
+    const loaded = state.loadState('my-places-project', options);
+    expect(state.isStepComplete(loaded, 'projectSet')).toBe(true);
+    expect(state.getNextStep(loaded)).toBe('billingConfirmed');
+  });
+
+  test('should keep step data such as the key ID', () => {
+    const record = state.createState('my-places-project', 'My Project');
+    state.markStepComplete(record, 'keyCreated', { keyId: 'key-123' }, options);
+
+    const loaded = state.loadState('my-places-project', options);
+    expect(loaded.steps.keyCreated.keyId).toBe('key-123');
+  });
+
+  test('should reject unknown steps', () => {
+    const record = state.createState('my-places-project', 'My Project');
+    expect(() => state.markStepComplete(record, 'somethingElse', {}, options)).toThrow('Unknown setup step');
+  });
+
+  test('should find the latest incomplete state', () => {
+    const finished = state.createState('finished-project', 'Finished');
+    state.STEPS.forEach(step => state.markStepComplete(finished, step, {}, options));
+
+    const older = state.createState('older-project', 'Older');
+    older.updatedAt = '2020-01-01T00:00:00.000Z';
+    fs.writeFileSync(state.getStatePath('older-project', options), JSON.stringify(older));
+
+    const newer = state.createState('newer-project', 'Newer');
+    state.saveState(newer, options);
+
+    expect(state.findLatestIncompleteState(options).projectId).toBe('newer-project');
+  });
+
+  test('should return null when there is nothing to resume', () => {
+    expect(state.findLatestIncompleteState({ stateDir: path.join(stateDir, 'missing') })).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+const {
+  validateProjectId,
+  validateProjectName,
+  validateReferrer,
+  validateIpAddress,
+  validateAndroidApp,
+  validateIosBundleId,
+  validateSecretName,
+  validateServiceAccountEmail,
+  validateNonNegativeNumber,
+  toPromptValidator
+} = require('../src/validation');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const index = require('../src/index');
+
+describe('validateProjectId', () => {
+  test('should accept valid project IDs', () => {
+    expect(validateProjectId('places-project-123456-ab12')).toBeNull();
+    expect(validateProjectId('abcdef')).toBeNull();
+  });
+
+  test('should enforce the length limits', () => {
+    expect(validateProjectId('abc')).toContain('6 to 30 characters');
+    expect(validateProjectId('a'.repeat(31))).toContain('6 to 30 characters');
+  });
+
+  test('should require a leading lowercase letter', () => {
+    expect(validateProjectId('1places')).toContain('start with a lowercase letter');
+    expect(validateProjectId('Places-project')).toContain('start with a lowercase letter');
+  });
+
+  test('should reject shell metacharacters and uppercase letters', () => {
+    expect(validateProjectId('places;rm-rf')).toContain('lowercase letters, digits and hyphens');
+    expect(validateProjectId('places-Project')).toContain('lowercase letters, digits and hyphens');
+  });
+
+  test('should reject a trailing hyphen and restricted words', () => {
+    expect(validateProjectId('places-project-')).toContain('cannot end with a hyphen');
+    expect(validateProjectId('my-google-places')).toContain('cannot contain "google"');
+  });
+});
+
+describe('key restriction validators', () => {
+  test('should accept referrer patterns and reject malformed ones', () => {
+    expect(validateReferrer('https://example.com/*')).toBeNull();
+    expect(validateReferrer('*.example.com/*')).toBeNull();
+    expect(validateReferrer('localhost:3000')).toBeNull();
+    expect(validateReferrer('https://exa mple.com')).toContain('spaces or commas');
+    expect(validateReferrer('ftp://example.com/*')).toContain('not a valid pattern');
+  });
+
+  test('should accept IPv4 and IPv6 addresses and ranges', () => {
+    expect(validateIpAddress('203.0.113.5')).toBeNull();
+    expect(validateIpAddress('203.0.113.0/24')).toBeNull();
+    expect(validateIpAddress('2001:db8::/32')).toBeNull();
+    expect(validateIpAddress('203.0.113.0/33')).toContain('invalid prefix length');
+    expect(validateIpAddress('example.com')).toContain('not a valid IP address');
+  });
+
+  test('should require a package name and SHA-1 fingerprint for Android apps', () => {
+    expect(validateAndroidApp('com.example.app:DA:39:A3:EE:5E:6B:4B:0D:32:55:BF:EF:95:60:18:90:AF:D8:07:09')).toBeNull();
+    expect(validateAndroidApp('com.example.app:da39a3ee5e6b4b0d3255bfef95601890afd80709')).toBeNull();
+    expect(validateAndroidApp('com.example.app')).toContain('SHA-1 fingerprint');
+    expect(validateAndroidApp('com.example.app:da39a3')).toContain('SHA-1 fingerprint');
+    expect(validateAndroidApp('example:da39a3ee5e6b4b0d3255bfef95601890afd80709')).toContain('package name');
+  });
+
+  test('should require reverse-DNS iOS bundle IDs', () => {
+    expect(validateIosBundleId('com.example.app')).toBeNull();
+    expect(validateIosBundleId('example')).toContain('reverse-DNS');
+    expect(validateIosBundleId('com.example/app')).toContain('reverse-DNS');
+  });
+});
+
+describe('secret validators', () => {
+  test('should accept Secret Manager secret IDs', () => {
+    expect(validateSecretName('places_api-key')).toBeNull();
+    expect(validateSecretName('places key')).toContain('letters, digits, hyphens and underscores');
+    expect(validateSecretName('a'.repeat(256))).toContain('at most 255');
+  });
+
+  test('should require service account emails', () => {
+    expect(validateServiceAccountEmail('app@my-project.iam.gserviceaccount.com')).toBeNull();
+    expect(validateServiceAccountEmail('me@example.com')).toContain('not a service account email');
+  });
+});
+
+describe('validateNonNegativeNumber', () => {
+  test('should accept zero and positive numbers', () => {
+    expect(validateNonNegativeNumber('0', '--verify-timeout')).toBeNull();
+    expect(validateNonNegativeNumber('2.5', '--verify-timeout')).toBeNull();
+    expect(validateNonNegativeNumber(7, '--grace-days', true)).toBeNull();
+  });
+
+  test('should reject text, negative numbers and fractions where whole numbers are needed', () => {
+    expect(validateNonNegativeNumber('abc', '--verify-timeout')).toBe('--verify-timeout must be a non-negative number, not "abc"');
+    expect(validateNonNegativeNumber('', '--verify-timeout')).toContain('non-negative number');
+    expect(validateNonNegativeNumber('-1', '--verify-timeout')).toContain('non-negative number');
+    expect(validateNonNegativeNumber('1.5', '--grace-days', true)).toBe('--grace-days must be a non-negative whole number, not "1.5"');
+  });
+});
+
+describe('validateProjectName', () => {
+  test('should accept valid project names', () => {
+    expect(validateProjectName('Places API Project 2024-01-01')).toBeNull();
+    expect(validateProjectName('Bob\'s Places!')).toBeNull();
+    expect(validateProjectName('Places "Prod"')).toBeNull();
+  });
+
+  test('should enforce the length limits', () => {
+    expect(validateProjectName('abc')).toContain('4 to 30 characters');
+    expect(validateProjectName('a'.repeat(31))).toContain('4 to 30 characters');
+  });
+
+  test('should name the first invalid character', () => {
+    expect(validateProjectName('Places; rm -rf')).toContain('contains ";"');
+    expect(validateProjectName('Places <Prod>')).toContain('contains "<"');
+  });
+
+  test('should adapt to inquirer prompts', () => {
+    const validate = toPromptValidator(validateProjectName);
+    expect(validate('Places Project')).toBe(true);
+    expect(validate('abc')).toContain('4 to 30 characters');
+  });
+});
+
+describe('run input validation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should stop before any gcloud command changes anything', async () => {
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({
+      projectId: 'my-places-project',
+      projectName: 'Places\'; touch /tmp/pwned',
+      skipAuth: true,
+      yes: true,
+      runner: gcloud
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('contains ";"');
+    expect(gcloud.calls).toEqual(['gcloud --version', 'gcloud version']);
+  });
+});
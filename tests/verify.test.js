@@ -0,0 +1,287 @@
+const http = require('http');
+const {
+  pickPlacesApi,
+  getRestrictionHeaders,
+  buildVerifyRequest,
+  classifyPlacesResponse,
+  verifyApiKey
+} = require('../src/verify');
+const { createFakeGcloud } = require('../src/fakeGcloud');
+const { loadState } = require('../src/state');
+const index = require('../src/index');
+const { withFakeSetup } = require('./fixtures');
+
+/**
+ * Start a local stub of the Places API that answers with the given responses
+ * in turn, repeating the last one
+ * @param {Array<[number, Object]>} responses Status and body of each response
+ * @returns {Promise<{baseUrl: string, requests: Object[], close: Function}>} Running stub
+ */
+function startPlacesStub(responses) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const [status, payload] = responses[Math.min(requests.length, responses.length) - 1];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Build a Places API (New) error response
+ * @param {number} code HTTP status
+ * @param {string} message Error message
+ * @param {string} [reason] ErrorInfo reason
+ * @returns {[number, Object]} Stub response
+ */
+function newApiError(code, message, reason) {
+  const details = reason ? [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason }] : [];
+  return [code, { error: { code, message, details } }];
+}
+
+describe('pickPlacesApi', () => {
+  test('should prefer the Places API (New)', () => {
+    expect(pickPlacesApi(['places-backend.googleapis.com', 'places.googleapis.com'])).toBe('new');
+    expect(pickPlacesApi(['places-backend.googleapis.com'])).toBe('legacy');
+    expect(pickPlacesApi(['geocoding-backend.googleapis.com'])).toBeNull();
+  });
+});
+
+describe('getRestrictionHeaders', () => {
+  test('should send a referrer the key accepts', () => {
+    expect(getRestrictionHeaders({ browserKeyRestrictions: { allowedReferrers: ['*.example.com/*'] } }))
+      .toEqual({ Referer: 'https://www.example.com/' });
+    expect(getRestrictionHeaders({ browserKeyRestrictions: { allowedReferrers: ['http://localhost:3000/*'] } }))
+      .toEqual({ Referer: 'http://localhost:3000/' });
+  });
+
+  test('should identify as the allowed app', () => {
+    expect(getRestrictionHeaders({
+      androidKeyRestrictions: { allowedApplications: [{ packageName: 'com.example.app', sha1Fingerprint: 'ab:cd:ef' }] }
+    })).toEqual({ 'X-Android-Package': 'com.example.app', 'X-Android-Cert': 'ABCDEF' });
+    expect(getRestrictionHeaders({ iosKeyRestrictions: { allowedBundleIds: ['com.example.ios'] } }))
+      .toEqual({ 'X-Ios-Bundle-Identifier': 'com.example.ios' });
+  });
+
+  test('should send nothing for IP restrictions', () => {
+    expect(getRestrictionHeaders({ serverKeyRestrictions: { allowedIps: ['1.2.3.4'] } })).toEqual({});
+  });
+});
+
+describe('buildVerifyRequest', () => {
+  test('should build a Text Search (New) request for place IDs only', () => {
+    const request = buildVerifyRequest('AIzaKey', { baseUrl: 'http://localhost:8080/' });
+
+    expect(request).toEqual(expect.objectContaining({ url: 'http://localhost:8080/v1/places:searchText', method: 'POST' }));
+    expect(request.headers).toEqual({ 'X-Goog-Api-Key': 'AIzaKey', 'X-Goog-FieldMask': 'places.id' });
+  });
+
+  test('should build a legacy Find Place request', () => {
+    const request = buildVerifyRequest('AIzaKey', { api: 'legacy' });
+
+    expect(request.url).toMatch(/^https:\/\/maps\.googleapis\.com\/maps\/api\/place\/findplacefromtext\/json\?/);
+    expect(request.url).toContain('fields=place_id');
+    expect(request.url).toContain('key=AIzaKey');
+  });
+});
+
+describe('classifyPlacesResponse', () => {
+  const classify = ([status, body], api) => classifyPlacesResponse({ status, body, text: JSON.stringify(body) }, api).status;
+
+  test('should tell the Places API (New) errors apart', () => {
+    expect(classify([200, { places: [] }])).toBe('works');
+    expect(classify(newApiError(400, 'API key not valid. Please pass a valid API key.', 'API_KEY_INVALID'))).toBe('key-invalid');
+    expect(classify(newApiError(403, 'Places API (New) has not been used in project 123 before or it is disabled.', 'SERVICE_DISABLED'))).toBe('api-not-enabled');
+    expect(classify(newApiError(403, 'This API method requires billing to be enabled.', 'BILLING_DISABLED'))).toBe('billing-disabled');
+    expect(classify(newApiError(403, 'Requests from referer <empty> are blocked.', 'API_KEY_HTTP_REFERRER_BLOCKED'))).toBe('referrer-restricted');
+    expect(classify(newApiError(403, 'Requests to this API method are blocked.', 'API_KEY_SERVICE_BLOCKED'))).toBe('api-restricted');
+    expect(classify(newApiError(500, 'Internal error'))).toBe('unknown');
+  });
+
+  test('should tell the legacy API errors apart', () => {
+    expect(classify([200, { status: 'OK', candidates: [] }], 'legacy')).toBe('works');
+    expect(classify([200, { status: 'ZERO_RESULTS', candidates: [] }], 'legacy')).toBe('works');
+    expect(classify([200, { status: 'REQUEST_DENIED', error_message: 'The provided API key is invalid. ' }], 'legacy')).toBe('key-invalid');
+    expect(classify([200, { status: 'REQUEST_DENIED', error_message: 'You must enable Billing on the Google Cloud Project at https://console.cloud.google.com/project/_/billing/enable' }], 'legacy')).toBe('billing-disabled');
+    expect(classify([200, { status: 'REQUEST_DENIED', error_message: 'This API project is not authorized to use this API.' }], 'legacy')).toBe('api-not-enabled');
+    expect(classify([200, { status: 'REQUEST_DENIED', error_message: 'API keys with referer restrictions cannot be used with this API.' }], 'legacy')).toBe('referrer-restricted');
+  });
+});
+
+describe('verifyApiKey', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+  });
+
+  test('should retry while the key propagates', async () => {
+    stub = await startPlacesStub([
+      newApiError(400, 'API key not valid. Please pass a valid API key.', 'API_KEY_INVALID'),
+      [200, { places: [{ id: 'ChIJ' }] }]
+    ]);
+    const onRetry = jest.fn();
+
+    const result = await verifyApiKey('AIzaKey', { placesBaseUrl: stub.baseUrl, verifyInterval: 0, onRetry });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'works', ok: true, attempts: 2 }));
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ status: 'key-invalid', attempts: 1 }));
+    expect(stub.requests[0].headers['x-goog-api-key']).toBe('AIzaKey');
+    expect(JSON.parse(stub.requests[0].body)).toEqual({ textQuery: 'Eiffel Tower', pageSize: 1 });
+  });
+
+  test('should give up after the timeout', async () => {
+    stub = await startPlacesStub([newApiError(403, 'This API method requires billing to be enabled.', 'BILLING_DISABLED')]);
+
+    const result = await verifyApiKey('AIzaKey', { placesBaseUrl: stub.baseUrl, verifyTimeout: 0 });
+
+    expect(result).toEqual(expect.objectContaining({
+      status: 'billing-disabled',
+      ok: false,
+      message: 'Billing is not enabled on the key\'s project',
+      attempts: 1
+    }));
+  });
+
+  test('should not retry restriction errors', async () => {
+    stub = await startPlacesStub([newApiError(403, 'Requests from referer <empty> are blocked.', 'API_KEY_HTTP_REFERRER_BLOCKED')]);
+
+    const result = await verifyApiKey('AIzaKey', {
+      placesBaseUrl: stub.baseUrl,
+      verifyInterval: 0,
+      restrictions: { browserKeyRestrictions: { allowedReferrers: ['https://example.com/*'] } }
+    });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'referrer-restricted', attempts: 1 }));
+    expect(stub.requests[0].headers.referer).toBe('https://example.com/');
+  });
+
+  test('should report an unreachable endpoint', async () => {
+    stub = await startPlacesStub([[200, {}]]);
+    const { baseUrl } = stub;
+    await stub.close();
+    stub = null;
+
+    const result = await verifyApiKey('AIzaKey', { api: 'legacy', placesBaseUrl: baseUrl, verifyTimeout: 0 });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'unreachable', ok: false }));
+  });
+});
+
+describe('key verification with the fake gcloud', () => {
+  const fixture = withFakeSetup({ verify: undefined, verifyTimeout: 0, projectId: 'my-places-project', projectName: 'My Project' });
+  let stub;
+
+  /**
+   * Serve one Places API (New) response to every request
+   * @param {number} status HTTP status
+   * @param {Object} body Response body
+   * @returns {Promise<string>} Base URL of the stub
+   */
+  const servePlaces = async (status, body) => {
+    stub = await startPlacesStub([[status, body]]);
+    return stub.baseUrl;
+  };
+
+  afterEach(async () => {
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+  });
+
+  test('should report the new key as working', async () => {
+    const placesBaseUrl = await servePlaces(200, { places: [{ id: 'ChIJ' }] });
+
+    const result = await index.run({ ...fixture.options, placesBaseUrl, runner: createFakeGcloud() });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, verification: { status: 'works', message: 'The key works', attempts: 1 } }));
+  });
+
+  test('should fail when the key does not work', async () => {
+    const placesBaseUrl = await servePlaces(403, {
+      error: { code: 403, message: 'This API method requires billing to be enabled.', details: [{ reason: 'BILLING_DISABLED' }] }
+    });
+
+    const result = await index.run({ ...fixture.options, placesBaseUrl, runner: createFakeGcloud() });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'KEY_VERIFY_FAILED', projectId: 'my-places-project' }));
+    expect(result.error).toContain('Billing is not enabled');
+    expect(loadState('my-places-project', { stateDir: fixture.stateDir }).steps.keyRestricted).toBeTruthy();
+  });
+
+  test('should only warn when the key may still be propagating', async () => {
+    const placesBaseUrl = await servePlaces(400, {
+      error: { code: 400, message: 'API key not valid. Please pass a valid API key.', details: [{ reason: 'API_KEY_INVALID' }] }
+    });
+
+    const result = await index.run({ ...fixture.options, placesBaseUrl, runner: createFakeGcloud() });
+
+    expect(result.success).toBe(true);
+    expect(result.verification.status).toBe('key-invalid');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Check it later with: places-setup verify'));
+  });
+
+  test('should never roll back because of the test request', async () => {
+    const placesBaseUrl = await servePlaces(403, {
+      error: { code: 403, message: 'This API method requires billing to be enabled.', details: [{ reason: 'BILLING_DISABLED' }] }
+    });
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, placesBaseUrl, rollbackOnFailure: true, runner: gcloud });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'KEY_VERIFY_FAILED' }));
+    expect(result.rolledBack).toBeUndefined();
+    expect(gcloud.projects.has('my-places-project')).toBe(true);
+  });
+
+  test('should reject a malformed --verify-timeout before creating anything', async () => {
+    const placesBaseUrl = await servePlaces(200, { places: [] });
+    const gcloud = createFakeGcloud();
+
+    const result = await index.run({ ...fixture.options, placesBaseUrl, verifyTimeout: 'abc', runner: gcloud });
+    const verified = await index.verify({ key: 'AIzaTest', placesBaseUrl, verifyTimeout: '-5' });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'INVALID_INPUT' }));
+    expect(result.error).toBe('--verify-timeout must be a non-negative number, not "abc"');
+    expect(gcloud.projects.size).toBe(0);
+    expect(verified).toEqual({ success: false, error: '--verify-timeout must be a non-negative number, not "-5"' });
+  });
+
+  test('should only warn when the key turns away requests from this machine', async () => {
+    const placesBaseUrl = await servePlaces(403, {
+      error: { code: 403, message: 'The caller\'s IP address is not allowed by the key.', details: [{ reason: 'API_KEY_IP_ADDRESS_BLOCKED' }] }
+    });
+
+    const result = await index.run({
+      ...fixture.options,
+      placesBaseUrl,
+      allowedIps: ['203.0.113.7'],
+      runner: createFakeGcloud()
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.verification.status).toBe('application-restricted');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('only accepts requests from IP addresses 203.0.113.7'));
+  });
+});